@@ -0,0 +1,166 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+/**
+ * @dev Parts of TreasuryVault used by the emergency guard
+ */
+interface ITreasuryVaultEmergencyHost {
+    function emergencyWithdraw(address payable to, uint256 amount) external;
+    function hasRole(bytes32 role, address account) external view returns (bool);
+    function getRoleMemberCount(bytes32 role) external view returns (uint256);
+}
+
+/**
+ * @title EmergencyGuard
+ * @dev Quorum-gated emergency withdrawals for TreasuryVaults. A withdrawal happens only once
+ * `quorum` of the vault's guardians approve the same recipient and amount, so neither a single
+ * admin nor a single guardian can move funds on their own. Each withdrawal is capped, must wait out
+ * a cooldown since the previous one, and only goes to the cold storage address governance set, never
+ * to an address an admin or guardian picks.
+ * @notice One guard can serve many vaults; each vault points to it through a setEmergencyGuard proposal
+ */
+contract EmergencyGuard {
+
+    // ============ CONSTANTS ============
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+
+    uint256 public constant MIN_QUORUM = 2;
+
+    // ============ STATE VARIABLES ============
+    struct Policy {
+        uint256 quorum;         // guardian approvals needed; 0 disables emergency withdrawals
+        uint256 cap;            // most wei per withdrawal
+        uint256 cooldown;       // seconds between withdrawals
+        address coldStorage;    // only allowed recipient
+        uint256 lastWithdrawal; // timestamp of the last emergency withdrawal
+    }
+
+    struct Request {
+        address to;
+        uint256 amount;
+        address[] approvers;
+    }
+
+    mapping(address => Policy) public policies;
+    mapping(address => Request) internal requests;
+
+    // ============ EVENTS ============
+    event EmergencyPolicyUpdated(
+        address indexed vault,
+        uint256 quorum,
+        uint256 cap,
+        uint256 cooldown,
+        address coldStorage
+    );
+
+    event EmergencyWithdrawalApproved(
+        address indexed vault,
+        address indexed to,
+        uint256 amount,
+        address indexed guardian,
+        uint256 approvals
+    );
+
+    // ============ GUARDIAN FUNCTIONS ============
+
+    /**
+     * @dev Approve an emergency withdrawal from a vault as one of its guardians; the vault pays out
+     * once quorum guardians approved. Approving a different recipient or amount starts over.
+     */
+    function approveWithdrawal(address vault, address payable to, uint256 amount) external {
+        ITreasuryVaultEmergencyHost host = ITreasuryVaultEmergencyHost(vault);
+        require(host.hasRole(GUARDIAN_ROLE, msg.sender), "EmergencyGuard: Caller is not a guardian");
+
+        Policy storage policy = policies[vault];
+        require(policy.quorum != 0, "EmergencyGuard: Emergency withdrawals disabled");
+        require(amount > 0, "EmergencyGuard: Amount must be positive");
+        require(amount <= policy.cap, "EmergencyGuard: Cap exceeded");
+        require(amount <= vault.balance, "EmergencyGuard: Insufficient balance");
+        require(block.timestamp >= policy.lastWithdrawal + policy.cooldown, "EmergencyGuard: Cooldown active");
+        require(to == policy.coldStorage, "EmergencyGuard: Invalid recipient");
+
+        Request storage request = requests[vault];
+        if (request.to != to || request.amount != amount) {
+            delete requests[vault];
+            request.to = to;
+            request.amount = amount;
+        }
+        for (uint256 i = 0; i < request.approvers.length; i++) {
+            require(request.approvers[i] != msg.sender, "EmergencyGuard: Already approved");
+        }
+        request.approvers.push(msg.sender);
+
+        uint256 approvals = _countApprovals(host, request);
+        emit EmergencyWithdrawalApproved(vault, to, amount, msg.sender, approvals);
+
+        if (approvals >= policy.quorum) {
+            delete requests[vault];
+            policy.lastWithdrawal = block.timestamp;
+            host.emergencyWithdraw(to, amount);
+        }
+    }
+
+    // ============ GOVERNANCE FUNCTIONS ============
+
+    /**
+     * @dev Set a vault's emergency policy; callable only by the vault itself through a proposal, so
+     * no admin can loosen it alone. Enabled policies need a cold storage address. Drops any pending request.
+     */
+    function setPolicy(address vault, uint256 quorum, uint256 cap, uint256 cooldown, address coldStorage) external {
+        ITreasuryVaultEmergencyHost host = ITreasuryVaultEmergencyHost(vault);
+        require(msg.sender == vault, "EmergencyGuard: Not the vault's governance");
+        require(
+            quorum == 0 || (quorum >= MIN_QUORUM && quorum <= host.getRoleMemberCount(GUARDIAN_ROLE)),
+            "EmergencyGuard: Invalid quorum"
+        );
+        require(quorum == 0 || coldStorage != address(0), "EmergencyGuard: Cold storage required");
+
+        Policy storage policy = policies[vault];
+        policy.quorum = quorum;
+        policy.cap = cap;
+        policy.cooldown = cooldown;
+        policy.coldStorage = coldStorage;
+        delete requests[vault];
+
+        emit EmergencyPolicyUpdated(vault, quorum, cap, cooldown, coldStorage);
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    /**
+     * @dev The withdrawal a vault's guardians are approving, with the approvals that still count
+     */
+    function getRequest(address vault)
+        external
+        view
+        returns (address to, uint256 amount, address[] memory approvers, uint256 approvals)
+    {
+        Request storage request = requests[vault];
+        return (request.to, request.amount, request.approvers, _countApprovals(ITreasuryVaultEmergencyHost(vault), request));
+    }
+
+    /**
+     * @dev When the next emergency withdrawal is allowed
+     */
+    function nextWithdrawalTime(address vault) external view returns (uint256) {
+        Policy storage policy = policies[vault];
+        return policy.lastWithdrawal == 0 ? 0 : policy.lastWithdrawal + policy.cooldown;
+    }
+
+    // ============ INTERNAL FUNCTIONS ============
+
+    /**
+     * @dev Approvals from accounts that are still guardians; a revoked guardian's approval lapses
+     */
+    function _countApprovals(ITreasuryVaultEmergencyHost host, Request storage request)
+        internal
+        view
+        returns (uint256 count)
+    {
+        for (uint256 i = 0; i < request.approvers.length; i++) {
+            if (host.hasRole(GUARDIAN_ROLE, request.approvers[i])) {
+                count++;
+            }
+        }
+    }
+}
@@ -0,0 +1,173 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+/**
+ * @dev Parts of TreasuryVault used by the scheduler
+ */
+interface ITreasuryVaultModuleHost {
+    function executeFromModule(address target, uint256 value, bytes calldata data) external;
+    function hasRole(bytes32 role, address account) external view returns (bool);
+}
+
+/**
+ * @title PaymentScheduler
+ * @dev Recurring payments (payroll, retainers) for TreasuryVaults. A vault creates a schedule by
+ * executing a proposal that calls createSchedule, so the managers approve it once. After that
+ * anyone can trigger each payment once it is due; the vault pays it through executeFromModule,
+ * where the daily and token limits still apply. Managers of the paying vault can cancel a schedule.
+ * @notice One scheduler can serve many vaults; each vault must enable it with setModule
+ */
+contract PaymentScheduler {
+
+    // ============ CONSTANTS ============
+    bytes32 public constant TREASURY_MANAGER_ROLE = keccak256("TREASURY_MANAGER_ROLE");
+
+    uint256 public constant MIN_INTERVAL = 1 hours;
+    uint256 public constant MAX_PAYMENTS = 1000;
+
+    // ============ STATE VARIABLES ============
+    struct Schedule {
+        address vault;          // vault that created the schedule and pays it
+        address recipient;
+        address token;          // ERC-20 token, or address(0) for ETH
+        uint256 amount;         // per payment, in wei or token units
+        uint256 interval;       // seconds between payments
+        uint256 startTime;      // when the first payment is due
+        uint256 endTime;        // no payment falls due after this time; 0 for no end date
+        uint256 totalPayments;
+        uint256 paymentsMade;
+        bool cancelled;
+    }
+
+    uint256 public scheduleCount;
+    mapping(uint256 => Schedule) public schedules;
+
+    // ============ EVENTS ============
+    event ScheduleCreated(
+        uint256 indexed scheduleId,
+        address indexed vault,
+        address indexed recipient,
+        address token,
+        uint256 amount,
+        uint256 interval,
+        uint256 startTime,
+        uint256 totalPayments,
+        uint256 endTime
+    );
+
+    event ScheduledPaymentExecuted(
+        uint256 indexed scheduleId,
+        address indexed vault,
+        address indexed recipient,
+        uint256 paymentNumber,
+        uint256 amount
+    );
+
+    event ScheduleCancelled(uint256 indexed scheduleId, address indexed vault, address indexed cancelledBy);
+
+    // ============ SCHEDULE FUNCTIONS ============
+
+    /**
+     * @dev Create a schedule paid by the calling vault; meant to be the target of a proposal.
+     * Payment n (counting from 0) falls due at startTime + n * interval.
+     */
+    function createSchedule(
+        address recipient,
+        address token,
+        uint256 amount,
+        uint256 interval,
+        uint256 startTime,
+        uint256 totalPayments,
+        uint256 endTime
+    ) external returns (uint256) {
+        require(recipient != address(0), "PaymentScheduler: Invalid recipient");
+        require(amount > 0, "PaymentScheduler: Invalid amount");
+        require(startTime > 0, "PaymentScheduler: Invalid start time");
+        require(interval >= MIN_INTERVAL, "PaymentScheduler: Interval too short");
+        require(totalPayments > 0 && totalPayments <= MAX_PAYMENTS, "PaymentScheduler: Invalid payment count");
+        require(endTime == 0 || endTime >= startTime, "PaymentScheduler: Ends before it starts");
+
+        uint256 scheduleId = scheduleCount++;
+        schedules[scheduleId] = Schedule({
+            vault: msg.sender,
+            recipient: recipient,
+            token: token,
+            amount: amount,
+            interval: interval,
+            startTime: startTime,
+            endTime: endTime,
+            totalPayments: totalPayments,
+            paymentsMade: 0,
+            cancelled: false
+        });
+
+        emit ScheduleCreated(scheduleId, msg.sender, recipient, token, amount, interval, startTime, totalPayments, endTime);
+        return scheduleId;
+    }
+
+    /**
+     * @dev Pay the next due payment of a schedule. Callable by anyone; payments that were missed
+     * can be caught up by triggering again.
+     */
+    function triggerPayment(uint256 scheduleId) external {
+        require(scheduleId < scheduleCount, "PaymentScheduler: Schedule does not exist");
+        require(isDue(scheduleId), "PaymentScheduler: No payment due");
+
+        Schedule storage schedule = schedules[scheduleId];
+        uint256 paymentNumber = ++schedule.paymentsMade;
+
+        if (schedule.token == address(0)) {
+            ITreasuryVaultModuleHost(schedule.vault).executeFromModule(schedule.recipient, schedule.amount, "");
+        } else {
+            ITreasuryVaultModuleHost(schedule.vault).executeFromModule(
+                schedule.token,
+                0,
+                abi.encodeWithSignature("transfer(address,uint256)", schedule.recipient, schedule.amount)
+            );
+        }
+
+        emit ScheduledPaymentExecuted(scheduleId, schedule.vault, schedule.recipient, paymentNumber, schedule.amount);
+    }
+
+    /**
+     * @dev Cancel a schedule; callable by the paying vault or any of its treasury managers
+     */
+    function cancelSchedule(uint256 scheduleId) external {
+        require(scheduleId < scheduleCount, "PaymentScheduler: Schedule does not exist");
+        Schedule storage schedule = schedules[scheduleId];
+        require(!schedule.cancelled, "PaymentScheduler: Schedule already cancelled");
+        require(
+            msg.sender == schedule.vault ||
+                ITreasuryVaultModuleHost(schedule.vault).hasRole(TREASURY_MANAGER_ROLE, msg.sender),
+            "PaymentScheduler: Not a manager of the paying vault"
+        );
+
+        schedule.cancelled = true;
+        emit ScheduleCancelled(scheduleId, schedule.vault, msg.sender);
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    /**
+     * @dev When the next payment falls due, or 0 if the schedule is cancelled or finished
+     */
+    function nextPaymentTime(uint256 scheduleId) public view returns (uint256) {
+        Schedule storage schedule = schedules[scheduleId];
+        if (schedule.cancelled || schedule.paymentsMade >= schedule.totalPayments) {
+            return 0;
+        }
+        uint256 dueTime = schedule.startTime + schedule.paymentsMade * schedule.interval;
+        if (schedule.endTime != 0 && dueTime > schedule.endTime) {
+            return 0;
+        }
+        return dueTime;
+    }
+
+    /**
+     * @dev Whether a payment of the schedule can be triggered now
+     */
+    function isDue(uint256 scheduleId) public view returns (bool) {
+        uint256 dueTime = nextPaymentTime(scheduleId);
+        return dueTime != 0 && dueTime <= block.timestamp;
+    }
+}
@@ -16,7 +16,7 @@ abstract contract Pausable {
     event Unpaused(address account);
     
     modifier whenNotPaused() {
-        require(!_paused, "Pausable: paused");
+        _requireNotPaused();
         _;
     }
     
@@ -28,6 +28,10 @@ abstract contract Pausable {
     function paused() public view returns (bool) {
         return _paused;
     }
+
+    function _requireNotPaused() internal view {
+        require(!_paused, "Pausable: paused");
+    }
     
     function _pause() internal whenNotPaused {
         _paused = true;
@@ -41,40 +45,103 @@ abstract contract Pausable {
 }
 
 /**
- * @dev Custom minimal AccessControl implementation
+ * @dev Custom minimal AccessControl implementation with role admins and member enumeration
  */
 abstract contract AccessControl {
-    mapping(bytes32 => mapping(address => bool)) private _roles;
+    // Position of each member in its role's member list, plus one (0 = not a member)
+    mapping(bytes32 => mapping(address => uint256)) private _memberPositions;
+    mapping(bytes32 => address[]) private _roleMembers;
+    mapping(bytes32 => bytes32) private _roleAdmins;
     
     bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00;
     
     event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
     event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole);
     
     modifier onlyRole(bytes32 role) {
-        require(hasRole(role, msg.sender), "AccessControl: account missing role");
+        _checkRole(role);
         _;
     }
     
     function hasRole(bytes32 role, address account) public view returns (bool) {
-        return _roles[role][account];
+        return _memberPositions[role][account] != 0;
+    }
+
+    /**
+     * @dev Role whose holders can grant and revoke `role` (DEFAULT_ADMIN_ROLE unless set)
+     */
+    function getRoleAdmin(bytes32 role) public view returns (bytes32) {
+        return _roleAdmins[role];
+    }
+
+    function getRoleMemberCount(bytes32 role) public view returns (uint256) {
+        return _roleMembers[role].length;
+    }
+
+    /**
+     * @dev Current holders of a role, in no particular order
+     */
+    function getRoleMembers(bytes32 role) public view returns (address[] memory) {
+        return _roleMembers[role];
+    }
+
+    function grantRole(bytes32 role, address account) external {
+        _checkRoleAdmin(role);
+        _grantRole(role, account);
+    }
+
+    function revokeRole(bytes32 role, address account) external {
+        _checkRoleAdmin(role);
+        _revokeRole(role, account);
+    }
+
+    function _checkRole(bytes32 role) internal view {
+        require(hasRole(role, msg.sender), "AccessControl: account missing role");
+    }
+
+    function _checkRoleAdmin(bytes32 role) internal view virtual {
+        _checkRole(getRoleAdmin(role));
+    }
+
+    function _setRoleAdmin(bytes32 role, bytes32 adminRole) internal {
+        emit RoleAdminChanged(role, getRoleAdmin(role), adminRole);
+        _roleAdmins[role] = adminRole;
     }
     
     function _grantRole(bytes32 role, address account) internal {
         if (!hasRole(role, account)) {
-            _roles[role][account] = true;
+            _roleMembers[role].push(account);
+            _memberPositions[role][account] = _roleMembers[role].length;
             emit RoleGranted(role, account, msg.sender);
         }
     }
     
     function _revokeRole(bytes32 role, address account) internal {
-        if (hasRole(role, account)) {
-            _roles[role][account] = false;
+        uint256 position = _memberPositions[role][account];
+        if (position != 0) {
+            // Move the last member into the freed slot
+            address[] storage members = _roleMembers[role];
+            address last = members[members.length - 1];
+            members[position - 1] = last;
+            _memberPositions[role][last] = position;
+            members.pop();
+            delete _memberPositions[role][account];
             emit RoleRevoked(role, account, msg.sender);
         }
     }
 }
 
+/**
+ * @dev Minimal ERC-20 interface used for token treasury operations
+ */
+interface IERC20 {
+    function balanceOf(address account) external view returns (uint256);
+    function transfer(address to, uint256 amount) external returns (bool);
+    function approve(address spender, uint256 amount) external returns (bool);
+    function transferFrom(address from, address to, uint256 amount) external returns (bool);
+}
+
 /**
  * @title TreasuryVault
  * @dev Secure multi-signature treasury contract for managing organization funds
@@ -88,32 +155,83 @@ contract TreasuryVault is Pausable, AccessControl {
     uint256 private _status;
     
     modifier nonReentrant() {
-        require(_status != _ENTERED, "TreasuryVault: Reentrant call");
-        _status = _ENTERED;
+        uint256 previousStatus = _nonReentrantBefore();
         _;
-        _status = _NOT_ENTERED;
+        _status = previousStatus;
+    }
+
+    function _nonReentrantBefore() private returns (uint256 previousStatus) {
+        // A self-call comes from a proposal that is executing, which already holds the lock
+        require(_status != _ENTERED || msg.sender == address(this), "TreasuryVault: Reentrant call");
+        previousStatus = _status;
+        _status = _ENTERED;
     }
 
     // ============ CONSTANTS ============
     bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
     bytes32 public constant TREASURY_MANAGER_ROLE = keccak256("TREASURY_MANAGER_ROLE");
     bytes32 public constant PROPOSER_ROLE = keccak256("PROPOSER_ROLE");
+    bytes32 public constant GUARDIAN_ROLE = keccak256("GUARDIAN_ROLE");
+    bytes32 public constant AUDITOR_ROLE = keccak256("AUDITOR_ROLE");
     
     uint256 public constant MIN_CONFIRMATION_COUNT = 2;
-    uint256 public constant PROPOSAL_EXPIRY_BLOCKS = 50400; // ~7 days at 12 sec blocks
+    uint256 public constant MIN_PROPOSAL_EXPIRY = 1 hours;
+    uint256 public constant MAX_PROPOSAL_EXPIRY = 90 days;
+    uint256 public constant WITHDRAWAL_WINDOW = 24 hours;
     uint256 public constant MAX_DAILY_WITHDRAWAL = 100 ether;
+    uint256 public constant MAX_EXECUTION_DELAY = 30 days;
+    uint256 public constant MAX_BATCH_CALLS = 50;
+    uint256 public constant MAX_BUDGET_PERIOD = 366 days;
+
+    bytes4 private constant INCREASE_ALLOWANCE_SELECTOR = bytes4(keccak256("increaseAllowance(address,uint256)"));
+
+    // EIP-712 typed data for off-chain confirmations
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant CONFIRMATION_TYPEHASH =
+        keccak256("Confirmation(uint256 proposalId,address target,uint256 value,bytes32 dataHash)");
 
     // ============ STATE VARIABLES ============
     uint256 public proposalCount;
     uint256 public requiredConfirmations;
     uint256 public dailyWithdrawalLimit;
-    uint256 public lastWithdrawalResetBlock;
-    uint256 public todayWithdrawn;
+
+    // Seconds a new proposal stays open for confirmation
+    uint256 public proposalExpiry;
+
+    // Once set, admin functions can only be reached through executed proposals
+    bool public selfGoverned;
+
+    // Seconds between reaching quorum and being executable; 0 executes on quorum
+    uint256 public executionDelay;
+
+    // Per-token daily limits; a token with no limit set cannot leave the vault through proposals
+    mapping(address => uint256) public tokenDailyLimit;
+
+    // Withdrawals of the last 24 hours per asset (address(0) for ETH), checked against the daily limits
+    mapping(address => WithdrawalWindow) internal withdrawalWindows;
     
-    mapping(uint256 => Proposal) public proposals;
-    mapping(address => bool) public isTreasuryManager;
-    mapping(address => uint256) public managerIndex; // Track position in array
-    address[] public treasuryManagers;
+    // Spending category of each proposal (0 = uncategorized) and the ETH budget per category
+    mapping(uint256 => bytes32) public proposalCategory;
+    mapping(bytes32 => CategoryBudget) internal categoryBudgets;
+
+    // Contracts (e.g. PaymentScheduler) allowed to make payments within the vault's limits
+    mapping(address => bool) public isModule;
+
+    // Approved recipients with their label and optional 24-hour ETH cap, and what each received
+    mapping(address => Recipient) public addressBook;
+    mapping(address => WithdrawalWindow) internal recipientWindows;
+
+    // Confirmations needed to pay a recipient outside the address book; 0 allows any recipient
+    uint256 public unknownRecipientThreshold;
+
+    // EmergencyGuard allowed to make emergency withdrawals once enough guardians approve; 0 for none
+    address public emergencyGuard;
+
+    // Confirmations of the proposal being executed, for recipient checks in nested calls
+    uint256 private _executionConfirmations;
+
+    mapping(uint256 => Proposal) internal _proposals;
 
     // ============ STRUCTS ============
     struct Proposal {
@@ -127,7 +245,47 @@ contract TreasuryVault is Pausable, AccessControl {
         uint256 deadline;
         bool executed;
         bool cancelled;
+        uint256 executableAt; // Set when the proposal is queued behind the timelock
+        bool vetoed;
         mapping(address => bool) hasConfirmed;
+        mapping(address => bool) hasRevoked; // Revoked confirmations cannot come back through a signature
+    }
+
+    // Lifecycle state as seen by the current block
+    enum ProposalState { Pending, Queued, Ready, Expired, Executed, Cancelled, Vetoed }
+
+    // ETH a category may spend per period; a category with no period set is not capped
+    struct CategoryBudget {
+        uint256 amount;
+        uint256 period;
+        uint256 periodStart;
+        uint256 spent;
+    }
+
+    // One call of a batch proposal
+    struct Call {
+        address target;
+        uint256 value;
+        bytes data;
+    }
+
+    // A withdrawal counted against a daily limit
+    struct Withdrawal {
+        uint64 timestamp;
+        uint192 amount;
+    }
+
+    // Withdrawals in time order; entries before `head` have left the window and are not in `total`
+    struct WithdrawalWindow {
+        Withdrawal[] entries;
+        uint256 head;
+        uint256 total;
+    }
+
+    // Address book entry; an address is approved while its label is set. A cap of 0 is uncapped.
+    struct Recipient {
+        bytes32 label;
+        uint256 cap;
     }
 
     // ============ EVENTS ============
@@ -160,6 +318,7 @@ contract TreasuryVault is Pausable, AccessControl {
         uint256 amount,
         address indexed authorizer
     );
+    event EmergencyGuardUpdated(address indexed oldGuard, address indexed newGuard);
 
     event TreasuryManagerAdded(address indexed manager, address indexed addedBy);
     event TreasuryManagerRemoved(address indexed manager, address indexed removedBy);
@@ -167,43 +326,78 @@ contract TreasuryVault is Pausable, AccessControl {
     event DailyLimitUpdated(uint256 oldLimit, uint256 newLimit);
     event RequiredConfirmationsUpdated(uint256 oldCount, uint256 newCount);
 
+    event TokenDeposited(address indexed token, address indexed from, uint256 amount);
+    event TokenProposalCreated(
+        uint256 indexed proposalId,
+        address indexed token,
+        address indexed to,
+        uint256 amount
+    );
+    event TokenDailyLimitUpdated(address indexed token, uint256 oldLimit, uint256 newLimit);
+    event SelfGovernanceEnabled(address indexed enabledBy);
+
+    event ProposalQueued(uint256 indexed proposalId, uint256 executableAt);
+    event ProposalVetoed(uint256 indexed proposalId, address indexed vetoer);
+    event ExecutionDelayUpdated(uint256 oldDelay, uint256 newDelay);
+    event ProposalExpiryUpdated(uint256 oldExpiry, uint256 newExpiry);
+
+    event ConfirmationRevoked(uint256 indexed proposalId, address indexed manager, uint256 confirmations);
+    event ConfirmationsRecounted(uint256 indexed proposalId, uint256 oldCount, uint256 newCount);
+
+    event ProposalCategorized(uint256 indexed proposalId, bytes32 indexed category);
+    event CategoryBudgetUpdated(bytes32 indexed category, uint256 amount, uint256 period);
+
+    event ModuleUpdated(address indexed module, bool enabled);
+    event ModuleExecution(address indexed module, address indexed target, uint256 value);
+
+    event RecipientUpdated(address indexed recipient, bytes32 label, uint256 cap);
+    event RecipientRemoved(address indexed recipient);
+    event UnknownRecipientThresholdUpdated(uint256 oldThreshold, uint256 newThreshold);
+
     // ============ MODIFIERS ============
     modifier onlyTreasuryManager() {
-        require(
-            hasRole(TREASURY_MANAGER_ROLE, msg.sender),
-            "TreasuryVault: Caller is not a treasury manager"
-        );
+        _checkTreasuryManager();
         _;
     }
 
     modifier onlyProposer() {
-        require(
-            hasRole(PROPOSER_ROLE, msg.sender) || hasRole(TREASURY_MANAGER_ROLE, msg.sender),
-            "TreasuryVault: Caller cannot create proposals"
-        );
+        _checkProposer();
+        _;
+    }
+
+    modifier onlyGovernance() {
+        _checkGovernance();
+        _;
+    }
+
+    modifier onlyAuditor() {
+        _checkAuditor();
+        _;
+    }
+
+    // Proposals that only unpause the vault stay usable while it is paused
+    modifier whenNotPausedOrUnpausing(uint256 proposalId) {
+        _checkNotPausedOrUnpausing(proposalId);
         _;
     }
 
     modifier proposalExists(uint256 proposalId) {
-        require(proposalId < proposalCount, "TreasuryVault: Proposal does not exist");
+        _checkProposalExists(proposalId);
         _;
     }
 
     modifier proposalNotExecuted(uint256 proposalId) {
-        require(!proposals[proposalId].executed, "TreasuryVault: Proposal already executed");
+        _checkProposalNotExecuted(proposalId);
         _;
     }
 
     modifier proposalNotExpired(uint256 proposalId) {
-        require(
-            block.number <= proposals[proposalId].deadline,
-            "TreasuryVault: Proposal has expired"
-        );
+        _checkProposalNotExpired(proposalId);
         _;
     }
 
     modifier validAddress(address _address) {
-        require(_address != address(0), "TreasuryVault: Invalid address");
+        _checkValidAddress(_address);
         _;
     }
 
@@ -213,34 +407,54 @@ contract TreasuryVault is Pausable, AccessControl {
         uint256 _requiredConfirmations,
         uint256 _dailyWithdrawalLimit
     ) {
+        _initialize(_initialManagers, _requiredConfirmations, _dailyWithdrawalLimit, msg.sender);
+    }
+
+    /**
+     * @dev Set up a clone made by TreasuryVaultFactory, with `admin` in place of the deployer.
+     * Callable once; a vault deployed with the constructor is already initialized.
+     */
+    function initialize(
+        address[] memory _initialManagers,
+        uint256 _requiredConfirmations,
+        uint256 _dailyWithdrawalLimit,
+        address admin
+    ) external validAddress(admin) {
+        _initialize(_initialManagers, _requiredConfirmations, _dailyWithdrawalLimit, admin);
+    }
+
+    function _initialize(
+        address[] memory _initialManagers,
+        uint256 _requiredConfirmations,
+        uint256 _dailyWithdrawalLimit,
+        address admin
+    ) internal {
+        require(_status == 0, "TreasuryVault: Already initialized");
         require(_initialManagers.length >= MIN_CONFIRMATION_COUNT, "TreasuryVault: Need minimum managers");
-        require(
-            _requiredConfirmations >= MIN_CONFIRMATION_COUNT && 
-            _requiredConfirmations <= _initialManagers.length,
-            "TreasuryVault: Invalid confirmation count"
-        );
+        _checkConfirmationCount(_requiredConfirmations, _initialManagers.length);
         require(_dailyWithdrawalLimit <= MAX_DAILY_WITHDRAWAL, "TreasuryVault: Daily limit too high");
 
-        // Initialize reentrancy guard
+        // Initialize reentrancy guard (also marks the vault as initialized)
         _status = _NOT_ENTERED;
         
         // Set up roles
-        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
-        _grantRole(ADMIN_ROLE, msg.sender);
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(ADMIN_ROLE, admin);
+        _setRoleAdmin(ADMIN_ROLE, ADMIN_ROLE);
+        _setRoleAdmin(PROPOSER_ROLE, ADMIN_ROLE);
+        _setRoleAdmin(GUARDIAN_ROLE, ADMIN_ROLE);
+        _setRoleAdmin(AUDITOR_ROLE, ADMIN_ROLE);
         
         // Add initial treasury managers
         for (uint256 i = 0; i < _initialManagers.length; i++) {
             require(_initialManagers[i] != address(0), "TreasuryVault: Invalid manager address");
             _grantRole(TREASURY_MANAGER_ROLE, _initialManagers[i]);
             _grantRole(PROPOSER_ROLE, _initialManagers[i]);
-            isTreasuryManager[_initialManagers[i]] = true;
-            managerIndex[_initialManagers[i]] = treasuryManagers.length;
-            treasuryManagers.push(_initialManagers[i]);
         }
 
         requiredConfirmations = _requiredConfirmations;
         dailyWithdrawalLimit = _dailyWithdrawalLimit;
-        lastWithdrawalResetBlock = block.number;
+        proposalExpiry = 7 days;
     }
 
     // ============ EXTERNAL FUNCTIONS ============
@@ -264,30 +478,74 @@ contract TreasuryVault is Pausable, AccessControl {
         external
         onlyProposer
         validAddress(target)
+        returns (uint256)
+    {
+        return _proposeCall(target, value, data, description, bytes32(0));
+    }
+
+    /**
+     * @dev Create a proposal in a spending category (e.g. "grants"), whose budget it counts against
+     */
+    function createCategorizedProposal(
+        bytes32 category,
+        address target,
+        uint256 value,
+        bytes calldata data,
+        string calldata description
+    )
+        external
+        onlyProposer
+        validAddress(target)
+        returns (uint256)
+    {
+        require(category != bytes32(0), "TreasuryVault: Category required");
+        return _proposeCall(target, value, data, description, category);
+    }
+
+    /**
+     * @dev Create a proposal to transfer ERC-20 tokens out of the vault
+     */
+    function createTokenProposal(
+        address token,
+        address to,
+        uint256 amount,
+        string calldata description
+    )
+        external
+        onlyProposer
+        validAddress(token)
+        validAddress(to)
         whenNotPaused
         returns (uint256)
     {
-        require(value <= address(this).balance, "TreasuryVault: Insufficient contract balance");
-        require(bytes(description).length > 0, "TreasuryVault: Description required");
+        _checkPositiveAmount(amount);
+        require(amount <= IERC20(token).balanceOf(address(this)), "TreasuryVault: Insufficient token balance");
 
-        uint256 proposalId = proposalCount++;
-        Proposal storage proposal = proposals[proposalId];
-        
-        proposal.id = proposalId;
-        proposal.proposer = msg.sender;
-        proposal.target = target;
-        proposal.value = value;
-        proposal.data = data;
-        proposal.description = description;
-        proposal.deadline = block.number + PROPOSAL_EXPIRY_BLOCKS;
-        proposal.confirmations = 0;
-        proposal.executed = false;
-        proposal.cancelled = false;
+        bytes memory data = abi.encodeWithSelector(IERC20.transfer.selector, to, amount);
+        uint256 proposalId = _createProposal(token, 0, data, description);
 
-        emit ProposalCreated(proposalId, msg.sender, target, value, description);
+        emit TokenProposalCreated(proposalId, token, to, amount);
         return proposalId;
     }
 
+    /**
+     * @dev Deposit ERC-20 tokens (requires a prior approve to the vault)
+     */
+    function depositToken(address token, uint256 amount)
+        external
+        validAddress(token)
+        nonReentrant
+    {
+        _checkPositiveAmount(amount);
+
+        // Credit what actually arrived, in case the token takes a fee on transfer
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        _callToken(token, abi.encodeWithSelector(IERC20.transferFrom.selector, msg.sender, address(this), amount));
+        uint256 received = IERC20(token).balanceOf(address(this)) - balanceBefore;
+
+        emit TokenDeposited(token, msg.sender, received);
+    }
+
     /**
      * @dev Confirm a proposal (multi-sig functionality)
      */
@@ -297,54 +555,133 @@ contract TreasuryVault is Pausable, AccessControl {
         proposalExists(proposalId)
         proposalNotExecuted(proposalId)
         proposalNotExpired(proposalId)
-        whenNotPaused
+        whenNotPausedOrUnpausing(proposalId)
     {
-        Proposal storage proposal = proposals[proposalId];
-        require(!proposal.cancelled, "TreasuryVault: Proposal is cancelled");
+        Proposal storage proposal = _proposals[proposalId];
+        _checkNotCancelledOrVetoed(proposal);
         require(!proposal.hasConfirmed[msg.sender], "TreasuryVault: Already confirmed");
 
-        proposal.hasConfirmed[msg.sender] = true;
-        proposal.confirmations++;
+        _recordConfirmation(proposal, msg.sender);
 
-        emit ProposalConfirmed(proposalId, msg.sender, proposal.confirmations);
+        // Auto-execute (or queue behind the timelock) if enough current managers have confirmed
+        _afterConfirmation(proposal);
+    }
 
-        // Auto-execute if enough confirmations
-        if (proposal.confirmations >= requiredConfirmations) {
-            _executeProposal(proposalId);
+    /**
+     * @dev Submit EIP-712 confirmations signed off-chain by managers. Anyone can relay them.
+     * Signers that have already confirmed are skipped; executes once quorum is reached.
+     * A manager who revoked a confirmation must confirm on-chain again, so an earlier
+     * signature cannot be replayed to undo the revocation.
+     */
+    function confirmProposalWithSignatures(uint256 proposalId, bytes[] calldata signatures)
+        external
+        proposalExists(proposalId)
+        proposalNotExecuted(proposalId)
+        proposalNotExpired(proposalId)
+        whenNotPausedOrUnpausing(proposalId)
+    {
+        Proposal storage proposal = _proposals[proposalId];
+        _checkNotCancelledOrVetoed(proposal);
+        require(signatures.length > 0, "TreasuryVault: No signatures");
+
+        bytes32 digest = getConfirmationDigest(proposalId);
+        for (uint256 i = 0; i < signatures.length; i++) {
+            address signer = _recoverSigner(digest, signatures[i]);
+            require(hasRole(TREASURY_MANAGER_ROLE, signer), "TreasuryVault: Signer is not a treasury manager");
+            if (!proposal.hasConfirmed[signer]) {
+                require(!proposal.hasRevoked[signer], "TreasuryVault: Signer revoked their confirmation");
+                _recordConfirmation(proposal, signer);
+            }
         }
+
+        _afterConfirmation(proposal);
+    }
+
+    /**
+     * @dev Withdraw the caller's confirmation from a proposal that has not executed yet
+     */
+    function revokeConfirmation(uint256 proposalId)
+        external
+        onlyTreasuryManager
+        proposalExists(proposalId)
+        proposalNotExecuted(proposalId)
+    {
+        Proposal storage proposal = _proposals[proposalId];
+        require(proposal.hasConfirmed[msg.sender], "TreasuryVault: Not confirmed");
+
+        proposal.hasConfirmed[msg.sender] = false;
+        proposal.hasRevoked[msg.sender] = true;
+        proposal.confirmations = _countConfirmations(proposal);
+
+        emit ConfirmationRevoked(proposalId, msg.sender, proposal.confirmations);
     }
 
     /**
-     * @dev Execute a confirmed proposal
+     * @dev Execute a confirmed proposal once its timelock has passed.
+     * Confirmations are recounted against the current managers first. Queued proposals
+     * no longer expire; a proposal that reached quorum without being queued
+     * (e.g. after the threshold was lowered) is queued instead.
      */
     function executeProposal(uint256 proposalId)
         external
         onlyTreasuryManager
         proposalExists(proposalId)
         proposalNotExecuted(proposalId)
-        proposalNotExpired(proposalId)
-        whenNotPaused
+        whenNotPausedOrUnpausing(proposalId)
     {
-        Proposal storage proposal = proposals[proposalId];
-        require(!proposal.cancelled, "TreasuryVault: Proposal is cancelled");
+        Proposal storage proposal = _proposals[proposalId];
+        _checkNotCancelledOrVetoed(proposal);
+
+        if (proposal.executableAt == 0) {
+            _checkProposalNotExpired(proposalId);
+        } else {
+            require(block.timestamp >= proposal.executableAt, "TreasuryVault: Timelock has not expired");
+        }
+        // Confirmations from removed managers or revoked since queueing no longer count
         require(
-            proposal.confirmations >= requiredConfirmations,
+            _recountConfirmations(proposal) >= requiredConfirmations,
             "TreasuryVault: Not enough confirmations"
         );
 
-        _executeProposal(proposalId);
+        if (proposal.executableAt == 0) {
+            _onQuorum(proposalId);
+        } else {
+            _executeProposal(proposalId);
+        }
+    }
+
+    /**
+     * @dev Veto a queued proposal before its timelock expires (any manager or guardian)
+     */
+    function vetoProposal(uint256 proposalId)
+        external
+        proposalExists(proposalId)
+        proposalNotExecuted(proposalId)
+    {
+        require(
+            hasRole(TREASURY_MANAGER_ROLE, msg.sender) || hasRole(GUARDIAN_ROLE, msg.sender),
+            "TreasuryVault: Caller cannot veto"
+        );
+        Proposal storage proposal = _proposals[proposalId];
+        _checkNotCancelledOrVetoed(proposal);
+        require(proposal.executableAt != 0, "TreasuryVault: Proposal is not queued");
+        require(block.timestamp < proposal.executableAt, "TreasuryVault: Veto window has closed");
+
+        proposal.vetoed = true;
+        emit ProposalVetoed(proposalId, msg.sender);
     }
 
     /**
-     * @dev Cancel a proposal (emergency function)
+     * @dev Cancel a proposal (emergency function). Once self-governed, only through a proposal, so
+     * no admin can cancel alone the proposal that would revoke their role.
      */
     function cancelProposal(uint256 proposalId)
         external
-        onlyRole(ADMIN_ROLE)
+        onlyGovernance
         proposalExists(proposalId)
         proposalNotExecuted(proposalId)
     {
-        Proposal storage proposal = proposals[proposalId];
+        Proposal storage proposal = _proposals[proposalId];
         require(!proposal.cancelled, "TreasuryVault: Already cancelled");
         
         proposal.cancelled = true;
@@ -352,38 +689,47 @@ contract TreasuryVault is Pausable, AccessControl {
     }
 
     /**
-     * @dev Emergency withdrawal function (requires admin role)
+     * @dev Emergency withdrawal, callable only by the emergency guard after a quorum of guardians
+     * approved it within the guard's cap, cooldown and recipient rules. Works while paused.
      */
     function emergencyWithdraw(address payable to, uint256 amount)
         external
-        onlyRole(ADMIN_ROLE)
         validAddress(to)
         nonReentrant
     {
+        require(msg.sender == emergencyGuard, "TreasuryVault: Caller is not the emergency guard");
         require(amount <= address(this).balance, "TreasuryVault: Insufficient balance");
-        require(amount > 0, "TreasuryVault: Amount must be positive");
-        require(isTreasuryManager[to] || hasRole(ADMIN_ROLE, to), "TreasuryVault: Invalid recipient");
+        _checkPositiveAmount(amount);
 
         (bool success, ) = to.call{value: amount}("");
         require(success, "TreasuryVault: Transfer failed");
         emit EmergencyWithdrawal(to, amount, msg.sender);
     }
 
+    /**
+     * @dev Set the EmergencyGuard that may make emergency withdrawals; address(0) disables them.
+     * Only through a proposal, even before self-governance: the guard can move funds without one.
+     */
+    function setEmergencyGuard(address guard) external {
+        _checkCalledByProposal();
+        address oldGuard = emergencyGuard;
+        emergencyGuard = guard;
+
+        emit EmergencyGuardUpdated(oldGuard, guard);
+    }
+
     /**
      * @dev Add a new treasury manager
      */
     function addTreasuryManager(address manager)
         external
-        onlyRole(ADMIN_ROLE)
+        onlyGovernance
         validAddress(manager)
     {
-        require(!isTreasuryManager[manager], "TreasuryVault: Already a manager");
+        require(!isTreasuryManager(manager), "TreasuryVault: Already a manager");
         
         _grantRole(TREASURY_MANAGER_ROLE, manager);
         _grantRole(PROPOSER_ROLE, manager);
-        isTreasuryManager[manager] = true;
-        managerIndex[manager] = treasuryManagers.length;
-        treasuryManagers.push(manager);
 
         emit TreasuryManagerAdded(manager, msg.sender);
     }
@@ -393,28 +739,14 @@ contract TreasuryVault is Pausable, AccessControl {
      */
     function removeTreasuryManager(address manager)
         external
-        onlyRole(ADMIN_ROLE)
+        onlyGovernance
         validAddress(manager)
     {
-        require(isTreasuryManager[manager], "TreasuryVault: Not a manager");
-        require(treasuryManagers.length > MIN_CONFIRMATION_COUNT, "TreasuryVault: Cannot remove last managers");
+        require(isTreasuryManager(manager), "TreasuryVault: Not a manager");
+        require(getRoleMemberCount(TREASURY_MANAGER_ROLE) > MIN_CONFIRMATION_COUNT, "TreasuryVault: Cannot remove last managers");
         
         _revokeRole(TREASURY_MANAGER_ROLE, manager);
         _revokeRole(PROPOSER_ROLE, manager);
-        isTreasuryManager[manager] = false;
-
-        // Remove from array using efficient O(1) removal
-        uint256 index = managerIndex[manager];
-        uint256 lastIndex = treasuryManagers.length - 1;
-        
-        if (index != lastIndex) {
-            address lastManager = treasuryManagers[lastIndex];
-            treasuryManagers[index] = lastManager;
-            managerIndex[lastManager] = index;
-        }
-        
-        treasuryManagers.pop();
-        delete managerIndex[manager];
 
         emit TreasuryManagerRemoved(manager, msg.sender);
     }
@@ -424,12 +756,9 @@ contract TreasuryVault is Pausable, AccessControl {
      */
     function updateRequiredConfirmations(uint256 newCount)
         external
-        onlyRole(ADMIN_ROLE)
+        onlyGovernance
     {
-        require(
-            newCount >= MIN_CONFIRMATION_COUNT && newCount <= treasuryManagers.length,
-            "TreasuryVault: Invalid confirmation count"
-        );
+        _checkConfirmationCount(newCount, getRoleMemberCount(TREASURY_MANAGER_ROLE));
         
         uint256 oldCount = requiredConfirmations;
         requiredConfirmations = newCount;
@@ -442,7 +771,7 @@ contract TreasuryVault is Pausable, AccessControl {
      */
     function updateDailyLimit(uint256 newLimit)
         external
-        onlyRole(ADMIN_ROLE)
+        onlyGovernance
     {
         require(newLimit <= MAX_DAILY_WITHDRAWAL, "TreasuryVault: Limit too high");
         
@@ -453,108 +782,735 @@ contract TreasuryVault is Pausable, AccessControl {
     }
 
     /**
-     * @dev Emergency pause function
+     * @dev Set a token's daily withdrawal limit (in the token's own units)
      */
-    function pause() external onlyRole(ADMIN_ROLE) {
-        _pause();
+    function setTokenDailyLimit(address token, uint256 newLimit)
+        external
+        onlyGovernance
+        validAddress(token)
+    {
+        uint256 oldLimit = tokenDailyLimit[token];
+        tokenDailyLimit[token] = newLimit;
+
+        emit TokenDailyLimitUpdated(token, oldLimit, newLimit);
     }
 
     /**
-     * @dev Unpause function
+     * @dev Set a category's ETH budget per period (in seconds); a period of 0 removes the budget.
+     * Changing the period starts a new period now.
      */
-    function unpause() external onlyRole(ADMIN_ROLE) {
-        _unpause();
-    }
+    function setCategoryBudget(bytes32 category, uint256 amount, uint256 period) external onlyGovernance {
+        require(period <= MAX_BUDGET_PERIOD, "TreasuryVault: Budget period too long");
 
-    // ============ PUBLIC VIEW FUNCTIONS ============
+        CategoryBudget storage budget = categoryBudgets[category];
+        if (budget.period != period) {
+            budget.period = period;
+            budget.periodStart = block.timestamp;
+            budget.spent = 0;
+        }
+        budget.amount = amount;
+
+        emit CategoryBudgetUpdated(category, amount, period);
+    }
 
     /**
-     * @dev Get contract balance
+     * @dev Enable or disable a module that can pay out through executeFromModule
      */
-    function getBalance() public view returns (uint256) {
-        return address(this).balance;
+    function setModule(address module, bool enabled) external onlyGovernance validAddress(module) {
+        isModule[module] = enabled;
+        emit ModuleUpdated(module, enabled);
     }
 
     /**
-     * @dev Get proposal details
+     * @dev Approve a recipient under a label, or update its entry. A non-zero cap limits the
+     * ETH it can receive in any 24 hours.
      */
-    function getProposal(uint256 proposalId)
-        public
-        view
-        proposalExists(proposalId)
-        returns (
-            uint256 id,
-            address proposer,
-            address target,
-            uint256 value,
-            bytes memory data,
-            string memory description,
-            uint256 confirmations,
-            uint256 deadline,
-            bool executed,
-            bool cancelled
-        )
+    function setRecipient(address recipient, bytes32 label, uint256 cap)
+        external
+        onlyGovernance
+        validAddress(recipient)
     {
-        Proposal storage proposal = proposals[proposalId];
-        return (
-            proposal.id,
-            proposal.proposer,
-            proposal.target,
-            proposal.value,
-            proposal.data,
-            proposal.description,
-            proposal.confirmations,
-            proposal.deadline,
-            proposal.executed,
-            proposal.cancelled
-        );
+        require(label != bytes32(0), "TreasuryVault: Label required");
+        addressBook[recipient] = Recipient(label, cap);
+        emit RecipientUpdated(recipient, label, cap);
     }
 
     /**
-     * @dev Check if address has confirmed a proposal
+     * @dev Take a recipient out of the address book
      */
-    function hasConfirmed(uint256 proposalId, address manager)
-        public
-        view
-        proposalExists(proposalId)
-        returns (bool)
+    function removeRecipient(address recipient) external onlyGovernance {
+        _checkKnownRecipient(recipient);
+        delete addressBook[recipient];
+        emit RecipientRemoved(recipient);
+    }
+
+    /**
+     * @dev Set the confirmations a proposal needs to pay a recipient outside the address book.
+     * 0 allows any recipient and type(uint256).max rejects them outright.
+     */
+    function setUnknownRecipientThreshold(uint256 threshold) external onlyGovernance {
+        require(threshold == 0 || threshold > requiredConfirmations, "TreasuryVault: Invalid recipient threshold");
+
+        uint256 oldThreshold = unknownRecipientThreshold;
+        unknownRecipientThreshold = threshold;
+
+        emit UnknownRecipientThresholdUpdated(oldThreshold, threshold);
+    }
+
+    /**
+     * @dev Emergency pause function (governance, or any guardian)
+     */
+    function pause() external {
+        if (!hasRole(GUARDIAN_ROLE, msg.sender)) {
+            _checkGovernance();
+        }
+        _pause();
+    }
+
+    /**
+     * @dev Unpause function
+     */
+    function unpause() external onlyGovernance {
+        _unpause();
+    }
+
+    /**
+     * @dev Set the delay between reaching quorum and execution (0 executes on quorum)
+     */
+    function updateExecutionDelay(uint256 newDelay) external onlyGovernance {
+        require(newDelay <= MAX_EXECUTION_DELAY, "TreasuryVault: Delay too long");
+
+        uint256 oldDelay = executionDelay;
+        executionDelay = newDelay;
+
+        emit ExecutionDelayUpdated(oldDelay, newDelay);
+    }
+
+    /**
+     * @dev Set how long new proposals stay open; proposals that already exist keep their deadline
+     */
+    function updateProposalExpiry(uint256 newExpiry) external onlyGovernance {
+        require(
+            newExpiry >= MIN_PROPOSAL_EXPIRY && newExpiry <= MAX_PROPOSAL_EXPIRY,
+            "TreasuryVault: Invalid proposal expiry"
+        );
+
+        uint256 oldExpiry = proposalExpiry;
+        proposalExpiry = newExpiry;
+
+        emit ProposalExpiryUpdated(oldExpiry, newExpiry);
+    }
+
+    /**
+     * @dev Grant or revoke the guardian role, which can pause the vault and veto queued proposals
+     */
+    function setGuardian(address account, bool enabled) external onlyGovernance validAddress(account) {
+        if (enabled) {
+            _grantRole(GUARDIAN_ROLE, account);
+        } else {
+            _revokeRole(GUARDIAN_ROLE, account);
+        }
+    }
+
+    /**
+     * @dev Hand policy changes to the multisig for good: after this, admin functions
+     * only accept calls the vault makes to itself from an executed proposal
+     */
+    function enableSelfGovernance() external onlyRole(ADMIN_ROLE) {
+        require(!selfGoverned, "TreasuryVault: Already self-governed");
+        selfGoverned = true;
+
+        emit SelfGovernanceEnabled(msg.sender);
+    }
+
+    /**
+     * @dev Make several calls all-or-nothing: any failing call reverts the whole batch.
+     * A batch proposal is a proposal from the vault to itself calling executeBatch with the
+     * calls' total ETH value, so the daily limit applies to the batch as a whole.
+     */
+    function executeBatch(Call[] calldata calls) external payable {
+        _checkCalledByProposal();
+        require(calls.length > 0 && calls.length <= MAX_BATCH_CALLS, "TreasuryVault: Invalid batch size");
+
+        uint256 totalValue;
+        for (uint256 i = 0; i < calls.length; i++) {
+            totalValue += calls[i].value;
+            require(_performCall(calls[i].target, calls[i].value, calls[i].data), "TreasuryVault: Batch call failed");
+        }
+        require(totalValue == msg.value, "TreasuryVault: Batch value mismatch");
+    }
+
+    /**
+     * @dev Let an enabled module make a call that the managers approved in advance, such as a
+     * scheduled payment. The daily and token limits apply as for proposals; the vault itself is
+     * not a valid target, so a module cannot change governance settings.
+     */
+    function executeFromModule(address target, uint256 value, bytes calldata data)
+        external
+        whenNotPaused
+        nonReentrant
+    {
+        require(isModule[msg.sender], "TreasuryVault: Caller is not a module");
+        require(target != address(this), "TreasuryVault: Invalid module target");
+
+        if (value > 0) {
+            _checkDailyLimit(value);
+        }
+        require(_performCall(target, value, data), "TreasuryVault: Module call failed");
+
+        emit ModuleExecution(msg.sender, target, value);
+    }
+
+    // ============ PUBLIC VIEW FUNCTIONS ============
+
+    /**
+     * @dev Get contract balance
+     */
+    function getBalance() public view returns (uint256) {
+        return address(this).balance;
+    }
+
+    /**
+     * @dev Stored fields of a proposal; all zero for an id that does not exist yet
+     */
+    function proposals(uint256 proposalId)
+        public
+        view
+        returns (
+            uint256 id,
+            address proposer,
+            address target,
+            uint256 value,
+            bytes memory data,
+            string memory description,
+            uint256 confirmations,
+            uint256 deadline,
+            bool executed,
+            bool cancelled
+        )
+    {
+        Proposal storage proposal = _proposals[proposalId];
+        return (
+            proposal.id,
+            proposal.proposer,
+            proposal.target,
+            proposal.value,
+            proposal.data,
+            proposal.description,
+            proposal.confirmations,
+            proposal.deadline,
+            proposal.executed,
+            proposal.cancelled
+        );
+    }
+
+    /**
+     * @dev Get proposal details
+     */
+    function getProposal(uint256 proposalId)
+        public
+        view
+        proposalExists(proposalId)
+        returns (
+            uint256 id,
+            address proposer,
+            address target,
+            uint256 value,
+            bytes memory data,
+            string memory description,
+            uint256 confirmations,
+            uint256 deadline,
+            bool executed,
+            bool cancelled
+        )
+    {
+        return proposals(proposalId);
+    }
+
+    /**
+     * @dev Check if address has confirmed a proposal
+     */
+    function hasConfirmed(uint256 proposalId, address manager)
+        public
+        view
+        proposalExists(proposalId)
+        returns (bool)
     {
-        return proposals[proposalId].hasConfirmed[manager];
+        return _proposals[proposalId].hasConfirmed[manager];
     }
 
     /**
      * @dev Get all treasury managers
      */
     function getTreasuryManagers() public view returns (address[] memory) {
-        return treasuryManagers;
+        return getRoleMembers(TREASURY_MANAGER_ROLE);
     }
 
     /**
-     * @dev Get remaining daily withdrawal amount
+     * @dev Whether an account is a treasury manager
+     */
+    function isTreasuryManager(address account) public view returns (bool) {
+        return hasRole(TREASURY_MANAGER_ROLE, account);
+    }
+
+    /**
+     * @dev ETH withdrawn in the last 24 hours
+     */
+    function todayWithdrawn() public view returns (uint256 total) {
+        (, total) = _pruneWindow(withdrawalWindows[address(0)]);
+    }
+
+    /**
+     * @dev Get remaining daily withdrawal amount: the limit minus what left in the last 24 hours
      */
     function getRemainingDailyWithdrawal() public view returns (uint256) {
-        if (block.number >= lastWithdrawalResetBlock + 7200) {
-            return dailyWithdrawalLimit;
+        return _remaining(dailyWithdrawalLimit, todayWithdrawn());
+    }
+
+    /**
+     * @dev A category's budget as of now: amount and period, spent and remaining in the
+     * current period, and when that period ends (all 0 apart from spent if there is no budget)
+     */
+    function getCategoryBudget(bytes32 category)
+        public
+        view
+        returns (uint256 amount, uint256 period, uint256 spent, uint256 remaining, uint256 periodEnd)
+    {
+        CategoryBudget storage budget = categoryBudgets[category];
+        if (budget.period == 0) {
+            return (0, 0, 0, 0, 0);
+        }
+        uint256 periodStart = _currentPeriodStart(budget);
+        spent = periodStart == budget.periodStart ? budget.spent : 0;
+        remaining = spent >= budget.amount ? 0 : budget.amount - spent;
+        return (budget.amount, budget.period, spent, remaining, periodStart + budget.period);
+    }
+
+    /**
+     * @dev Current lifecycle state of a proposal, counting only current managers' confirmations
+     */
+    function getProposalState(uint256 proposalId)
+        public
+        view
+        proposalExists(proposalId)
+        returns (ProposalState)
+    {
+        Proposal storage proposal = _proposals[proposalId];
+        if (proposal.executed) return ProposalState.Executed;
+        if (proposal.cancelled) return ProposalState.Cancelled;
+        if (proposal.vetoed) return ProposalState.Vetoed;
+        if (proposal.executableAt != 0) {
+            return block.timestamp >= proposal.executableAt ? ProposalState.Ready : ProposalState.Queued;
         }
-        return dailyWithdrawalLimit - todayWithdrawn;
+        if (block.timestamp > proposal.deadline) return ProposalState.Expired;
+        return _countConfirmations(proposal) >= requiredConfirmations ? ProposalState.Ready : ProposalState.Pending;
+    }
+
+    /**
+     * @dev Timelock state of a proposal: when it can execute (0 if not queued) and whether it was vetoed
+     */
+    function getProposalTimelock(uint256 proposalId)
+        public
+        view
+        proposalExists(proposalId)
+        returns (uint256 executableAt, bool vetoed)
+    {
+        Proposal storage proposal = _proposals[proposalId];
+        return (proposal.executableAt, proposal.vetoed);
+    }
+
+    /**
+     * @dev EIP-712 domain separator, bound to this chain and this vault
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(
+                DOMAIN_TYPEHASH,
+                keccak256(bytes("TreasuryVault")),
+                keccak256(bytes("1")),
+                block.chainid,
+                address(this)
+            )
+        );
+    }
+
+    /**
+     * @dev EIP-712 digest a manager signs to confirm a proposal off-chain
+     */
+    function getConfirmationDigest(uint256 proposalId)
+        public
+        view
+        proposalExists(proposalId)
+        returns (bytes32)
+    {
+        Proposal storage proposal = _proposals[proposalId];
+        bytes32 structHash = keccak256(
+            abi.encode(
+                CONFIRMATION_TYPEHASH,
+                proposalId,
+                proposal.target,
+                proposal.value,
+                keccak256(proposal.data)
+            )
+        );
+        return keccak256(abi.encodePacked("\x19\x01", domainSeparator(), structHash));
+    }
+
+    /**
+     * @dev Get the vault's balance of an ERC-20 token
+     */
+    function getTokenBalance(address token) public view returns (uint256) {
+        return IERC20(token).balanceOf(address(this));
+    }
+
+    /**
+     * @dev Amount of a token withdrawn in the last 24 hours
+     */
+    function tokenWithdrawnToday(address token) public view returns (uint256 total) {
+        (, total) = _pruneWindow(withdrawalWindows[token]);
+    }
+
+    /**
+     * @dev Get remaining daily withdrawal amount for a token
+     */
+    function getRemainingTokenDailyWithdrawal(address token) public view returns (uint256) {
+        return _remaining(tokenDailyLimit[token], tokenWithdrawnToday(token));
+    }
+
+    /**
+     * @dev ETH a capped recipient can still receive in the current 24-hour window
+     * (type(uint256).max if uncapped, 0 if not in the address book)
+     */
+    function getRemainingRecipientAllowance(address recipient) public view returns (uint256) {
+        Recipient storage entry = addressBook[recipient];
+        if (entry.label == bytes32(0)) {
+            return 0;
+        }
+        if (entry.cap == 0) {
+            return type(uint256).max;
+        }
+        (, uint256 received) = _pruneWindow(recipientWindows[recipient]);
+        return _remaining(entry.cap, received);
+    }
+
+    // ============ RESTRICTED VIEW FUNCTIONS ============
+    // For auditors, managers and admins. These only gate calls made through the contract:
+    // storage is public on-chain, so they are no substitute for keeping data off-chain.
+
+    /**
+     * @dev Withdrawals of an asset (address(0) for ETH) still counted in its 24-hour window
+     */
+    function getWithdrawals(address asset) external view onlyAuditor returns (Withdrawal[] memory) {
+        return _windowEntries(withdrawalWindows[asset]);
+    }
+
+    /**
+     * @dev ETH payments to an address book entry still counted against its cap
+     */
+    function getRecipientWithdrawals(address recipient) external view onlyAuditor returns (Withdrawal[] memory) {
+        return _windowEntries(recipientWindows[recipient]);
     }
 
     // ============ INTERNAL FUNCTIONS ============
 
+    // Modifier bodies live in internal functions so each use does not inline its revert string
+
+    function _checkTreasuryManager() internal view {
+        require(
+            hasRole(TREASURY_MANAGER_ROLE, msg.sender),
+            "TreasuryVault: Caller is not a treasury manager"
+        );
+    }
+
+    function _checkGovernance() internal view {
+        if (selfGoverned) {
+            _checkCalledByProposal();
+        } else {
+            require(hasRole(ADMIN_ROLE, msg.sender), "AccessControl: account missing role");
+        }
+    }
+
+    function _checkCalledByProposal() internal view {
+        require(msg.sender == address(this), "TreasuryVault: Only callable through a proposal");
+    }
+
+    function _checkProposer() internal view {
+        require(hasRole(PROPOSER_ROLE, msg.sender), "TreasuryVault: Caller cannot create proposals");
+    }
+
+    function _checkAuditor() internal view {
+        require(
+            hasRole(AUDITOR_ROLE, msg.sender) || hasRole(TREASURY_MANAGER_ROLE, msg.sender) || hasRole(ADMIN_ROLE, msg.sender),
+            "TreasuryVault: Caller is not an auditor"
+        );
+    }
+
+    /**
+     * @dev Managers change through addTreasuryManager and removeTreasuryManager only, so every
+     * manager is also a proposer and there are never fewer than the minimum. Roles administered by
+     * ADMIN_ROLE, including ADMIN_ROLE itself, follow governance: once self-governed, they are granted
+     * and revoked through proposals.
+     */
+    function _checkRoleAdmin(bytes32 role) internal view override {
+        require(role != TREASURY_MANAGER_ROLE, "TreasuryVault: Role not grantable");
+        if (getRoleAdmin(role) == ADMIN_ROLE) {
+            _checkGovernance();
+        } else {
+            super._checkRoleAdmin(role);
+        }
+    }
+
+    function _checkNotPausedOrUnpausing(uint256 proposalId) internal view {
+        if (paused() && !_isUnpauseCall(_proposals[proposalId].target, _proposals[proposalId].data)) {
+            _requireNotPaused();
+        }
+    }
+
+    function _checkProposalExists(uint256 proposalId) internal view {
+        require(proposalId < proposalCount, "TreasuryVault: Proposal does not exist");
+    }
+
+    function _checkProposalNotExecuted(uint256 proposalId) internal view {
+        require(!_proposals[proposalId].executed, "TreasuryVault: Proposal already executed");
+    }
+
+    /**
+     * @dev Queued proposals no longer expire, so a confirmation lost after queueing can still be replaced
+     */
+    function _checkProposalNotExpired(uint256 proposalId) internal view {
+        Proposal storage proposal = _proposals[proposalId];
+        require(proposal.executableAt != 0 || block.timestamp <= proposal.deadline, "TreasuryVault: Proposal has expired");
+    }
+
+    function _checkNotCancelledOrVetoed(Proposal storage proposal) internal view {
+        require(!proposal.cancelled, "TreasuryVault: Proposal is cancelled");
+        require(!proposal.vetoed, "TreasuryVault: Proposal was vetoed");
+    }
+
+    function _checkValidAddress(address _address) internal pure {
+        require(_address != address(0), "TreasuryVault: Invalid address");
+    }
+
+    function _checkConfirmationCount(uint256 count, uint256 managers) internal pure {
+        require(count >= MIN_CONFIRMATION_COUNT && count <= managers, "TreasuryVault: Invalid confirmation count");
+    }
+
+    function _checkPositiveAmount(uint256 amount) internal pure {
+        require(amount > 0, "TreasuryVault: Amount must be positive");
+    }
+
+    /**
+     * @dev Checks shared by createProposal and createCategorizedProposal
+     */
+    function _proposeCall(
+        address target,
+        uint256 value,
+        bytes calldata data,
+        string calldata description,
+        bytes32 category
+    ) internal returns (uint256) {
+        if (paused() && !_isUnpauseCall(target, data)) {
+            _requireNotPaused();
+        }
+        require(value <= address(this).balance, "TreasuryVault: Insufficient contract balance");
+
+        uint256 proposalId = _createProposal(target, value, data, description);
+        if (category != bytes32(0)) {
+            proposalCategory[proposalId] = category;
+            emit ProposalCategorized(proposalId, category);
+        }
+        return proposalId;
+    }
+
+    /**
+     * @dev Internal function to store a new proposal
+     */
+    function _createProposal(
+        address target,
+        uint256 value,
+        bytes memory data,
+        string memory description
+    ) internal returns (uint256) {
+        require(bytes(description).length > 0, "TreasuryVault: Description required");
+        if (unknownRecipientThreshold == type(uint256).max) {
+            _checkProposedPayees(target, value, data);
+        }
+
+        uint256 proposalId = proposalCount++;
+        Proposal storage proposal = _proposals[proposalId];
+        
+        proposal.id = proposalId;
+        proposal.proposer = msg.sender;
+        proposal.target = target;
+        proposal.value = value;
+        proposal.data = data;
+        proposal.description = description;
+        proposal.deadline = block.timestamp + proposalExpiry;
+        proposal.confirmations = 0;
+        proposal.executed = false;
+        proposal.cancelled = false;
+
+        emit ProposalCreated(proposalId, msg.sender, target, value, description);
+        return proposalId;
+    }
+
+    /**
+     * @dev While unknown recipients are rejected outright, refuse a proposal that pays one when it is
+     * created, rather than leave it open until its last confirmation fails to execute it. Checks the
+     * payee of the call, or of each call of a batch, the way _performCall finds it.
+     */
+    function _checkProposedPayees(address target, uint256 value, bytes memory data) internal view {
+        if (target == address(this) && data.length >= 4 && bytes4(data) == this.executeBatch.selector) {
+            // Walk the ABI-encoded Call[] in place, which takes far less bytecode than abi.decode. Offsets
+            // are not bounds-checked: a malformed batch cannot pass executeBatch's decoder anyway.
+            uint256 calls;
+            uint256 count;
+            assembly {
+                let args := add(data, 36)
+                calls := add(args, mload(args))
+                count := mload(calls)
+            }
+            for (uint256 i = 0; i < count; i++) {
+                address callTarget;
+                uint256 callValue;
+                bytes memory callData;
+                assembly {
+                    let element := add(add(calls, 32), mload(add(add(calls, 32), mul(i, 32))))
+                    callTarget := mload(element)
+                    callValue := mload(add(element, 32))
+                    callData := add(element, mload(add(element, 64)))
+                }
+                _checkProposedPayee(callTarget, callValue, callData);
+            }
+        } else {
+            _checkProposedPayee(target, value, data);
+        }
+    }
+
+    function _checkProposedPayee(address target, uint256 value, bytes memory data) internal view {
+        (bool isTokenOutflow, address recipient, ) = _tokenOutflow(data);
+        if (isTokenOutflow) {
+            _checkKnownRecipient(recipient);
+        }
+        if (value > 0 && target != address(this)) {
+            _checkKnownRecipient(target);
+        }
+    }
+
+    function _checkKnownRecipient(address recipient) internal view {
+        require(addressBook[recipient].label != bytes32(0), "TreasuryVault: Unknown recipient");
+    }
+
+    /**
+     * @dev Whether a call is this vault's own unpause()
+     */
+    function _isUnpauseCall(address target, bytes memory data) internal view returns (bool) {
+        return target == address(this) && data.length == 4 && bytes4(data) == this.unpause.selector;
+    }
+
+    /**
+     * @dev Execute a proposal that reached quorum, or queue it when a timelock is set
+     */
+    function _onQuorum(uint256 proposalId) internal {
+        Proposal storage proposal = _proposals[proposalId];
+        if (executionDelay == 0) {
+            _executeProposal(proposalId);
+        } else if (proposal.executableAt == 0) {
+            proposal.executableAt = block.timestamp + executionDelay;
+            emit ProposalQueued(proposalId, proposal.executableAt);
+        }
+    }
+
+    /**
+     * @dev Act on quorum after new confirmations. While unknown recipients need extra confirmations,
+     * a proposal only executes by itself once it has that many; before that, executeProposal runs
+     * it if it only pays address book entries.
+     */
+    function _afterConfirmation(Proposal storage proposal) internal {
+        uint256 count = _recountConfirmations(proposal);
+        if (
+            count >= requiredConfirmations &&
+            (executionDelay > 0 || count >= unknownRecipientThreshold || unknownRecipientThreshold == type(uint256).max)
+        ) {
+            _onQuorum(proposal.id);
+        }
+    }
+
+    /**
+     * @dev Mark a manager's confirmation on a proposal
+     */
+    function _recordConfirmation(Proposal storage proposal, address manager) internal {
+        proposal.hasConfirmed[manager] = true;
+        proposal.confirmations++;
+
+        emit ProposalConfirmed(proposal.id, manager, proposal.confirmations);
+    }
+
+    /**
+     * @dev Number of current managers who have confirmed a proposal
+     */
+    function _countConfirmations(Proposal storage proposal) internal view returns (uint256 count) {
+        address[] memory managers = getRoleMembers(TREASURY_MANAGER_ROLE);
+        for (uint256 i = 0; i < managers.length; i++) {
+            if (proposal.hasConfirmed[managers[i]]) {
+                count++;
+            }
+        }
+    }
+
+    /**
+     * @dev Drop confirmations from removed managers from a proposal's count
+     */
+    function _recountConfirmations(Proposal storage proposal) internal returns (uint256) {
+        uint256 count = _countConfirmations(proposal);
+        if (count != proposal.confirmations) {
+            emit ConfirmationsRecounted(proposal.id, proposal.confirmations, count);
+            proposal.confirmations = count;
+        }
+        return count;
+    }
+
+    /**
+     * @dev Recover the signer of a 65-byte signature, rejecting malleable (high-s) signatures
+     */
+    function _recoverSigner(bytes32 digest, bytes calldata signature) internal pure returns (address) {
+        require(signature.length == 65, "TreasuryVault: Invalid signature length");
+
+        bytes32 r;
+        bytes32 s;
+        uint8 v;
+        assembly {
+            r := calldataload(signature.offset)
+            s := calldataload(add(signature.offset, 32))
+            v := byte(0, calldataload(add(signature.offset, 64)))
+        }
+        require(
+            uint256(s) <= 0x7FFFFFFFFFFFFFFFFFFFFFFFFFFFFFFF5D576E7357A4501DDFE92F46681B20A0,
+            "TreasuryVault: Invalid signature"
+        );
+
+        address signer = ecrecover(digest, v, r, s);
+        require(signer != address(0), "TreasuryVault: Invalid signature");
+        return signer;
+    }
+
     /**
      * @dev Internal function to execute proposal
      */
     function _executeProposal(uint256 proposalId) internal nonReentrant {
-        Proposal storage proposal = proposals[proposalId];
+        Proposal storage proposal = _proposals[proposalId];
         proposal.executed = true;
 
-        // Check daily withdrawal limit for ETH transfers
+        // Check daily withdrawal limit and the category budget for ETH transfers
         if (proposal.value > 0) {
             _checkDailyLimit(proposal.value);
+            _checkCategoryBudget(proposalCategory[proposalId], proposal.value);
         }
 
         // Execute the transaction
-        (bool success, ) = proposal.target.call{value: proposal.value}(proposal.data);
+        _executionConfirmations = proposal.confirmations;
+        bool success = _performCall(proposal.target, proposal.value, proposal.data);
+        _executionConfirmations = 0;
         
         // FIXED: Use require instead of reverting state after external call
         require(success, "TreasuryVault: Proposal execution failed");
@@ -562,21 +1518,200 @@ contract TreasuryVault is Pausable, AccessControl {
         emit ProposalExecuted(proposalId, msg.sender, success);
     }
 
+    /**
+     * @dev Check a payment's recipient against the address book: unknown recipients need
+     * unknownRecipientThreshold confirmations (module payments have none), and ETH to a capped
+     * recipient counts against its 24-hour cap
+     */
+    function _checkRecipient(address recipient, uint256 value) internal {
+        Recipient storage entry = addressBook[recipient];
+        if (entry.label == bytes32(0)) {
+            if (unknownRecipientThreshold != 0 && _executionConfirmations < unknownRecipientThreshold) {
+                _checkKnownRecipient(recipient);
+            }
+        } else if (entry.cap > 0 && value > 0) {
+            require(
+                _recordWithdrawal(recipientWindows[recipient], value, entry.cap),
+                "TreasuryVault: Recipient cap exceeded"
+            );
+        }
+    }
+
+    /**
+     * @dev Make one call on behalf of the vault. Token transfers and approvals count against
+     * the token's own daily limit, whether they come from createTokenProposal or raw calldata.
+     */
+    function _performCall(address target, uint256 value, bytes memory data) internal returns (bool) {
+        (bool isTokenOutflow, address recipient, uint256 tokenAmount) = _tokenOutflow(data);
+        if (isTokenOutflow) {
+            _checkTokenDailyLimit(target, tokenAmount);
+            _checkRecipient(recipient, 0);
+        }
+        // ETH sent along with token calldata still goes to the target, so the target is checked too
+        if (value > 0 && target != address(this)) {
+            _checkRecipient(target, value);
+        }
+
+        (bool success, bytes memory returndata) = target.call{value: value}(data);
+        if (success && isTokenOutflow) {
+            _checkTokenResult(success, returndata);
+        }
+        return success;
+    }
+
     /**
      * @dev Check and update daily withdrawal limit
      */
     function _checkDailyLimit(uint256 amount) internal {
-        // Reset daily counter if 24 hours have passed
-        if (block.number >= lastWithdrawalResetBlock + 7200) {
-            lastWithdrawalResetBlock = block.number;
-            todayWithdrawn = 0;
+        require(
+            _recordWithdrawal(withdrawalWindows[address(0)], amount, dailyWithdrawalLimit),
+            "TreasuryVault: Daily withdrawal limit exceeded"
+        );
+    }
+
+    /**
+     * @dev Add a withdrawal to a rolling 24-hour window if it stays within `limit`.
+     * The window slides with block.timestamp, so no reset boundary lets the limit be spent twice.
+     */
+    function _recordWithdrawal(WithdrawalWindow storage window, uint256 amount, uint256 limit)
+        internal
+        returns (bool)
+    {
+        (uint256 head, uint256 total) = _pruneWindow(window);
+        if (total + amount > limit || amount > type(uint192).max) {
+            return false;
         }
 
+        window.entries.push(Withdrawal(uint64(block.timestamp), uint192(amount)));
+        window.head = head;
+        window.total = total + amount;
+        return true;
+    }
+
+    /**
+     * @dev First entry still inside the window and the total withdrawn since then.
+     * Each entry is skipped once when it ages out, so the loop stays short.
+     */
+    function _pruneWindow(WithdrawalWindow storage window) internal view returns (uint256 head, uint256 total) {
+        head = window.head;
+        total = window.total;
+        uint256 length = window.entries.length;
+        while (head < length && window.entries[head].timestamp + WITHDRAWAL_WINDOW <= block.timestamp) {
+            total -= window.entries[head].amount;
+            head++;
+        }
+    }
+
+    /**
+     * @dev Copy of the entries still inside a window, oldest first
+     */
+    function _windowEntries(WithdrawalWindow storage window) internal view returns (Withdrawal[] memory entries) {
+        (uint256 head, ) = _pruneWindow(window);
+        entries = new Withdrawal[](window.entries.length - head);
+        for (uint256 i = 0; i < entries.length; i++) {
+            entries[i] = window.entries[head + i];
+        }
+    }
+
+    /**
+     * @dev What is left of a limit, 0 if it was lowered below what has already been withdrawn
+     */
+    function _remaining(uint256 limit, uint256 withdrawn) internal pure returns (uint256) {
+        return withdrawn >= limit ? 0 : limit - withdrawn;
+    }
+
+    /**
+     * @dev Check and update a category's budget for the current period
+     */
+    function _checkCategoryBudget(bytes32 category, uint256 amount) internal {
+        CategoryBudget storage budget = categoryBudgets[category];
+        if (budget.period == 0) {
+            return;
+        }
+
+        uint256 periodStart = _currentPeriodStart(budget);
+        if (periodStart != budget.periodStart) {
+            budget.periodStart = periodStart;
+            budget.spent = 0;
+        }
+
+        require(budget.spent + amount <= budget.amount, "TreasuryVault: Category budget exceeded");
+        budget.spent += amount;
+    }
+
+    /**
+     * @dev Start of the budget period containing now; periods follow on from when the budget was set
+     */
+    function _currentPeriodStart(CategoryBudget storage budget) internal view returns (uint256) {
+        uint256 elapsed = block.timestamp - budget.periodStart;
+        return budget.periodStart + elapsed - (elapsed % budget.period);
+    }
+
+    /**
+     * @dev Check and update a token's daily withdrawal limit
+     */
+    function _checkTokenDailyLimit(address token, uint256 amount) internal {
         require(
-            todayWithdrawn + amount <= dailyWithdrawalLimit,
-            "TreasuryVault: Daily withdrawal limit exceeded"
+            _recordWithdrawal(withdrawalWindows[token], amount, tokenDailyLimit[token]),
+            "TreasuryVault: Token daily limit exceeded"
+        );
+    }
+
+    /**
+     * @dev Detect ERC-20 calls that move tokens out of the vault and return who receives
+     * them (the spender, for approvals) and the amount
+     */
+    function _tokenOutflow(bytes memory data) internal view returns (bool, address, uint256) {
+        if (data.length < 68) {
+            return (false, address(0), 0);
+        }
+
+        bytes4 selector;
+        address to;
+        uint256 amount;
+        assembly {
+            selector := mload(add(data, 32))
+            to := mload(add(data, 36))
+            amount := mload(add(data, 68))
+        }
+
+        if (
+            selector == IERC20.transfer.selector ||
+            selector == IERC20.approve.selector ||
+            selector == INCREASE_ALLOWANCE_SELECTOR
+        ) {
+            return (true, to, amount);
+        }
+
+        if (selector == IERC20.transferFrom.selector && data.length >= 100) {
+            address from = to;
+            assembly {
+                to := mload(add(data, 68))
+                amount := mload(add(data, 100))
+            }
+            if (from == address(this)) {
+                return (true, to, amount);
+            }
+        }
+
+        return (false, address(0), 0);
+    }
+
+    /**
+     * @dev Call a token and require success, accepting tokens that return nothing
+     */
+    function _callToken(address token, bytes memory data) internal {
+        (bool success, bytes memory returndata) = token.call(data);
+        _checkTokenResult(success, returndata);
+    }
+
+    /**
+     * @dev Require a token call to have succeeded, accepting tokens that return nothing
+     */
+    function _checkTokenResult(bool success, bytes memory returndata) internal pure {
+        require(
+            success && (returndata.length == 0 || abi.decode(returndata, (bool))),
+            "TreasuryVault: Token transfer failed"
         );
-        
-        todayWithdrawn += amount;
     }
 }
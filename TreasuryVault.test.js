@@ -138,14 +138,14 @@ describe("TreasuryVault Security Test Suite", function () {
             }
         });
         
-        it("Should prevent non-admins from emergency withdrawal", async function () {
+        it("Should prevent anyone but the emergency guard from emergency withdrawal", async function () {
             const { treasuryVault, attacker, recipient } = await deployTreasuryFixture();
             
             try {
                 await treasuryVault.connect(attacker).emergencyWithdraw(recipient.address, ethers.utils.parseEther("1"));
                 expect.fail("Should have thrown an error");
             } catch (error) {
-                expect(error.message).to.include("AccessControl");
+                expect(error.message).to.include("TreasuryVault: Caller is not the emergency guard");
             }
         });
         
@@ -305,10 +305,23 @@ describe("TreasuryVault Security Test Suite", function () {
                 "Daily limit test 2"
             );
             await treasuryVault.connect(manager1).confirmProposal(1);
+            expect((await treasuryVault.getRemainingDailyWithdrawal()).toString()).to.equal(ethers.utils.parseEther("2").toString());
+            try {
+                await treasuryVault.connect(manager2).confirmProposal(1);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Daily withdrawal limit exceeded");
+            }
+            
+            // Once the first withdrawal leaves the 24-hour window, the full limit is available again
+            await ethers.provider.send("evm_increaseTime", [24 * 3600]);
+            await ethers.provider.send("evm_mine", []);
+            expect((await treasuryVault.todayWithdrawn()).toString()).to.equal("0");
+            expect((await treasuryVault.getRemainingDailyWithdrawal()).toString()).to.equal(ethers.utils.parseEther("10").toString());
             
-            // Simplified test - just verify daily limit exists
-            const dailyLimit = await treasuryVault.dailyWithdrawalLimit();
-            expect(dailyLimit.toString()).to.not.equal("0");
+            await treasuryVault.connect(manager2).confirmProposal(1);
+            expect((await treasuryVault.getProposal(1)).executed).to.be.true;
+            expect((await treasuryVault.getRemainingDailyWithdrawal()).toString()).to.equal(ethers.utils.parseEther("5").toString());
         });
     });
 
@@ -481,4 +494,1710 @@ describe("TreasuryVault Security Test Suite", function () {
             expect(receipt.events.length).to.be.above(0);
         });
     });
+
+    // ============ TOKEN TREASURY TESTS ============
+    describe("10. Token Treasury", function () {
+
+        async function deployTokenFixture() {
+            const fixture = await deployTreasuryFixture();
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await token.mint(fixture.owner.address, 10000000000); // 10,000 USDC
+            await token.connect(fixture.owner).approve(fixture.treasuryVault.address, 5000000000);
+            await fixture.treasuryVault.connect(fixture.owner).depositToken(token.address, 5000000000);
+            await fixture.treasuryVault.setTokenDailyLimit(token.address, 1000000000); // 1,000 USDC
+            return { ...fixture, token };
+        }
+
+        it("Should record token deposits", async function () {
+            const { treasuryVault, owner, token } = await deployTokenFixture();
+
+            await token.connect(owner).approve(treasuryVault.address, 250);
+            const receipt = await (await treasuryVault.connect(owner).depositToken(token.address, 250)).wait();
+            const event = receipt.events.find((e) => e.event === "TokenDeposited");
+
+            expect(event.args.token).to.equal(token.address);
+            expect(event.args.from).to.equal(owner.address);
+            expect(event.args.amount.toNumber()).to.equal(250);
+            expect((await treasuryVault.getTokenBalance(token.address)).toNumber()).to.equal(5000000250);
+        });
+
+        it("Should execute token proposals within the token daily limit", async function () {
+            const { treasuryVault, manager1, manager2, recipient, token } = await deployTokenFixture();
+
+            await treasuryVault.connect(manager1).createTokenProposal(token.address, recipient.address, 600000000, "Pay 600 USDC");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+
+            expect((await token.balanceOf(recipient.address)).toNumber()).to.equal(600000000);
+            expect((await treasuryVault.getRemainingTokenDailyWithdrawal(token.address)).toNumber()).to.equal(400000000);
+            // Token transfers do not touch the ETH allowance
+            expect((await treasuryVault.getRemainingDailyWithdrawal()).toString()).to.equal(ethers.utils.parseEther("10").toString());
+        });
+
+        it("Should enforce the token daily limit on token proposals", async function () {
+            const { treasuryVault, manager1, manager2, recipient, token } = await deployTokenFixture();
+
+            await treasuryVault.connect(manager1).createTokenProposal(token.address, recipient.address, 1500000000, "Pay 1,500 USDC");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+
+            try {
+                await treasuryVault.connect(manager2).confirmProposal(0);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Token daily limit exceeded");
+            }
+        });
+
+        it("Should apply the token limit to raw transfer and approve calldata", async function () {
+            const { treasuryVault, manager1, manager2, recipient, token } = await deployTokenFixture();
+
+            const transferData = token.interface.encodeFunctionData("transfer", [recipient.address, 2000000000]);
+            const approveData = token.interface.encodeFunctionData("approve", [recipient.address, 2000000000]);
+            await treasuryVault.connect(manager1).createProposal(token.address, 0, transferData, "Raw transfer");
+            await treasuryVault.connect(manager1).createProposal(token.address, 0, approveData, "Raw approve");
+
+            for (const id of [0, 1]) {
+                await treasuryVault.connect(manager1).confirmProposal(id);
+                try {
+                    await treasuryVault.connect(manager2).confirmProposal(id);
+                    expect.fail("Should have thrown an error");
+                } catch (error) {
+                    expect(error.message).to.include("TreasuryVault: Token daily limit exceeded");
+                }
+            }
+        });
+
+        it("Should block outflows of tokens without a daily limit", async function () {
+            const { treasuryVault, manager1, manager2, recipient } = await deployTokenFixture();
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const other = await MockERC20.deploy("Other", "OTH", 18);
+            await other.mint(treasuryVault.address, 100);
+
+            await treasuryVault.connect(manager1).createTokenProposal(other.address, recipient.address, 1, "Pay 1 OTH");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+
+            try {
+                await treasuryVault.connect(manager2).confirmProposal(0);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Token daily limit exceeded");
+            }
+        });
+
+        it("Should reject token proposals above the token balance", async function () {
+            const { treasuryVault, manager1, recipient, token } = await deployTokenFixture();
+
+            try {
+                await treasuryVault.connect(manager1).createTokenProposal(token.address, recipient.address, 6000000000, "Pay 6,000 USDC");
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Insufficient token balance");
+            }
+        });
+
+        it("Should prevent non-admins from setting token limits", async function () {
+            const { treasuryVault, attacker, token } = await deployTokenFixture();
+
+            try {
+                await treasuryVault.connect(attacker).setTokenDailyLimit(token.address, 1);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("AccessControl: account missing role");
+            }
+        });
+    });
+
+    // ============ OFF-CHAIN CONFIRMATION TESTS ============
+    describe("11. Off-Chain Confirmations", function () {
+
+        async function signConfirmation(signer, treasuryVault, proposalId, overrides = {}) {
+            const { chainId } = await ethers.provider.getNetwork();
+            const proposal = await treasuryVault.getProposal(proposalId);
+            const domain = {
+                name: "TreasuryVault",
+                version: "1",
+                chainId: overrides.chainId || chainId,
+                verifyingContract: overrides.vault || treasuryVault.address
+            };
+            const types = {
+                Confirmation: [
+                    { name: "proposalId", type: "uint256" },
+                    { name: "target", type: "address" },
+                    { name: "value", type: "uint256" },
+                    { name: "dataHash", type: "bytes32" }
+                ]
+            };
+            return signer._signTypedData(domain, types, {
+                proposalId,
+                target: proposal.target,
+                value: proposal.value,
+                dataHash: ethers.utils.keccak256(proposal.data)
+            });
+        }
+
+        async function deployWithProposal() {
+            const fixture = await deployTreasuryFixture();
+            await fixture.treasuryVault.connect(fixture.manager1).createProposal(
+                fixture.recipient.address,
+                ethers.utils.parseEther("5"),
+                "0x",
+                "Signed payment"
+            );
+            return fixture;
+        }
+
+        it("Should confirm and execute from relayed signatures", async function () {
+            const { treasuryVault, manager1, manager2, attacker, recipient } = await deployWithProposal();
+            const signatures = [
+                await signConfirmation(manager1, treasuryVault, 0),
+                await signConfirmation(manager2, treasuryVault, 0)
+            ];
+            const balanceBefore = await ethers.provider.getBalance(recipient.address);
+
+            const receipt = await (await treasuryVault.connect(attacker).confirmProposalWithSignatures(0, signatures)).wait();
+            const confirmers = receipt.events.filter((e) => e.event === "ProposalConfirmed").map((e) => e.args.confirmer);
+
+            expect(confirmers).to.deep.equal([manager1.address, manager2.address]);
+            expect(await treasuryVault.hasConfirmed(0, manager1.address)).to.be.true;
+            expect((await treasuryVault.getProposal(0)).executed).to.be.true;
+            expect((await ethers.provider.getBalance(recipient.address)).sub(balanceBefore).toString()).to.equal(ethers.utils.parseEther("5").toString());
+        });
+
+        it("Should skip signers that already confirmed", async function () {
+            const { treasuryVault, manager1 } = await deployWithProposal();
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            const signature = await signConfirmation(manager1, treasuryVault, 0);
+
+            await treasuryVault.confirmProposalWithSignatures(0, [signature, signature]);
+
+            const proposal = await treasuryVault.getProposal(0);
+            expect(proposal.confirmations.toNumber()).to.equal(1);
+            expect(proposal.executed).to.be.false;
+        });
+
+        it("Should not let an earlier signature undo a revocation", async function () {
+            const { treasuryVault, manager1, manager2, attacker } = await deployWithProposal();
+            const signature = await signConfirmation(manager1, treasuryVault, 0);
+            await treasuryVault.confirmProposalWithSignatures(0, [signature]);
+            await treasuryVault.connect(manager1).revokeConfirmation(0);
+
+            try {
+                await treasuryVault.connect(attacker).confirmProposalWithSignatures(0, [signature]);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Signer revoked their confirmation");
+            }
+            expect(await treasuryVault.hasConfirmed(0, manager1.address)).to.be.false;
+
+            // Confirming on-chain again still works
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            expect((await treasuryVault.getProposal(0)).executed).to.be.true;
+        });
+
+        it("Should reject signatures from non-managers", async function () {
+            const { treasuryVault, manager1, attacker } = await deployWithProposal();
+            const signatures = [
+                await signConfirmation(manager1, treasuryVault, 0),
+                await signConfirmation(attacker, treasuryVault, 0)
+            ];
+
+            try {
+                await treasuryVault.confirmProposalWithSignatures(0, signatures);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Signer is not a treasury manager");
+            }
+        });
+
+        it("Should reject signatures replayed from another vault or chain", async function () {
+            const { treasuryVault, manager1, manager2, recipient } = await deployWithProposal();
+            const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+            const otherVault = await TreasuryVault.deploy([manager1.address, manager2.address], 2, ethers.utils.parseEther("10"));
+            await otherVault.connect(manager1).createProposal(recipient.address, 0, "0x", "Signed payment");
+
+            const replays = [
+                await signConfirmation(manager2, otherVault, 0, { vault: treasuryVault.address }),
+                await signConfirmation(manager2, treasuryVault, 0, { chainId: 1 })
+            ];
+            for (const signature of replays) {
+                try {
+                    await otherVault.confirmProposalWithSignatures(0, [signature]);
+                    expect.fail("Should have thrown an error");
+                } catch (error) {
+                    expect(error.message).to.include("TreasuryVault: Signer is not a treasury manager");
+                }
+            }
+        });
+
+        it("Should reject malleable and malformed signatures", async function () {
+            const { treasuryVault, manager1 } = await deployWithProposal();
+            const { r, s, v } = ethers.utils.splitSignature(await signConfirmation(manager1, treasuryVault, 0));
+            const order = ethers.BigNumber.from("0xFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFFEBAAEDCE6AF48A03BBFD25E8CD0364141");
+            const highS = ethers.utils.hexZeroPad(order.sub(s).toHexString(), 32);
+            const flipped = ethers.utils.hexConcat([r, highS, v === 27 ? "0x1c" : "0x1b"]);
+
+            for (const [signature, message] of [[flipped, "Invalid signature"], ["0x1234", "Invalid signature length"]]) {
+                try {
+                    await treasuryVault.confirmProposalWithSignatures(0, [signature]);
+                    expect.fail("Should have thrown an error");
+                } catch (error) {
+                    expect(error.message).to.include(`TreasuryVault: ${message}`);
+                }
+            }
+        });
+    });
+
+    // ============ SELF-GOVERNANCE TESTS ============
+    describe("12. Self-Governance", function () {
+
+        async function deploySelfGovernedFixture() {
+            const fixture = await deployTreasuryFixture();
+            await fixture.treasuryVault.enableSelfGovernance();
+            return fixture;
+        }
+
+        // Create a self-call proposal and confirm it with two managers
+        async function passProposal(fixture, method, args) {
+            const { treasuryVault, manager1, manager2 } = fixture;
+            const data = treasuryVault.interface.encodeFunctionData(method, args);
+            const id = (await treasuryVault.proposalCount()).toNumber();
+            await treasuryVault.connect(manager1).createProposal(treasuryVault.address, 0, data, `Governance: ${method}`);
+            await treasuryVault.connect(manager1).confirmProposal(id);
+            return treasuryVault.connect(manager2).confirmProposal(id);
+        }
+
+        it("Should stop a lone admin from changing policy", async function () {
+            const { treasuryVault, owner, manager1, proposer } = await deploySelfGovernedFixture();
+            const calls = [
+                () => treasuryVault.connect(owner).updateDailyLimit(ethers.utils.parseEther("50")),
+                () => treasuryVault.connect(owner).updateRequiredConfirmations(3),
+                () => treasuryVault.connect(owner).addTreasuryManager(proposer.address),
+                () => treasuryVault.connect(owner).removeTreasuryManager(manager1.address),
+                () => treasuryVault.connect(owner).setTokenDailyLimit(proposer.address, 1),
+                () => treasuryVault.connect(owner).setEmergencyGuard(owner.address),
+                () => treasuryVault.connect(owner).cancelProposal(0),
+                () => treasuryVault.connect(owner).pause()
+            ];
+
+            for (const call of calls) {
+                try {
+                    await call();
+                    expect.fail("Should have thrown an error");
+                } catch (error) {
+                    expect(error.message).to.include("TreasuryVault: Only callable through a proposal");
+                }
+            }
+            expect((await treasuryVault.dailyWithdrawalLimit()).toString()).to.equal(ethers.utils.parseEther("10").toString());
+        });
+
+        it("Should apply policy changes through executed proposals", async function () {
+            const fixture = await deploySelfGovernedFixture();
+            const { treasuryVault, proposer } = fixture;
+
+            await passProposal(fixture, "updateDailyLimit", [ethers.utils.parseEther("20")]);
+            await passProposal(fixture, "addTreasuryManager", [proposer.address]);
+            await passProposal(fixture, "updateRequiredConfirmations", [3]);
+
+            expect((await treasuryVault.dailyWithdrawalLimit()).toString()).to.equal(ethers.utils.parseEther("20").toString());
+            expect(await treasuryVault.isTreasuryManager(proposer.address)).to.be.true;
+            expect((await treasuryVault.requiredConfirmations()).toNumber()).to.equal(3);
+        });
+
+        it("Should set the emergency guard through a proposal", async function () {
+            const fixture = await deploySelfGovernedFixture();
+            const { treasuryVault, manager3 } = fixture;
+
+            const receipt = await (await passProposal(fixture, "setEmergencyGuard", [manager3.address])).wait();
+
+            expect(await treasuryVault.emergencyGuard()).to.equal(manager3.address);
+            const update = receipt.events.find((e) => e.event === "EmergencyGuardUpdated");
+            expect(update.args.newGuard).to.equal(manager3.address);
+        });
+
+        it("Should pause by proposal and still accept an unpause proposal while paused", async function () {
+            const fixture = await deploySelfGovernedFixture();
+            const { treasuryVault, manager1, recipient } = fixture;
+
+            await passProposal(fixture, "pause", []);
+            expect(await treasuryVault.paused()).to.be.true;
+
+            try {
+                await treasuryVault.connect(manager1).createProposal(recipient.address, 1, "0x", "Payment while paused");
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("Pausable: paused");
+            }
+
+            await passProposal(fixture, "unpause", []);
+            expect(await treasuryVault.paused()).to.be.false;
+        });
+
+        it("Should only be enabled once and only by an admin", async function () {
+            const { treasuryVault, owner, attacker } = await deployTreasuryFixture();
+
+            try {
+                await treasuryVault.connect(attacker).enableSelfGovernance();
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("AccessControl: account missing role");
+            }
+
+            await treasuryVault.connect(owner).enableSelfGovernance();
+            expect(await treasuryVault.selfGoverned()).to.be.true;
+
+            try {
+                await treasuryVault.connect(owner).enableSelfGovernance();
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Already self-governed");
+            }
+        });
+    });
+
+    // ============ TIMELOCK TESTS ============
+    describe("13. Timelock and Veto", function () {
+
+        async function deployTimelockFixture() {
+            const fixture = await deployTreasuryFixture();
+            const { treasuryVault, owner, manager1, manager2, recipient } = fixture;
+            await treasuryVault.connect(owner).updateExecutionDelay(3600);
+            await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther("5"), "0x", "Timelocked payment");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            const receipt = await (await treasuryVault.connect(manager2).confirmProposal(0)).wait();
+            return { ...fixture, queuedEvent: receipt.events.find((e) => e.event === "ProposalQueued") };
+        }
+
+        it("Should queue instead of executing when quorum is reached", async function () {
+            const { treasuryVault, queuedEvent } = await deployTimelockFixture();
+            const { timestamp } = await ethers.provider.getBlock("latest");
+
+            expect(queuedEvent.args.executableAt.toNumber()).to.equal(timestamp + 3600);
+            expect((await treasuryVault.getProposal(0)).executed).to.be.false;
+            const timelock = await treasuryVault.getProposalTimelock(0);
+            expect(timelock.executableAt.toNumber()).to.equal(timestamp + 3600);
+            expect(timelock.vetoed).to.be.false;
+        });
+
+        it("Should only execute after the delay has passed", async function () {
+            const { treasuryVault, manager1, recipient } = await deployTimelockFixture();
+
+            try {
+                await treasuryVault.connect(manager1).executeProposal(0);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Timelock has not expired");
+            }
+
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            const balanceBefore = await ethers.provider.getBalance(recipient.address);
+            await treasuryVault.connect(manager1).executeProposal(0);
+
+            expect((await treasuryVault.getProposal(0)).executed).to.be.true;
+            expect((await ethers.provider.getBalance(recipient.address)).sub(balanceBefore).toString()).to.equal(ethers.utils.parseEther("5").toString());
+        });
+
+        it("Should let a manager or guardian veto during the delay", async function () {
+            const { treasuryVault, owner, manager1, manager3, proposer } = await deployTimelockFixture();
+            await treasuryVault.connect(owner).setGuardian(proposer.address, true);
+
+            const receipt = await (await treasuryVault.connect(proposer).vetoProposal(0)).wait();
+            expect(receipt.events.find((e) => e.event === "ProposalVetoed").args.vetoer).to.equal(proposer.address);
+
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            for (const call of [() => treasuryVault.connect(manager1).executeProposal(0), () => treasuryVault.connect(manager3).vetoProposal(0)]) {
+                try {
+                    await call();
+                    expect.fail("Should have thrown an error");
+                } catch (error) {
+                    expect(error.message).to.include("TreasuryVault: Proposal was vetoed");
+                }
+            }
+        });
+
+        it("Should close the veto window when the delay ends", async function () {
+            const { treasuryVault, manager3, attacker } = await deployTimelockFixture();
+
+            try {
+                await treasuryVault.connect(attacker).vetoProposal(0);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Caller cannot veto");
+            }
+
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            try {
+                await treasuryVault.connect(manager3).vetoProposal(0);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Veto window has closed");
+            }
+        });
+
+        it("Should keep queued proposals executable past their deadline", async function () {
+            const { treasuryVault, manager1 } = await deployTimelockFixture();
+            const deadline = (await treasuryVault.getProposal(0)).deadline.toNumber();
+            await ethers.provider.send("evm_setNextBlockTimestamp", [deadline + 1]);
+            await ethers.provider.send("evm_mine", []);
+
+            await treasuryVault.connect(manager1).executeProposal(0);
+            expect((await treasuryVault.getProposal(0)).executed).to.be.true;
+        });
+
+        it("Should accept confirmations on a queued proposal past its deadline", async function () {
+            const { treasuryVault, manager1, manager2, manager3, recipient } = await deployTimelockFixture();
+            await treasuryVault.connect(manager2).revokeConfirmation(0);
+            const deadline = (await treasuryVault.getProposal(0)).deadline.toNumber();
+            await ethers.provider.send("evm_setNextBlockTimestamp", [deadline + 1]);
+            await ethers.provider.send("evm_mine", []);
+
+            try {
+                await treasuryVault.connect(manager1).executeProposal(0);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Not enough confirmations");
+            }
+
+            await treasuryVault.connect(manager3).confirmProposal(0);
+            const balanceBefore = await ethers.provider.getBalance(recipient.address);
+            await treasuryVault.connect(manager1).executeProposal(0);
+            expect((await ethers.provider.getBalance(recipient.address)).sub(balanceBefore).toString()).to.equal(ethers.utils.parseEther("5").toString());
+        });
+
+        it("Should cap the execution delay", async function () {
+            const { treasuryVault, owner } = await deployTreasuryFixture();
+
+            try {
+                await treasuryVault.connect(owner).updateExecutionDelay(31 * 24 * 3600);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Delay too long");
+            }
+        });
+    });
+
+    // ============ REVOCATION TESTS ============
+    describe("14. Confirmation Revocation and Recounting", function () {
+
+        it("Should let a manager revoke a confirmation", async function () {
+            const { treasuryVault, manager1, manager2, recipient } = await deployTreasuryFixture();
+            await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther("1"), "0x", "Revocable");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+
+            const receipt = await (await treasuryVault.connect(manager1).revokeConfirmation(0)).wait();
+            const revoked = receipt.events.find((e) => e.event === "ConfirmationRevoked");
+            expect(revoked.args.manager).to.equal(manager1.address);
+            expect(revoked.args.confirmations.toNumber()).to.equal(0);
+            expect(await treasuryVault.hasConfirmed(0, manager1.address)).to.be.false;
+
+            // One confirmation after the revoke is not enough
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            expect((await treasuryVault.getProposal(0)).executed).to.be.false;
+
+            try {
+                await treasuryVault.connect(manager1).revokeConfirmation(0);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Not confirmed");
+            }
+        });
+
+        it("Should not count confirmations from a manager removed mid-vote", async function () {
+            const { treasuryVault, owner, manager1, manager2, manager3, recipient } = await deployTreasuryFixture();
+            await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther("1"), "0x", "Removal mid-vote");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(owner).removeTreasuryManager(manager1.address);
+
+            // Two recorded confirmations, but only one from a current manager
+            const receipt = await (await treasuryVault.connect(manager2).confirmProposal(0)).wait();
+            const recounted = receipt.events.find((e) => e.event === "ConfirmationsRecounted");
+            expect(recounted.args.oldCount.toNumber()).to.equal(2);
+            expect(recounted.args.newCount.toNumber()).to.equal(1);
+            expect((await treasuryVault.getProposal(0)).executed).to.be.false;
+
+            try {
+                await treasuryVault.connect(manager2).executeProposal(0);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Not enough confirmations");
+            }
+
+            await treasuryVault.connect(manager3).confirmProposal(0);
+            expect((await treasuryVault.getProposal(0)).executed).to.be.true;
+        });
+
+        it("Should recount queued proposals before executing them", async function () {
+            const { treasuryVault, owner, manager1, manager2, manager3, recipient } = await deployTreasuryFixture();
+            await treasuryVault.connect(owner).updateExecutionDelay(3600);
+            await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther("1"), "0x", "Queued then revoked");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            await treasuryVault.connect(manager2).revokeConfirmation(0);
+            await ethers.provider.send("evm_increaseTime", [3600]);
+
+            try {
+                await treasuryVault.connect(manager1).executeProposal(0);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Not enough confirmations");
+            }
+
+            await treasuryVault.connect(manager3).confirmProposal(0);
+            await treasuryVault.connect(manager1).executeProposal(0);
+            expect((await treasuryVault.getProposal(0)).executed).to.be.true;
+        });
+    });
+
+    // ============ PROPOSAL ENUMERATION TESTS ============
+    describe("15. Proposal Enumeration", function () {
+        // ProposalState enum order
+        const PENDING = 0, QUEUED = 1, READY = 2, EXPIRED = 3, EXECUTED = 4, CANCELLED = 5;
+
+        async function deployWithProposals() {
+            const fixture = await deployTreasuryFixture();
+            const { treasuryVault, owner, manager1, manager2, recipient, attacker } = fixture;
+            const amount = ethers.utils.parseEther("1");
+
+            // 0: executed, 1: cancelled, 2: pending (manager1 confirmed), 3: pending to attacker, 4: pending from manager2
+            await treasuryVault.connect(manager1).createProposal(recipient.address, amount, "0x", "Executed");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            await treasuryVault.connect(manager1).createProposal(recipient.address, amount, "0x", "Cancelled");
+            await treasuryVault.connect(owner).cancelProposal(1);
+            await treasuryVault.connect(manager1).createProposal(recipient.address, amount, "0x", "Pending");
+            await treasuryVault.connect(manager1).confirmProposal(2);
+            await treasuryVault.connect(manager1).createProposal(attacker.address, amount, "0x", "Other target");
+            await treasuryVault.connect(manager2).createProposal(recipient.address, amount, "0x", "Other proposer");
+
+            const TreasuryVaultLens = await ethers.getContractFactory("TreasuryVaultLens");
+            return { ...fixture, lens: await TreasuryVaultLens.deploy() };
+        }
+
+        const ids = (page) => page.map((summary) => summary.id.toNumber());
+
+        it("Should read stored proposals through the public proposals getter", async function () {
+            const { treasuryVault, manager1, recipient } = await deployWithProposals();
+
+            const proposal = await treasuryVault.proposals(2);
+            expect(proposal.id.toNumber()).to.equal(2);
+            expect(proposal.proposer).to.equal(manager1.address);
+            expect(proposal.target).to.equal(recipient.address);
+            expect(proposal.description).to.equal("Pending");
+            expect(proposal.confirmations.toNumber()).to.equal(1);
+            expect(proposal.executed).to.be.false;
+            expect(proposal).to.deep.equal(await treasuryVault.getProposal(2));
+
+            // Like the mapping getter it replaces, an id past the end reads as zeroes instead of reverting
+            const missing = await treasuryVault.proposals(99);
+            expect(missing.proposer).to.equal(ethers.constants.AddressZero);
+            expect(missing.deadline.toNumber()).to.equal(0);
+        });
+
+        it("Should list proposals by state with compact summaries", async function () {
+            const { treasuryVault, lens, manager1, recipient } = await deployWithProposals();
+
+            const { page, nextCursor } = await lens.getProposalsByState(treasuryVault.address, PENDING, 0, 10);
+            expect(ids(page)).to.deep.equal([2, 3, 4]);
+            expect(nextCursor.toNumber()).to.equal(5);
+            expect(page[0].proposer).to.equal(manager1.address);
+            expect(page[0].target).to.equal(recipient.address);
+            expect(page[0].value.toString()).to.equal(ethers.utils.parseEther("1").toString());
+            expect(page[0].confirmations.toNumber()).to.equal(1);
+            expect(page[0].state).to.equal(PENDING);
+
+            expect(ids((await lens.getProposalsByState(treasuryVault.address, EXECUTED, 0, 10)).page)).to.deep.equal([0]);
+            expect(ids((await lens.getProposalsByState(treasuryVault.address, CANCELLED, 0, 10)).page)).to.deep.equal([1]);
+            expect(ids((await lens.getProposalsByState(treasuryVault.address, QUEUED, 0, 10)).page)).to.deep.equal([]);
+            expect(await treasuryVault.getProposalState(0)).to.equal(EXECUTED);
+        });
+
+        it("Should paginate with a cursor, scanning at most a page of proposals per call", async function () {
+            const { treasuryVault, lens } = await deployWithProposals();
+
+            // Proposals 0 and 1 are not pending: the first page is empty but the cursor moves on
+            let result = await lens.getProposalsByState(treasuryVault.address, PENDING, 0, 2);
+            expect(ids(result.page)).to.deep.equal([]);
+            expect(result.nextCursor.toNumber()).to.equal(2);
+
+            result = await lens.getProposalsByState(treasuryVault.address, PENDING, result.nextCursor, 2);
+            expect(ids(result.page)).to.deep.equal([2, 3]);
+            expect(result.nextCursor.toNumber()).to.equal(4);
+
+            result = await lens.getProposalsByState(treasuryVault.address, PENDING, result.nextCursor, 2);
+            expect(ids(result.page)).to.deep.equal([4]);
+            expect(result.nextCursor.toNumber()).to.equal(5);
+
+            for (const cursor of [5, 9]) {
+                result = await lens.getProposalsByState(treasuryVault.address, PENDING, cursor, 2);
+                expect(ids(result.page)).to.deep.equal([]);
+                expect(result.nextCursor.toNumber()).to.equal(cursor);
+            }
+        });
+
+        it("Should not scan the whole history for a rare match", async function () {
+            const { treasuryVault, lens, manager2 } = await deployWithProposals();
+
+            // manager2's only proposal is the last one, out of reach of a one-proposal page
+            const result = await lens.getProposalsByProposer(treasuryVault.address, manager2.address, 0, 1);
+            expect(ids(result.page)).to.deep.equal([]);
+            expect(result.nextCursor.toNumber()).to.equal(1);
+        });
+
+        it("Should list open proposals awaiting a manager's confirmation", async function () {
+            const { treasuryVault, lens, manager1, manager3 } = await deployWithProposals();
+
+            expect(ids((await lens.getAwaitingConfirmation(treasuryVault.address, manager1.address, 0, 10)).page)).to.deep.equal([3, 4]);
+            expect(ids((await lens.getAwaitingConfirmation(treasuryVault.address, manager3.address, 0, 10)).page)).to.deep.equal([2, 3, 4]);
+        });
+
+        it("Should list proposals by proposer and by target", async function () {
+            const { treasuryVault, lens, manager1, manager2, attacker } = await deployWithProposals();
+
+            expect(ids((await lens.getProposalsByProposer(treasuryVault.address, manager1.address, 0, 10)).page)).to.deep.equal([0, 1, 2, 3]);
+            expect(ids((await lens.getProposalsByProposer(treasuryVault.address, manager2.address, 0, 10)).page)).to.deep.equal([4]);
+            expect(ids((await lens.getProposalsByTarget(treasuryVault.address, attacker.address, 0, 10)).page)).to.deep.equal([3]);
+        });
+
+        it("Should report expired and ready proposals", async function () {
+            const { treasuryVault, lens, owner, manager2 } = await deployWithProposals();
+            await treasuryVault.connect(owner).updateRequiredConfirmations(3);
+            await treasuryVault.connect(manager2).confirmProposal(2);
+            await treasuryVault.connect(owner).updateRequiredConfirmations(2);
+            expect(await treasuryVault.getProposalState(2)).to.equal(READY);
+
+            await ethers.provider.send("evm_increaseTime", [7 * 24 * 3600 + 1]);
+            await ethers.provider.send("evm_mine", []);
+            expect(ids((await lens.getProposalsByState(treasuryVault.address, EXPIRED, 0, 10)).page)).to.deep.equal([2, 3, 4]);
+        });
+    });
+
+    // ============ BATCH PROPOSAL TESTS ============
+    describe("16. Batch Proposals", function () {
+
+        // A batch proposal is a self-call to executeBatch carrying the calls' total value
+        async function proposeBatch(treasuryVault, proposer, calls, value) {
+            const total = value || calls.reduce((sum, call) => sum.add(call.value), ethers.BigNumber.from(0));
+            const data = treasuryVault.interface.encodeFunctionData("executeBatch", [calls]);
+            await treasuryVault.connect(proposer).createProposal(treasuryVault.address, total, data, "Batch");
+            return (await treasuryVault.proposalCount()).toNumber() - 1;
+        }
+
+        async function approve(treasuryVault, id, ...managers) {
+            for (const manager of managers) {
+                await treasuryVault.connect(manager).confirmProposal(id);
+            }
+        }
+
+        it("Should pay every recipient in one execution", async function () {
+            const { treasuryVault, manager1, manager2, proposer, recipient } = await deployTreasuryFixture();
+            const calls = [
+                { target: recipient.address, value: ethers.utils.parseEther("2"), data: "0x" },
+                { target: proposer.address, value: ethers.utils.parseEther("3"), data: "0x" }
+            ];
+            const recipientBefore = await ethers.provider.getBalance(recipient.address);
+            const proposerBefore = await ethers.provider.getBalance(proposer.address);
+
+            const id = await proposeBatch(treasuryVault, manager1, calls);
+            await approve(treasuryVault, id, manager1, manager2);
+
+            expect((await treasuryVault.getProposal(id)).executed).to.be.true;
+            expect((await ethers.provider.getBalance(recipient.address)).sub(recipientBefore).toString()).to.equal(ethers.utils.parseEther("2").toString());
+            expect((await ethers.provider.getBalance(proposer.address)).sub(proposerBefore).toString()).to.equal(ethers.utils.parseEther("3").toString());
+            expect((await treasuryVault.getBalance()).toString()).to.equal(ethers.utils.parseEther("95").toString());
+            expect((await treasuryVault.getRemainingDailyWithdrawal()).toString()).to.equal(ethers.utils.parseEther("5").toString());
+        });
+
+        it("Should check the daily limit against the batch total", async function () {
+            const { treasuryVault, manager1, manager2, recipient } = await deployTreasuryFixture();
+            // Each call is under the 10 ETH limit, the batch is not
+            const calls = [
+                { target: recipient.address, value: ethers.utils.parseEther("6"), data: "0x" },
+                { target: recipient.address, value: ethers.utils.parseEther("6"), data: "0x" }
+            ];
+            const id = await proposeBatch(treasuryVault, manager1, calls);
+            await treasuryVault.connect(manager1).confirmProposal(id);
+
+            try {
+                await treasuryVault.connect(manager2).confirmProposal(id);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Daily withdrawal limit exceeded");
+            }
+            expect((await treasuryVault.getBalance()).toString()).to.equal(ethers.utils.parseEther("100").toString());
+        });
+
+        it("Should revert every call when one call fails", async function () {
+            const { treasuryVault, owner, manager1, manager2, recipient } = await deployTreasuryFixture();
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await token.mint(treasuryVault.address, 100);
+            await treasuryVault.connect(owner).setTokenDailyLimit(token.address, 1000);
+
+            // The second call transfers more tokens than the vault holds
+            const transfer = (amount) => token.interface.encodeFunctionData("transfer", [recipient.address, amount]);
+            const calls = [
+                { target: recipient.address, value: ethers.utils.parseEther("1"), data: "0x" },
+                { target: token.address, value: 0, data: transfer(500) }
+            ];
+            const id = await proposeBatch(treasuryVault, manager1, calls);
+            await treasuryVault.connect(manager1).confirmProposal(id);
+
+            try {
+                await treasuryVault.connect(manager2).confirmProposal(id);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Proposal execution failed");
+            }
+            expect((await treasuryVault.getProposal(id)).executed).to.be.false;
+            expect((await treasuryVault.getBalance()).toString()).to.equal(ethers.utils.parseEther("100").toString());
+            expect((await token.balanceOf(recipient.address)).toNumber()).to.equal(0);
+
+            // Token calls in a batch count against the token's daily limit
+            const withinBalance = await proposeBatch(treasuryVault, manager1, [{ target: token.address, value: 0, data: transfer(60) }]);
+            await approve(treasuryVault, withinBalance, manager1, manager2);
+            expect((await treasuryVault.getRemainingTokenDailyWithdrawal(token.address)).toNumber()).to.equal(940);
+        });
+
+        it("Should only run batches from the vault itself with a matching value", async function () {
+            const { treasuryVault, manager1, manager2, attacker, recipient } = await deployTreasuryFixture();
+            const calls = [{ target: recipient.address, value: ethers.utils.parseEther("1"), data: "0x" }];
+
+            try {
+                await treasuryVault.connect(attacker).executeBatch(calls, { value: ethers.utils.parseEther("1") });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Only callable through a proposal");
+            }
+
+            // A batch whose calls carry more ETH than the proposal (and the daily limit check) saw
+            const id = await proposeBatch(treasuryVault, manager1, calls, ethers.BigNumber.from(0));
+            await treasuryVault.connect(manager1).confirmProposal(id);
+            try {
+                await treasuryVault.connect(manager2).confirmProposal(id);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Proposal execution failed");
+            }
+            expect((await treasuryVault.getBalance()).toString()).to.equal(ethers.utils.parseEther("100").toString());
+        });
+    });
+
+    // ============ SPENDING CATEGORY TESTS ============
+    describe("17. Spending Categories and Budgets", function () {
+        const GRANTS = ethers.utils.formatBytes32String("grants");
+        const PAYROLL = ethers.utils.formatBytes32String("payroll");
+        const MONTH = 30 * 24 * 60 * 60;
+
+        async function deployBudgetFixture() {
+            const fixture = await deployTreasuryFixture();
+            await fixture.treasuryVault.connect(fixture.owner).setCategoryBudget(GRANTS, ethers.utils.parseEther("5"), MONTH);
+            return fixture;
+        }
+
+        async function proposeAndApprove(fixture, category, value) {
+            const { treasuryVault, manager1, manager2, recipient } = fixture;
+            await treasuryVault.connect(manager1).createCategorizedProposal(category, recipient.address, value, "0x", "Categorized payment");
+            const id = (await treasuryVault.proposalCount()).toNumber() - 1;
+            await treasuryVault.connect(manager1).confirmProposal(id);
+            await treasuryVault.connect(manager2).confirmProposal(id);
+            return id;
+        }
+
+        it("Should record the category of a proposal", async function () {
+            const { treasuryVault, manager1, recipient } = await deployBudgetFixture();
+
+            const receipt = await (await treasuryVault.connect(manager1).createCategorizedProposal(GRANTS, recipient.address, 1, "0x", "Grant")).wait();
+            const event = receipt.events.find((e) => e.event === "ProposalCategorized");
+            expect(event.args.proposalId.toNumber()).to.equal(0);
+            expect(event.args.category).to.equal(GRANTS);
+            expect(await treasuryVault.proposalCategory(0)).to.equal(GRANTS);
+
+            await treasuryVault.connect(manager1).createProposal(recipient.address, 1, "0x", "Uncategorized");
+            expect(await treasuryVault.proposalCategory(1)).to.equal(ethers.constants.HashZero);
+
+            try {
+                await treasuryVault.connect(manager1).createCategorizedProposal(ethers.constants.HashZero, recipient.address, 1, "0x", "No category");
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Category required");
+            }
+        });
+
+        it("Should enforce the category budget at execution", async function () {
+            const fixture = await deployBudgetFixture();
+            const { treasuryVault, manager1, manager2, recipient } = fixture;
+
+            await proposeAndApprove(fixture, GRANTS, ethers.utils.parseEther("3"));
+            let budget = await treasuryVault.getCategoryBudget(GRANTS);
+            expect(budget.spent.toString()).to.equal(ethers.utils.parseEther("3").toString());
+            expect(budget.remaining.toString()).to.equal(ethers.utils.parseEther("2").toString());
+
+            await treasuryVault.connect(manager1).createCategorizedProposal(GRANTS, recipient.address, ethers.utils.parseEther("3"), "0x", "Over budget");
+            await treasuryVault.connect(manager1).confirmProposal(1);
+            try {
+                await treasuryVault.connect(manager2).confirmProposal(1);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Category budget exceeded");
+            }
+
+            // Categories without a budget are only held to the daily limit
+            await proposeAndApprove(fixture, PAYROLL, ethers.utils.parseEther("6"));
+            budget = await treasuryVault.getCategoryBudget(PAYROLL);
+            expect(budget.period.toNumber()).to.equal(0);
+        });
+
+        it("Should start a new budget period after the period ends", async function () {
+            const fixture = await deployBudgetFixture();
+            const { treasuryVault } = fixture;
+            await proposeAndApprove(fixture, GRANTS, ethers.utils.parseEther("5"));
+            const { periodEnd } = await treasuryVault.getCategoryBudget(GRANTS);
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [periodEnd.toNumber() + 10]);
+            await ethers.provider.send("evm_mine", []);
+            let budget = await treasuryVault.getCategoryBudget(GRANTS);
+            expect(budget.spent.toNumber()).to.equal(0);
+            expect(budget.periodEnd.toNumber()).to.equal(periodEnd.toNumber() + MONTH);
+
+            await proposeAndApprove(fixture, GRANTS, ethers.utils.parseEther("4"));
+            budget = await treasuryVault.getCategoryBudget(GRANTS);
+            expect(budget.remaining.toString()).to.equal(ethers.utils.parseEther("1").toString());
+        });
+
+        it("Should restrict budget changes to governance", async function () {
+            const { treasuryVault, owner, manager1 } = await deployBudgetFixture();
+
+            try {
+                await treasuryVault.connect(manager1).setCategoryBudget(GRANTS, 0, 0);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("AccessControl: account missing role");
+            }
+            try {
+                await treasuryVault.connect(owner).setCategoryBudget(GRANTS, 1, 400 * 24 * 60 * 60);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Budget period too long");
+            }
+
+            const receipt = await (await treasuryVault.connect(owner).setCategoryBudget(GRANTS, 0, 0)).wait();
+            expect(receipt.events.find((e) => e.event === "CategoryBudgetUpdated").args.period.toNumber()).to.equal(0);
+            expect((await treasuryVault.getCategoryBudget(GRANTS)).amount.toNumber()).to.equal(0);
+        });
+    });
+
+    // ============ MODULE TESTS ============
+    describe("18. Modules", function () {
+
+        it("Should only let enabled modules pay out, within the daily limit", async function () {
+            const { treasuryVault, owner, attacker, recipient } = await deployTreasuryFixture();
+
+            try {
+                await treasuryVault.connect(attacker).executeFromModule(recipient.address, 1, "0x");
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Caller is not a module");
+            }
+
+            const receipt = await (await treasuryVault.connect(owner).setModule(attacker.address, true)).wait();
+            expect(receipt.events.find((e) => e.event === "ModuleUpdated").args.enabled).to.be.true;
+
+            const before = await ethers.provider.getBalance(recipient.address);
+            await treasuryVault.connect(attacker).executeFromModule(recipient.address, ethers.utils.parseEther("6"), "0x");
+            expect((await ethers.provider.getBalance(recipient.address)).sub(before).toString()).to.equal(ethers.utils.parseEther("6").toString());
+            expect((await treasuryVault.todayWithdrawn()).toString()).to.equal(ethers.utils.parseEther("6").toString());
+
+            try {
+                await treasuryVault.connect(attacker).executeFromModule(recipient.address, ethers.utils.parseEther("5"), "0x");
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Daily withdrawal limit exceeded");
+            }
+        });
+
+        it("Should not let a module call the vault itself", async function () {
+            const { treasuryVault, owner, attacker } = await deployTreasuryFixture();
+            await treasuryVault.connect(owner).setModule(attacker.address, true);
+
+            const data = treasuryVault.interface.encodeFunctionData("updateDailyLimit", [ethers.utils.parseEther("100")]);
+            try {
+                await treasuryVault.connect(attacker).executeFromModule(treasuryVault.address, 0, data);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Invalid module target");
+            }
+        });
+
+        it("Should restrict enabling modules to governance", async function () {
+            const { treasuryVault, owner, manager1, attacker } = await deployTreasuryFixture();
+
+            try {
+                await treasuryVault.connect(manager1).setModule(attacker.address, true);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("AccessControl: account missing role");
+            }
+
+            await treasuryVault.connect(owner).setModule(attacker.address, true);
+            await treasuryVault.connect(owner).setModule(attacker.address, false);
+            expect(await treasuryVault.isModule(attacker.address)).to.be.false;
+        });
+    });
+
+    // ============ ROLLING WINDOW TESTS ============
+    describe("19. Rolling Withdrawal Window and Proposal Expiry", function () {
+
+        const HOUR = 3600;
+        const DAY = 24 * HOUR;
+
+        async function withdraw(fixture, amount) {
+            const { treasuryVault, manager1, manager2, recipient } = fixture;
+            const id = (await treasuryVault.proposalCount()).toNumber();
+            await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther(amount), "0x", `Withdraw ${amount} ETH`);
+            await treasuryVault.connect(manager1).confirmProposal(id);
+            await treasuryVault.connect(manager2).confirmProposal(id);
+            const block = await ethers.provider.getBlock("latest");
+            return block.timestamp;
+        }
+
+        async function expectLimitExceeded(fixture, amount) {
+            try {
+                await withdraw(fixture, amount);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Daily withdrawal limit exceeded");
+            }
+        }
+
+        it("Should not allow twice the limit across what used to be a reset boundary", async function () {
+            const fixture = await deployTreasuryFixture();
+            const { treasuryVault } = fixture;
+            const spentAt = await withdraw(fixture, "10");
+
+            // 7200 blocks used to reset the limit; block count no longer matters
+            await ethers.provider.send("hardhat_mine", [ethers.utils.hexValue(7200)]);
+            expect((await treasuryVault.getRemainingDailyWithdrawal()).toNumber()).to.equal(0);
+            await expectLimitExceeded(fixture, "10");
+
+            // One second before the withdrawal leaves the 24-hour window, nothing is available yet
+            await ethers.provider.send("evm_setNextBlockTimestamp", [spentAt + DAY - 1]);
+            await ethers.provider.send("evm_mine", []);
+            expect((await treasuryVault.todayWithdrawn()).toString()).to.equal(ethers.utils.parseEther("10").toString());
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [spentAt + DAY]);
+            await ethers.provider.send("evm_mine", []);
+            expect((await treasuryVault.getRemainingDailyWithdrawal()).toString()).to.equal(ethers.utils.parseEther("10").toString());
+            await withdraw(fixture, "10");
+        });
+
+        it("Should release each withdrawal 24 hours after it was made", async function () {
+            const fixture = await deployTreasuryFixture();
+            const { treasuryVault } = fixture;
+            const firstAt = await withdraw(fixture, "6");
+            await ethers.provider.send("evm_setNextBlockTimestamp", [firstAt + 12 * HOUR]);
+            await withdraw(fixture, "4");
+            await expectLimitExceeded(fixture, "1");
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [firstAt + DAY]);
+            await ethers.provider.send("evm_mine", []);
+            expect((await treasuryVault.getRemainingDailyWithdrawal()).toString()).to.equal(ethers.utils.parseEther("6").toString());
+            await expectLimitExceeded(fixture, "7");
+            await withdraw(fixture, "6");
+            expect((await treasuryVault.todayWithdrawn()).toString()).to.equal(ethers.utils.parseEther("10").toString());
+        });
+
+        it("Should apply the rolling window to token limits", async function () {
+            const fixture = await deployTreasuryFixture();
+            const { treasuryVault, owner, manager1, manager2, recipient } = fixture;
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await token.mint(treasuryVault.address, 5000000000);
+            await treasuryVault.connect(owner).setTokenDailyLimit(token.address, 1000000000);
+
+            const send = async (id) => {
+                await treasuryVault.connect(manager1).createTokenProposal(token.address, recipient.address, 1000000000, "Pay 1000 USDC");
+                await treasuryVault.connect(manager1).confirmProposal(id);
+                await treasuryVault.connect(manager2).confirmProposal(id);
+            };
+            await send(0);
+            const spentAt = (await ethers.provider.getBlock("latest")).timestamp;
+            await ethers.provider.send("hardhat_mine", [ethers.utils.hexValue(7200)]);
+            try {
+                await send(1);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Token daily limit exceeded");
+            }
+            expect((await treasuryVault.tokenWithdrawnToday(token.address)).toNumber()).to.equal(1000000000);
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [spentAt + DAY]);
+            await send(2);
+            expect((await token.balanceOf(recipient.address)).toNumber()).to.equal(2000000000);
+        });
+
+        it("Should report nothing left when the limit is lowered below what was withdrawn", async function () {
+            const fixture = await deployTreasuryFixture();
+            const { treasuryVault, owner } = fixture;
+            await withdraw(fixture, "8");
+            await treasuryVault.connect(owner).updateDailyLimit(ethers.utils.parseEther("5"));
+            expect((await treasuryVault.getRemainingDailyWithdrawal()).toNumber()).to.equal(0);
+        });
+
+        it("Should let governance configure how long new proposals stay open", async function () {
+            const { treasuryVault, owner, manager1, recipient } = await deployTreasuryFixture();
+            expect((await treasuryVault.proposalExpiry()).toNumber()).to.equal(7 * DAY);
+            await treasuryVault.connect(manager1).createProposal(recipient.address, 0, "0x", "Old expiry");
+
+            const receipt = await (await treasuryVault.connect(owner).updateProposalExpiry(DAY)).wait();
+            expect(receipt.events.find((e) => e.event === "ProposalExpiryUpdated").args.newExpiry.toNumber()).to.equal(DAY);
+            await treasuryVault.connect(manager1).createProposal(recipient.address, 0, "0x", "New expiry");
+            const createdAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+            expect((await treasuryVault.getProposal(1)).deadline.toNumber()).to.equal(createdAt + DAY);
+            expect((await treasuryVault.getProposal(0)).deadline.toNumber()).to.be.greaterThan(createdAt + 6 * DAY);
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [createdAt + DAY + 1]);
+            try {
+                await treasuryVault.connect(manager1).confirmProposal(1);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Proposal has expired");
+            }
+            await treasuryVault.connect(manager1).confirmProposal(0);
+        });
+
+        it("Should bound the proposal expiry and restrict it to governance", async function () {
+            const { treasuryVault, owner, manager1 } = await deployTreasuryFixture();
+
+            for (const expiry of [HOUR - 1, 90 * DAY + 1]) {
+                try {
+                    await treasuryVault.connect(owner).updateProposalExpiry(expiry);
+                    expect.fail("Should have thrown an error");
+                } catch (error) {
+                    expect(error.message).to.include("TreasuryVault: Invalid proposal expiry");
+                }
+            }
+            try {
+                await treasuryVault.connect(manager1).updateProposalExpiry(DAY);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("AccessControl: account missing role");
+            }
+        });
+    });
+
+    // ============ ADDRESS BOOK TESTS ============
+    describe("20. Address Book", function () {
+
+        const label = (name) => ethers.utils.formatBytes32String(name);
+        const REJECT = ethers.constants.MaxUint256;
+
+        async function propose(treasuryVault, manager, target, value) {
+            await treasuryVault.connect(manager).createProposal(target, ethers.utils.parseEther(value), "0x", `Pay ${value} ETH`);
+            return (await treasuryVault.proposalCount()).toNumber() - 1;
+        }
+
+        async function expectRevert(promise, message) {
+            try {
+                await promise;
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include(message);
+            }
+        }
+
+        it("Should store, update and remove labelled recipients through governance only", async function () {
+            const { treasuryVault, owner, manager1, recipient } = await deployTreasuryFixture();
+
+            const receipt = await (await treasuryVault.connect(owner).setRecipient(recipient.address, label("Acme Payroll"), ethers.utils.parseEther("3"))).wait();
+            const event = receipt.events.find((e) => e.event === "RecipientUpdated");
+            expect(ethers.utils.parseBytes32String(event.args.label)).to.equal("Acme Payroll");
+
+            const entry = await treasuryVault.addressBook(recipient.address);
+            expect(ethers.utils.parseBytes32String(entry.label)).to.equal("Acme Payroll");
+            expect(entry.cap.toString()).to.equal(ethers.utils.parseEther("3").toString());
+
+            await treasuryVault.connect(owner).removeRecipient(recipient.address);
+            expect((await treasuryVault.addressBook(recipient.address)).label).to.equal(ethers.constants.HashZero);
+
+            await expectRevert(treasuryVault.connect(owner).removeRecipient(recipient.address), "TreasuryVault: Unknown recipient");
+            await expectRevert(treasuryVault.connect(owner).setRecipient(recipient.address, ethers.constants.HashZero, 0), "TreasuryVault: Label required");
+            await expectRevert(treasuryVault.connect(manager1).setRecipient(recipient.address, label("Acme"), 0), "AccessControl: account missing role");
+        });
+
+        it("Should only accept unknown recipient thresholds above the required confirmations", async function () {
+            const { treasuryVault, owner } = await deployTreasuryFixture();
+
+            await expectRevert(treasuryVault.connect(owner).setUnknownRecipientThreshold(2), "TreasuryVault: Invalid recipient threshold");
+            await treasuryVault.connect(owner).setUnknownRecipientThreshold(3);
+            await treasuryVault.connect(owner).setUnknownRecipientThreshold(0);
+            expect((await treasuryVault.unknownRecipientThreshold()).toNumber()).to.equal(0);
+        });
+
+        it("Should reject proposals paying unknown recipients while known ones execute on quorum", async function () {
+            const { treasuryVault, owner, manager1, manager2, recipient, attacker } = await deployTreasuryFixture();
+            await treasuryVault.connect(owner).setRecipient(recipient.address, label("Acme"), 0);
+            await treasuryVault.connect(owner).setUnknownRecipientThreshold(REJECT);
+
+            const known = await propose(treasuryVault, manager1, recipient.address, "1");
+            await treasuryVault.connect(manager1).confirmProposal(known);
+            await treasuryVault.connect(manager2).confirmProposal(known);
+            expect((await treasuryVault.getProposal(known)).executed).to.be.true;
+
+            await expectRevert(propose(treasuryVault, manager1, attacker.address, "1"), "TreasuryVault: Unknown recipient");
+
+            // A recipient taken out of the book after the proposal was created is still caught on execution
+            const removed = await propose(treasuryVault, manager1, recipient.address, "1");
+            await treasuryVault.connect(owner).removeRecipient(recipient.address);
+            await treasuryVault.connect(manager1).confirmProposal(removed);
+            await expectRevert(treasuryVault.connect(manager2).confirmProposal(removed), "TreasuryVault: Unknown recipient");
+        });
+
+        it("Should let unknown recipients be paid with the higher threshold", async function () {
+            const { treasuryVault, owner, manager1, manager2, manager3, recipient, attacker } = await deployTreasuryFixture();
+            await treasuryVault.connect(owner).setRecipient(recipient.address, label("Acme"), 0);
+            await treasuryVault.connect(owner).setUnknownRecipientThreshold(3);
+
+            const unknown = await propose(treasuryVault, manager1, attacker.address, "1");
+            await treasuryVault.connect(manager1).confirmProposal(unknown);
+            await treasuryVault.connect(manager2).confirmProposal(unknown);
+            expect((await treasuryVault.getProposal(unknown)).executed).to.be.false;
+            await expectRevert(treasuryVault.connect(manager1).executeProposal(unknown), "TreasuryVault: Unknown recipient");
+
+            // The third confirmation reaches the higher threshold and executes
+            await treasuryVault.connect(manager3).confirmProposal(unknown);
+            expect((await treasuryVault.getProposal(unknown)).executed).to.be.true;
+
+            // Known recipients still only need the normal threshold, executed explicitly
+            const known = await propose(treasuryVault, manager1, recipient.address, "1");
+            await treasuryVault.connect(manager1).confirmProposal(known);
+            await treasuryVault.connect(manager2).confirmProposal(known);
+            await treasuryVault.connect(manager1).executeProposal(known);
+            expect((await treasuryVault.getProposal(known)).executed).to.be.true;
+        });
+
+        it("Should check token recipients, spenders and batch payees", async function () {
+            const { treasuryVault, owner, manager1, manager2, recipient, attacker } = await deployTreasuryFixture();
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await token.mint(treasuryVault.address, 5000000000);
+            await treasuryVault.connect(owner).setTokenDailyLimit(token.address, 5000000000);
+            await treasuryVault.connect(owner).setRecipient(recipient.address, label("Acme"), 0);
+            await treasuryVault.connect(owner).setUnknownRecipientThreshold(REJECT);
+
+            // Proposals paying an unknown recipient are refused when they are created
+            await expectRevert(
+                treasuryVault.connect(manager1).createTokenProposal(token.address, attacker.address, 1000000, "Pay 1 USDC"),
+                "TreasuryVault: Unknown recipient"
+            );
+
+            const approveData = token.interface.encodeFunctionData("approve", [attacker.address, 1000000]);
+            await expectRevert(
+                treasuryVault.connect(manager1).createProposal(token.address, 0, approveData, "Approve 1 USDC"),
+                "TreasuryVault: Unknown recipient"
+            );
+
+            const batch = (calls) => treasuryVault.interface.encodeFunctionData("executeBatch", [calls]);
+            const transferData = (to) => token.interface.encodeFunctionData("transfer", [to, 1000000]);
+            await expectRevert(
+                treasuryVault.connect(manager1).createProposal(treasuryVault.address, ethers.utils.parseEther("2"), batch([
+                    { target: recipient.address, value: ethers.utils.parseEther("1"), data: "0x" },
+                    { target: attacker.address, value: ethers.utils.parseEther("1"), data: "0x" }
+                ]), "Batch"),
+                "TreasuryVault: Unknown recipient"
+            );
+            await expectRevert(
+                treasuryVault.connect(manager1).createProposal(treasuryVault.address, ethers.utils.parseEther("1"), batch([
+                    { target: recipient.address, value: ethers.utils.parseEther("1"), data: "0x" },
+                    { target: token.address, value: 0, data: transferData(attacker.address) }
+                ]), "Batch"),
+                "TreasuryVault: Unknown recipient"
+            );
+
+            await treasuryVault.connect(manager1).createTokenProposal(token.address, recipient.address, 1000000, "Pay 1 USDC");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            expect((await token.balanceOf(recipient.address)).toNumber()).to.equal(1000000);
+
+            await treasuryVault.connect(manager1).createProposal(treasuryVault.address, ethers.utils.parseEther("1"), batch([
+                { target: recipient.address, value: ethers.utils.parseEther("1"), data: "0x" },
+                { target: token.address, value: 0, data: transferData(recipient.address) }
+            ]), "Batch");
+            await treasuryVault.connect(manager1).confirmProposal(1);
+            await treasuryVault.connect(manager2).confirmProposal(1);
+            expect((await token.balanceOf(recipient.address)).toNumber()).to.equal(2000000);
+        });
+
+        it("Should check the ETH payee of a call that carries token calldata", async function () {
+            const { treasuryVault, owner, manager1, manager2, recipient, attacker } = await deployTreasuryFixture();
+            await treasuryVault.connect(owner).setRecipient(recipient.address, label("Acme"), ethers.utils.parseEther("1"));
+            await treasuryVault.connect(owner).setUnknownRecipientThreshold(REJECT);
+
+            // transfer(knownRecipient, 0) as calldata does not make the ETH go to the known recipient
+            const transferToKnown = new ethers.utils.Interface(["function transfer(address to, uint256 amount)"])
+                .encodeFunctionData("transfer", [recipient.address, 0]);
+            await expectRevert(
+                treasuryVault.connect(manager1).createProposal(attacker.address, ethers.utils.parseEther("5"), transferToKnown, "Pay 5 ETH"),
+                "TreasuryVault: Unknown recipient"
+            );
+
+            // Unknown recipients that slip in while the threshold is lower still need it on execution
+            await treasuryVault.connect(owner).setUnknownRecipientThreshold(3);
+            await treasuryVault.connect(manager1).createProposal(attacker.address, ethers.utils.parseEther("5"), transferToKnown, "Pay 5 ETH");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            expect((await treasuryVault.getProposal(0)).executed).to.be.false;
+            await expectRevert(treasuryVault.connect(manager1).executeProposal(0), "TreasuryVault: Unknown recipient");
+
+            // And the ETH counts against a known recipient's cap
+            await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther("5"), transferToKnown, "Pay 5 ETH");
+            await treasuryVault.connect(manager1).confirmProposal(1);
+            await treasuryVault.connect(manager2).confirmProposal(1);
+            await expectRevert(treasuryVault.connect(manager1).executeProposal(1), "TreasuryVault: Recipient cap exceeded");
+        });
+
+        it("Should cap the ETH a recipient receives in any 24 hours", async function () {
+            const { treasuryVault, owner, manager1, manager2, recipient } = await deployTreasuryFixture();
+            await treasuryVault.connect(owner).setRecipient(recipient.address, label("Acme"), ethers.utils.parseEther("3"));
+
+            const first = await propose(treasuryVault, manager1, recipient.address, "2");
+            await treasuryVault.connect(manager1).confirmProposal(first);
+            await treasuryVault.connect(manager2).confirmProposal(first);
+            const paidAt = (await ethers.provider.getBlock("latest")).timestamp;
+            expect((await treasuryVault.getRemainingRecipientAllowance(recipient.address)).toString()).to.equal(ethers.utils.parseEther("1").toString());
+
+            const second = await propose(treasuryVault, manager1, recipient.address, "2");
+            await treasuryVault.connect(manager1).confirmProposal(second);
+            await expectRevert(treasuryVault.connect(manager2).confirmProposal(second), "TreasuryVault: Recipient cap exceeded");
+
+            await ethers.provider.send("evm_setNextBlockTimestamp", [paidAt + 24 * 3600]);
+            await treasuryVault.connect(manager2).confirmProposal(second);
+            expect((await treasuryVault.getProposal(second)).executed).to.be.true;
+        });
+
+        it("Should report no allowance for unknown and unlimited for uncapped recipients", async function () {
+            const { treasuryVault, owner, recipient, attacker } = await deployTreasuryFixture();
+            await treasuryVault.connect(owner).setRecipient(recipient.address, label("Acme"), 0);
+
+            expect((await treasuryVault.getRemainingRecipientAllowance(attacker.address)).toNumber()).to.equal(0);
+            expect((await treasuryVault.getRemainingRecipientAllowance(recipient.address)).eq(ethers.constants.MaxUint256)).to.be.true;
+        });
+    });
+
+    // ============ ROLE ADMINISTRATION TESTS ============
+    describe("21. Roles", function () {
+
+        async function expectRevert(promise, message) {
+            try {
+                await promise;
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include(message);
+            }
+        }
+
+        async function roles(treasuryVault) {
+            return {
+                admin: await treasuryVault.ADMIN_ROLE(),
+                manager: await treasuryVault.TREASURY_MANAGER_ROLE(),
+                proposer: await treasuryVault.PROPOSER_ROLE(),
+                guardian: await treasuryVault.GUARDIAN_ROLE(),
+                auditor: await treasuryVault.AUDITOR_ROLE()
+            };
+        }
+
+        it("Should let the admin role grant and revoke the proposer, guardian and auditor roles", async function () {
+            const { treasuryVault, owner, proposer, attacker } = await deployTreasuryFixture();
+            const { admin, proposer: PROPOSER, guardian: GUARDIAN, auditor: AUDITOR } = await roles(treasuryVault);
+
+            for (const role of [PROPOSER, GUARDIAN, AUDITOR]) {
+                expect(await treasuryVault.getRoleAdmin(role)).to.equal(admin);
+            }
+            expect(await treasuryVault.getRoleAdmin(admin)).to.equal(admin);
+
+            const receipt = await (await treasuryVault.connect(owner).grantRole(AUDITOR, proposer.address)).wait();
+            const event = receipt.events.find((e) => e.event === "RoleGranted");
+            expect(event.args.account).to.equal(proposer.address);
+            expect(event.args.sender).to.equal(owner.address);
+            expect(await treasuryVault.hasRole(AUDITOR, proposer.address)).to.be.true;
+
+            await expectRevert(treasuryVault.connect(attacker).grantRole(PROPOSER, attacker.address), "AccessControl: account missing role");
+            await expectRevert(treasuryVault.connect(proposer).revokeRole(AUDITOR, proposer.address), "AccessControl: account missing role");
+
+            await treasuryVault.connect(owner).revokeRole(AUDITOR, proposer.address);
+            expect(await treasuryVault.hasRole(AUDITOR, proposer.address)).to.be.false;
+        });
+
+        it("Should keep the manager role in step with the manager list", async function () {
+            const { treasuryVault, owner, manager1, proposer } = await deployTreasuryFixture();
+            const { manager } = await roles(treasuryVault);
+
+            await expectRevert(treasuryVault.connect(owner).grantRole(manager, proposer.address), "TreasuryVault: Role not grantable");
+            await expectRevert(treasuryVault.connect(owner).revokeRole(manager, manager1.address), "TreasuryVault: Role not grantable");
+        });
+
+        it("Should let a proposer-only account propose but not confirm", async function () {
+            const { treasuryVault, owner, manager1, manager2, proposer, recipient } = await deployTreasuryFixture();
+            const { proposer: PROPOSER } = await roles(treasuryVault);
+            await treasuryVault.connect(owner).grantRole(PROPOSER, proposer.address);
+
+            await treasuryVault.connect(proposer).createProposal(recipient.address, ethers.utils.parseEther("1"), "0x", "Contributor request");
+            await expectRevert(treasuryVault.connect(proposer).confirmProposal(0), "TreasuryVault: Caller is not a treasury manager");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            expect((await treasuryVault.getProposal(0)).executed).to.be.true;
+
+            await treasuryVault.connect(owner).revokeRole(PROPOSER, proposer.address);
+            await expectRevert(
+                treasuryVault.connect(proposer).createProposal(recipient.address, 1, "0x", "Again"),
+                "TreasuryVault: Caller cannot create proposals"
+            );
+        });
+
+        it("Should let a manager lose the proposer role and keep confirming", async function () {
+            const { treasuryVault, owner, manager1, manager2, recipient } = await deployTreasuryFixture();
+            const { proposer: PROPOSER } = await roles(treasuryVault);
+            await treasuryVault.connect(manager2).createProposal(recipient.address, ethers.utils.parseEther("1"), "0x", "Payment");
+
+            await treasuryVault.connect(owner).revokeRole(PROPOSER, manager1.address);
+            await expectRevert(
+                treasuryVault.connect(manager1).createProposal(recipient.address, 1, "0x", "Payment"),
+                "TreasuryVault: Caller cannot create proposals"
+            );
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            expect((await treasuryVault.getProposal(0)).confirmations.toNumber()).to.equal(1);
+        });
+
+        it("Should enumerate role members as roles are granted and revoked", async function () {
+            const { treasuryVault, owner, manager1, manager2, manager3, proposer, attacker } = await deployTreasuryFixture();
+            const { manager, proposer: PROPOSER, guardian: GUARDIAN } = await roles(treasuryVault);
+
+            expect(await treasuryVault.getRoleMembers(manager)).to.deep.equal([manager1.address, manager2.address, manager3.address]);
+            await treasuryVault.connect(owner).grantRole(PROPOSER, proposer.address);
+            await treasuryVault.connect(owner).revokeRole(PROPOSER, manager1.address);
+            // The last member takes the revoked member's place
+            expect(await treasuryVault.getRoleMembers(PROPOSER)).to.deep.equal([proposer.address, manager2.address, manager3.address]);
+            expect((await treasuryVault.getRoleMemberCount(PROPOSER)).toNumber()).to.equal(3);
+
+            await treasuryVault.connect(owner).removeTreasuryManager(manager2.address);
+            expect(await treasuryVault.getRoleMembers(manager)).to.deep.equal([manager1.address, manager3.address]);
+
+            await treasuryVault.connect(owner).setGuardian(attacker.address, true);
+            expect(await treasuryVault.getRoleMembers(GUARDIAN)).to.deep.equal([attacker.address]);
+            await treasuryVault.connect(owner).revokeRole(GUARDIAN, attacker.address);
+            expect((await treasuryVault.getRoleMemberCount(GUARDIAN)).toNumber()).to.equal(0);
+        });
+
+        it("Should let a guardian pause but not unpause or change policy", async function () {
+            const { treasuryVault, owner, attacker } = await deployTreasuryFixture();
+            await treasuryVault.connect(owner).setGuardian(attacker.address, true);
+
+            await treasuryVault.connect(attacker).pause();
+            expect(await treasuryVault.paused()).to.be.true;
+            await expectRevert(treasuryVault.connect(attacker).unpause(), "AccessControl: account missing role");
+            await expectRevert(treasuryVault.connect(attacker).updateDailyLimit(1), "AccessControl: account missing role");
+            await treasuryVault.connect(owner).unpause();
+
+            // Guardians keep the emergency brake after the admin hands policy to the multisig
+            await treasuryVault.connect(owner).enableSelfGovernance();
+            await treasuryVault.connect(attacker).pause();
+            expect(await treasuryVault.paused()).to.be.true;
+        });
+
+        it("Should grant roles only through proposals once self-governed", async function () {
+            const { treasuryVault, owner, manager1, manager2, proposer } = await deployTreasuryFixture();
+            const { auditor } = await roles(treasuryVault);
+            await treasuryVault.connect(owner).enableSelfGovernance();
+
+            await expectRevert(treasuryVault.connect(owner).grantRole(auditor, proposer.address), "TreasuryVault: Only callable through a proposal");
+
+            const data = treasuryVault.interface.encodeFunctionData("grantRole", [auditor, proposer.address]);
+            await treasuryVault.connect(manager1).createProposal(treasuryVault.address, 0, data, "Add an auditor");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            expect(await treasuryVault.hasRole(auditor, proposer.address)).to.be.true;
+        });
+
+        it("Should grant and revoke the admin role only through proposals once self-governed", async function () {
+            const { treasuryVault, owner, manager1, manager2, proposer, attacker } = await deployTreasuryFixture();
+            const { admin } = await roles(treasuryVault);
+
+            await expectRevert(treasuryVault.connect(attacker).grantRole(admin, attacker.address), "AccessControl: account missing role");
+            await treasuryVault.connect(owner).grantRole(admin, proposer.address);
+            expect(await treasuryVault.hasRole(admin, proposer.address)).to.be.true;
+
+            await treasuryVault.connect(owner).enableSelfGovernance();
+            // DEFAULT_ADMIN_ROLE is not enough to hand out the admin role, and with it cancelProposal
+            expect(await treasuryVault.hasRole(await treasuryVault.DEFAULT_ADMIN_ROLE(), owner.address)).to.be.true;
+            await expectRevert(treasuryVault.connect(owner).grantRole(admin, attacker.address), "TreasuryVault: Only callable through a proposal");
+            await expectRevert(treasuryVault.connect(owner).revokeRole(admin, proposer.address), "TreasuryVault: Only callable through a proposal");
+            expect(await treasuryVault.hasRole(admin, attacker.address)).to.be.false;
+
+            const data = treasuryVault.interface.encodeFunctionData("revokeRole", [admin, proposer.address]);
+            await treasuryVault.connect(manager1).createProposal(treasuryVault.address, 0, data, "Remove an admin");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            expect(await treasuryVault.hasRole(admin, proposer.address)).to.be.false;
+        });
+
+        it("Should stop an admin from cancelling the proposal that revokes their role", async function () {
+            const { treasuryVault, owner, manager1, manager2 } = await deployTreasuryFixture();
+            const { admin } = await roles(treasuryVault);
+            await treasuryVault.connect(owner).enableSelfGovernance();
+
+            const revoke = treasuryVault.interface.encodeFunctionData("revokeRole", [admin, owner.address]);
+            await treasuryVault.connect(manager1).createProposal(treasuryVault.address, 0, revoke, "Remove the admin");
+            await expectRevert(treasuryVault.connect(owner).cancelProposal(0), "TreasuryVault: Only callable through a proposal");
+
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            expect(await treasuryVault.hasRole(admin, owner.address)).to.be.false;
+
+            // The managers can still cancel a proposal by voting for it
+            await treasuryVault.connect(manager1).createProposal(treasuryVault.address, 0, revoke, "Duplicate");
+            const cancel = treasuryVault.interface.encodeFunctionData("cancelProposal", [1]);
+            await treasuryVault.connect(manager1).createProposal(treasuryVault.address, 0, cancel, "Cancel the duplicate");
+            await treasuryVault.connect(manager1).confirmProposal(2);
+            await treasuryVault.connect(manager2).confirmProposal(2);
+            expect((await treasuryVault.getProposal(1)).cancelled).to.be.true;
+        });
+
+        it("Should restrict withdrawal history to auditors, managers and admins", async function () {
+            const { treasuryVault, owner, manager1, manager2, proposer, attacker, recipient } = await deployTreasuryFixture();
+            const { auditor } = await roles(treasuryVault);
+            await treasuryVault.connect(owner).setRecipient(recipient.address, ethers.utils.formatBytes32String("Acme"), ethers.utils.parseEther("5"));
+            await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther("2"), "0x", "Payment");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            const paidAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+            await expectRevert(treasuryVault.connect(attacker).getWithdrawals(ethers.constants.AddressZero), "TreasuryVault: Caller is not an auditor");
+            await expectRevert(treasuryVault.connect(proposer).getRecipientWithdrawals(recipient.address), "TreasuryVault: Caller is not an auditor");
+
+            await treasuryVault.connect(owner).grantRole(auditor, proposer.address);
+            const withdrawals = await treasuryVault.connect(proposer).getWithdrawals(ethers.constants.AddressZero);
+            expect(withdrawals.length).to.equal(1);
+            expect(withdrawals[0].timestamp.toNumber()).to.equal(paidAt);
+            expect(withdrawals[0].amount.toString()).to.equal(ethers.utils.parseEther("2").toString());
+            expect((await treasuryVault.connect(manager1).getRecipientWithdrawals(recipient.address)).length).to.equal(1);
+
+            await ethers.provider.send("evm_increaseTime", [24 * 3600]);
+            await ethers.provider.send("evm_mine", []);
+            expect((await treasuryVault.connect(owner).getWithdrawals(ethers.constants.AddressZero)).length).to.equal(0);
+        });
+    });
+
+    // ============ EMERGENCY WITHDRAWAL TESTS ============
+    describe("22. Emergency Withdrawals", function () {
+
+        async function expectRevert(promise, message) {
+            try {
+                await promise;
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include(message);
+            }
+        }
+
+        // Three guardians, a quorum of two, a 10 ETH cap, an hour's cooldown and a cold storage address
+        async function deployGuardedFixture() {
+            const fixture = await deployTreasuryFixture();
+            const { treasuryVault, owner } = fixture;
+            const [guardian1, guardian2, guardian3, coldStorage] = (await ethers.getSigners()).slice(8, 12);
+
+            const EmergencyGuard = await ethers.getContractFactory("EmergencyGuard");
+            const guard = await EmergencyGuard.deploy();
+            for (const guardian of [guardian1, guardian2, guardian3]) {
+                await treasuryVault.connect(owner).setGuardian(guardian.address, true);
+            }
+
+            // The guard and its policy only change through proposals, so the managers set both in one batch
+            const setup = [
+                { target: treasuryVault.address, value: 0, data: treasuryVault.interface.encodeFunctionData("setEmergencyGuard", [guard.address]) },
+                { target: guard.address, value: 0, data: encodePolicy(guard, treasuryVault, 2, ethers.utils.parseEther("10"), 3600, coldStorage.address) }
+            ];
+            await passProposal(fixture, treasuryVault.address, treasuryVault.interface.encodeFunctionData("executeBatch", [setup]), "Enable emergency withdrawals");
+
+            return { ...fixture, guard, guardian1, guardian2, guardian3, coldStorage };
+        }
+
+        // Create a proposal from manager1 and confirm it with two managers
+        async function passProposal({ treasuryVault, manager1, manager2 }, target, data, description) {
+            const id = (await treasuryVault.proposalCount()).toNumber();
+            await treasuryVault.connect(manager1).createProposal(target, 0, data, description);
+            await treasuryVault.connect(manager1).confirmProposal(id);
+            return treasuryVault.connect(manager2).confirmProposal(id);
+        }
+
+        function encodePolicy(guard, treasuryVault, quorum, cap, cooldown, coldStorage) {
+            return guard.interface.encodeFunctionData("setPolicy", [treasuryVault.address, quorum, cap, cooldown, coldStorage]);
+        }
+
+        it("Should stop a compromised admin from draining the vault before self-governance", async function () {
+            const { treasuryVault, guard, owner, attacker, coldStorage } = await deployGuardedFixture();
+            const balanceBefore = await treasuryVault.getBalance();
+
+            // Neither the guard nor its policy can be changed without a vote
+            await expectRevert(treasuryVault.connect(owner).setEmergencyGuard(owner.address), "TreasuryVault: Only callable through a proposal");
+            await expectRevert(
+                guard.connect(owner).setPolicy(treasuryVault.address, 2, balanceBefore, 0, owner.address),
+                "EmergencyGuard: Not the vault's governance"
+            );
+
+            // Guardians the admin appoints itself still only withdraw within the managers' policy
+            await treasuryVault.connect(owner).setGuardian(owner.address, true);
+            await treasuryVault.connect(owner).setGuardian(attacker.address, true);
+            await expectRevert(
+                guard.connect(owner).approveWithdrawal(treasuryVault.address, owner.address, ethers.utils.parseEther("5")),
+                "EmergencyGuard: Invalid recipient"
+            );
+            await expectRevert(
+                guard.connect(owner).approveWithdrawal(treasuryVault.address, coldStorage.address, balanceBefore),
+                "EmergencyGuard: Cap exceeded"
+            );
+            expect(await treasuryVault.emergencyGuard()).to.equal(guard.address);
+            expect((await treasuryVault.getBalance()).toString()).to.equal(balanceBefore.toString());
+        });
+
+        it("Should stop a compromised admin from draining the vault", async function () {
+            const { treasuryVault, guard, owner, guardian1, coldStorage } = await deployGuardedFixture();
+            const balanceBefore = await treasuryVault.getBalance();
+
+            await expectRevert(
+                treasuryVault.connect(owner).emergencyWithdraw(owner.address, balanceBefore),
+                "TreasuryVault: Caller is not the emergency guard"
+            );
+            await expectRevert(
+                guard.connect(owner).approveWithdrawal(treasuryVault.address, coldStorage.address, ethers.utils.parseEther("5")),
+                "EmergencyGuard: Caller is not a guardian"
+            );
+
+            // Once self-governed the admin cannot swap the guard, loosen the policy or make itself a guardian
+            await treasuryVault.connect(owner).enableSelfGovernance();
+            await expectRevert(treasuryVault.connect(owner).setEmergencyGuard(owner.address), "TreasuryVault: Only callable through a proposal");
+            await expectRevert(
+                guard.connect(owner).setPolicy(treasuryVault.address, 2, balanceBefore, 0, owner.address),
+                "EmergencyGuard: Not the vault's governance"
+            );
+            await expectRevert(
+                treasuryVault.connect(owner).grantRole(await treasuryVault.GUARDIAN_ROLE(), owner.address),
+                "TreasuryVault: Only callable through a proposal"
+            );
+
+            // A single guardian is not enough either
+            await guard.connect(guardian1).approveWithdrawal(treasuryVault.address, coldStorage.address, ethers.utils.parseEther("5"));
+            expect((await treasuryVault.getBalance()).toString()).to.equal(balanceBefore.toString());
+        });
+
+        it("Should pay out once a quorum of guardians approves, even while paused", async function () {
+            const { treasuryVault, guard, guardian1, guardian2, coldStorage } = await deployGuardedFixture();
+            const amount = ethers.utils.parseEther("5");
+            const coldBefore = await ethers.provider.getBalance(coldStorage.address);
+            await treasuryVault.connect(guardian1).pause();
+
+            await guard.connect(guardian1).approveWithdrawal(treasuryVault.address, coldStorage.address, amount);
+            const pending = await guard.getRequest(treasuryVault.address);
+            expect(pending.to).to.equal(coldStorage.address);
+            expect(pending.approvers).to.deep.equal([guardian1.address]);
+            expect(pending.approvals.toNumber()).to.equal(1);
+
+            const receipt = await (await guard.connect(guardian2).approveWithdrawal(treasuryVault.address, coldStorage.address, amount)).wait();
+            const withdrawal = treasuryVault.interface.parseLog(receipt.logs.find((log) => log.address === treasuryVault.address));
+            expect(withdrawal.name).to.equal("EmergencyWithdrawal");
+            expect(withdrawal.args.authorizer).to.equal(guard.address);
+            expect((await ethers.provider.getBalance(coldStorage.address)).sub(coldBefore).toString()).to.equal(amount.toString());
+            expect((await guard.getRequest(treasuryVault.address)).approvers).to.deep.equal([]);
+        });
+
+        it("Should enforce the cap, the cooldown and the cold storage address", async function () {
+            const { treasuryVault, guard, manager1, guardian1, guardian2, coldStorage } = await deployGuardedFixture();
+            const approve = (guardian, to, amount) => guard.connect(guardian).approveWithdrawal(treasuryVault.address, to, ethers.utils.parseEther(amount));
+
+            await expectRevert(approve(guardian1, coldStorage.address, "11"), "EmergencyGuard: Cap exceeded");
+            await expectRevert(approve(guardian1, manager1.address, "1"), "EmergencyGuard: Invalid recipient");
+            await expectRevert(approve(guardian1, coldStorage.address, "0"), "EmergencyGuard: Amount must be positive");
+
+            await approve(guardian1, coldStorage.address, "10");
+            await approve(guardian2, coldStorage.address, "10");
+            await expectRevert(approve(guardian1, coldStorage.address, "10"), "EmergencyGuard: Cooldown active");
+
+            await ethers.provider.send("evm_increaseTime", [3600]);
+            await ethers.provider.send("evm_mine", []);
+            await approve(guardian1, coldStorage.address, "10");
+            await approve(guardian2, coldStorage.address, "10");
+            expect((await treasuryVault.getBalance()).toString()).to.equal(ethers.utils.parseEther("80").toString());
+        });
+
+        it("Should start over when guardians approve a different withdrawal", async function () {
+            const { treasuryVault, guard, guardian1, guardian2, coldStorage } = await deployGuardedFixture();
+            const approve = (guardian, amount) => guard.connect(guardian).approveWithdrawal(treasuryVault.address, coldStorage.address, ethers.utils.parseEther(amount));
+
+            await approve(guardian1, "5");
+            await expectRevert(approve(guardian1, "5"), "EmergencyGuard: Already approved");
+            await approve(guardian2, "6");
+            expect((await treasuryVault.getBalance()).toString()).to.equal(ethers.utils.parseEther("100").toString());
+            expect((await guard.getRequest(treasuryVault.address)).approvers).to.deep.equal([guardian2.address]);
+
+            await approve(guardian1, "6");
+            expect((await treasuryVault.getBalance()).toString()).to.equal(ethers.utils.parseEther("94").toString());
+        });
+
+        it("Should not count approvals of revoked guardians", async function () {
+            const { treasuryVault, guard, owner, guardian1, guardian2, guardian3, coldStorage } = await deployGuardedFixture();
+            const approve = (guardian) => guard.connect(guardian).approveWithdrawal(treasuryVault.address, coldStorage.address, ethers.utils.parseEther("5"));
+
+            await approve(guardian1);
+            await treasuryVault.connect(owner).setGuardian(guardian1.address, false);
+            await approve(guardian2);
+            expect((await guard.getRequest(treasuryVault.address)).approvals.toNumber()).to.equal(1);
+
+            await approve(guardian3);
+            expect((await treasuryVault.getBalance()).toString()).to.equal(ethers.utils.parseEther("95").toString());
+        });
+
+        it("Should validate the policy and allow disabling emergency withdrawals", async function () {
+            const fixture = await deployGuardedFixture();
+            const { treasuryVault, guard, manager1, guardian1, guardian2, coldStorage } = fixture;
+            const cap = ethers.utils.parseEther("10");
+            const policy = (quorum, to) => encodePolicy(guard, treasuryVault, quorum, cap, 0, to);
+
+            // What the guard tells the vault when a proposal sets an invalid quorum
+            const asVault = guard.connect(ethers.provider);
+            const from = { from: treasuryVault.address };
+            await expectRevert(asVault.callStatic.setPolicy(treasuryVault.address, 1, cap, 0, ethers.constants.AddressZero, from), "EmergencyGuard: Invalid quorum");
+            await expectRevert(asVault.callStatic.setPolicy(treasuryVault.address, 4, cap, 0, ethers.constants.AddressZero, from), "EmergencyGuard: Invalid quorum");
+            await expectRevert(passProposal(fixture, guard.address, policy(4, coldStorage.address), "Invalid quorum"), "TreasuryVault: Proposal execution failed");
+            await expectRevert(
+                asVault.callStatic.setPolicy(treasuryVault.address, 2, cap, 0, ethers.constants.AddressZero, from),
+                "EmergencyGuard: Cold storage required"
+            );
+
+            // Only the cold storage address can receive, not even a manager
+            await expectRevert(guard.connect(guardian1).approveWithdrawal(treasuryVault.address, manager1.address, 1), "EmergencyGuard: Invalid recipient");
+            await guard.connect(guardian1).approveWithdrawal(treasuryVault.address, coldStorage.address, 1);
+
+            // Changing the policy drops pending approvals; a disabled policy needs no cold storage
+            await passProposal(fixture, guard.address, policy(0, ethers.constants.AddressZero), "Disable emergency withdrawals");
+            expect((await guard.getRequest(treasuryVault.address)).approvers).to.deep.equal([]);
+            await expectRevert(
+                guard.connect(guardian2).approveWithdrawal(treasuryVault.address, coldStorage.address, 1),
+                "EmergencyGuard: Emergency withdrawals disabled"
+            );
+        });
+
+        it("Should change the guard and policy through proposals once self-governed", async function () {
+            const fixture = await deployGuardedFixture();
+            const { treasuryVault, guard, owner, manager3 } = fixture;
+            await treasuryVault.connect(owner).enableSelfGovernance();
+
+            const data = encodePolicy(guard, treasuryVault, 3, ethers.utils.parseEther("1"), 86400, manager3.address);
+            await passProposal(fixture, guard.address, data, "Tighten the emergency policy");
+
+            const policy = await guard.policies(treasuryVault.address);
+            expect(policy.quorum.toNumber()).to.equal(3);
+            expect(policy.cooldown.toNumber()).to.equal(86400);
+            expect(policy.coldStorage).to.equal(manager3.address);
+        });
+    });
 });
@@ -0,0 +1,981 @@
+const { ethers } = require("ethers");
+
+// ============ CONTRACT INTERFACE ============
+const TREASURY_VAULT_ABI = [
+    // Events
+    "event ProposalCreated(uint256 indexed proposalId, address indexed proposer, address indexed target, uint256 value, string description)",
+    "event ProposalConfirmed(uint256 indexed proposalId, address indexed confirmer, uint256 confirmations)",
+    "event ProposalExecuted(uint256 indexed proposalId, address indexed executor, bool success)",
+    "event ProposalCancelled(uint256 indexed proposalId, address indexed canceller)",
+    "event FundsDeposited(address indexed from, uint256 amount)",
+    "event EmergencyWithdrawal(address indexed to, uint256 amount, address indexed authorizer)",
+    "event EmergencyGuardUpdated(address indexed oldGuard, address indexed newGuard)",
+    "event TreasuryManagerAdded(address indexed manager, address indexed addedBy)",
+    "event TreasuryManagerRemoved(address indexed manager, address indexed removedBy)",
+    "event DailyLimitUpdated(uint256 oldLimit, uint256 newLimit)",
+    "event RequiredConfirmationsUpdated(uint256 oldCount, uint256 newCount)",
+    "event TokenDeposited(address indexed token, address indexed from, uint256 amount)",
+    "event TokenProposalCreated(uint256 indexed proposalId, address indexed token, address indexed to, uint256 amount)",
+    "event TokenDailyLimitUpdated(address indexed token, uint256 oldLimit, uint256 newLimit)",
+    "event SelfGovernanceEnabled(address indexed enabledBy)",
+    "event ProposalQueued(uint256 indexed proposalId, uint256 executableAt)",
+    "event ProposalVetoed(uint256 indexed proposalId, address indexed vetoer)",
+    "event ExecutionDelayUpdated(uint256 oldDelay, uint256 newDelay)",
+    "event ProposalExpiryUpdated(uint256 oldExpiry, uint256 newExpiry)",
+    "event ConfirmationRevoked(uint256 indexed proposalId, address indexed manager, uint256 confirmations)",
+    "event ConfirmationsRecounted(uint256 indexed proposalId, uint256 oldCount, uint256 newCount)",
+    "event ProposalCategorized(uint256 indexed proposalId, bytes32 indexed category)",
+    "event CategoryBudgetUpdated(bytes32 indexed category, uint256 amount, uint256 period)",
+    "event ModuleUpdated(address indexed module, bool enabled)",
+    "event ModuleExecution(address indexed module, address indexed target, uint256 value)",
+    "event RecipientUpdated(address indexed recipient, bytes32 label, uint256 cap)",
+    "event RecipientRemoved(address indexed recipient)",
+    "event UnknownRecipientThresholdUpdated(uint256 oldThreshold, uint256 newThreshold)",
+    "event Paused(address account)",
+    "event Unpaused(address account)",
+    "event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender)",
+    "event RoleAdminChanged(bytes32 indexed role, bytes32 indexed previousAdminRole, bytes32 indexed newAdminRole)",
+
+    // Constants and state
+    "function DEFAULT_ADMIN_ROLE() view returns (bytes32)",
+    "function ADMIN_ROLE() view returns (bytes32)",
+    "function TREASURY_MANAGER_ROLE() view returns (bytes32)",
+    "function PROPOSER_ROLE() view returns (bytes32)",
+    "function GUARDIAN_ROLE() view returns (bytes32)",
+    "function AUDITOR_ROLE() view returns (bytes32)",
+    "function MIN_CONFIRMATION_COUNT() view returns (uint256)",
+    "function MIN_PROPOSAL_EXPIRY() view returns (uint256)",
+    "function MAX_PROPOSAL_EXPIRY() view returns (uint256)",
+    "function WITHDRAWAL_WINDOW() view returns (uint256)",
+    "function MAX_DAILY_WITHDRAWAL() view returns (uint256)",
+    "function MAX_EXECUTION_DELAY() view returns (uint256)",
+    "function MAX_BATCH_CALLS() view returns (uint256)",
+    "function MAX_BUDGET_PERIOD() view returns (uint256)",
+    "function CONFIRMATION_TYPEHASH() view returns (bytes32)",
+    "function proposalCount() view returns (uint256)",
+    "function requiredConfirmations() view returns (uint256)",
+    "function dailyWithdrawalLimit() view returns (uint256)",
+    "function proposalExpiry() view returns (uint256)",
+    "function todayWithdrawn() view returns (uint256)",
+    "function selfGoverned() view returns (bool)",
+    "function executionDelay() view returns (uint256)",
+    "function tokenDailyLimit(address) view returns (uint256)",
+    "function tokenWithdrawnToday(address) view returns (uint256)",
+    "function proposalCategory(uint256) view returns (bytes32)",
+    "function isModule(address) view returns (bool)",
+    "function addressBook(address) view returns (bytes32 label, uint256 cap)",
+    "function unknownRecipientThreshold() view returns (uint256)",
+    "function emergencyGuard() view returns (address)",
+    "function isTreasuryManager(address) view returns (bool)",
+    "function hasRole(bytes32 role, address account) view returns (bool)",
+    "function getRoleAdmin(bytes32 role) view returns (bytes32)",
+    "function getRoleMemberCount(bytes32 role) view returns (uint256)",
+    "function getRoleMembers(bytes32 role) view returns (address[])",
+    "function paused() view returns (bool)",
+
+    // Views
+    "function getBalance() view returns (uint256)",
+    "function getProposal(uint256 proposalId) view returns (uint256 id, address proposer, address target, uint256 value, bytes data, string description, uint256 confirmations, uint256 deadline, bool executed, bool cancelled)",
+    "function hasConfirmed(uint256 proposalId, address manager) view returns (bool)",
+    "function getProposalTimelock(uint256 proposalId) view returns (uint256 executableAt, bool vetoed)",
+    "function getTreasuryManagers() view returns (address[])",
+    "function getRemainingDailyWithdrawal() view returns (uint256)",
+    "function getTokenBalance(address token) view returns (uint256)",
+    "function getRemainingTokenDailyWithdrawal(address token) view returns (uint256)",
+    "function getRemainingRecipientAllowance(address recipient) view returns (uint256)",
+    "function getCategoryBudget(bytes32 category) view returns (uint256 amount, uint256 period, uint256 spent, uint256 remaining, uint256 periodEnd)",
+    "function domainSeparator() view returns (bytes32)",
+    "function getConfirmationDigest(uint256 proposalId) view returns (bytes32)",
+    "function getProposalState(uint256 proposalId) view returns (uint8)",
+
+    // Restricted views (auditors, managers and admins)
+    "function getWithdrawals(address asset) view returns (tuple(uint64 timestamp, uint192 amount)[])",
+    "function getRecipientWithdrawals(address recipient) view returns (tuple(uint64 timestamp, uint192 amount)[])",
+
+    // Writes
+    "function createProposal(address target, uint256 value, bytes data, string description) returns (uint256)",
+    "function createCategorizedProposal(bytes32 category, address target, uint256 value, bytes data, string description) returns (uint256)",
+    "function createTokenProposal(address token, address to, uint256 amount, string description) returns (uint256)",
+    "function depositToken(address token, uint256 amount)",
+    "function confirmProposal(uint256 proposalId)",
+    "function confirmProposalWithSignatures(uint256 proposalId, bytes[] signatures)",
+    "function revokeConfirmation(uint256 proposalId)",
+    "function executeProposal(uint256 proposalId)",
+    "function cancelProposal(uint256 proposalId)",
+    "function vetoProposal(uint256 proposalId)",
+    "function emergencyWithdraw(address to, uint256 amount)",
+    "function setEmergencyGuard(address guard)",
+    "function addTreasuryManager(address manager)",
+    "function removeTreasuryManager(address manager)",
+    "function updateRequiredConfirmations(uint256 newCount)",
+    "function updateDailyLimit(uint256 newLimit)",
+    "function setTokenDailyLimit(address token, uint256 newLimit)",
+    "function setCategoryBudget(bytes32 category, uint256 amount, uint256 period)",
+    "function updateExecutionDelay(uint256 newDelay)",
+    "function updateProposalExpiry(uint256 newExpiry)",
+    "function setGuardian(address account, bool enabled)",
+    "function grantRole(bytes32 role, address account)",
+    "function revokeRole(bytes32 role, address account)",
+    "function setModule(address module, bool enabled)",
+    "function executeFromModule(address target, uint256 value, bytes data)",
+    "function setRecipient(address recipient, bytes32 label, uint256 cap)",
+    "function removeRecipient(address recipient)",
+    "function setUnknownRecipientThreshold(uint256 threshold)",
+    "function pause()",
+    "function unpause()",
+    "function enableSelfGovernance()",
+    "function executeBatch(tuple(address target, uint256 value, bytes data)[] calls) payable"
+];
+
+// Paginated proposal queries live in a shared TreasuryVaultLens
+const TREASURY_VAULT_LENS_ABI = [
+    "function getProposalsByState(address vault, uint8 state, uint256 cursor, uint256 limit) view returns (tuple(uint256 id, address proposer, address target, uint256 value, uint256 confirmations, uint256 deadline, uint256 executableAt, uint8 state)[] page, uint256 nextCursor)",
+    "function getAwaitingConfirmation(address vault, address manager, uint256 cursor, uint256 limit) view returns (tuple(uint256 id, address proposer, address target, uint256 value, uint256 confirmations, uint256 deadline, uint256 executableAt, uint8 state)[] page, uint256 nextCursor)",
+    "function getProposalsByProposer(address vault, address proposer, uint256 cursor, uint256 limit) view returns (tuple(uint256 id, address proposer, address target, uint256 value, uint256 confirmations, uint256 deadline, uint256 executableAt, uint8 state)[] page, uint256 nextCursor)",
+    "function getProposalsByTarget(address vault, address target, uint256 cursor, uint256 limit) view returns (tuple(uint256 id, address proposer, address target, uint256 value, uint256 confirmations, uint256 deadline, uint256 executableAt, uint8 state)[] page, uint256 nextCursor)"
+];
+
+const ERC20_TRANSFER_ABI = [
+    "function transfer(address to, uint256 amount) returns (bool)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function allowance(address owner, address spender) view returns (uint256)"
+];
+
+const tokenInterface = new ethers.utils.Interface(ERC20_TRANSFER_ABI);
+const vaultInterface = new ethers.utils.Interface(TREASURY_VAULT_ABI);
+
+// Policy functions that only accept self-calls once the vault is self-governed
+const GOVERNANCE_FUNCTIONS = Object.freeze([
+    "addTreasuryManager",
+    "removeTreasuryManager",
+    "updateRequiredConfirmations",
+    "updateDailyLimit",
+    "setTokenDailyLimit",
+    "setCategoryBudget",
+    "updateExecutionDelay",
+    "updateProposalExpiry",
+    "setGuardian",
+    "grantRole",
+    "revokeRole",
+    "setModule",
+    "setRecipient",
+    "removeRecipient",
+    "setUnknownRecipientThreshold",
+    "setEmergencyGuard",
+    "cancelProposal",
+    "pause",
+    "unpause"
+]);
+
+/**
+ * @dev Decode a bytes32 short string: null for zero, the raw hex if it is not a valid string
+ */
+function parseShortString(value) {
+    if (ethers.constants.HashZero === value) {
+        return null;
+    }
+    try {
+        return ethers.utils.parseBytes32String(value);
+    } catch (error) {
+        return value;
+    }
+}
+
+const ProposalStatus = Object.freeze({
+    PENDING: "pending",
+    QUEUED: "queued",
+    READY: "ready",
+    EXPIRED: "expired",
+    EXECUTED: "executed",
+    CANCELLED: "cancelled",
+    VETOED: "vetoed"
+});
+
+// Order of the contract's ProposalState enum
+const PROPOSAL_STATES = [
+    ProposalStatus.PENDING,
+    ProposalStatus.QUEUED,
+    ProposalStatus.READY,
+    ProposalStatus.EXPIRED,
+    ProposalStatus.EXECUTED,
+    ProposalStatus.CANCELLED,
+    ProposalStatus.VETOED
+];
+
+const DEFAULT_PAGE_SIZE = 50;
+
+// Roles by the names the SDK and tasks use, with the contract constant each stands for
+const Role = Object.freeze({
+    DEFAULT_ADMIN: "default-admin",
+    ADMIN: "admin",
+    MANAGER: "manager",
+    PROPOSER: "proposer",
+    GUARDIAN: "guardian",
+    AUDITOR: "auditor"
+});
+
+const ROLE_IDS = Object.freeze({
+    [Role.DEFAULT_ADMIN]: ethers.constants.HashZero,
+    [Role.ADMIN]: ethers.utils.id("ADMIN_ROLE"),
+    [Role.MANAGER]: ethers.utils.id("TREASURY_MANAGER_ROLE"),
+    [Role.PROPOSER]: ethers.utils.id("PROPOSER_ROLE"),
+    [Role.GUARDIAN]: ethers.utils.id("GUARDIAN_ROLE"),
+    [Role.AUDITOR]: ethers.utils.id("AUDITOR_ROLE")
+});
+
+// Mirrors TreasuryVault.MAX_BATCH_CALLS
+const MAX_BATCH_CALLS = 50;
+
+/**
+ * @typedef {Object} Proposal
+ * @property {number} id
+ * @property {string} proposer
+ * @property {string} target
+ * @property {ethers.BigNumber} value
+ * @property {string} data
+ * @property {string} description
+ * @property {number} confirmations - Confirmations from current managers (what execution counts)
+ * @property {number} staleConfirmations - Recorded confirmations from managers who have since been removed
+ * @property {number} requiredConfirmations
+ * @property {number} deadline - Unix time until which the proposal can be confirmed, or executed if it was never queued
+ * @property {boolean} executed
+ * @property {boolean} cancelled
+ * @property {boolean} vetoed
+ * @property {number} executableAt - Unix time the timelock expires, 0 if the proposal is not queued
+ * @property {string} status - One of ProposalStatus
+ * @property {number|null} secondsUntilExpiry - Seconds left to act on an open, unqueued proposal; null otherwise
+ * @property {number|null} secondsUntilExecutable - Seconds left in the veto window of a queued proposal; null otherwise
+ * @property {string[]} confirmedBy - Current managers who have confirmed
+ * @property {string[]} awaitingConfirmation - Current managers who have not confirmed
+ * @property {{token: string, to: string, amount: ethers.BigNumber}|null} tokenTransfer - Set for ERC-20 transfer proposals
+ * @property {{target: string, value: ethers.BigNumber, data: string}[]|null} batch - The calls of a batch proposal
+ * @property {string|null} category - Spending category, null if uncategorized
+ */
+
+/**
+ * @typedef {Object} ProposalSummary
+ * @property {number} id
+ * @property {string} proposer
+ * @property {string} target
+ * @property {ethers.BigNumber} value
+ * @property {number} confirmations - Confirmations from current managers
+ * @property {number} deadline - Unix time the proposal expires unless queued
+ * @property {number} executableAt - Unix time the timelock expires, 0 if the proposal is not queued
+ * @property {string} status - One of ProposalStatus, as the vault computes it
+ */
+
+/**
+ * @title TreasuryVaultClient
+ * @dev Reusable wrapper around a deployed TreasuryVault for scripts, tasks and tests
+ */
+class TreasuryVaultClient {
+    /**
+     * @param {string} address - Vault address
+     * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider - Signer for writes, provider for read-only use
+     * @param {{lens?: string}} [options] - TreasuryVaultLens address, needed by the paginated queries
+     */
+    constructor(address, signerOrProvider, { lens } = {}) {
+        this.contract = new ethers.Contract(address, TREASURY_VAULT_ABI, signerOrProvider);
+        this.address = this.contract.address;
+        this.provider = this.contract.provider;
+        this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+        this.lens = lens ? new ethers.Contract(lens, TREASURY_VAULT_LENS_ABI, signerOrProvider) : null;
+    }
+
+    /**
+     * @dev Same vault, different signer
+     */
+    connect(signer) {
+        return new TreasuryVaultClient(this.address, signer, { lens: this.lens && this.lens.address });
+    }
+
+    /**
+     * @dev Derive a proposal's status as seen by the next transaction after the block mined at
+     * `timestamp`. Queued proposals do not expire.
+     */
+    static deriveStatus(proposal, requiredConfirmations, timestamp) {
+        if (proposal.executed) return ProposalStatus.EXECUTED;
+        if (proposal.cancelled) return ProposalStatus.CANCELLED;
+        if (proposal.vetoed) return ProposalStatus.VETOED;
+        const executableAt = Number(proposal.executableAt || 0);
+        if (executableAt > 0) return executableAt <= timestamp ? ProposalStatus.READY : ProposalStatus.QUEUED;
+        if (Number(proposal.deadline) <= timestamp) return ProposalStatus.EXPIRED;
+        if (Number(proposal.confirmations) >= Number(requiredConfirmations)) return ProposalStatus.READY;
+        return ProposalStatus.PENDING;
+    }
+
+    /**
+     * @dev Decode an ERC-20 transfer from a proposal's target and calldata, or null
+     */
+    static decodeTokenTransfer(target, data) {
+        if (!data || data.slice(0, 10).toLowerCase() !== tokenInterface.getSighash("transfer")) {
+            return null;
+        }
+        const { to, amount } = tokenInterface.decodeFunctionData("transfer", data);
+        return { token: target, to, amount };
+    }
+
+    /**
+     * @dev Encode calldata for one of the vault's governance functions, for a proposal targeting the vault
+     */
+    static encodeGovernanceCall(method, args = []) {
+        if (!GOVERNANCE_FUNCTIONS.includes(method)) {
+            throw new Error(`TreasuryVaultClient: ${method} is not a governance function (expected one of ${GOVERNANCE_FUNCTIONS.join(", ")})`);
+        }
+        return vaultInterface.encodeFunctionData(method, args);
+    }
+
+    /**
+     * @dev Encode calls as a batch proposal: a call from the vault to its own executeBatch,
+     * carrying the calls' total ETH value
+     * @returns {{value: ethers.BigNumber, data: string}}
+     */
+    static encodeBatch(calls) {
+        if (!Array.isArray(calls) || calls.length === 0 || calls.length > MAX_BATCH_CALLS) {
+            throw new Error(`TreasuryVaultClient: a batch needs 1 to ${MAX_BATCH_CALLS} calls`);
+        }
+        const normalized = calls.map((call, i) => {
+            if (!ethers.utils.isAddress(call.target) || call.target === ethers.constants.AddressZero) {
+                throw new Error(`TreasuryVaultClient: batch call ${i} has an invalid target ${call.target}`);
+            }
+            return { target: call.target, value: ethers.BigNumber.from(call.value || 0), data: call.data || "0x" };
+        });
+        const value = normalized.reduce((total, call) => total.add(call.value), ethers.BigNumber.from(0));
+        return { value, data: vaultInterface.encodeFunctionData("executeBatch", [normalized]) };
+    }
+
+    /**
+     * @dev Decode the calls of a batch proposal (a self-call to executeBatch), or null
+     */
+    static decodeBatch(vaultAddress, target, data) {
+        if (
+            !data ||
+            target.toLowerCase() !== vaultAddress.toLowerCase() ||
+            data.slice(0, 10).toLowerCase() !== vaultInterface.getSighash("executeBatch")
+        ) {
+            return null;
+        }
+        const [calls] = vaultInterface.decodeFunctionData("executeBatch", data);
+        return calls.map(({ target, value, data }) => ({ target, value, data }));
+    }
+
+    /**
+     * @dev On-chain id of a spending category name ("Grants" and "grants" are the same category)
+     */
+    static encodeCategory(name) {
+        const normalized = String(name || "").trim().toLowerCase();
+        if (!normalized) {
+            throw new Error("TreasuryVaultClient: category name is empty");
+        }
+        return ethers.utils.formatBytes32String(normalized);
+    }
+
+    /**
+     * @dev Category name from its on-chain id: null for uncategorized, the raw hex if it is not a short string
+     */
+    static decodeCategory(category) {
+        return parseShortString(category);
+    }
+
+    /**
+     * @dev On-chain form of an address book label (at most 31 bytes, case kept)
+     */
+    static encodeLabel(label) {
+        const trimmed = String(label || "").trim();
+        if (!trimmed) {
+            throw new Error("TreasuryVaultClient: label is empty");
+        }
+        if (ethers.utils.toUtf8Bytes(trimmed).length > 31) {
+            throw new Error(`TreasuryVaultClient: label "${trimmed}" is longer than 31 bytes`);
+        }
+        return ethers.utils.formatBytes32String(trimmed);
+    }
+
+    /**
+     * @dev Label from its on-chain form: null if unset, the raw hex if it is not a short string
+     */
+    static decodeLabel(label) {
+        return parseShortString(label);
+    }
+
+    /**
+     * @dev The addresses that receive value from a call, as the vault's address book check sees them:
+     * the `to` of an ERC-20 transfer or the spender of an approval, and the target of ETH sent to
+     * another address, even when the calldata is a token call
+     * @returns {{address: string, value: ethers.BigNumber}[]} Each recipient with the ETH it receives
+     */
+    static paymentRecipients(vaultAddress, target, value, data) {
+        const recipients = [];
+        const transfer = TreasuryVaultClient.decodeTokenTransfer(target, data);
+        if (transfer) {
+            recipients.push({ address: ethers.utils.getAddress(transfer.to), value: ethers.constants.Zero });
+        } else if (data && data.slice(0, 10).toLowerCase() === tokenInterface.getSighash("approve")) {
+            recipients.push({ address: ethers.utils.getAddress(tokenInterface.decodeFunctionData("approve", data).spender), value: ethers.constants.Zero });
+        }
+        if (ethers.BigNumber.from(value).gt(0) && target.toLowerCase() !== vaultAddress.toLowerCase()) {
+            const address = ethers.utils.getAddress(target);
+            const existing = recipients.find((recipient) => recipient.address === address);
+            if (existing) {
+                existing.value = ethers.BigNumber.from(value);
+            } else {
+                recipients.push({ address, value: ethers.BigNumber.from(value) });
+            }
+        }
+        return recipients;
+    }
+
+    // ============ READS ============
+
+    async getProposalCount() {
+        return (await this.contract.proposalCount()).toNumber();
+    }
+
+    async getRequiredConfirmations() {
+        return (await this.contract.requiredConfirmations()).toNumber();
+    }
+
+    async getManagers() {
+        return this.contract.getTreasuryManagers();
+    }
+
+    async getBalance() {
+        return this.contract.getBalance();
+    }
+
+    async getDailyLimit() {
+        return this.contract.dailyWithdrawalLimit();
+    }
+
+    /**
+     * @dev ETH that can still be withdrawn through proposals in the current daily window
+     */
+    async getRemainingDailyAllowance() {
+        return this.contract.getRemainingDailyWithdrawal();
+    }
+
+    async getTokenBalance(token) {
+        return this.contract.getTokenBalance(token);
+    }
+
+    async getTokenDailyLimit(token) {
+        return this.contract.tokenDailyLimit(token);
+    }
+
+    /**
+     * @dev Token amount that can still leave the vault through proposals in the current daily window
+     */
+    async getRemainingTokenDailyAllowance(token) {
+        return this.contract.getRemainingTokenDailyWithdrawal(token);
+    }
+
+    /**
+     * @dev A category's ETH budget as of now; `period` is 0 when the category has no budget
+     */
+    async getCategoryBudget(category) {
+        const id = TreasuryVaultClient.encodeCategory(category);
+        const budget = await this.contract.getCategoryBudget(id);
+        return {
+            category: TreasuryVaultClient.decodeCategory(id),
+            amount: budget.amount,
+            period: budget.period.toNumber(),
+            spent: budget.spent,
+            remaining: budget.remaining,
+            periodEnd: budget.periodEnd.toNumber()
+        };
+    }
+
+    async isPaused() {
+        return this.contract.paused();
+    }
+
+    async isSelfGoverned() {
+        return this.contract.selfGoverned();
+    }
+
+    /**
+     * @dev Seconds between reaching quorum and being executable (0 executes on quorum)
+     */
+    async getExecutionDelay() {
+        return (await this.contract.executionDelay()).toNumber();
+    }
+
+    /**
+     * @dev Seconds a new proposal stays open for confirmation
+     */
+    async getProposalExpiry() {
+        return (await this.contract.proposalExpiry()).toNumber();
+    }
+
+    async isGuardian(account) {
+        return this.contract.hasRole(await this.contract.GUARDIAN_ROLE(), account);
+    }
+
+    /**
+     * @dev Whether a module (e.g. a PaymentScheduler) may pay out through the vault
+     */
+    async isModule(account) {
+        return this.contract.isModule(account);
+    }
+
+    /**
+     * @dev A recipient's address book entry, or null if it is not in the book. `cap` is the ETH it
+     * may receive per 24 hours (0 for uncapped) and `remaining` what is left of it right now.
+     */
+    async getRecipient(address) {
+        const entry = await this.contract.addressBook(address);
+        if (entry.label === ethers.constants.HashZero) {
+            return null;
+        }
+        return {
+            address: ethers.utils.getAddress(address),
+            label: TreasuryVaultClient.decodeLabel(entry.label),
+            cap: entry.cap,
+            remaining: entry.cap.isZero() ? null : await this.contract.getRemainingRecipientAllowance(address)
+        };
+    }
+
+    /**
+     * @dev Every address currently in the address book, found from RecipientUpdated events
+     * @returns {Promise<Array<{address: string, label: string, cap: ethers.BigNumber}>>}
+     */
+    async getAddressBook({ fromBlock = 0 } = {}) {
+        const events = await this.contract.queryFilter(this.contract.filters.RecipientUpdated(), fromBlock);
+        const addresses = [...new Set(events.map((event) => event.args.recipient))];
+        const book = [];
+        for (const address of addresses) {
+            const entry = await this.contract.addressBook(address);
+            if (entry.label !== ethers.constants.HashZero) {
+                book.push({ address, label: TreasuryVaultClient.decodeLabel(entry.label), cap: entry.cap });
+            }
+        }
+        return book.sort((a, b) => a.label.localeCompare(b.label));
+    }
+
+    /**
+     * @dev Confirmations needed to pay an address outside the book (0 when any address may be paid)
+     */
+    async getUnknownRecipientThreshold() {
+        return this.contract.unknownRecipientThreshold();
+    }
+
+    /**
+     * @dev EmergencyGuard that may make emergency withdrawals, or null if there is none
+     */
+    async getEmergencyGuard() {
+        const guard = await this.contract.emergencyGuard();
+        return guard === ethers.constants.AddressZero ? null : guard;
+    }
+
+    async isManager(account) {
+        return this.contract.hasRole(await this.contract.TREASURY_MANAGER_ROLE(), account);
+    }
+
+    async isAdmin(account) {
+        return this.contract.hasRole(await this.contract.ADMIN_ROLE(), account);
+    }
+
+    async canPropose(account) {
+        return this.contract.hasRole(await this.contract.PROPOSER_ROLE(), account);
+    }
+
+    /**
+     * @dev The bytes32 id of a role given by name (one of Role)
+     */
+    static roleId(role) {
+        if (!ROLE_IDS[role]) {
+            throw new Error(`TreasuryVaultClient: unknown role ${role} (expected one of ${Object.values(Role).join(", ")})`);
+        }
+        return ROLE_IDS[role];
+    }
+
+    /**
+     * @dev Name of a role id, or the id itself if it is not one of Role
+     */
+    static roleName(roleId) {
+        return Object.keys(ROLE_IDS).find((role) => ROLE_IDS[role] === roleId) || roleId;
+    }
+
+    async getRoleMembers(role) {
+        return this.contract.getRoleMembers(TreasuryVaultClient.roleId(role));
+    }
+
+    /**
+     * @dev Holders of every role, keyed by role name
+     * @returns {Promise<Object<string, string[]>>}
+     */
+    async getRoles() {
+        const roles = Object.values(Role);
+        const members = await Promise.all(roles.map((role) => this.getRoleMembers(role)));
+        return Object.fromEntries(roles.map((role, i) => [role, members[i]]));
+    }
+
+    /**
+     * @dev Name of the role that grants and revokes `role`
+     */
+    async getRoleAdmin(role) {
+        return TreasuryVaultClient.roleName(await this.contract.getRoleAdmin(TreasuryVaultClient.roleId(role)));
+    }
+
+    /**
+     * @dev Withdrawals of ETH (or a token) still counted against the daily limit. A restricted view:
+     * the client's signer must be an auditor, manager or admin.
+     * @returns {Promise<{timestamp: number, amount: ethers.BigNumber}[]>}
+     */
+    async getWithdrawals(token = null) {
+        const entries = await this.contract.getWithdrawals(token || ethers.constants.AddressZero);
+        return entries.map((entry) => ({ timestamp: entry.timestamp.toNumber(), amount: entry.amount }));
+    }
+
+    /**
+     * @dev ETH payments to an address book entry still counted against its cap (restricted like getWithdrawals)
+     */
+    async getRecipientWithdrawals(recipient) {
+        const entries = await this.contract.getRecipientWithdrawals(recipient);
+        return entries.map((entry) => ({ timestamp: entry.timestamp.toNumber(), amount: entry.amount }));
+    }
+
+    async hasConfirmed(proposalId, account) {
+        return this.contract.hasConfirmed(proposalId, account);
+    }
+
+    /**
+     * @dev Whether an account has revoked a confirmation of a proposal; the vault then only takes
+     * an on-chain confirmation from it, not a signature
+     */
+    async hasRevoked(proposalId, account) {
+        const events = await this.contract.queryFilter(this.contract.filters.ConfirmationRevoked(proposalId, account));
+        return events.length > 0;
+    }
+
+    /**
+     * @dev Load a proposal with its derived status and confirmation breakdown
+     * @returns {Promise<Proposal>}
+     */
+    async getProposal(proposalId) {
+        const [raw, timelock, category, required, managers, block] = await Promise.all([
+            this.contract.getProposal(proposalId),
+            this.contract.getProposalTimelock(proposalId),
+            this.contract.proposalCategory(proposalId),
+            this.getRequiredConfirmations(),
+            this.getManagers(),
+            this.provider.getBlock("latest")
+        ]);
+        const confirmed = await Promise.all(managers.map((manager) => this.contract.hasConfirmed(proposalId, manager)));
+        const confirmedBy = managers.filter((manager, i) => confirmed[i]);
+        const executableAt = timelock.executableAt.toNumber();
+        const status = TreasuryVaultClient.deriveStatus(
+            { ...raw, confirmations: confirmedBy.length, executableAt, vetoed: timelock.vetoed },
+            required,
+            block.timestamp
+        );
+        const deadline = raw.deadline.toNumber();
+        const open = !raw.executed && !raw.cancelled && !timelock.vetoed;
+
+        return {
+            id: raw.id.toNumber(),
+            proposer: raw.proposer,
+            target: raw.target,
+            value: raw.value,
+            data: raw.data,
+            description: raw.description,
+            confirmations: confirmedBy.length,
+            staleConfirmations: Math.max(raw.confirmations.toNumber() - confirmedBy.length, 0),
+            requiredConfirmations: required,
+            deadline,
+            executed: raw.executed,
+            cancelled: raw.cancelled,
+            vetoed: timelock.vetoed,
+            executableAt,
+            status,
+            secondsUntilExpiry: open && executableAt === 0 ? Math.max(deadline - block.timestamp, 0) : null,
+            secondsUntilExecutable: open && executableAt > 0 ? Math.max(executableAt - block.timestamp, 0) : null,
+            confirmedBy,
+            awaitingConfirmation: managers.filter((manager, i) => !confirmed[i]),
+            tokenTransfer: TreasuryVaultClient.decodeTokenTransfer(raw.target, raw.data),
+            batch: TreasuryVaultClient.decodeBatch(this.address, raw.target, raw.data),
+            category: TreasuryVaultClient.decodeCategory(category)
+        };
+    }
+
+    /**
+     * @dev Load every proposal, optionally only those with the given status
+     * @returns {Promise<Proposal[]>}
+     */
+    async getProposals({ status } = {}) {
+        const count = await this.getProposalCount();
+        const proposals = [];
+        for (let id = 0; id < count; id++) {
+            const proposal = await this.getProposal(id);
+            if (!status || proposal.status === status) {
+                proposals.push(proposal);
+            }
+        }
+        return proposals;
+    }
+
+    // ============ PAGINATED QUERIES ============
+
+    /**
+     * @dev Iterate over proposals with a given status, a page of on-chain summaries at a time
+     * @returns {AsyncGenerator<ProposalSummary>}
+     */
+    iterateProposalsByStatus(status, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+        const state = PROPOSAL_STATES.indexOf(status);
+        if (state === -1) {
+            throw new Error(`TreasuryVaultClient: unknown proposal status ${status} (expected one of ${PROPOSAL_STATES.join(", ")})`);
+        }
+        return this._paginate("getProposalsByState", state, pageSize);
+    }
+
+    /**
+     * @dev Iterate over open proposals (pending or ready) that a manager has not confirmed yet
+     * @returns {AsyncGenerator<ProposalSummary>}
+     */
+    iterateAwaitingConfirmation(manager, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+        return this._paginate("getAwaitingConfirmation", manager, pageSize);
+    }
+
+    /**
+     * @dev Iterate over proposals created by an account
+     * @returns {AsyncGenerator<ProposalSummary>}
+     */
+    iterateProposalsByProposer(proposer, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+        return this._paginate("getProposalsByProposer", proposer, pageSize);
+    }
+
+    /**
+     * @dev Iterate over proposals that call or pay a target
+     * @returns {AsyncGenerator<ProposalSummary>}
+     */
+    iterateProposalsByTarget(target, { pageSize = DEFAULT_PAGE_SIZE } = {}) {
+        return this._paginate("getProposalsByTarget", target, pageSize);
+    }
+
+    /**
+     * @dev Follow a paginated view's cursor until the scan reaches the end of the proposal list.
+     * The scan stops at the proposal count read when iteration starts.
+     */
+    async *_paginate(method, key, pageSize) {
+        if (!Number.isInteger(pageSize) || pageSize < 1) {
+            throw new Error(`TreasuryVaultClient: pageSize must be a positive integer, got ${pageSize}`);
+        }
+        if (!this.lens) {
+            throw new Error("TreasuryVaultClient: paginated queries need a TreasuryVaultLens address (options.lens)");
+        }
+        const count = await this.getProposalCount();
+        let cursor = 0;
+        while (cursor < count) {
+            const { page, nextCursor } = await this.lens[method](this.address, key, cursor, pageSize);
+            for (const summary of page) {
+                if (summary.id.toNumber() < count) {
+                    yield TreasuryVaultClient._toSummary(summary);
+                }
+            }
+            cursor = nextCursor.toNumber();
+        }
+    }
+
+    static _toSummary(summary) {
+        return {
+            id: summary.id.toNumber(),
+            proposer: summary.proposer,
+            target: summary.target,
+            value: summary.value,
+            confirmations: summary.confirmations.toNumber(),
+            deadline: summary.deadline.toNumber(),
+            executableAt: summary.executableAt.toNumber(),
+            status: PROPOSAL_STATES[summary.state]
+        };
+    }
+
+    // ============ WRITES ============
+
+    async _send(method, ...args) {
+        if (!this.signer) {
+            throw new Error(`TreasuryVaultClient: ${method} needs a signer`);
+        }
+        const tx = await this.contract[method](...args);
+        return tx.wait();
+    }
+
+    /**
+     * @dev Send ETH to the vault (emits FundsDeposited)
+     */
+    async deposit(amount) {
+        if (!this.signer) {
+            throw new Error("TreasuryVaultClient: deposit needs a signer");
+        }
+        const tx = await this.signer.sendTransaction({ to: this.address, value: amount });
+        return tx.wait();
+    }
+
+    /**
+     * @dev Create a proposal, optionally in a spending category, and return the receipt together with the new proposal id
+     */
+    async createProposal({ target, value = 0, data = "0x", description, category }) {
+        const receipt = category
+            ? await this._send("createCategorizedProposal", TreasuryVaultClient.encodeCategory(category), target, value, data, description)
+            : await this._send("createProposal", target, value, data, description);
+        const created = receipt.events.find((event) => event.event === "ProposalCreated");
+        return { receipt, proposalId: created.args.proposalId.toNumber() };
+    }
+
+    /**
+     * @dev Propose a call from the vault to one of its own governance functions
+     */
+    async proposeGovernanceCall({ method, args = [], description }) {
+        const data = TreasuryVaultClient.encodeGovernanceCall(method, args);
+        return this.createProposal({ target: this.address, data, description });
+    }
+
+    /**
+     * @dev Propose several calls ({target, value, data}) that execute all-or-nothing
+     */
+    async createBatchProposal({ calls, description, category }) {
+        const { value, data } = TreasuryVaultClient.encodeBatch(calls);
+        return this.createProposal({ target: this.address, value, data, description, category });
+    }
+
+    /**
+     * @dev Create an ERC-20 transfer proposal and return the receipt together with the new proposal id
+     */
+    async createTokenProposal({ token, to, amount, description }) {
+        const receipt = await this._send("createTokenProposal", token, to, amount, description);
+        const created = receipt.events.find((event) => event.event === "ProposalCreated");
+        return { receipt, proposalId: created.args.proposalId.toNumber() };
+    }
+
+    /**
+     * @dev Deposit ERC-20 tokens, approving the vault first if the allowance is too low
+     */
+    async depositToken(token, amount) {
+        if (!this.signer) {
+            throw new Error("TreasuryVaultClient: depositToken needs a signer");
+        }
+        const erc20 = new ethers.Contract(token, ERC20_TRANSFER_ABI, this.signer);
+        const allowance = await erc20.allowance(await this.signer.getAddress(), this.address);
+        if (allowance.lt(amount)) {
+            await (await erc20.approve(this.address, amount)).wait();
+        }
+        return this._send("depositToken", token, amount);
+    }
+
+    async confirmProposal(proposalId) {
+        return this._send("confirmProposal", proposalId);
+    }
+
+    /**
+     * @dev Relay EIP-712 confirmations signed off-chain (see signatures.js)
+     */
+    async confirmProposalWithSignatures(proposalId, signatures) {
+        return this._send("confirmProposalWithSignatures", proposalId, signatures);
+    }
+
+    async revokeConfirmation(proposalId) {
+        return this._send("revokeConfirmation", proposalId);
+    }
+
+    async executeProposal(proposalId) {
+        return this._send("executeProposal", proposalId);
+    }
+
+    async cancelProposal(proposalId) {
+        return this._send("cancelProposal", proposalId);
+    }
+
+    async vetoProposal(proposalId) {
+        return this._send("vetoProposal", proposalId);
+    }
+
+    async addTreasuryManager(manager) {
+        return this._send("addTreasuryManager", manager);
+    }
+
+    async removeTreasuryManager(manager) {
+        return this._send("removeTreasuryManager", manager);
+    }
+
+    async updateRequiredConfirmations(newCount) {
+        return this._send("updateRequiredConfirmations", newCount);
+    }
+
+    async updateDailyLimit(newLimit) {
+        return this._send("updateDailyLimit", newLimit);
+    }
+
+    async setTokenDailyLimit(token, newLimit) {
+        return this._send("setTokenDailyLimit", token, newLimit);
+    }
+
+    /**
+     * @dev Set a category's ETH budget per period in seconds (0 removes the budget)
+     */
+    async setCategoryBudget(category, amount, period) {
+        return this._send("setCategoryBudget", TreasuryVaultClient.encodeCategory(category), amount, period);
+    }
+
+    async updateExecutionDelay(newDelay) {
+        return this._send("updateExecutionDelay", newDelay);
+    }
+
+    async updateProposalExpiry(newExpiry) {
+        return this._send("updateProposalExpiry", newExpiry);
+    }
+
+    async setGuardian(account, enabled) {
+        return this._send("setGuardian", account, enabled);
+    }
+
+    /**
+     * @dev Grant a role by name; managers are added with addTreasuryManager instead
+     */
+    async grantRole(role, account) {
+        return this._send("grantRole", TreasuryVaultClient.roleId(role), account);
+    }
+
+    async revokeRole(role, account) {
+        return this._send("revokeRole", TreasuryVaultClient.roleId(role), account);
+    }
+
+    async setModule(module, enabled) {
+        return this._send("setModule", module, enabled);
+    }
+
+    /**
+     * @dev Add or update an address book entry; cap is wei per 24 hours (0 for uncapped)
+     */
+    async setRecipient(recipient, label, cap = 0) {
+        return this._send("setRecipient", recipient, TreasuryVaultClient.encodeLabel(label), cap);
+    }
+
+    async removeRecipient(recipient) {
+        return this._send("removeRecipient", recipient);
+    }
+
+    async setUnknownRecipientThreshold(threshold) {
+        return this._send("setUnknownRecipientThreshold", threshold);
+    }
+
+    async pause() {
+        return this._send("pause");
+    }
+
+    async unpause() {
+        return this._send("unpause");
+    }
+
+    async enableSelfGovernance() {
+        return this._send("enableSelfGovernance");
+    }
+}
+
+module.exports = {
+    TREASURY_VAULT_ABI,
+    TREASURY_VAULT_LENS_ABI,
+    GOVERNANCE_FUNCTIONS,
+    MAX_BATCH_CALLS,
+    ProposalStatus,
+    Role,
+    TreasuryVaultClient
+};
@@ -0,0 +1,418 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { ProposalStatus, Role, TreasuryVaultClient } = require("./TreasuryVaultClient");
+
+describe("TreasuryVaultClient SDK", function () {
+
+    // ============ TEST SETUP ============
+    async function deployTreasuryFixture() {
+        const [owner, manager1, manager2, manager3, newManager, recipient] = await ethers.getSigners();
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const treasuryVault = await TreasuryVault.deploy(
+            [manager1.address, manager2.address, manager3.address],
+            2,
+            ethers.utils.parseEther("10")
+        );
+        await treasuryVault.deployed();
+        const TreasuryVaultLens = await ethers.getContractFactory("TreasuryVaultLens");
+        const lens = await TreasuryVaultLens.deploy();
+
+        const client = new TreasuryVaultClient(treasuryVault.address, owner, { lens: lens.address });
+        await client.deposit(ethers.utils.parseEther("100"));
+
+        return { treasuryVault, client, owner, manager1, manager2, manager3, newManager, recipient };
+    }
+
+    // ============ PROPOSAL STATUS TESTS ============
+    describe("1. Derived Proposal Status", function () {
+
+        it("Should track confirmations and move from pending to executed", async function () {
+            const { client, manager1, manager2, manager3, recipient } = await deployTreasuryFixture();
+
+            const { proposalId } = await client.connect(manager1).createProposal({
+                target: recipient.address,
+                value: ethers.utils.parseEther("3"),
+                description: "Pay recipient"
+            });
+            expect(proposalId).to.equal(0);
+
+            await client.connect(manager1).confirmProposal(proposalId);
+            let proposal = await client.getProposal(proposalId);
+            expect(proposal.status).to.equal(ProposalStatus.PENDING);
+            expect(proposal.confirmations).to.equal(1);
+            expect(proposal.requiredConfirmations).to.equal(2);
+            expect(proposal.confirmedBy).to.deep.equal([manager1.address]);
+            expect(proposal.awaitingConfirmation).to.deep.equal([manager2.address, manager3.address]);
+            expect(proposal.secondsUntilExpiry).to.equal(proposal.deadline - (await ethers.provider.getBlock("latest")).timestamp);
+
+            await client.connect(manager2).confirmProposal(proposalId);
+            proposal = await client.getProposal(proposalId);
+            expect(proposal.status).to.equal(ProposalStatus.EXECUTED);
+            expect(proposal.secondsUntilExpiry).to.be.null;
+        });
+
+        it("Should report ready when the threshold drops below existing confirmations", async function () {
+            const { client, manager1, manager2, manager3, recipient } = await deployTreasuryFixture();
+
+            await client.updateRequiredConfirmations(3);
+            await client.connect(manager1).createProposal({ target: recipient.address, description: "Needs three" });
+            await client.connect(manager1).confirmProposal(0);
+            await client.connect(manager2).confirmProposal(0);
+            expect((await client.getProposal(0)).status).to.equal(ProposalStatus.PENDING);
+
+            await client.updateRequiredConfirmations(2);
+            expect((await client.getProposal(0)).status).to.equal(ProposalStatus.READY);
+
+            await client.connect(manager3).executeProposal(0);
+            expect((await client.getProposal(0)).status).to.equal(ProposalStatus.EXECUTED);
+        });
+
+        it("Should report cancelled and expired proposals", async function () {
+            const { client, manager1, recipient } = await deployTreasuryFixture();
+
+            await client.connect(manager1).createProposal({ target: recipient.address, description: "Cancel me" });
+            await client.connect(manager1).createProposal({ target: recipient.address, description: "Let me expire" });
+            await client.cancelProposal(0);
+
+            const { deadline } = await client.getProposal(1);
+            await ethers.provider.send("evm_setNextBlockTimestamp", [deadline]);
+            await ethers.provider.send("evm_mine", []);
+
+            const expired = await client.getProposal(1);
+            expect(expired.status).to.equal(ProposalStatus.EXPIRED);
+            expect(expired.secondsUntilExpiry).to.equal(0);
+            expect((await client.getProposal(0)).status).to.equal(ProposalStatus.CANCELLED);
+
+            const listed = await client.getProposals({ status: ProposalStatus.EXPIRED });
+            expect(listed.map((proposal) => proposal.id)).to.deep.equal([1]);
+        });
+
+        it("Should report queued and vetoed proposals under a timelock", async function () {
+            const { client, manager1, manager2, manager3, recipient } = await deployTreasuryFixture();
+            await client.updateExecutionDelay(600);
+            expect(await client.getExecutionDelay()).to.equal(600);
+
+            for (const description of ["First", "Second"]) {
+                const { proposalId } = await client.connect(manager1).createProposal({ target: recipient.address, value: 1, description });
+                await client.connect(manager1).confirmProposal(proposalId);
+                await client.connect(manager2).confirmProposal(proposalId);
+            }
+
+            const queued = await client.getProposal(0);
+            expect(queued.status).to.equal(ProposalStatus.QUEUED);
+            expect(queued.secondsUntilExecutable).to.equal(queued.executableAt - (await ethers.provider.getBlock("latest")).timestamp);
+            expect(queued.secondsUntilExpiry).to.be.null;
+
+            await client.connect(manager3).vetoProposal(1);
+            expect((await client.getProposal(1)).status).to.equal(ProposalStatus.VETOED);
+
+            await ethers.provider.send("evm_increaseTime", [600]);
+            await ethers.provider.send("evm_mine", []);
+            expect((await client.getProposal(0)).status).to.equal(ProposalStatus.READY);
+        });
+
+        it("Should count only current managers and support revocation", async function () {
+            const { client, manager1, manager2, recipient } = await deployTreasuryFixture();
+            const { proposalId } = await client.connect(manager1).createProposal({ target: recipient.address, value: 1, description: "Vote" });
+            await client.connect(manager1).confirmProposal(proposalId);
+            await client.removeTreasuryManager(manager1.address);
+
+            let proposal = await client.getProposal(proposalId);
+            expect(proposal.confirmations).to.equal(0);
+            expect(proposal.staleConfirmations).to.equal(1);
+            expect(proposal.status).to.equal(ProposalStatus.PENDING);
+
+            await client.connect(manager2).confirmProposal(proposalId);
+            await client.connect(manager2).revokeConfirmation(proposalId);
+            proposal = await client.getProposal(proposalId);
+            expect(proposal.confirmedBy).to.deep.equal([]);
+        });
+    });
+
+    // ============ READ HELPER TESTS ============
+    describe("2. Read Helpers", function () {
+
+        it("Should report the remaining daily allowance after a withdrawal", async function () {
+            const { client, manager1, manager2, recipient } = await deployTreasuryFixture();
+
+            await client.connect(manager1).createProposal({ target: recipient.address, value: ethers.utils.parseEther("4"), description: "Spend" });
+            await client.connect(manager1).confirmProposal(0);
+            await client.connect(manager2).confirmProposal(0);
+
+            expect((await client.getRemainingDailyAllowance()).toString()).to.equal(ethers.utils.parseEther("6").toString());
+            expect((await client.getBalance()).toString()).to.equal(ethers.utils.parseEther("96").toString());
+        });
+
+        it("Should answer role questions", async function () {
+            const { client, owner, manager1, recipient } = await deployTreasuryFixture();
+
+            expect(await client.isAdmin(owner.address)).to.be.true;
+            expect(await client.isManager(manager1.address)).to.be.true;
+            expect(await client.canPropose(manager1.address)).to.be.true;
+            expect(await client.canPropose(recipient.address)).to.be.false;
+        });
+
+        it("Should list, grant and revoke roles by name", async function () {
+            const { client, owner, manager1, manager2, manager3, recipient } = await deployTreasuryFixture();
+
+            await client.grantRole(Role.PROPOSER, recipient.address);
+            await client.grantRole(Role.AUDITOR, recipient.address);
+            expect(await client.canPropose(recipient.address)).to.be.true;
+            expect(await client.getRoleAdmin(Role.AUDITOR)).to.equal(Role.ADMIN);
+
+            let roles = await client.getRoles();
+            expect(roles[Role.ADMIN]).to.deep.equal([owner.address]);
+            expect(roles[Role.MANAGER]).to.deep.equal([manager1.address, manager2.address, manager3.address]);
+            expect(roles[Role.PROPOSER]).to.deep.equal([manager1.address, manager2.address, manager3.address, recipient.address]);
+            expect(roles[Role.AUDITOR]).to.deep.equal([recipient.address]);
+            expect(roles[Role.GUARDIAN]).to.deep.equal([]);
+
+            await client.revokeRole(Role.PROPOSER, recipient.address);
+            roles = await client.getRoles();
+            expect(roles[Role.PROPOSER]).to.deep.equal([manager1.address, manager2.address, manager3.address]);
+
+            try {
+                TreasuryVaultClient.roleId("treasurer");
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("unknown role treasurer");
+            }
+        });
+
+        it("Should read the withdrawal history as an auditor", async function () {
+            const { client, manager1, manager2, recipient } = await deployTreasuryFixture();
+            await client.connect(manager1).createProposal({ target: recipient.address, value: ethers.utils.parseEther("2"), description: "Pay" });
+            await client.connect(manager1).confirmProposal(0);
+            await client.connect(manager2).confirmProposal(0);
+            const paidAt = (await ethers.provider.getBlock("latest")).timestamp;
+
+            try {
+                await client.connect(recipient).getWithdrawals();
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Caller is not an auditor");
+            }
+
+            await client.grantRole(Role.AUDITOR, recipient.address);
+            const withdrawals = await client.connect(recipient).getWithdrawals();
+            expect(withdrawals).to.have.length(1);
+            expect(withdrawals[0].amount.toString()).to.equal(ethers.utils.parseEther("2").toString());
+            expect(withdrawals[0].timestamp).to.equal(paidAt);
+        });
+    });
+
+    // ============ PAGINATED QUERY TESTS ============
+    describe("3. Paginated Queries", function () {
+
+        async function collect(iterator) {
+            const items = [];
+            for await (const item of iterator) {
+                items.push(item);
+            }
+            return items;
+        }
+
+        it("Should iterate proposals by status across pages", async function () {
+            const { client, manager1, manager2, recipient } = await deployTreasuryFixture();
+            for (let i = 0; i < 5; i++) {
+                await client.connect(manager1).createProposal({ target: recipient.address, value: 1, description: `Payment ${i}` });
+            }
+            await client.connect(manager1).confirmProposal(1);
+            await client.connect(manager2).confirmProposal(1);
+            await client.cancelProposal(3);
+
+            const pending = await collect(client.iterateProposalsByStatus(ProposalStatus.PENDING, { pageSize: 2 }));
+            expect(pending.map((summary) => summary.id)).to.deep.equal([0, 2, 4]);
+            expect(pending[0]).to.include({ proposer: manager1.address, target: recipient.address, confirmations: 0, status: ProposalStatus.PENDING });
+            expect(pending[0].value.toNumber()).to.equal(1);
+
+            const executed = await collect(client.iterateProposalsByStatus(ProposalStatus.EXECUTED, { pageSize: 1 }));
+            expect(executed.map((summary) => summary.id)).to.deep.equal([1]);
+            expect(executed[0].confirmations).to.equal(2);
+
+            try {
+                client.iterateProposalsByStatus("open");
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("unknown proposal status open");
+            }
+        });
+
+        it("Should iterate awaiting confirmations, proposers and targets", async function () {
+            const { client, owner, manager1, manager2, manager3, recipient } = await deployTreasuryFixture();
+            await client.connect(manager1).createProposal({ target: recipient.address, description: "To recipient" });
+            await client.connect(manager2).createProposal({ target: owner.address, description: "To owner" });
+            await client.connect(manager1).confirmProposal(0);
+
+            const awaiting = await collect(client.iterateAwaitingConfirmation(manager1.address));
+            expect(awaiting.map((summary) => summary.id)).to.deep.equal([1]);
+            expect((await collect(client.iterateAwaitingConfirmation(manager3.address))).map((summary) => summary.id)).to.deep.equal([0, 1]);
+
+            const byProposer = await collect(client.iterateProposalsByProposer(manager2.address));
+            expect(byProposer.map((summary) => summary.id)).to.deep.equal([1]);
+            const byTarget = await collect(client.iterateProposalsByTarget(recipient.address));
+            expect(byTarget.map((summary) => summary.id)).to.deep.equal([0]);
+        });
+
+        it("Should need a lens for paginated queries", async function () {
+            const { client, manager1, recipient } = await deployTreasuryFixture();
+            await client.connect(manager1).createProposal({ target: recipient.address, description: "To recipient" });
+
+            try {
+                await collect(new TreasuryVaultClient(client.address, manager1).iterateProposalsByProposer(manager1.address));
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("paginated queries need a TreasuryVaultLens address");
+            }
+        });
+    });
+
+    // ============ WRITE HELPER TESTS ============
+    describe("4. Write Helpers", function () {
+
+        it("Should wrap the admin functions", async function () {
+            const { client, manager1, manager2, newManager } = await deployTreasuryFixture();
+
+            await client.addTreasuryManager(newManager.address);
+            expect(await client.getManagers()).to.include(newManager.address);
+            await client.removeTreasuryManager(newManager.address);
+            expect(await client.getManagers()).to.not.include(newManager.address);
+
+            await client.updateDailyLimit(ethers.utils.parseEther("20"));
+            expect((await client.getDailyLimit()).toString()).to.equal(ethers.utils.parseEther("20").toString());
+
+            await client.pause();
+            expect(await client.isPaused()).to.be.true;
+            await client.unpause();
+
+            // The emergency guard only changes through a proposal
+            const { proposalId } = await client.connect(manager1).proposeGovernanceCall({ method: "setEmergencyGuard", args: [manager1.address], description: "New guard" });
+            await client.connect(manager1).confirmProposal(proposalId);
+            await client.connect(manager2).confirmProposal(proposalId);
+            expect(await client.getEmergencyGuard()).to.equal(manager1.address);
+        });
+
+        it("Should deposit, limit and propose ERC-20 transfers", async function () {
+            const { client, owner, manager1, manager2, recipient } = await deployTreasuryFixture();
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+            await token.mint(owner.address, 5000000);
+
+            await client.depositToken(token.address, 5000000);
+            await client.setTokenDailyLimit(token.address, 2000000);
+            expect((await client.getTokenBalance(token.address)).toNumber()).to.equal(5000000);
+            expect((await client.getTokenDailyLimit(token.address)).toNumber()).to.equal(2000000);
+
+            const { proposalId } = await client.connect(manager1).createTokenProposal({
+                token: token.address,
+                to: recipient.address,
+                amount: 1500000,
+                description: "Pay 1.5 USDC"
+            });
+            const proposal = await client.getProposal(proposalId);
+            expect(proposal.tokenTransfer.token).to.equal(token.address);
+            expect(proposal.tokenTransfer.to).to.equal(recipient.address);
+            expect(proposal.tokenTransfer.amount.toNumber()).to.equal(1500000);
+
+            await client.connect(manager1).confirmProposal(proposalId);
+            await client.connect(manager2).confirmProposal(proposalId);
+            expect((await token.balanceOf(recipient.address)).toNumber()).to.equal(1500000);
+            expect((await client.getRemainingTokenDailyAllowance(token.address)).toNumber()).to.equal(500000);
+        });
+
+        it("Should encode and propose governance self-calls", async function () {
+            const { client, manager1, manager2 } = await deployTreasuryFixture();
+            await client.enableSelfGovernance();
+            expect(await client.isSelfGoverned()).to.be.true;
+
+            const { proposalId } = await client.connect(manager1).proposeGovernanceCall({
+                method: "updateDailyLimit",
+                args: [ethers.utils.parseEther("25")],
+                description: "Raise the daily limit to 25 ETH"
+            });
+            const proposal = await client.getProposal(proposalId);
+            expect(proposal.target).to.equal(client.address);
+
+            await client.connect(manager1).confirmProposal(proposalId);
+            await client.connect(manager2).confirmProposal(proposalId);
+            expect((await client.getDailyLimit()).toString()).to.equal(ethers.utils.parseEther("25").toString());
+
+            try {
+                TreasuryVaultClient.encodeGovernanceCall("createProposal", []);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("createProposal is not a governance function");
+            }
+        });
+
+        it("Should propose in a spending category and read its budget", async function () {
+            const { client, manager1, manager2, recipient } = await deployTreasuryFixture();
+            await client.setCategoryBudget("Grants", ethers.utils.parseEther("5"), 30 * 86400);
+
+            const { proposalId } = await client.connect(manager1).createProposal({
+                target: recipient.address,
+                value: ethers.utils.parseEther("2"),
+                description: "Community grant",
+                category: "grants"
+            });
+            expect((await client.getProposal(proposalId)).category).to.equal("grants");
+            await client.connect(manager1).confirmProposal(proposalId);
+            await client.connect(manager2).confirmProposal(proposalId);
+
+            const budget = await client.getCategoryBudget("GRANTS");
+            expect(budget.category).to.equal("grants");
+            expect(budget.period).to.equal(30 * 86400);
+            expect(budget.spent.toString()).to.equal(ethers.utils.parseEther("2").toString());
+            expect(budget.remaining.toString()).to.equal(ethers.utils.parseEther("3").toString());
+            expect((await client.getCategoryBudget("payroll")).period).to.equal(0);
+        });
+
+        it("Should manage the address book and find who a call pays", async function () {
+            const { client, treasuryVault, manager1, recipient, newManager } = await deployTreasuryFixture();
+            await client.setRecipient(recipient.address, "  Acme Payroll ", ethers.utils.parseEther("3"));
+            await client.setRecipient(newManager.address, "Auditor");
+            await client.setUnknownRecipientThreshold(3);
+
+            const book = await client.getAddressBook();
+            expect(book.map((entry) => entry.label)).to.deep.equal(["Acme Payroll", "Auditor"]);
+            expect((await client.getRecipient(recipient.address)).remaining.toString()).to.equal(ethers.utils.parseEther("3").toString());
+            expect((await client.getRecipient(newManager.address)).remaining).to.be.null;
+            expect(await client.getRecipient(manager1.address)).to.be.null;
+            expect((await client.getUnknownRecipientThreshold()).toNumber()).to.equal(3);
+
+            await client.removeRecipient(newManager.address);
+            expect((await client.getAddressBook()).map((entry) => entry.address)).to.deep.equal([recipient.address]);
+
+            const transfer = new ethers.utils.Interface(["function transfer(address to, uint256 amount)"]).encodeFunctionData("transfer", [recipient.address, 5]);
+            const recipients = (target, value, data) => TreasuryVaultClient.paymentRecipients(treasuryVault.address, target, value, data)
+                .map((item) => [item.address, item.value.toString()]);
+            expect(recipients(manager1.address, 0, transfer)).to.deep.equal([[recipient.address, "0"]]);
+            expect(recipients(manager1.address, 1, "0x")).to.deep.equal([[manager1.address, "1"]]);
+            expect(recipients(treasuryVault.address, 1, "0x")).to.deep.equal([]);
+            expect(recipients(manager1.address, 0, "0x")).to.deep.equal([]);
+            // ETH sent along with token calldata still pays the target
+            expect(recipients(manager1.address, 7, transfer)).to.deep.equal([[recipient.address, "0"], [manager1.address, "7"]]);
+
+            try {
+                TreasuryVaultClient.encodeLabel("A label that is far too long for bytes32");
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("longer than 31 bytes");
+            }
+        });
+
+        it("Should refuse writes on a read-only client", async function () {
+            const { treasuryVault, recipient } = await deployTreasuryFixture();
+            const readOnly = new TreasuryVaultClient(treasuryVault.address, ethers.provider);
+
+            try {
+                await readOnly.createProposal({ target: recipient.address, description: "No signer" });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("needs a signer");
+            }
+            expect(await readOnly.getProposalCount()).to.equal(0);
+        });
+    });
+});
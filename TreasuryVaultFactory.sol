@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+/**
+ * @dev Parts of TreasuryVault used by the factory
+ */
+interface ITreasuryVaultInitializer {
+    function initialize(
+        address[] memory initialManagers,
+        uint256 requiredConfirmations,
+        uint256 dailyWithdrawalLimit,
+        address admin
+    ) external;
+}
+
+/**
+ * @title TreasuryVaultFactory
+ * @dev Deploys TreasuryVaults as EIP-1167 minimal proxies of one implementation vault and keeps a
+ * registry of every vault it created, so indexers and reports can find all of an organisation's
+ * vaults from VaultCreated events or the registry views. Each clone has its own storage and is
+ * initialized in the same transaction, with the caller as its admin.
+ * @notice The implementation is an ordinary deployed TreasuryVault; its own state is not shared
+ */
+contract TreasuryVaultFactory {
+
+    // ============ STATE VARIABLES ============
+    struct VaultRecord {
+        address vault;
+        address owner;          // account that created the vault and became its admin
+        string name;
+        uint256 createdAtBlock;
+    }
+
+    address public immutable implementation;
+
+    VaultRecord[] internal vaults;
+    mapping(address => bool) public isVault;
+    mapping(address => uint256[]) internal vaultsByOwner;
+
+    // ============ EVENTS ============
+    event VaultCreated(address indexed vault, address indexed owner, uint256 indexed index, string name);
+
+    // ============ CONSTRUCTOR ============
+    constructor(address _implementation) {
+        require(_implementation.code.length > 0, "TreasuryVaultFactory: Implementation is not a contract");
+        implementation = _implementation;
+    }
+
+    // ============ FACTORY FUNCTIONS ============
+
+    /**
+     * @dev Clone the implementation, initialize it with the caller as admin and record it
+     */
+    function createVault(
+        string calldata name,
+        address[] calldata initialManagers,
+        uint256 requiredConfirmations,
+        uint256 dailyWithdrawalLimit
+    ) external returns (address vault) {
+        require(bytes(name).length > 0, "TreasuryVaultFactory: Name required");
+
+        vault = _clone(implementation);
+        ITreasuryVaultInitializer(vault).initialize(initialManagers, requiredConfirmations, dailyWithdrawalLimit, msg.sender);
+
+        uint256 index = vaults.length;
+        vaults.push(VaultRecord(vault, msg.sender, name, block.number));
+        isVault[vault] = true;
+        vaultsByOwner[msg.sender].push(index);
+
+        emit VaultCreated(vault, msg.sender, index, name);
+    }
+
+    // ============ VIEW FUNCTIONS ============
+
+    function vaultCount() external view returns (uint256) {
+        return vaults.length;
+    }
+
+    /**
+     * @dev Registry entry by creation order
+     */
+    function getVault(uint256 index) external view returns (VaultRecord memory) {
+        require(index < vaults.length, "TreasuryVaultFactory: Vault does not exist");
+        return vaults[index];
+    }
+
+    /**
+     * @dev Registry entries of the vaults an account created
+     */
+    function getVaultsByOwner(address owner) external view returns (VaultRecord[] memory records) {
+        uint256[] storage indexes = vaultsByOwner[owner];
+        records = new VaultRecord[](indexes.length);
+        for (uint256 i = 0; i < indexes.length; i++) {
+            records[i] = vaults[indexes[i]];
+        }
+    }
+
+    // ============ INTERNAL FUNCTIONS ============
+
+    /**
+     * @dev Deploy an EIP-1167 minimal proxy delegating every call to `target`
+     */
+    function _clone(address target) internal returns (address instance) {
+        assembly {
+            let ptr := mload(0x40)
+            mstore(ptr, 0x3d602d80600a3d3981f3363d3d373d3d3d363d73000000000000000000000000)
+            mstore(add(ptr, 0x14), shl(0x60, target))
+            mstore(add(ptr, 0x28), 0x5af43d82803e903d91602b57fd5bf30000000000000000000000000000000000)
+            instance := create(0, ptr, 0x37)
+        }
+        require(instance != address(0), "TreasuryVaultFactory: Clone failed");
+    }
+}
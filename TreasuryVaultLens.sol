@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.27;
+
+/**
+ * @dev Parts of TreasuryVault read by the lens
+ */
+interface ITreasuryVaultReader {
+    function proposalCount() external view returns (uint256);
+    function getProposal(uint256 proposalId)
+        external
+        view
+        returns (
+            uint256 id,
+            address proposer,
+            address target,
+            uint256 value,
+            bytes memory data,
+            string memory description,
+            uint256 confirmations,
+            uint256 deadline,
+            bool executed,
+            bool cancelled
+        );
+    function getProposalTimelock(uint256 proposalId) external view returns (uint256 executableAt, bool vetoed);
+    function getProposalState(uint256 proposalId) external view returns (TreasuryVaultLens.ProposalState);
+    function hasConfirmed(uint256 proposalId, address manager) external view returns (bool);
+    function getTreasuryManagers() external view returns (address[] memory);
+}
+
+/**
+ * @title TreasuryVaultLens
+ * @dev Paginated proposal queries for TreasuryVaults, so a dashboard does not have to load every
+ * proposal one at a time. The lens holds no state; one deployment serves any number of vaults.
+ * It lives outside the vault to keep the vault under the contract size limit.
+ */
+contract TreasuryVaultLens {
+
+    // Mirrors TreasuryVault.ProposalState
+    enum ProposalState { Pending, Queued, Ready, Expired, Executed, Cancelled, Vetoed }
+
+    // Compact proposal view for enumeration (no calldata or description)
+    struct ProposalSummary {
+        uint256 id;
+        address proposer;
+        address target;
+        uint256 value;
+        uint256 confirmations;
+        uint256 deadline;
+        uint256 executableAt;
+        ProposalState state;
+    }
+
+    // What a paginated query filters on
+    enum ProposalFilter { State, AwaitingConfirmation, Proposer, Target }
+
+    // ============ QUERIES ============
+
+    /**
+     * @dev Page through a vault's proposals in a given state, starting at proposal id `cursor`.
+     * Each call looks at no more than `limit` proposals, so a rare match cannot make one call walk the
+     * whole history: the page holds the matches among them (possibly none) and the cursor for the next
+     * page (proposalCount when done).
+     */
+    function getProposalsByState(ITreasuryVaultReader vault, ProposalState state, uint256 cursor, uint256 limit)
+        external
+        view
+        returns (ProposalSummary[] memory page, uint256 nextCursor)
+    {
+        return _queryProposals(vault, ProposalFilter.State, uint256(state), cursor, limit);
+    }
+
+    /**
+     * @dev Page through open proposals a manager has not confirmed yet
+     */
+    function getAwaitingConfirmation(ITreasuryVaultReader vault, address manager, uint256 cursor, uint256 limit)
+        external
+        view
+        returns (ProposalSummary[] memory page, uint256 nextCursor)
+    {
+        return _queryProposals(vault, ProposalFilter.AwaitingConfirmation, uint256(uint160(manager)), cursor, limit);
+    }
+
+    /**
+     * @dev Page through proposals created by an account
+     */
+    function getProposalsByProposer(ITreasuryVaultReader vault, address proposer, uint256 cursor, uint256 limit)
+        external
+        view
+        returns (ProposalSummary[] memory page, uint256 nextCursor)
+    {
+        return _queryProposals(vault, ProposalFilter.Proposer, uint256(uint160(proposer)), cursor, limit);
+    }
+
+    /**
+     * @dev Page through proposals that call or pay a target
+     */
+    function getProposalsByTarget(ITreasuryVaultReader vault, address target, uint256 cursor, uint256 limit)
+        external
+        view
+        returns (ProposalSummary[] memory page, uint256 nextCursor)
+    {
+        return _queryProposals(vault, ProposalFilter.Target, uint256(uint160(target)), cursor, limit);
+    }
+
+    // ============ INTERNAL FUNCTIONS ============
+
+    /**
+     * @dev Scan up to `limit` proposals from `cursor` and collect the summaries matching the filter
+     */
+    function _queryProposals(
+        ITreasuryVaultReader vault,
+        ProposalFilter filter,
+        uint256 key,
+        uint256 cursor,
+        uint256 limit
+    ) internal view returns (ProposalSummary[] memory page, uint256 nextCursor) {
+        page = new ProposalSummary[](limit);
+        uint256 found;
+        uint256 count = vault.proposalCount();
+        address[] memory managers = vault.getTreasuryManagers();
+        uint256 end = cursor < count && count - cursor > limit ? cursor + limit : count;
+        nextCursor = cursor;
+
+        while (nextCursor < end) {
+            ProposalSummary memory summary = _summarize(vault, nextCursor, managers);
+            bool matches;
+            if (filter == ProposalFilter.State) {
+                matches = uint256(summary.state) == key;
+            } else if (filter == ProposalFilter.AwaitingConfirmation) {
+                matches = (summary.state == ProposalState.Pending || summary.state == ProposalState.Ready) &&
+                    !vault.hasConfirmed(nextCursor, address(uint160(key)));
+            } else if (filter == ProposalFilter.Proposer) {
+                matches = summary.proposer == address(uint160(key));
+            } else {
+                matches = summary.target == address(uint160(key));
+            }
+
+            if (matches) {
+                page[found++] = summary;
+            }
+            nextCursor++;
+        }
+
+        // Trim the unused tail of the page
+        assembly {
+            mstore(page, found)
+        }
+    }
+
+    /**
+     * @dev Summary of one proposal, counting only current managers' confirmations
+     */
+    function _summarize(ITreasuryVaultReader vault, uint256 proposalId, address[] memory managers)
+        internal
+        view
+        returns (ProposalSummary memory summary)
+    {
+        (, address proposer, address target, uint256 value, , , , uint256 deadline, , ) = vault.getProposal(proposalId);
+        (uint256 executableAt, ) = vault.getProposalTimelock(proposalId);
+
+        uint256 confirmations;
+        for (uint256 i = 0; i < managers.length; i++) {
+            if (vault.hasConfirmed(proposalId, managers[i])) {
+                confirmations++;
+            }
+        }
+
+        summary = ProposalSummary({
+            id: proposalId,
+            proposer: proposer,
+            target: target,
+            value: value,
+            confirmations: confirmations,
+            deadline: deadline,
+            executableAt: executableAt,
+            state: vault.getProposalState(proposalId)
+        });
+    }
+}
@@ -0,0 +1,410 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { TreasuryVaultClient } = require("./TreasuryVaultClient");
+
+// ============ RULES ============
+const Severity = {
+    CRITICAL: "critical",
+    WARNING: "warning"
+};
+
+// Rules that are on unless the config turns them off; proposalValueAbove is off until set
+const DEFAULT_RULES = {
+    paused: true,
+    emergencyWithdrawal: true,
+    proposalValueAbove: null,
+    unknownTarget: true,
+    knownTargets: [],
+    managerRemoved: true,
+    dailyLimitUpdated: true
+};
+
+const SWITCH_RULES = ["paused", "emergencyWithdrawal", "unknownTarget", "managerRemoved", "dailyLimitUpdated"];
+
+/**
+ * @dev Read an alert config: { "rules": {...}, "sinks": [{ "type": "stdout" | "file" | "webhook", ... }] }
+ */
+function loadAlertConfig(file) {
+    if (!fs.existsSync(file)) {
+        throw new Error(`Alert config not found: ${file}`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @dev Check an alert config and fill in the default rules. Returns { rules, sinks } with
+ * proposalValueAbove in wei and knownTargets checksummed.
+ */
+function validateAlertConfig(config) {
+    const rules = { ...DEFAULT_RULES, ...(config.rules || {}) };
+
+    for (const name of Object.keys(rules)) {
+        if (!(name in DEFAULT_RULES)) {
+            throw new Error(`Alert config error: unknown rule "${name}"`);
+        }
+    }
+    for (const name of SWITCH_RULES) {
+        if (typeof rules[name] !== "boolean") {
+            throw new Error(`Alert config error: rules.${name} must be true or false`);
+        }
+    }
+    if (rules.proposalValueAbove !== null) {
+        try {
+            rules.proposalValueAbove = ethers.utils.parseEther(String(rules.proposalValueAbove));
+        } catch (error) {
+            throw new Error(`Alert config error: invalid rules.proposalValueAbove ${rules.proposalValueAbove}`);
+        }
+    }
+    if (!Array.isArray(rules.knownTargets)) {
+        throw new Error("Alert config error: rules.knownTargets must be a list of addresses");
+    }
+    rules.knownTargets = rules.knownTargets.map((address) => {
+        if (!ethers.utils.isAddress(address)) {
+            throw new Error(`Alert config error: invalid known target ${address}`);
+        }
+        return ethers.utils.getAddress(address);
+    });
+
+    const sinks = config.sinks || [{ type: "stdout" }];
+    if (!Array.isArray(sinks) || sinks.length === 0) {
+        throw new Error("Alert config error: sinks must be a non-empty list");
+    }
+    for (const sink of sinks) {
+        if (!SINK_TYPES[sink.type]) {
+            throw new Error(`Alert config error: unknown sink type "${sink.type}" - expected one of ${Object.keys(SINK_TYPES).join(", ")}`);
+        }
+        if (sink.type === "file" && !sink.path) {
+            throw new Error("Alert config error: file sinks need a path");
+        }
+        if (sink.type === "webhook" && !/^https?:\/\//.test(sink.url || "")) {
+            throw new Error(`Alert config error: invalid webhook url ${sink.url}`);
+        }
+        if (sink.type === "webhook" && typeof fetch !== "function") {
+            throw new Error("Alert config error: webhook sinks need Node 18 or later, which provides fetch");
+        }
+    }
+    return { rules, sinks };
+}
+
+/**
+ * @dev One line per alert, for people reading a terminal or log file
+ */
+function formatAlert(alert) {
+    const icon = alert.severity === Severity.CRITICAL ? "🚨" : "⚠️ ";
+    return `${icon} [${alert.severity}] ${alert.title}: ${alert.message} (block ${alert.blockNumber}, tx ${alert.transactionHash})`;
+}
+
+// ============ SINKS ============
+
+/**
+ * @title StdoutSink
+ * @dev Prints alerts with formatAlert
+ */
+class StdoutSink {
+    constructor({ log = console.log } = {}) {
+        this.name = "stdout";
+        this.log = log;
+    }
+
+    async send(alert) {
+        this.log(formatAlert(alert));
+    }
+}
+
+/**
+ * @title FileSink
+ * @dev Appends alerts to a file as JSON lines
+ */
+class FileSink {
+    constructor({ path: file }) {
+        this.name = `file:${file}`;
+        this.file = file;
+    }
+
+    async send(alert) {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.appendFileSync(this.file, JSON.stringify(alert) + "\n");
+    }
+}
+
+/**
+ * @title WebhookSink
+ * @dev POSTs each alert as JSON. Any response other than 2xx counts as a failed delivery.
+ * Receivers can drop repeats by alert.id: a delivery cut short by a crash is sent again on restart.
+ */
+class WebhookSink {
+    constructor({ url, headers = {}, timeout = 10000 }) {
+        this.name = `webhook:${url}`;
+        this.url = url;
+        this.headers = headers;
+        this.timeout = timeout;
+    }
+
+    async send(alert) {
+        const response = await fetch(this.url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json", ...this.headers },
+            body: JSON.stringify(alert),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+        if (!response.ok) {
+            throw new Error(`Webhook ${this.url} answered ${response.status}`);
+        }
+    }
+}
+
+// Sink classes by config type; add an entry to plug in another kind of sink
+const SINK_TYPES = {
+    stdout: StdoutSink,
+    file: FileSink,
+    webhook: WebhookSink
+};
+
+/**
+ * @dev Build sinks from validated sink configs
+ */
+function createSinks(configs, options = {}) {
+    return configs.map((config) => new SINK_TYPES[config.type]({ ...options, ...config }));
+}
+
+// ============ STATE ============
+
+/**
+ * @title AlertState
+ * @dev What the watcher has already alerted on, kept in a JSON file so a restart neither repeats
+ * nor drops alerts: the last block evaluated, the ids of recent alerts and the deliveries still owed
+ */
+class AlertState {
+    constructor(file) {
+        this.file = file;
+        this.data = { lastBlock: null, sent: {}, pending: [] };
+        if (file && fs.existsSync(file)) {
+            this.data = JSON.parse(fs.readFileSync(file, "utf8"));
+        }
+    }
+
+    /**
+     * @dev Persist the state atomically, like the event store
+     */
+    save() {
+        if (!this.file) return;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmp, this.file);
+    }
+}
+
+// ============ WATCHER ============
+
+/**
+ * @title AlertWatcher
+ * @dev Keeps an indexer in sync, turns new vault events into alerts with the configured rules and
+ * delivers each alert to every sink once. Alerts are identified by transaction, log index and
+ * rule, so an event seen again after a reorg or a restart does not alert twice. A failed delivery
+ * is retried on the next poll, only to the sinks that missed it.
+ */
+class AlertWatcher {
+    /**
+     * @param {Object} options
+     * @param {TreasuryVaultClient} options.client - Vault being watched
+     * @param {TreasuryIndexer} options.indexer - Indexer over the same vault
+     * @param {Object} options.rules - Rules from validateAlertConfig
+     * @param {Object[]} options.sinks - Objects with a name and an async send(alert)
+     * @param {AlertState} options.state
+     * @param {number} [options.startBlock] - First block to alert on when the state is new
+     */
+    constructor({ client, indexer, rules, sinks, state, startBlock, reorgDepth = 64 }) {
+        this.client = client;
+        this.indexer = indexer;
+        this.rules = rules;
+        this.sinks = sinks;
+        this.state = state;
+        this.startBlock = startBlock === undefined ? indexer.startBlock : startBlock;
+        this.reorgDepth = reorgDepth;
+    }
+
+    /**
+     * @dev Alerts one indexed event raises
+     */
+    async evaluate(event) {
+        const { rules } = this;
+        const { args } = event;
+        const alerts = [];
+        const raise = (rule, severity, title, message) => alerts.push({
+            id: `${event.transactionHash}:${event.logIndex}:${rule}`,
+            rule,
+            severity,
+            title,
+            message,
+            vault: this.client.address,
+            event: event.event,
+            blockNumber: event.blockNumber,
+            timestamp: event.timestamp,
+            transactionHash: event.transactionHash,
+            args
+        });
+
+        switch (event.event) {
+            case "Paused":
+                if (rules.paused) raise("paused", Severity.CRITICAL, "Vault paused", `paused by ${args.account}`);
+                break;
+            case "EmergencyWithdrawal":
+                if (rules.emergencyWithdrawal) {
+                    raise(
+                        "emergencyWithdrawal",
+                        Severity.CRITICAL,
+                        "Emergency withdrawal",
+                        `${ethers.utils.formatEther(args.amount)} ETH to ${args.to}, authorized by ${args.authorizer}`
+                    );
+                }
+                break;
+            case "TreasuryManagerRemoved":
+                if (rules.managerRemoved) {
+                    raise("managerRemoved", Severity.CRITICAL, "Treasury manager removed", `${args.manager} removed by ${args.removedBy}`);
+                }
+                break;
+            case "DailyLimitUpdated":
+                if (rules.dailyLimitUpdated) {
+                    raise(
+                        "dailyLimitUpdated",
+                        Severity.WARNING,
+                        "Daily limit changed",
+                        `${ethers.utils.formatEther(args.oldLimit)} → ${ethers.utils.formatEther(args.newLimit)} ETH`
+                    );
+                }
+                break;
+            case "ProposalCreated": {
+                const value = ethers.BigNumber.from(args.value);
+                if (rules.proposalValueAbove && value.gt(rules.proposalValueAbove)) {
+                    raise(
+                        "largeProposal",
+                        Severity.WARNING,
+                        "Large proposal",
+                        `#${args.proposalId} by ${args.proposer} moves ${ethers.utils.formatEther(value)} ETH ` +
+                        `(threshold ${ethers.utils.formatEther(rules.proposalValueAbove)} ETH)`
+                    );
+                }
+                if (rules.unknownTarget) {
+                    const unknown = await this.findUnknownTargets(args.proposalId);
+                    if (unknown.length > 0) {
+                        raise(
+                            "unknownTarget",
+                            Severity.WARNING,
+                            "Proposal to unknown address",
+                            `#${args.proposalId} by ${args.proposer} pays or calls ${unknown.join(", ")}, outside the address book`
+                        );
+                    }
+                }
+                break;
+            }
+        }
+        return alerts;
+    }
+
+    /**
+     * @dev Addresses a proposal pays or calls that are neither in the address book, a known
+     * target, an enabled module nor the emergency guard. Each call of a batch counts on its own.
+     */
+    async findUnknownTargets(proposalId) {
+        const raw = await this.client.contract.getProposal(proposalId);
+        const vault = this.client.address;
+        const calls = TreasuryVaultClient.decodeBatch(vault, raw.target, raw.data) || [raw];
+
+        const guard = await this.client.getEmergencyGuard();
+        const unknown = [];
+        for (const call of calls) {
+            let addresses = TreasuryVaultClient.paymentRecipients(vault, call.target, call.value, call.data).map((recipient) => recipient.address);
+            if (addresses.length === 0 && call.target.toLowerCase() !== vault.toLowerCase()) {
+                addresses = [ethers.utils.getAddress(call.target)];
+            }
+            for (const address of addresses) {
+                if (
+                    unknown.includes(address) ||
+                    this.rules.knownTargets.includes(address) ||
+                    address === guard ||
+                    (await this.client.getRecipient(address)) ||
+                    (await this.client.isModule(address))
+                ) {
+                    continue;
+                }
+                unknown.push(address);
+            }
+        }
+        return unknown;
+    }
+
+    /**
+     * @dev Sync, raise alerts for events past the last evaluated block and deliver everything owed
+     * @returns {Promise<{alerts: Object[], delivered: number, failed: Object[], rolledBackTo: number|null}>}
+     */
+    async poll() {
+        const { data } = this.state;
+        const synced = await this.indexer.sync();
+        if (synced.rolledBackTo !== null && data.lastBlock !== null && data.lastBlock > synced.rolledBackTo) {
+            data.lastBlock = synced.rolledBackTo;
+        }
+
+        // Record new alerts as owed before sending anything, so a crash mid-delivery resends them
+        const alerts = [];
+        const checkpoint = this.indexer.store.getCheckpoint();
+        if (checkpoint) {
+            const fromBlock = data.lastBlock === null ? this.startBlock : data.lastBlock + 1;
+            for (const event of this.indexer.store.query({ fromBlock, toBlock: checkpoint.blockNumber })) {
+                for (const alert of await this.evaluate(event)) {
+                    if (data.sent[alert.id] !== undefined) continue;
+                    data.sent[alert.id] = alert.blockNumber;
+                    data.pending.push({ alert, sinks: this.sinks.map((sink) => sink.name) });
+                    alerts.push(alert);
+                }
+            }
+            data.lastBlock = checkpoint.blockNumber;
+            for (const [id, blockNumber] of Object.entries(data.sent)) {
+                if (blockNumber < checkpoint.blockNumber - this.reorgDepth) delete data.sent[id];
+            }
+        }
+        this.state.save();
+
+        let delivered = 0;
+        const failed = [];
+        const owed = data.pending;
+        const stillOwed = [];
+        for (const [i, entry] of owed.entries()) {
+            const missed = [];
+            for (const name of entry.sinks) {
+                const sink = this.sinks.find((candidate) => candidate.name === name);
+                if (!sink) continue; // Sink removed from the config since
+                try {
+                    await sink.send(entry.alert);
+                    delivered++;
+                } catch (error) {
+                    missed.push(name);
+                    failed.push({ id: entry.alert.id, sink: name, reason: error.message });
+                }
+            }
+            if (missed.length > 0) {
+                stillOwed.push({ alert: entry.alert, sinks: missed });
+            }
+            data.pending = stillOwed.concat(owed.slice(i + 1));
+            this.state.save();
+        }
+
+        return { alerts, delivered, failed, rolledBackTo: synced.rolledBackTo };
+    }
+}
+
+module.exports = {
+    Severity,
+    DEFAULT_RULES,
+    SINK_TYPES,
+    loadAlertConfig,
+    validateAlertConfig,
+    formatAlert,
+    createSinks,
+    StdoutSink,
+    FileSink,
+    WebhookSink,
+    AlertState,
+    AlertWatcher
+};
@@ -0,0 +1,239 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { TreasuryVaultClient } = require("./TreasuryVaultClient");
+const { EventStore, TreasuryIndexer } = require("./indexer");
+const { AlertState, AlertWatcher, createSinks, validateAlertConfig } = require("./alerts");
+
+describe("Alert Watcher", function () {
+
+    // ============ TEST SETUP ============
+    async function alertFixture() {
+        const [owner, manager1, manager2, manager3, vendor, stranger] = await ethers.getSigners();
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const treasuryVault = await TreasuryVault.deploy(
+            [manager1.address, manager2.address, manager3.address],
+            2,
+            ethers.utils.parseEther("10")
+        );
+        const startBlock = treasuryVault.deployTransaction.blockNumber;
+        await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("100") });
+
+        const client = new TreasuryVaultClient(treasuryVault.address, owner);
+        await client.setRecipient(vendor.address, "Vendor");
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "treasury-alerts-"));
+        return { treasuryVault, client, owner, manager1, manager2, manager3, vendor, stranger, startBlock, dir };
+    }
+
+    // Local stand-in for a webhook receiver; answers with `status` until changed
+    async function startReceiver() {
+        const receiver = { received: [], status: 200 };
+        receiver.server = http.createServer((request, response) => {
+            let body = "";
+            request.on("data", (chunk) => (body += chunk));
+            request.on("end", () => {
+                if (receiver.status === 200) receiver.received.push(JSON.parse(body));
+                response.writeHead(receiver.status);
+                response.end();
+            });
+        });
+        await new Promise((resolve) => receiver.server.listen(0, "127.0.0.1", resolve));
+        receiver.url = `http://127.0.0.1:${receiver.server.address().port}/alerts`;
+        return receiver;
+    }
+
+    function createWatcher({ client, startBlock, dir }, config) {
+        const { rules, sinks } = validateAlertConfig(config);
+        const lines = [];
+        return {
+            lines,
+            watcher: new AlertWatcher({
+                client,
+                indexer: new TreasuryIndexer({
+                    provider: ethers.provider,
+                    address: client.address,
+                    store: new EventStore(path.join(dir, "events.json")),
+                    startBlock
+                }),
+                rules,
+                sinks: createSinks(sinks, { log: (line) => lines.push(line) }),
+                state: new AlertState(path.join(dir, "alerts.json"))
+            })
+        };
+    }
+
+    // ============ RULE TESTS ============
+    describe("1. Rules", function () {
+
+        it("Should alert on each configured event", async function () {
+            const fixture = await alertFixture();
+            const { client, owner, manager1, manager3, vendor, stranger } = fixture;
+            const { watcher, lines } = createWatcher(fixture, { rules: { proposalValueAbove: "5" } });
+
+            await client.connect(manager1).createProposal({ target: vendor.address, value: ethers.utils.parseEther("6"), description: "Invoice" });
+            await client.connect(manager1).createProposal({ target: stranger.address, value: ethers.utils.parseEther("1"), description: "Who?" });
+            await client.connect(manager1).createBatchProposal({
+                calls: [
+                    { target: vendor.address, value: ethers.utils.parseEther("1") },
+                    { target: stranger.address, value: ethers.utils.parseEther("1") }
+                ],
+                description: "Batch"
+            });
+            await client.updateDailyLimit(ethers.utils.parseEther("20"));
+            await client.removeTreasuryManager(manager3.address);
+            await client.pause();
+
+            const result = await watcher.poll();
+            expect(result.alerts.map((alert) => alert.rule)).to.deep.equal([
+                "largeProposal",
+                "unknownTarget",
+                "unknownTarget",
+                "dailyLimitUpdated",
+                "managerRemoved",
+                "paused"
+            ]);
+            expect(result.alerts[1].message).to.include(`#1 by ${manager1.address} pays or calls ${stranger.address}`);
+            expect(result.alerts[2].message).to.include(`#2 by ${manager1.address} pays or calls ${stranger.address}`);
+            expect(result.alerts[5]).to.include({ severity: "critical", event: "Paused", vault: client.address });
+            expect(lines[5]).to.include(`🚨 [critical] Vault paused: paused by ${owner.address}`);
+            expect(result.delivered).to.equal(6);
+        });
+
+        it("Should respect switched-off rules and known targets", async function () {
+            const fixture = await alertFixture();
+            const { client, manager1, stranger } = fixture;
+            const { watcher } = createWatcher(fixture, {
+                rules: { paused: false, dailyLimitUpdated: false, knownTargets: [stranger.address.toLowerCase()] }
+            });
+
+            await client.connect(manager1).createProposal({ target: stranger.address, value: ethers.utils.parseEther("50"), description: "Known" });
+            await client.updateDailyLimit(ethers.utils.parseEther("20"));
+            await client.pause();
+
+            expect((await watcher.poll()).alerts).to.deep.equal([]);
+        });
+
+        it("Should reject invalid configs", async function () {
+            for (const [config, message] of [
+                [{ rules: { paused: "yes" } }, "rules.paused must be true or false"],
+                [{ rules: { bigTransfers: true } }, "unknown rule \"bigTransfers\""],
+                [{ rules: { proposalValueAbove: "lots" } }, "invalid rules.proposalValueAbove"],
+                [{ sinks: [{ type: "sms" }] }, "unknown sink type \"sms\""],
+                [{ sinks: [{ type: "webhook", url: "ftp://example.com" }] }, "invalid webhook url"]
+            ]) {
+                try {
+                    validateAlertConfig(config);
+                    expect.fail("Should have thrown an error");
+                } catch (error) {
+                    expect(error.message).to.include(message);
+                }
+            }
+        });
+    });
+
+    // ============ DELIVERY TESTS ============
+    describe("2. Delivery", function () {
+
+        it("Should deliver to webhook and file sinks once, across restarts", async function () {
+            const fixture = await alertFixture();
+            const receiver = await startReceiver();
+            const logFile = path.join(fixture.dir, "alerts.log");
+            const config = { sinks: [{ type: "webhook", url: receiver.url }, { type: "file", path: logFile }] };
+
+            try {
+                await fixture.client.pause();
+                const first = createWatcher(fixture, config).watcher;
+                expect((await first.poll()).delivered).to.equal(2);
+                expect((await first.poll()).alerts).to.deep.equal([]);
+
+                // A new watcher on the same state files, as after a restart
+                await fixture.client.removeTreasuryManager(fixture.manager3.address);
+                const restarted = createWatcher(fixture, config).watcher;
+                const result = await restarted.poll();
+
+                expect(result.alerts.map((alert) => alert.rule)).to.deep.equal(["managerRemoved"]);
+                expect(receiver.received.map((alert) => alert.rule)).to.deep.equal(["paused", "managerRemoved"]);
+                const logged = fs.readFileSync(logFile, "utf8").trim().split("\n").map((line) => JSON.parse(line));
+                expect(logged.map((alert) => alert.id)).to.deep.equal(receiver.received.map((alert) => alert.id));
+            } finally {
+                receiver.server.close();
+            }
+        });
+
+        it("Should retry a failed webhook delivery without repeating the other sinks", async function () {
+            const fixture = await alertFixture();
+            const receiver = await startReceiver();
+            const logFile = path.join(fixture.dir, "alerts.log");
+            const { watcher } = createWatcher(fixture, { sinks: [{ type: "webhook", url: receiver.url }, { type: "file", path: logFile }] });
+
+            try {
+                receiver.status = 500;
+                await fixture.client.pause();
+                const failed = await watcher.poll();
+                expect(failed.failed).to.have.length(1);
+                expect(failed.failed[0].reason).to.include("answered 500");
+                expect(watcher.state.data.pending).to.have.length(1);
+
+                receiver.status = 200;
+                const retried = await watcher.poll();
+                expect(retried.alerts).to.deep.equal([]);
+                expect(retried.delivered).to.equal(1);
+                expect(receiver.received.map((alert) => alert.rule)).to.deep.equal(["paused"]);
+                expect(fs.readFileSync(logFile, "utf8").trim().split("\n")).to.have.length(1);
+                expect(watcher.state.data.pending).to.deep.equal([]);
+            } finally {
+                receiver.server.close();
+            }
+        });
+
+        it("Should refuse webhook sinks on a Node without fetch", async function () {
+            const descriptor = Object.getOwnPropertyDescriptor(globalThis, "fetch");
+            delete globalThis.fetch;
+            try {
+                expect(() => validateAlertConfig({ sinks: [{ type: "webhook", url: "https://alerts.example/hook" }] }))
+                    .to.throw("webhook sinks need Node 18 or later");
+            } finally {
+                Object.defineProperty(globalThis, "fetch", descriptor);
+            }
+            expect(validateAlertConfig({ sinks: [{ type: "webhook", url: "https://alerts.example/hook" }] }).sinks).to.have.length(1);
+        });
+    });
+
+    // ============ TASK TESTS ============
+    describe("3. Alerts Task", function () {
+
+        it("Should poll once with the task and a config file", async function () {
+            const fixture = await alertFixture();
+            const configFile = path.join(fixture.dir, "alerts-config.json");
+            fs.writeFileSync(configFile, JSON.stringify({ rules: { proposalValueAbove: "1" }, sinks: [{ type: "stdout" }] }));
+            await fixture.client.connect(fixture.manager1).createProposal({
+                target: fixture.vendor.address,
+                value: ethers.utils.parseEther("2"),
+                description: "Invoice"
+            });
+
+            const lines = [];
+            const originalLog = console.log;
+            console.log = (...parts) => lines.push(parts.join(" "));
+            try {
+                await hre.run("treasury:alerts", {
+                    vault: fixture.client.address,
+                    alertConfig: configFile,
+                    state: path.join(fixture.dir, "task-alerts.json"),
+                    store: path.join(fixture.dir, "task-events.json")
+                });
+            } finally {
+                console.log = originalLog;
+            }
+
+            const output = lines.join("\n");
+            expect(output).to.include("⚠️  [warning] Large proposal: #0");
+            expect(output).to.include("1 new alert(s), 1 delivered, 0 owed");
+        });
+    });
+});
@@ -0,0 +1,160 @@
+const { ethers } = require("ethers");
+const { resolveDeployConfig, validateDeployConfig } = require("./deploy");
+const { Role, TREASURY_VAULT_ABI, TreasuryVaultClient } = require("./TreasuryVaultClient");
+
+const ROLE_EVENTS_ABI = TREASURY_VAULT_ABI.filter((fragment) =>
+    fragment.startsWith("event RoleGranted(") || fragment.startsWith("event RoleRevoked(")
+);
+
+const roleEventsInterface = new ethers.utils.Interface(ROLE_EVENTS_ABI);
+
+/**
+ * @dev Replay the vault's RoleGranted and RoleRevoked logs, in block chunks, into the holders
+ * of every role (keyed by role name, in the order they were granted)
+ */
+async function reconstructRoleHolders(provider, vault, { fromBlock = 0, toBlock, chunkSize = 2000 } = {}) {
+    const head = toBlock === undefined ? await provider.getBlockNumber() : toBlock;
+    const topics = [["RoleGranted", "RoleRevoked"].map((name) => roleEventsInterface.getEventTopic(name))];
+    const holders = {};
+    let events = 0;
+
+    for (let start = fromBlock; start <= head; start += chunkSize) {
+        const logs = await provider.getLogs({
+            address: ethers.utils.getAddress(vault),
+            topics,
+            fromBlock: start,
+            toBlock: Math.min(start + chunkSize - 1, head)
+        });
+        for (const log of logs) {
+            const parsed = roleEventsInterface.parseLog(log);
+            const role = TreasuryVaultClient.roleName(parsed.args.role);
+            const current = holders[role] || [];
+            holders[role] = parsed.name === "RoleGranted"
+                ? current.concat(current.includes(parsed.args.account) ? [] : [parsed.args.account])
+                : current.filter((account) => account !== parsed.args.account);
+            events++;
+        }
+    }
+    return { holders, events, toBlock: head };
+}
+
+/**
+ * @dev The state a deployment config declares. "deployer" in the managers list, and the admin
+ * unless the config lists "admins", stand for `deployer`; "paused" defaults to false.
+ */
+function expectedStateFromConfig(config, { deployer } = {}) {
+    const usesDeployer = (config.managers || []).includes("deployer") || config.admins === undefined;
+    if (usesDeployer && !deployer) {
+        throw new Error("Audit config error: the config refers to the deployer - pass the deployer address");
+    }
+    if (config.paused !== undefined && typeof config.paused !== "boolean") {
+        throw new Error("Audit config error: paused must be true or false");
+    }
+
+    const resolved = resolveDeployConfig(config, deployer, ethers);
+    const managers = validateDeployConfig(resolved, ethers);
+    const checksum = (accounts, name) => accounts.map((account) => {
+        if (!ethers.utils.isAddress(account)) {
+            throw new Error(`Audit config error: invalid ${name} address ${account}`);
+        }
+        return ethers.utils.getAddress(account);
+    });
+    const admins = checksum(config.admins || [deployer], "admin");
+    const proposers = checksum(resolved.proposers, "proposer");
+
+    return {
+        managers,
+        roles: {
+            [Role.DEFAULT_ADMIN]: admins,
+            [Role.ADMIN]: admins,
+            [Role.MANAGER]: managers,
+            // Managers propose too: the vault grants them the proposer role with the manager role
+            [Role.PROPOSER]: managers.concat(proposers.filter((proposer) => !managers.includes(proposer))),
+            [Role.GUARDIAN]: checksum(resolved.guardians, "guardian"),
+            [Role.AUDITOR]: checksum(resolved.auditors, "auditor")
+        },
+        requiredConfirmations: resolved.requiredConfirmations,
+        dailyWithdrawalLimit: resolved.dailyWithdrawalLimit,
+        executionDelay: resolved.executionDelay,
+        selfGoverned: resolved.selfGoverned,
+        paused: config.paused === undefined ? false : config.paused
+    };
+}
+
+/**
+ * @dev Compare a vault's live state with the expected state and list every difference.
+ * Role holders come from the RoleGranted/RoleRevoked history and are cross-checked against
+ * getRoleMembers, so a history that starts too late shows up instead of hiding drift.
+ * @param {Object} options
+ * @param {TreasuryVaultClient} options.client
+ * @param {Object} options.expected - From expectedStateFromConfig
+ * @param {number} [options.fromBlock] - Block to replay role events from (the deployment block)
+ * @param {number} [options.chunkSize]
+ * @returns {Promise<Object>} vault, blockNumber, checks (name and whether it passed), drift and roleEvents
+ */
+async function auditVault({ client, expected, fromBlock = 0, chunkSize }) {
+    const provider = client.contract.provider;
+    const blockNumber = await provider.getBlockNumber();
+    const at = { blockTag: blockNumber };
+    const [managers, requiredConfirmations, dailyWithdrawalLimit, executionDelay, selfGoverned, paused, members] = await Promise.all([
+        client.contract.getTreasuryManagers(at),
+        client.contract.requiredConfirmations(at),
+        client.contract.dailyWithdrawalLimit(at),
+        client.contract.executionDelay(at),
+        client.contract.selfGoverned(at),
+        client.contract.paused(at),
+        Promise.all(Object.values(Role).map((role) => client.contract.getRoleMembers(TreasuryVaultClient.roleId(role), at)))
+    ]);
+    const { holders, events } = await reconstructRoleHolders(provider, client.address, { fromBlock, toBlock: blockNumber, chunkSize });
+
+    const checks = [];
+    const drift = [];
+    const compareAccounts = (check, declared, actual, holds) => {
+        const before = drift.length;
+        for (const account of declared.filter((account) => !actual.includes(account))) {
+            drift.push({ check, account, expected: true, actual: false, message: `${check}: ${account} is declared but ${holds ? "does not hold the role" : "is missing"}` });
+        }
+        for (const account of actual.filter((account) => !declared.includes(account))) {
+            drift.push({ check, account, expected: false, actual: true, message: `${check}: ${account} ${holds ? "holds the role" : "is on-chain"} but is not declared` });
+        }
+        checks.push({ check, ok: drift.length === before, count: actual.length });
+    };
+    const compareValue = (check, declared, actual, format = String) => {
+        const ok = format(declared) === format(actual);
+        if (!ok) {
+            drift.push({ check, expected: format(declared), actual: format(actual), message: `${check}: declared ${format(declared)}, on-chain ${format(actual)}` });
+        }
+        checks.push({ check, ok, value: format(actual) });
+    };
+
+    compareAccounts("managers", expected.managers, managers, false);
+    Object.values(Role).forEach((role, i) => {
+        const replayed = holders[role] || [];
+        compareAccounts(`${role} role`, expected.roles[role], replayed, true);
+
+        // The replayed history must explain the vault's own member list, or the audit cannot be trusted
+        const unexplained = members[i].filter((account) => !replayed.includes(account)).concat(replayed.filter((account) => !members[i].includes(account)));
+        if (unexplained.length > 0) {
+            drift.push({
+                check: `${role} role history`,
+                expected: members[i],
+                actual: replayed,
+                message: `${role} role history: RoleGranted/RoleRevoked events from block ${fromBlock} do not add up to the holders ` +
+                    `getRoleMembers reports (${unexplained.join(", ")}) - check the start block`
+            });
+        }
+    });
+    compareValue("requiredConfirmations", expected.requiredConfirmations, requiredConfirmations);
+    compareValue("dailyWithdrawalLimit", expected.dailyWithdrawalLimit, dailyWithdrawalLimit, (value) => `${ethers.utils.formatEther(value)} ETH`);
+    compareValue("executionDelay", expected.executionDelay, executionDelay, (value) => `${value}s`);
+    compareValue("selfGoverned", expected.selfGoverned, selfGoverned);
+    compareValue("paused", expected.paused, paused);
+
+    return { vault: client.address, blockNumber, checks, drift, roleEvents: events };
+}
+
+module.exports = {
+    reconstructRoleHolders,
+    expectedStateFromConfig,
+    auditVault
+};
@@ -0,0 +1,164 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { Role, TreasuryVaultClient } = require("./TreasuryVaultClient");
+const { auditVault, expectedStateFromConfig, reconstructRoleHolders } = require("./audit");
+
+describe("Drift Audit", function () {
+
+    // ============ TEST SETUP ============
+    async function auditFixture() {
+        const [owner, manager1, manager2, manager3, guardian, proposer, auditor] = await ethers.getSigners();
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const treasuryVault = await TreasuryVault.deploy(
+            [owner.address, manager1.address, manager2.address],
+            2,
+            ethers.utils.parseEther("5")
+        );
+        const startBlock = treasuryVault.deployTransaction.blockNumber;
+        const client = new TreasuryVaultClient(treasuryVault.address, owner);
+        await treasuryVault.setGuardian(guardian.address, true);
+        await client.grantRole(Role.PROPOSER, proposer.address);
+
+        const config = {
+            managers: ["deployer", manager1.address, manager2.address],
+            requiredConfirmations: 2,
+            dailyWithdrawalLimit: "5",
+            guardians: [guardian.address],
+            proposers: [proposer.address]
+        };
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "treasury-audit-"));
+        const configFile = path.join(dir, "declared.json");
+        fs.writeFileSync(configFile, JSON.stringify(config, null, 2));
+        return { treasuryVault, client, config, configFile, dir, startBlock, owner, manager1, manager2, manager3, guardian, proposer, auditor };
+    }
+
+    async function runTask(name, args) {
+        const lines = [];
+        const originalLog = console.log;
+        console.log = (...parts) => lines.push(parts.join(" "));
+        try {
+            const result = await hre.run(name, args);
+            return { result, output: lines.join("\n") };
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    async function audit({ client, config, owner, startBlock }) {
+        return auditVault({ client, expected: expectedStateFromConfig(config, { deployer: owner.address }), fromBlock: startBlock });
+    }
+
+    // ============ AUDIT TESTS ============
+    describe("1. Auditing Vaults", function () {
+
+        it("Should find no drift in a vault that matches its config", async function () {
+            const fixture = await auditFixture();
+            const result = await audit(fixture);
+
+            expect(result.drift).to.deep.equal([]);
+            expect(result.roleEvents).to.equal(10);
+            expect(result.checks.map((check) => check.check)).to.deep.equal([
+                "managers",
+                "default-admin role",
+                "admin role",
+                "manager role",
+                "proposer role",
+                "guardian role",
+                "auditor role",
+                "requiredConfirmations",
+                "dailyWithdrawalLimit",
+                "executionDelay",
+                "selfGoverned",
+                "paused"
+            ]);
+        });
+
+        it("Should report every difference from the declared config", async function () {
+            const fixture = await auditFixture();
+            const { client, manager2, manager3, guardian, auditor } = fixture;
+            await client.addTreasuryManager(manager3.address);
+            await client.removeTreasuryManager(manager2.address);
+            await client.updateRequiredConfirmations(3);
+            await client.updateDailyLimit(ethers.utils.parseEther("7"));
+            await fixture.treasuryVault.setGuardian(guardian.address, false);
+            await client.grantRole(Role.AUDITOR, auditor.address);
+            await client.pause();
+
+            const messages = (await audit(fixture)).drift.map((drift) => drift.message);
+            expect(messages).to.deep.equal([
+                `managers: ${manager2.address} is declared but is missing`,
+                `managers: ${manager3.address} is on-chain but is not declared`,
+                `manager role: ${manager2.address} is declared but does not hold the role`,
+                `manager role: ${manager3.address} holds the role but is not declared`,
+                `proposer role: ${manager2.address} is declared but does not hold the role`,
+                `proposer role: ${manager3.address} holds the role but is not declared`,
+                `guardian role: ${guardian.address} is declared but does not hold the role`,
+                `auditor role: ${auditor.address} holds the role but is not declared`,
+                "requiredConfirmations: declared 2, on-chain 3",
+                "dailyWithdrawalLimit: declared 5.0 ETH, on-chain 7.0 ETH",
+                "paused: declared false, on-chain true"
+            ]);
+        });
+
+        it("Should not trust a role history that misses the deployment", async function () {
+            const fixture = await auditFixture();
+            const { holders } = await reconstructRoleHolders(ethers.provider, fixture.client.address, { fromBlock: fixture.startBlock + 1 });
+            expect(holders[Role.PROPOSER]).to.deep.equal([fixture.proposer.address]);
+
+            const result = await audit({ ...fixture, startBlock: fixture.startBlock + 1 });
+            expect(result.drift.map((drift) => drift.check)).to.include("manager role history");
+            expect(result.drift.find((drift) => drift.check === "admin role history").message).to.include("check the start block");
+        });
+
+        it("Should require the deployer when the config refers to it", async function () {
+            const { config } = await auditFixture();
+            try {
+                expectedStateFromConfig(config);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("the config refers to the deployer");
+            }
+            try {
+                expectedStateFromConfig({ ...config, paused: "no" }, { deployer: ethers.constants.AddressZero });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("paused must be true or false");
+            }
+        });
+    });
+
+    // ============ TASK TESTS ============
+    describe("2. Audit Task", function () {
+
+        it("Should pass a matching vault and fail with a report on drift", async function () {
+            const fixture = await auditFixture();
+            const { client, owner, configFile, dir, startBlock } = fixture;
+            const args = { vault: client.address, deployConfig: configFile, deployer: owner.address, startBlock };
+
+            const clean = await runTask("treasury:audit", args);
+            expect(clean.output).to.include("✅ managers: 3 as declared");
+            expect(clean.output).to.include("No drift: the vault matches declared.json");
+
+            await client.updateDailyLimit(ethers.utils.parseEther("9"));
+            const out = path.join(dir, "audit.json");
+            try {
+                await runTask("treasury:audit", { ...args, out });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("Drift found: 1 difference(s) between the vault and declared.json");
+            }
+            const written = JSON.parse(fs.readFileSync(out, "utf8"));
+            expect(written.drift).to.deep.equal([{
+                check: "dailyWithdrawalLimit",
+                expected: "5.0 ETH",
+                actual: "9.0 ETH",
+                message: "dailyWithdrawalLimit: declared 5.0 ETH, on-chain 9.0 ETH"
+            }]);
+        });
+    });
+});
@@ -0,0 +1,202 @@
+const fs = require("fs");
+const { ethers } = require("ethers");
+const { ERC20_ABI } = require("./decoder");
+const { MAX_BATCH_CALLS } = require("./TreasuryVaultClient");
+
+const tokenInterface = new ethers.utils.Interface(ERC20_ABI);
+
+/**
+ * @dev Parse CSV text into one object per row, keyed by the lower-cased header names.
+ * Supports quoted fields (with "" as an escaped quote) and skips blank lines.
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endField = () => {
+        row.push(field.trim());
+        field = "";
+    };
+    const endRow = () => {
+        endField();
+        if (row.some((value) => value !== "")) {
+            rows.push({ line: rowLine, values: row });
+        }
+        row = [];
+        rowLine = line;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === "\"" && text[i + 1] === "\"") {
+                field += "\"";
+                i++;
+            } else if (char === "\"") {
+                quoted = false;
+            } else {
+                if (char === "\n") line++;
+                field += char;
+            }
+        } else if (char === "\"") {
+            quoted = true;
+        } else if (char === ",") {
+            endField();
+        } else if (char === "\n") {
+            line++;
+            endRow();
+        } else if (char !== "\r") {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+    }
+    endRow();
+
+    if (rows.length === 0) {
+        return [];
+    }
+    const header = rows[0].values.map((name) => name.toLowerCase());
+    return rows.slice(1).map(({ line, values }) => {
+        const record = { line };
+        header.forEach((name, i) => {
+            record[name] = values[i] === undefined ? "" : values[i];
+        });
+        return record;
+    });
+}
+
+/**
+ * @dev Read a token's symbol and decimals, cached per address
+ */
+async function loadToken(cache, address, provider) {
+    if (!cache[address]) {
+        const token = new ethers.Contract(address, ERC20_ABI, provider);
+        const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+        cache[address] = { address, symbol, decimals };
+    }
+    return cache[address];
+}
+
+/**
+ * @dev Build batch calls from a payout CSV with the columns recipient, amount, and optionally
+ * token (an ERC-20 address; empty pays ETH) and note. Amounts are in whole ETH or whole tokens;
+ * token decimals are read from the chain. Every bad row is reported in a single error.
+ * @returns {Promise<{calls: Object[], payouts: Object[], totals: Object[]}>}
+ */
+async function buildPayoutBatch(csvText, { provider } = {}) {
+    const records = parseCsv(csvText);
+    if (records.length > 0 && (!("recipient" in records[0]) || !("amount" in records[0]))) {
+        throw new Error("Payout CSV needs a header row with at least recipient and amount columns");
+    }
+    if (records.length === 0) {
+        throw new Error("Payout CSV has no payouts");
+    }
+    if (records.length > MAX_BATCH_CALLS) {
+        throw new Error(`Payout CSV has ${records.length} payouts but a batch can hold at most ${MAX_BATCH_CALLS}`);
+    }
+
+    const errors = [];
+    const tokens = {};
+    const payouts = [];
+    for (const record of records) {
+        const problem = (message) => errors.push(`line ${record.line}: ${message}`);
+
+        if (!ethers.utils.isAddress(record.recipient) || record.recipient === ethers.constants.AddressZero) {
+            problem(`invalid recipient "${record.recipient}"`);
+            continue;
+        }
+        let token = null;
+        if (record.token) {
+            if (!ethers.utils.isAddress(record.token)) {
+                problem(`invalid token address "${record.token}"`);
+                continue;
+            }
+            if (!provider) {
+                problem("token payouts need a provider to read the token's decimals");
+                continue;
+            }
+            try {
+                token = await loadToken(tokens, ethers.utils.getAddress(record.token), provider);
+            } catch (error) {
+                problem(`could not read symbol and decimals of token ${record.token}`);
+                continue;
+            }
+        }
+
+        let amount;
+        try {
+            amount = ethers.utils.parseUnits(record.amount, token ? token.decimals : 18);
+        } catch (error) {
+            problem(`invalid amount "${record.amount}"`);
+            continue;
+        }
+        if (amount.lte(0)) {
+            problem("amount must be positive");
+            continue;
+        }
+
+        payouts.push({
+            line: record.line,
+            recipient: ethers.utils.getAddress(record.recipient),
+            amount,
+            token,
+            note: record.note || ""
+        });
+    }
+    if (errors.length > 0) {
+        throw new Error(`Invalid payout CSV:\n  ${errors.join("\n  ")}`);
+    }
+
+    const calls = payouts.map((payout) =>
+        payout.token
+            ? {
+                target: payout.token.address,
+                value: ethers.BigNumber.from(0),
+                data: tokenInterface.encodeFunctionData("transfer", [payout.recipient, payout.amount])
+            }
+            : { target: payout.recipient, value: payout.amount, data: "0x" }
+    );
+
+    const totals = [];
+    for (const payout of payouts) {
+        const token = payout.token ? payout.token.address : null;
+        let total = totals.find((entry) => entry.token === token);
+        if (!total) {
+            total = payout.token
+                ? { token, unit: payout.token.symbol, decimals: payout.token.decimals, amount: ethers.BigNumber.from(0) }
+                : { token, unit: "ETH", decimals: 18, amount: ethers.BigNumber.from(0) };
+            totals.push(total);
+        }
+        total.amount = total.amount.add(payout.amount);
+    }
+
+    return { calls, payouts, totals };
+}
+
+/**
+ * @dev Default description for a payout batch, e.g. "Batch payout: 3 payments (1.5 ETH, 300.0 USDC)"
+ */
+function describePayoutBatch({ payouts, totals }) {
+    const amounts = totals.map((total) => `${ethers.utils.formatUnits(total.amount, total.decimals)} ${total.unit}`);
+    return `Batch payout: ${payouts.length} payment${payouts.length === 1 ? "" : "s"} (${amounts.join(", ")})`;
+}
+
+/**
+ * @dev Read a payout CSV file and build its batch
+ */
+async function readPayoutCsv(file, options) {
+    return buildPayoutBatch(fs.readFileSync(file, "utf8"), options);
+}
+
+module.exports = {
+    parseCsv,
+    buildPayoutBatch,
+    describePayoutBatch,
+    readPayoutCsv
+};
@@ -0,0 +1,180 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { TreasuryVaultClient } = require("./TreasuryVaultClient");
+const { buildPayoutBatch, describePayoutBatch, parseCsv } = require("./batch");
+const { decodeProposal, formatDecoded } = require("./decoder");
+
+describe("Batch Payouts", function () {
+
+    // ============ TEST SETUP ============
+    async function deployTreasuryFixture() {
+        const [owner, manager1, manager2, manager3, alice, bob] = await ethers.getSigners();
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const treasuryVault = await TreasuryVault.deploy(
+            [manager1.address, manager2.address, manager3.address],
+            2,
+            ethers.utils.parseEther("10")
+        );
+        await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("100") });
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+        await token.mint(treasuryVault.address, 10000000000); // 10,000 USDC
+        await treasuryVault.setTokenDailyLimit(token.address, 5000000000);
+
+        const client = new TreasuryVaultClient(treasuryVault.address, owner);
+        return { treasuryVault, client, token, owner, manager1, manager2, manager3, alice, bob };
+    }
+
+    function payoutCsv(token, alice, bob) {
+        return [
+            "recipient,amount,token,note",
+            `${alice.address},1.5,,"March retainer, design"`,
+            `${bob.address},2,,`,
+            `${bob.address},250.5,${token.address},Audit`
+        ].join("\n");
+    }
+
+    async function runTask(name, args) {
+        const lines = [];
+        const originalLog = console.log;
+        console.log = (...parts) => lines.push(parts.join(" "));
+        try {
+            const result = await hre.run(name, args);
+            return { result, output: lines.join("\n") };
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    // ============ CSV TESTS ============
+    describe("1. CSV Batch Builder", function () {
+
+        it("Should parse quoted fields and skip blank lines", function () {
+            const records = parseCsv("Recipient,Amount,Note\r\n0x1,1,\"Pays \"\"Q1\"\", part 1\"\r\n\r\n0x2,2,\n");
+            expect(records).to.deep.equal([
+                { line: 2, recipient: "0x1", amount: "1", note: "Pays \"Q1\", part 1" },
+                { line: 4, recipient: "0x2", amount: "2", note: "" }
+            ]);
+        });
+
+        it("Should build ETH and token calls with totals", async function () {
+            const { token, alice, bob } = await deployTreasuryFixture();
+
+            const batch = await buildPayoutBatch(payoutCsv(token, alice, bob), { provider: ethers.provider });
+            expect(batch.calls).to.have.length(3);
+            expect(batch.calls[0].target).to.equal(alice.address);
+            expect(batch.calls[0].value.toString()).to.equal(ethers.utils.parseEther("1.5").toString());
+            expect(batch.calls[2].target).to.equal(token.address);
+            expect(batch.calls[2].data).to.equal(token.interface.encodeFunctionData("transfer", [bob.address, 250500000]));
+            expect(batch.payouts[0].note).to.equal("March retainer, design");
+            expect(batch.totals.map((total) => total.unit)).to.deep.equal(["ETH", "USDC"]);
+            expect(describePayoutBatch(batch)).to.equal("Batch payout: 3 payments (3.5 ETH, 250.5 USDC)");
+        });
+
+        it("Should report every invalid row at once", async function () {
+            const { alice } = await deployTreasuryFixture();
+            const csv = [
+                "recipient,amount,token",
+                "not-an-address,1,",
+                `${alice.address},-1,`,
+                `${alice.address},1.5,0x1234`,
+                `${alice.address},0.1,`
+            ].join("\n");
+
+            try {
+                await buildPayoutBatch(csv, { provider: ethers.provider });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("line 2: invalid recipient \"not-an-address\"");
+                expect(error.message).to.include("line 3: amount must be positive");
+                expect(error.message).to.include("line 4: invalid token address \"0x1234\"");
+                expect(error.message).to.not.include("line 5");
+            }
+
+            try {
+                await buildPayoutBatch("to,value\n0x1,1");
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("needs a header row with at least recipient and amount");
+            }
+        });
+    });
+
+    // ============ PROPOSAL TESTS ============
+    describe("2. Batch Proposals", function () {
+
+        it("Should propose, decode and execute a payout batch", async function () {
+            const { client, token, manager1, manager2, alice, bob } = await deployTreasuryFixture();
+            const batch = await buildPayoutBatch(payoutCsv(token, alice, bob), { provider: ethers.provider });
+
+            const { proposalId } = await client.connect(manager1).createBatchProposal({
+                calls: batch.calls,
+                description: describePayoutBatch(batch)
+            });
+            const proposal = await client.getProposal(proposalId);
+            expect(proposal.target).to.equal(client.address);
+            expect(proposal.value.toString()).to.equal(ethers.utils.parseEther("3.5").toString());
+            expect(proposal.batch.map((call) => call.target)).to.deep.equal([alice.address, bob.address, token.address]);
+
+            const decoded = await decodeProposal(proposal, { vaultAddress: client.address, provider: ethers.provider });
+            expect(decoded.kind).to.equal("batch");
+            expect(decoded.calls.map((call) => call.kind)).to.deep.equal(["eth-transfer", "eth-transfer", "call"]);
+            expect(decoded.calls[2].amounts[0]).to.include({ display: "250.5", unit: "USDC" });
+            expect(decoded.warnings).to.deep.equal([]);
+            expect(formatDecoded(decoded)[0]).to.equal("Batch of 3 calls, all-or-nothing, 3.5 ETH in total");
+
+            const aliceBefore = await ethers.provider.getBalance(alice.address);
+            await client.connect(manager1).confirmProposal(proposalId);
+            await client.connect(manager2).confirmProposal(proposalId);
+            expect((await client.getProposal(proposalId)).status).to.equal("executed");
+            expect((await ethers.provider.getBalance(alice.address)).sub(aliceBefore).toString()).to.equal(ethers.utils.parseEther("1.5").toString());
+            expect((await token.balanceOf(bob.address)).toNumber()).to.equal(250500000);
+        });
+
+        it("Should flag unlimited approvals and unmentioned ETH inside a batch", async function () {
+            const { client, token, alice } = await deployTreasuryFixture();
+            const { value, data } = TreasuryVaultClient.encodeBatch([
+                { target: token.address, data: token.interface.encodeFunctionData("approve", [alice.address, ethers.constants.MaxUint256]) },
+                { target: alice.address, value: ethers.utils.parseEther("1") }
+            ]);
+
+            const decoded = await decodeProposal(
+                { target: client.address, value, data, description: "Approve the market maker" },
+                { vaultAddress: client.address, provider: ethers.provider }
+            );
+            expect(decoded.warnings).to.deep.equal([
+                `Call 1: Grants an UNLIMITED USDC allowance to ${alice.address}`,
+                "The batch sends 1.0 ETH in total, which the description does not mention"
+            ]);
+
+            try {
+                TreasuryVaultClient.encodeBatch([]);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("a batch needs 1 to 50 calls");
+            }
+        });
+
+        it("Should propose a batch from a CSV file with the task", async function () {
+            const { client, token, manager1, alice, bob } = await deployTreasuryFixture();
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), "treasury-batch-"));
+            const csv = path.join(dir, "payouts.csv");
+            fs.writeFileSync(csv, payoutCsv(token, alice, bob));
+
+            const { output } = await runTask("treasury:propose-batch", { vault: client.address, from: manager1.address, csv });
+            expect(output).to.include("3 payouts from payouts.csv");
+            expect(output).to.include("Total 3.5 ETH");
+            expect(output).to.include("ProposalCreated: #0");
+
+            const proposal = await client.getProposal(0);
+            expect(proposal.description).to.equal("Batch payout: 3 payments (3.5 ETH, 250.5 USDC)");
+            expect(proposal.batch).to.have.length(3);
+        });
+    });
+});
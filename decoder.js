@@ -0,0 +1,388 @@
+const { ethers } = require("ethers");
+const { TREASURY_VAULT_ABI } = require("./TreasuryVaultClient");
+const { PAYMENT_SCHEDULER_ABI } = require("./scheduler");
+const { EMERGENCY_GUARD_ABI } = require("./emergency");
+
+// ============ KNOWN ABIS ============
+const ERC20_ABI = [
+    "function transfer(address to, uint256 amount) returns (bool)",
+    "function approve(address spender, uint256 amount) returns (bool)",
+    "function transferFrom(address from, address to, uint256 amount) returns (bool)",
+    "function symbol() view returns (string)",
+    "function decimals() view returns (uint8)"
+];
+
+// Allowances this large are effectively unlimited
+const UNLIMITED_ALLOWANCE = ethers.constants.MaxUint256.div(2);
+
+// Vault function arguments that are ETH amounts
+const VAULT_ETH_ARGS = {
+    updateDailyLimit: ["newLimit"],
+    createProposal: ["value"]
+};
+
+/**
+ * @title AbiRegistry
+ * @dev Known ABIs that proposal calldata is matched against. An entry can be bound
+ * to specific addresses so it wins over generic matches for those targets.
+ */
+class AbiRegistry {
+    constructor() {
+        this.entries = [];
+        this.tokens = {};
+        this.labels = {};
+        this.hasAddressBook = false;
+    }
+
+    /**
+     * @dev Register an ABI under a name, optionally only for the given addresses
+     */
+    add(name, abi, { addresses = [] } = {}) {
+        this.entries.push({
+            name,
+            iface: new ethers.utils.Interface(abi),
+            addresses: addresses.map((address) => ethers.utils.getAddress(address))
+        });
+        return this;
+    }
+
+    /**
+     * @dev Record token metadata used to format amounts for calls to that token
+     */
+    addToken(address, { symbol, decimals }) {
+        this.tokens[ethers.utils.getAddress(address)] = { symbol, decimals };
+        return this;
+    }
+
+    /**
+     * @dev Load the vault's address book (from TreasuryVaultClient.getAddressBook) so addresses are
+     * shown by label and payments to addresses outside it are flagged
+     */
+    addAddressBook(book) {
+        for (const entry of book) {
+            this.labels[ethers.utils.getAddress(entry.address)] = entry.label;
+        }
+        this.hasAddressBook = true;
+        return this;
+    }
+
+    /**
+     * @dev Address book label of an address, or null
+     */
+    labelOf(address) {
+        return ethers.utils.isAddress(address) ? this.labels[ethers.utils.getAddress(address)] || null : null;
+    }
+
+    /**
+     * @dev Load a user-supplied ABI file: either a bare ABI array or { name, abi, addresses }
+     */
+    addFromJson(json, fallbackName) {
+        const entry = Array.isArray(json) ? { abi: json } : json;
+        if (!Array.isArray(entry.abi)) {
+            throw new Error(`ABI file ${fallbackName} has no "abi" array`);
+        }
+        return this.add(entry.name || fallbackName, entry.abi, { addresses: entry.addresses || [] });
+    }
+
+    /**
+     * @dev Find the ABI entries whose selectors match the calldata, address-bound entries first
+     */
+    match(data, target) {
+        const selector = data.slice(0, 10).toLowerCase();
+        const targetAddress = target ? ethers.utils.getAddress(target) : null;
+        const matches = [];
+        for (const entry of this.entries) {
+            if (entry.addresses.length > 0 && !entry.addresses.includes(targetAddress)) continue;
+            const fragment = Object.values(entry.iface.functions).find(
+                (candidate) => entry.iface.getSighash(candidate) === selector
+            );
+            if (fragment) matches.push({ entry, fragment });
+        }
+        return matches.sort((a, b) => b.entry.addresses.length - a.entry.addresses.length);
+    }
+}
+
+/**
+ * @dev Registry with the vault's own functions (bound to the vault address), ERC-20 transfer/approve,
+ * PaymentScheduler.createSchedule and EmergencyGuard.setPolicy
+ */
+function createDefaultRegistry(vaultAddress) {
+    const registry = new AbiRegistry();
+    registry.add("TreasuryVault", TREASURY_VAULT_ABI, { addresses: vaultAddress ? [vaultAddress] : [] });
+    registry.add("ERC20", ERC20_ABI);
+    registry.add("PaymentScheduler", PAYMENT_SCHEDULER_ABI);
+    registry.add("EmergencyGuard", EMERGENCY_GUARD_ABI);
+    return registry;
+}
+
+/**
+ * @dev Look up token symbol/decimals from the registry, or from the chain if a provider is given
+ */
+async function resolveToken(registry, target, provider) {
+    const address = ethers.utils.getAddress(target);
+    if (registry.tokens[address]) return registry.tokens[address];
+    if (!provider) return null;
+
+    try {
+        const token = new ethers.Contract(address, ERC20_ABI, provider);
+        const [symbol, decimals] = await Promise.all([token.symbol(), token.decimals()]);
+        const metadata = { symbol, decimals };
+        registry.addToken(address, metadata);
+        return metadata;
+    } catch (error) {
+        return null;
+    }
+}
+
+function formatArg(value) {
+    if (ethers.BigNumber.isBigNumber(value)) return value.toString();
+    if (Array.isArray(value)) return value.map(formatArg);
+    return value;
+}
+
+/**
+ * @dev Numbers written in a description ("5", "1,500", "2.5"), ignoring hex addresses and data
+ */
+function numbersIn(text) {
+    const words = text.replace(/0x[0-9a-fA-F]*/g, " ");
+    return (words.match(/\d[\d,]*(\.\d+)?/g) || []).map((raw) => Number(raw.replace(/,/g, "")));
+}
+
+/**
+ * @dev Compare what the description claims with what the call does. With a null description
+ * (a call inside a batch) only the checks that do not depend on the description run.
+ */
+function checkDescription(decoded, description) {
+    const warnings = [];
+    const text = description || "";
+    const mentionsEth = /\b(eth|ether)\b/i.test(text);
+
+    if (decoded.kind === "unknown") {
+        warnings.push("Calldata does not match any known ABI - the description cannot be checked against it");
+        return warnings;
+    }
+    if (description === null) {
+        return decoded.amounts
+            .filter((amount) => amount.unlimited)
+            .map((amount) => `Grants an UNLIMITED ${amount.unit} allowance to ${decoded.counterparty}`);
+    }
+
+    if (decoded.token && mentionsEth && decoded.ethValue.isZero()) {
+        warnings.push(`Description mentions ETH but the call is a ${decoded.token.symbol || "token"} ${decoded.function} and sends no ETH`);
+    }
+    if (!decoded.ethValue.isZero() && decoded.kind === "call" && !mentionsEth) {
+        warnings.push(`The call also sends ${ethers.utils.formatEther(decoded.ethValue)} ETH, which the description does not mention`);
+    }
+    if (decoded.kind === "eth-transfer" && /\b(approve|allowance|token)\b/i.test(text)) {
+        warnings.push("Description mentions a token operation but the proposal is a plain ETH transfer");
+    }
+
+    for (const amount of decoded.amounts) {
+        if (amount.unlimited) {
+            warnings.push(`Grants an UNLIMITED ${amount.unit} allowance to ${decoded.counterparty}`);
+            continue;
+        }
+        const stated = numbersIn(text);
+        if (stated.length > 0 && amount.display !== null && !stated.includes(Number(amount.display))) {
+            warnings.push(`Description mentions ${stated.join(", ")} but the call moves ${amount.display} ${amount.unit}`);
+        }
+    }
+
+    const addresses = text.match(/0x[0-9a-fA-F]{40}/g) || [];
+    for (const address of addresses) {
+        const known = [decoded.target, decoded.counterparty].filter(Boolean).map((value) => value.toLowerCase());
+        if (!known.includes(address.toLowerCase())) {
+            warnings.push(`Description mentions ${address}, which is neither the target nor the recipient of the call`);
+        }
+    }
+
+    return warnings;
+}
+
+/**
+ * @dev Check a batch: each call's own warnings, plus ETH and addresses the description gets wrong
+ */
+function checkBatchDescription(decoded, description) {
+    const warnings = [];
+    decoded.calls.forEach((call, i) => {
+        call.warnings.forEach((warning) => warnings.push(`Call ${i + 1}: ${warning}`));
+    });
+
+    const text = description || "";
+    if (!decoded.ethValue.isZero() && !/\b(eth|ether)\b/i.test(text)) {
+        warnings.push(`The batch sends ${ethers.utils.formatEther(decoded.ethValue)} ETH in total, which the description does not mention`);
+    }
+    const known = decoded.calls
+        .flatMap((call) => [call.target, call.counterparty])
+        .filter(Boolean)
+        .map((value) => value.toLowerCase());
+    for (const address of text.match(/0x[0-9a-fA-F]{40}/g) || []) {
+        if (!known.includes(address.toLowerCase())) {
+            warnings.push(`Description mentions ${address}, which no call in the batch targets or pays`);
+        }
+    }
+    return warnings;
+}
+
+/**
+ * @dev Decode a proposal's target/value/data into a human-readable call and flag
+ * descriptions that do not match what the calldata actually does
+ */
+async function decodeProposal(proposal, { registry, vaultAddress, provider } = {}) {
+    registry = registry || createDefaultRegistry(vaultAddress);
+    const value = ethers.BigNumber.from(proposal.value);
+    const decoded = {
+        target: proposal.target,
+        ethValue: value,
+        kind: "call",
+        abi: null,
+        function: null,
+        signature: null,
+        args: [],
+        amounts: [],
+        counterparty: null,
+        targetLabel: null,
+        counterpartyLabel: null,
+        token: null,
+        warnings: []
+    };
+    const isSelfCall = Boolean(vaultAddress) && ethers.utils.getAddress(proposal.target) === ethers.utils.getAddress(vaultAddress);
+    const finish = (checks) => {
+        decoded.targetLabel = registry.labelOf(decoded.target);
+        decoded.counterpartyLabel = registry.labelOf(decoded.counterparty);
+        decoded.warnings = checks;
+        if (registry.hasAddressBook && decoded.counterparty && !decoded.counterpartyLabel && decoded.kind !== "batch" && !isSelfCall) {
+            decoded.warnings.push(`Pays ${decoded.counterparty}, which is not in the vault's address book`);
+        }
+        // ETH sent along with a token call goes to the target, not to the token recipient
+        if (
+            registry.hasAddressBook && value.gt(0) && !decoded.targetLabel && decoded.kind !== "batch" && !isSelfCall &&
+            (!decoded.counterparty || ethers.utils.getAddress(decoded.counterparty) !== ethers.utils.getAddress(decoded.target))
+        ) {
+            decoded.warnings.push(`Sends ${ethers.utils.formatEther(value)} ETH to ${decoded.target}, which is not in the vault's address book`);
+        }
+        return decoded;
+    };
+
+    if (!proposal.data || proposal.data === "0x") {
+        decoded.kind = "eth-transfer";
+        decoded.counterparty = proposal.target;
+        decoded.amounts.push({ name: "value", display: ethers.utils.formatEther(value), unit: "ETH", unlimited: false });
+        return finish(checkDescription(decoded, proposal.description));
+    }
+
+    const [match] = registry.match(proposal.data, proposal.target);
+    if (!match) {
+        decoded.kind = "unknown";
+        decoded.signature = proposal.data.slice(0, 10);
+        return finish(checkDescription(decoded, proposal.description));
+    }
+
+    const { entry, fragment } = match;
+    const values = entry.iface.decodeFunctionData(fragment, proposal.data);
+    decoded.abi = entry.name;
+    decoded.function = fragment.name;
+    decoded.signature = fragment.format();
+    decoded.args = fragment.inputs.map((input, i) => {
+        const arg = { name: input.name, type: input.type, value: formatArg(values[i]) };
+        const label = input.type === "address" ? registry.labelOf(values[i]) : null;
+        return label ? { ...arg, label } : arg;
+    });
+
+    if (isSelfCall && fragment.name === "executeBatch") {
+        // A batch proposal: decode each call on its own
+        decoded.kind = "batch";
+        decoded.calls = [];
+        for (const call of values.calls) {
+            decoded.calls.push(await decodeProposal(
+                { target: call.target, value: call.value, data: call.data, description: null },
+                { registry, vaultAddress, provider }
+            ));
+        }
+        return finish(checkBatchDescription(decoded, proposal.description));
+    }
+    if (entry.name === "ERC20") {
+        decoded.token = (await resolveToken(registry, proposal.target, provider)) || { symbol: null, decimals: null };
+        const amount = values.amount;
+        const unit = decoded.token.symbol || "token units";
+        decoded.counterparty = values.to || values.spender;
+        decoded.amounts.push({
+            name: "amount",
+            display: decoded.token.decimals === null ? amount.toString() : ethers.utils.formatUnits(amount, decoded.token.decimals),
+            unit,
+            unlimited: fragment.name === "approve" && amount.gte(UNLIMITED_ALLOWANCE)
+        });
+    } else if (entry.name === "PaymentScheduler" && fragment.name === "createSchedule") {
+        // A recurring payment: show the per-payment amount in ETH or the token's units
+        decoded.counterparty = values.recipient;
+        if (values.token === ethers.constants.AddressZero) {
+            decoded.amounts.push({ name: "amount", display: ethers.utils.formatEther(values.amount), unit: "ETH", unlimited: false });
+        } else {
+            decoded.token = (await resolveToken(registry, values.token, provider)) || { symbol: null, decimals: null };
+            decoded.amounts.push({
+                name: "amount",
+                display: decoded.token.decimals === null ? values.amount.toString() : ethers.utils.formatUnits(values.amount, decoded.token.decimals),
+                unit: decoded.token.symbol || "token units",
+                unlimited: false
+            });
+        }
+    } else if (entry.name === "EmergencyGuard" && fragment.name === "setPolicy") {
+        // An emergency policy change: show the per-withdrawal cap in ETH
+        decoded.counterparty = values.coldStorage === ethers.constants.AddressZero ? null : values.coldStorage;
+        decoded.amounts.push({ name: "cap", display: ethers.utils.formatEther(values.cap), unit: "ETH", unlimited: false });
+    } else if (isSelfCall) {
+        for (const name of VAULT_ETH_ARGS[fragment.name] || []) {
+            decoded.amounts.push({ name, display: ethers.utils.formatEther(values[name]), unit: "ETH", unlimited: false });
+        }
+        decoded.counterparty = values.to || values.manager || values.target || null;
+    }
+
+    return finish(checkDescription(decoded, proposal.description));
+}
+
+/**
+ * @dev An address with its address book label in front, if it has one
+ */
+function withLabel(address, label) {
+    return label ? `${label} (${address})` : address;
+}
+
+/**
+ * @dev Render a decoded proposal as printable lines
+ */
+function formatDecoded(decoded) {
+    const lines = [];
+    if (decoded.kind === "eth-transfer") {
+        lines.push(`Plain ETH transfer of ${ethers.utils.formatEther(decoded.ethValue)} ETH to ${withLabel(decoded.target, decoded.targetLabel)}`);
+    } else if (decoded.kind === "unknown") {
+        lines.push(`Unknown call ${decoded.signature} on ${withLabel(decoded.target, decoded.targetLabel)}`);
+    } else if (decoded.kind === "batch") {
+        lines.push(`Batch of ${decoded.calls.length} calls, all-or-nothing, ${ethers.utils.formatEther(decoded.ethValue)} ETH in total`);
+        decoded.calls.forEach((call, i) => {
+            const [first, ...rest] = formatDecoded(call);
+            lines.push(`  ${i + 1}. ${first}`);
+            rest.forEach((line) => lines.push(`     ${line}`));
+        });
+    } else {
+        lines.push(`${decoded.abi}.${decoded.signature} on ${withLabel(decoded.target, decoded.targetLabel)}`);
+        for (const arg of decoded.args) {
+            lines.push(`  ${arg.name} (${arg.type}): ${JSON.stringify(arg.value)}${arg.label ? ` - ${arg.label}` : ""}`);
+        }
+        for (const amount of decoded.amounts) {
+            lines.push(`  = ${amount.unlimited ? "UNLIMITED" : amount.display} ${amount.unit}`);
+        }
+        if (!decoded.ethValue.isZero()) {
+            lines.push(`  with ${ethers.utils.formatEther(decoded.ethValue)} ETH attached`);
+        }
+    }
+    return lines;
+}
+
+module.exports = {
+    ERC20_ABI,
+    AbiRegistry,
+    createDefaultRegistry,
+    decodeProposal,
+    formatDecoded,
+    withLabel
+};
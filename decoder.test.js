@@ -0,0 +1,186 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { ERC20_ABI, createDefaultRegistry, decodeProposal, formatDecoded } = require("./decoder");
+
+describe("Proposal Calldata Decoder", function () {
+
+    // ============ TEST SETUP ============
+    const vaultAddress = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+    const tokenAddress = "0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48";
+    const recipient = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+    const erc20 = new ethers.utils.Interface(ERC20_ABI);
+
+    function registryWithToken() {
+        return createDefaultRegistry(vaultAddress).addToken(tokenAddress, { symbol: "USDC", decimals: 6 });
+    }
+
+    // ============ DECODING TESTS ============
+    describe("1. Decoding", function () {
+
+        it("Should show address book labels and flag payments to addresses outside the book", async function () {
+            const other = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+            const registry = registryWithToken().addAddressBook([{ address: recipient.toLowerCase(), label: "Acme Payroll" }]);
+
+            const known = await decodeProposal(
+                { target: tokenAddress, value: 0, data: erc20.encodeFunctionData("transfer", [recipient, 1000000]), description: "Send 1 USDC" },
+                { registry, vaultAddress }
+            );
+            expect(known.counterpartyLabel).to.equal("Acme Payroll");
+            expect(known.args[0]).to.include({ label: "Acme Payroll" });
+            expect(formatDecoded(known)[1]).to.equal(`  to (address): "${recipient}" - Acme Payroll`);
+            expect(known.warnings).to.deep.equal([]);
+
+            const unknown = await decodeProposal(
+                { target: other, value: ethers.utils.parseEther("1"), data: "0x", description: "Pay 1 ETH" },
+                { registry, vaultAddress }
+            );
+            expect(unknown.counterpartyLabel).to.be.null;
+            expect(unknown.warnings).to.deep.equal([`Pays ${other}, which is not in the vault's address book`]);
+
+            // ETH sent with token calldata goes to the target, whoever the calldata names
+            const disguised = await decodeProposal(
+                { target: other, value: ethers.utils.parseEther("5"), data: erc20.encodeFunctionData("transfer", [recipient, 0]), description: "Send 0 USDC" },
+                { registry, vaultAddress }
+            );
+            expect(disguised.warnings).to.include(`Sends 5.0 ETH to ${other}, which is not in the vault's address book`);
+
+            const labelledTarget = await decodeProposal(
+                { target: recipient, value: ethers.utils.parseEther("1"), data: "0x", description: "Pay 1 ETH" },
+                { registry, vaultAddress }
+            );
+            expect(formatDecoded(labelledTarget)[0]).to.equal(`Plain ETH transfer of 1.0 ETH to Acme Payroll (${recipient})`);
+        });
+
+        it("Should describe a plain ETH transfer", async function () {
+            const decoded = await decodeProposal(
+                { target: recipient, value: ethers.utils.parseEther("5"), data: "0x", description: "Pay 5 ETH to the auditor" },
+                { vaultAddress }
+            );
+
+            expect(decoded.kind).to.equal("eth-transfer");
+            expect(decoded.amounts[0]).to.include({ display: "5.0", unit: "ETH" });
+            expect(decoded.warnings).to.deep.equal([]);
+        });
+
+        it("Should decode an ERC-20 transfer with formatted token amounts", async function () {
+            const data = erc20.encodeFunctionData("transfer", [recipient, 1500000000]);
+            const decoded = await decodeProposal(
+                { target: tokenAddress, value: 0, data, description: "Send 1,500 USDC grant" },
+                { registry: registryWithToken(), vaultAddress }
+            );
+
+            expect(decoded.abi).to.equal("ERC20");
+            expect(decoded.signature).to.equal("transfer(address,uint256)");
+            expect(decoded.args[0]).to.deep.equal({ name: "to", type: "address", value: recipient });
+            expect(decoded.amounts[0]).to.include({ display: "1500.0", unit: "USDC", unlimited: false });
+            expect(decoded.counterparty).to.equal(recipient);
+            expect(decoded.warnings).to.deep.equal([]);
+        });
+
+        it("Should decode the vault's own functions on self-calls", async function () {
+            const vault = new ethers.utils.Interface(["function updateDailyLimit(uint256 newLimit)"]);
+            const data = vault.encodeFunctionData("updateDailyLimit", [ethers.utils.parseEther("20")]);
+            const decoded = await decodeProposal(
+                { target: vaultAddress, value: 0, data, description: "Raise the daily limit to 20" },
+                { vaultAddress }
+            );
+
+            expect(decoded.abi).to.equal("TreasuryVault");
+            expect(decoded.function).to.equal("updateDailyLimit");
+            expect(decoded.amounts[0]).to.include({ name: "newLimit", display: "20.0", unit: "ETH" });
+            expect(decoded.warnings).to.deep.equal([]);
+        });
+
+        it("Should decode calls with user-supplied ABIs", async function () {
+            const grants = ["function payGrant(address grantee, uint256 round)"];
+            const data = new ethers.utils.Interface(grants).encodeFunctionData("payGrant", [recipient, 3]);
+            const proposal = { target: tokenAddress, value: 0, data, description: "Grant round 3" };
+
+            const unknown = await decodeProposal(proposal, { vaultAddress });
+            expect(unknown.kind).to.equal("unknown");
+            expect(unknown.warnings[0]).to.include("does not match any known ABI");
+
+            const registry = createDefaultRegistry(vaultAddress).addFromJson({ name: "Grants", abi: grants }, "grants");
+            const decoded = await decodeProposal(proposal, { registry, vaultAddress });
+            expect(decoded.abi).to.equal("Grants");
+            expect(decoded.args.map((arg) => arg.value)).to.deep.equal([recipient, "3"]);
+        });
+    });
+
+    // ============ MISMATCH WARNING TESTS ============
+    describe("2. Description Mismatch Warnings", function () {
+
+        it("Should flag an unlimited token approval described as ETH", async function () {
+            const data = erc20.encodeFunctionData("approve", [recipient, ethers.constants.MaxUint256]);
+            const decoded = await decodeProposal(
+                { target: tokenAddress, value: 0, data, description: "Send 2 ETH to the market maker" },
+                { registry: registryWithToken(), vaultAddress }
+            );
+
+            expect(decoded.warnings).to.include("Description mentions ETH but the call is a USDC approve and sends no ETH");
+            expect(decoded.warnings).to.include(`Grants an UNLIMITED USDC allowance to ${recipient}`);
+        });
+
+        it("Should flag amounts and addresses the call does not match", async function () {
+            const other = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+            const decoded = await decodeProposal(
+                { target: recipient, value: ethers.utils.parseEther("50"), data: "0x", description: `Pay 5 ETH to ${other}` },
+                { vaultAddress }
+            );
+
+            expect(decoded.warnings).to.include("Description mentions 5 but the call moves 50.0 ETH");
+            expect(decoded.warnings).to.include(`Description mentions ${other}, which is neither the target nor the recipient of the call`);
+        });
+
+        it("Should flag ETH attached to a call the description does not mention", async function () {
+            const data = erc20.encodeFunctionData("transfer", [recipient, 1000000]);
+            const decoded = await decodeProposal(
+                { target: tokenAddress, value: ethers.utils.parseEther("1"), data, description: "Send 1 USDC" },
+                { registry: registryWithToken(), vaultAddress }
+            );
+
+            expect(decoded.warnings).to.include("The call also sends 1.0 ETH, which the description does not mention");
+        });
+
+        it("Should flag a plain transfer described as a token operation", async function () {
+            const decoded = await decodeProposal(
+                { target: recipient, value: ethers.utils.parseEther("1"), data: "0x", description: "Approve token allowance" },
+                { vaultAddress }
+            );
+
+            expect(decoded.warnings).to.include("Description mentions a token operation but the proposal is a plain ETH transfer");
+        });
+    });
+
+    // ============ TASK TESTS ============
+    describe("3. Decode Task", function () {
+
+        it("Should decode an on-chain proposal with an ABI file", async function () {
+            const [owner, manager1, manager2, manager3] = await ethers.getSigners();
+            const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+            const treasuryVault = await TreasuryVault.deploy([manager1.address, manager2.address, manager3.address], 2, ethers.utils.parseEther("10"));
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("10") });
+
+            const abiFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "treasury-abi-")), "Token.json");
+            fs.writeFileSync(abiFile, JSON.stringify({ name: "Token", abi: ["function mint(address to, uint256 amount)"] }));
+            const data = new ethers.utils.Interface(["function mint(address to, uint256 amount)"]).encodeFunctionData("mint", [recipient, 7]);
+            await treasuryVault.connect(manager1).createProposal(tokenAddress, 0, data, "Mint 7 to recipient");
+
+            const originalLog = console.log;
+            console.log = () => {};
+            let decoded;
+            try {
+                decoded = await hre.run("treasury:decode", { vault: treasuryVault.address, id: 0, abi: abiFile });
+            } finally {
+                console.log = originalLog;
+            }
+
+            expect(decoded.abi).to.equal("Token");
+            expect(decoded.function).to.equal("mint");
+        });
+    });
+});
@@ -1,91 +1,601 @@
-const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+
+// ============ CONSTRUCTOR RULES (mirrors TreasuryVault.sol) ============
+const MIN_CONFIRMATION_COUNT = 2;
+const MAX_DAILY_WITHDRAWAL_ETH = "100";
+const MAX_EXECUTION_DELAY_SECONDS = 30 * 24 * 60 * 60;
+
+const CONFIG_DIR = path.join(__dirname, "config");
+const DEPLOYMENTS_DIR = path.join(__dirname, "deployments");
+
+/**
+ * @dev Load the deployment config for a network (config/<network>.json by default)
+ */
+function loadDeployConfig(networkName, configPath) {
+    const file = configPath || path.join(CONFIG_DIR, `${networkName}.json`);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No deployment config found at ${file} - create one for network "${networkName}"`);
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @dev Resolve a raw config into constructor arguments.
+ * The literal "deployer" in the managers list is replaced by the deployer address.
+ */
+function resolveDeployConfig(config, deployerAddress, ethers) {
+    const managers = (config.managers || []).map((manager) =>
+        manager === "deployer" ? deployerAddress : manager
+    );
+    return {
+        managers,
+        requiredConfirmations: config.requiredConfirmations,
+        dailyWithdrawalLimit: ethers.utils.parseEther(String(config.dailyWithdrawalLimit)),
+        tokens: (config.tokens || []).map((token) => ({
+            address: token.address,
+            symbol: token.symbol,
+            dailyLimit: String(token.dailyLimit)
+        })),
+        selfGoverned: config.selfGoverned === undefined ? false : config.selfGoverned,
+        executionDelay: config.executionDelay === undefined ? 0 : config.executionDelay,
+        guardians: config.guardians || [],
+        proposers: config.proposers || [],
+        auditors: config.auditors || [],
+        scheduler: config.scheduler === undefined ? false : config.scheduler,
+        lens: config.lens === undefined ? false : config.lens,
+        factory: config.factory === undefined ? false : config.factory,
+        emergency: config.emergency || null
+    };
+}
+
+/**
+ * @dev Check resolved constructor arguments against the rules enforced by the
+ * TreasuryVault constructor, so a bad config fails before anything is sent.
+ * Returns the managers in checksummed form.
+ */
+function validateDeployConfig(resolved, ethers) {
+    const { managers, requiredConfirmations, dailyWithdrawalLimit, selfGoverned, executionDelay, scheduler, lens, factory } = resolved;
+
+    if (!Array.isArray(managers) || managers.length < MIN_CONFIRMATION_COUNT) {
+        throw new Error(`Config error: need at least ${MIN_CONFIRMATION_COUNT} managers`);
+    }
+
+    const checksummed = managers.map((manager) => {
+        let address;
+        try {
+            address = ethers.utils.getAddress(manager);
+        } catch (error) {
+            throw new Error(`Config error: invalid manager address ${manager}`);
+        }
+        if (address === ethers.constants.AddressZero) {
+            throw new Error("Config error: manager cannot be the zero address");
+        }
+        return address;
+    });
+
+    // The constructor does not reject duplicates, but they would corrupt the manager list
+    const unique = new Set(checksummed);
+    if (unique.size !== checksummed.length) {
+        throw new Error("Config error: duplicate manager addresses");
+    }
+
+    if (
+        !Number.isInteger(requiredConfirmations) ||
+        requiredConfirmations < MIN_CONFIRMATION_COUNT ||
+        requiredConfirmations > checksummed.length
+    ) {
+        throw new Error(
+            `Config error: requiredConfirmations must be between ${MIN_CONFIRMATION_COUNT} and ${checksummed.length}`
+        );
+    }
+
+    if (dailyWithdrawalLimit.gt(ethers.utils.parseEther(MAX_DAILY_WITHDRAWAL_ETH))) {
+        throw new Error(`Config error: dailyWithdrawalLimit cannot exceed ${MAX_DAILY_WITHDRAWAL_ETH} ETH`);
+    }
+
+    if (typeof selfGoverned !== "boolean") {
+        throw new Error("Config error: selfGoverned must be true or false");
+    }
+
+    if (!Number.isInteger(executionDelay) || executionDelay < 0 || executionDelay > MAX_EXECUTION_DELAY_SECONDS) {
+        throw new Error(`Config error: executionDelay must be a whole number of seconds between 0 and ${MAX_EXECUTION_DELAY_SECONDS}`);
+    }
+
+    // Accounts that hold a single role: guardians pause and veto, proposers only propose, auditors read
+    for (const role of ["guardian", "proposer", "auditor"]) {
+        for (const account of resolved[`${role}s`]) {
+            if (!ethers.utils.isAddress(account) || ethers.utils.getAddress(account) === ethers.constants.AddressZero) {
+                throw new Error(`Config error: invalid ${role} address ${account}`);
+            }
+        }
+    }
+
+    // true deploys a new PaymentScheduler; an address reuses one shared with other vaults
+    if (
+        typeof scheduler !== "boolean" &&
+        (!ethers.utils.isAddress(scheduler) || ethers.utils.getAddress(scheduler) === ethers.constants.AddressZero)
+    ) {
+        throw new Error("Config error: scheduler must be true, false or a PaymentScheduler address");
+    }
+
+    // Same for the TreasuryVaultLens that serves paginated queries
+    if (
+        typeof lens !== "boolean" &&
+        (!ethers.utils.isAddress(lens) || ethers.utils.getAddress(lens) === ethers.constants.AddressZero)
+    ) {
+        throw new Error("Config error: lens must be true, false or a TreasuryVaultLens address");
+    }
+
+    // true deploys a TreasuryVaultFactory that clones this vault; an address records an existing one
+    if (
+        typeof factory !== "boolean" &&
+        (!ethers.utils.isAddress(factory) || ethers.utils.getAddress(factory) === ethers.constants.AddressZero)
+    ) {
+        throw new Error("Config error: factory must be true, false or a TreasuryVaultFactory address");
+    }
+
+    // Emergency withdrawals through an EmergencyGuard (true deploys one), approved by a quorum of the guardians
+    if (resolved.emergency) {
+        const { guard, quorum, cap, cooldown = 0, coldStorage } = resolved.emergency;
+        if (
+            guard !== true &&
+            (!ethers.utils.isAddress(guard) || ethers.utils.getAddress(guard) === ethers.constants.AddressZero)
+        ) {
+            throw new Error("Config error: emergency.guard must be true or an EmergencyGuard address");
+        }
+        if (!Number.isInteger(quorum) || quorum < MIN_CONFIRMATION_COUNT || quorum > resolved.guardians.length) {
+            throw new Error(`Config error: emergency.quorum must be between ${MIN_CONFIRMATION_COUNT} and the number of guardians`);
+        }
+        try {
+            ethers.utils.parseEther(String(cap));
+        } catch (error) {
+            throw new Error(`Config error: invalid emergency.cap ${cap}`);
+        }
+        if (!Number.isInteger(cooldown) || cooldown < 0) {
+            throw new Error("Config error: emergency.cooldown must be a whole number of seconds");
+        }
+        if (coldStorage === undefined) {
+            throw new Error("Config error: emergency.coldStorage is required, the only address emergency withdrawals can go to");
+        }
+        if (!ethers.utils.isAddress(coldStorage) || ethers.utils.getAddress(coldStorage) === ethers.constants.AddressZero) {
+            throw new Error(`Config error: invalid emergency.coldStorage address ${coldStorage}`);
+        }
+    }
+
+    return checksummed;
+}
+
+/**
+ * @dev Check the optional token list: valid, unique addresses and decimal daily limits
+ * (in whole tokens). Returns the tokens with checksummed addresses.
+ */
+function validateTokenConfig(tokens, ethers) {
+    const seen = new Set();
+    return tokens.map((token) => {
+        let address;
+        try {
+            address = ethers.utils.getAddress(token.address);
+        } catch (error) {
+            throw new Error(`Config error: invalid token address ${token.address}`);
+        }
+        if (address === ethers.constants.AddressZero) {
+            throw new Error("Config error: token cannot be the zero address");
+        }
+        if (seen.has(address)) {
+            throw new Error(`Config error: duplicate token ${address}`);
+        }
+        seen.add(address);
+        if (!/^\d+(\.\d+)?$/.test(token.dailyLimit)) {
+            throw new Error(`Config error: invalid dailyLimit "${token.dailyLimit}" for token ${address}`);
+        }
+        return { ...token, address };
+    });
+}
+
+/**
+ * @dev Read each token's decimals from the chain and convert its daily limit to token units
+ */
+async function resolveTokenLimits(tokens, ethers) {
+    const resolved = [];
+    for (const token of tokens) {
+        let decimals;
+        try {
+            const erc20 = new ethers.Contract(token.address, ["function decimals() view returns (uint8)"], ethers.provider);
+            decimals = await erc20.decimals();
+        } catch (error) {
+            throw new Error(`Config error: ${token.address} is not an ERC-20 token on this network`);
+        }
+        resolved.push({ ...token, decimals, limit: ethers.utils.parseUnits(token.dailyLimit, decimals) });
+    }
+    return resolved;
+}
+
+/**
+ * @dev Read the deployment manifest for a network, if one exists
+ */
+function readManifest(networkName, deploymentsDir = DEPLOYMENTS_DIR) {
+    const file = path.join(deploymentsDir, `${networkName}.json`);
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+/**
+ * @dev Write the deployment manifest to deployments/<network>.json
+ */
+function writeManifest(networkName, manifest, deploymentsDir = DEPLOYMENTS_DIR) {
+    fs.mkdirSync(deploymentsDir, { recursive: true });
+    const file = path.join(deploymentsDir, `${networkName}.json`);
+    fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+    return file;
+}
+
+/**
+ * @dev Deploy TreasuryVault from the network's config file.
+ * With dryRun set, only validates the config and estimates gas.
+ */
+async function deployTreasuryVault(hre, options = {}) {
+    const { ethers } = hre;
+    const networkName = hre.network.name;
+    const log = options.quiet ? () => {} : console.log;
+
+    log("🚀 TREASURY VAULT DEPLOYMENT");
+    log("============================");
 
-async function main() {
-    console.log("🚀 STARTING TREASURY VAULT DEPLOYMENT");
-    console.log("=====================================");
-    
-    // Get the deployer account
     const [deployer] = await ethers.getSigners();
-    console.log(`📝 Deploying with account: ${deployer.address}`);
-    console.log(`💰 Account balance: ${ethers.utils.formatEther(await deployer.getBalance())} ETH`);
-    
+    const network = await ethers.provider.getNetwork();
+    const balance = await deployer.getBalance();
+
+    log(`📝 Deploying with account: ${deployer.address}`);
+    log(`🌐 Network: ${networkName} (Chain ID: ${network.chainId})`);
+    log(`💰 Account balance: ${ethers.utils.formatEther(balance)} ETH`);
+
     // ============ DEPLOYMENT CONFIGURATION ============
-    console.log("\n⚙️ DEPLOYMENT CONFIGURATION:");
-    
-    // Define initial treasury managers (replace with real addresses)
-    const initialManagers = [
-        deployer.address,                                    // Deployer as first manager
-        "0x1234567890123456789012345678901234567890",        // Manager 2 (REPLACE)
-        "0x2345678901234567890123456789012345678901"         // Manager 3 (REPLACE)
-    ];
-    
-    // Security configuration
-    const requiredConfirmations = 2;                        // Need 2 out of 3 approvals
-    const dailyWithdrawalLimit = ethers.utils.parseEther("10"); // 10 ETH daily limit
-    
-    console.log(`👥 Initial Managers: ${initialManagers.length}`);
-    console.log(`✅ Required Confirmations: ${requiredConfirmations}`);
-    console.log(`💵 Daily Withdrawal Limit: ${ethers.utils.formatEther(dailyWithdrawalLimit)} ETH`);
-    
-    // ============ CONTRACT DEPLOYMENT ============
-    console.log("\n🏗️ DEPLOYING CONTRACT...");
-    
-    // Get the contract factory
+    const config = options.config || loadDeployConfig(networkName, options.configPath);
+    const resolved = resolveDeployConfig(config, deployer.address, ethers);
+    const managers = validateDeployConfig(resolved, ethers);
+    const tokens = await resolveTokenLimits(validateTokenConfig(resolved.tokens, ethers), ethers);
+    const { requiredConfirmations, dailyWithdrawalLimit, selfGoverned, executionDelay } = resolved;
+    const guardians = resolved.guardians.map((guardian) => ethers.utils.getAddress(guardian));
+    const proposers = resolved.proposers.map((proposer) => ethers.utils.getAddress(proposer));
+    const auditors = resolved.auditors.map((auditor) => ethers.utils.getAddress(auditor));
+
+    // Nobody sets up emergency withdrawals alone: the deployer proposes the guard and its policy to the managers
+    if (resolved.emergency && !managers.includes(deployer.address) && !proposers.includes(deployer.address)) {
+        throw new Error("Config error: emergency needs the deployer among the managers or proposers, to propose the guard and its policy");
+    }
+
+    log("\n⚙️ DEPLOYMENT CONFIGURATION:");
+    managers.forEach((manager, i) => log(`👤 Manager ${i + 1}: ${manager}`));
+    log(`✅ Required Confirmations: ${requiredConfirmations} of ${managers.length}`);
+    log(`💵 Daily Withdrawal Limit: ${ethers.utils.formatEther(dailyWithdrawalLimit)} ETH`);
+    tokens.forEach((token) => log(`🪙 Token ${token.symbol || token.address}: ${token.dailyLimit} per day`));
+    log(`⏳ Execution Delay: ${executionDelay}s after quorum`);
+    guardians.forEach((guardian) => log(`🛡️ Guardian: ${guardian}`));
+    proposers.forEach((proposer) => log(`📝 Proposer: ${proposer}`));
+    auditors.forEach((auditor) => log(`🔍 Auditor: ${auditor}`));
+    if (resolved.lens) {
+        log(`🔎 Proposal lens: ${resolved.lens === true ? "deploy a new one" : resolved.lens}`);
+    }
+    if (resolved.scheduler) {
+        log(`📅 Payment scheduler: ${resolved.scheduler === true ? "deploy a new one" : resolved.scheduler}`);
+    }
+    if (resolved.factory) {
+        log(`🏭 Vault factory: ${resolved.factory === true ? "deploy a new one cloning this vault" : resolved.factory}`);
+    }
+    if (resolved.emergency) {
+        const { guard, quorum, cap, coldStorage } = resolved.emergency;
+        log(`🚨 Emergency guard: ${guard === true ? "deploy a new one" : guard}, ${quorum} guardians, at most ${cap} ETH to ${coldStorage} (proposed to the managers)`);
+    }
+    log(`🏛️ Self-governed: ${selfGoverned ? "yes - admin functions only through proposals" : "no"}`);
+
     const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
-    
-    // Deploy the contract with initialization parameters
-    const treasuryVault = await TreasuryVault.deploy(
-        initialManagers,
-        requiredConfirmations,
-        dailyWithdrawalLimit
-    );
-    
-    // Wait for deployment to complete
-    await treasuryVault.deployed();
-    
-    console.log("✅ TreasuryVault deployed successfully!");
-    console.log(`📍 Contract Address: ${treasuryVault.address}`);
-    
-    // ============ DEPLOYMENT VERIFICATION ============
-    console.log("\n🔍 VERIFYING DEPLOYMENT...");
-    
-    // Check if contract is deployed correctly
-    const deployedCode = await ethers.provider.getCode(treasuryVault.address);
-    if (deployedCode === "0x") {
-        throw new Error("❌ Contract deployment failed - no code at address");
-    }
-    
-    // Verify initial configuration
-    const actualRequiredConfirmations = await treasuryVault.requiredConfirmations();
-    const actualDailyLimit = await treasuryVault.dailyWithdrawalLimit();
-    const managerCount = await treasuryVault.treasuryManagers(0); // Check first manager
-    
-    console.log("📊 VERIFICATION RESULTS:");
-    console.log(`✅ Required Confirmations: ${actualRequiredConfirmations}`);
-    console.log(`✅ Daily Limit: ${ethers.utils.formatEther(actualDailyLimit)} ETH`);
-    console.log(`✅ First Manager: ${managerCount}`);
-    
-    // ============ POST-DEPLOYMENT INFO ============
-    console.log("\n📋 DEPLOYMENT SUMMARY:");
-    console.log("======================");
-    console.log(`🏦 Treasury Contract: ${treasuryVault.address}`);
-    console.log(`🌐 Network: ${(await ethers.provider.getNetwork()).name}`);
-    console.log(`⛽ Gas Used: Will be shown in transaction receipt`);
-    console.log(`🔐 Security: Enterprise-grade multi-signature treasury`);
-    
-    console.log("\n🎉 DEPLOYMENT COMPLETED SUCCESSFULLY!");
-    console.log("Your Treasury Vault is now live and ready to secure funds! 🛡️");
-    
-    return treasuryVault.address;
+    const constructorArgs = [managers, requiredConfirmations, dailyWithdrawalLimit];
+    const deployTx = TreasuryVault.getDeployTransaction(...constructorArgs);
+
+    // ============ DRY RUN ============
+    if (options.dryRun) {
+        const gasEstimate = await ethers.provider.estimateGas({ ...deployTx, from: deployer.address });
+        const gasPrice = await ethers.provider.getGasPrice();
+        const cost = gasEstimate.mul(gasPrice);
+
+        log("\n🧪 DRY RUN - nothing was sent");
+        log(`⛽ Estimated Gas: ${gasEstimate.toString()}`);
+        if (tokens.length > 0) {
+            log(`🪙 Plus ${tokens.length} setTokenDailyLimit transaction(s) after deployment`);
+        }
+        log(`💸 Estimated Cost: ${ethers.utils.formatEther(cost)} ETH at ${ethers.utils.formatUnits(gasPrice, "gwei")} gwei`);
+        if (balance.lt(cost)) {
+            log("⚠️  WARNING: Deployer balance is below the estimated cost!");
+        }
+        return { dryRun: true, gasEstimate: gasEstimate.toString(), estimatedCost: cost.toString() };
+    }
+
+    // A manifest left by a deployment whose setup stopped still holds a live vault
+    const previous = readManifest(networkName, options.deploymentsDir);
+    if (previous && previous.status && previous.status !== "complete") {
+        throw new Error(`Deployment error: the vault at ${previous.address} was deployed but its setup stopped after [${previous.completedSteps.join(", ")}]; finish it or remove the ${networkName} manifest before deploying again`);
+    }
+
+    // ============ CONTRACT DEPLOYMENT ============
+    log("\n🏗️ DEPLOYING CONTRACT...");
+
+    let treasuryVault;
+    try {
+        treasuryVault = await TreasuryVault.deploy(...constructorArgs);
+        log(`📄 Transaction Hash: ${treasuryVault.deployTransaction.hash}`);
+        log("⏳ Waiting for deployment confirmation...");
+        await treasuryVault.deployed();
+    } catch (error) {
+        if (error.code === 4001) {
+            log("❌ User rejected transaction in wallet");
+        }
+        throw error;
+    }
+
+    const receipt = await treasuryVault.deployTransaction.wait();
+    log("✅ TreasuryVault deployed successfully!");
+    log(`📍 Contract Address: ${treasuryVault.address}`);
+    log(`⛽ Gas Used: ${receipt.gasUsed.toString()}`);
+
+    // ============ DEPLOYMENT MANIFEST ============
+    // Written before the setup steps and after each one, so a failed step still leaves the vault on record
+    const manifest = {
+        network: networkName,
+        chainId: network.chainId,
+        address: treasuryVault.address,
+        transactionHash: receipt.transactionHash,
+        blockNumber: receipt.blockNumber,
+        gasUsed: receipt.gasUsed.toString(),
+        deployer: deployer.address,
+        scheduler: null,
+        lens: null,
+        emergencyGuard: null,
+        factory: null,
+        deployedAt: new Date().toISOString(),
+        status: "configuring",
+        completedSteps: [],
+        config: {
+            managers,
+            requiredConfirmations,
+            dailyWithdrawalLimit: dailyWithdrawalLimit.toString(),
+            tokens: tokens.map((token) => ({
+                address: token.address,
+                symbol: token.symbol,
+                decimals: token.decimals,
+                dailyLimit: token.limit.toString()
+            })),
+            executionDelay,
+            guardians,
+            proposers,
+            auditors,
+            emergency: null,
+            selfGoverned
+        }
+    };
+    const manifestFile = writeManifest(networkName, manifest, options.deploymentsDir);
+    log(`📋 Manifest written to ${path.relative(process.cwd(), manifestFile)}`);
+    const completeStep = (step, fields = {}) => {
+        Object.assign(manifest, fields);
+        manifest.completedSteps.push(step);
+        writeManifest(networkName, manifest, options.deploymentsDir);
+    };
+
+    try {
+        // ============ DEPLOYMENT VERIFICATION ============
+        log("\n🔍 VERIFYING DEPLOYMENT...");
+
+        const actualManagers = await treasuryVault.getTreasuryManagers();
+        const actualRequiredConfirmations = await treasuryVault.requiredConfirmations();
+        const actualDailyLimit = await treasuryVault.dailyWithdrawalLimit();
+
+        if (
+            actualManagers.length !== managers.length ||
+            actualManagers.some((manager, i) => manager !== managers[i]) ||
+            !actualRequiredConfirmations.eq(requiredConfirmations) ||
+            !actualDailyLimit.eq(dailyWithdrawalLimit)
+        ) {
+            throw new Error("❌ Deployed state does not match the deployment config");
+        }
+        log(`✅ ${actualManagers.length} managers, ${actualRequiredConfirmations} confirmations, ${ethers.utils.formatEther(actualDailyLimit)} ETH limit`);
+
+        completeStep("verification");
+
+        // ============ TOKEN LIMITS ============
+        for (const token of tokens) {
+            await (await treasuryVault.setTokenDailyLimit(token.address, token.limit)).wait();
+            if (!(await treasuryVault.tokenDailyLimit(token.address)).eq(token.limit)) {
+                throw new Error(`❌ Daily limit for token ${token.address} was not applied`);
+            }
+            log(`✅ Token ${token.symbol || token.address}: ${token.dailyLimit} per day`);
+        }
+
+        completeStep("tokens");
+
+        // ============ TIMELOCK ============
+        if (executionDelay > 0) {
+            await (await treasuryVault.updateExecutionDelay(executionDelay)).wait();
+            log(`✅ Execution delay: ${executionDelay}s`);
+        }
+        for (const guardian of guardians) {
+            await (await treasuryVault.setGuardian(guardian, true)).wait();
+            log(`✅ Guardian: ${guardian}`);
+        }
+
+        completeStep("timelock");
+
+        // ============ ROLES ============
+        for (const [role, accounts] of [["PROPOSER_ROLE", proposers], ["AUDITOR_ROLE", auditors]]) {
+            for (const account of accounts) {
+                await (await treasuryVault.grantRole(await treasuryVault[role](), account)).wait();
+                log(`✅ ${role}: ${account}`);
+            }
+        }
+
+        completeStep("roles");
+
+        // ============ PROPOSAL LENS ============
+        let lens = null;
+        if (resolved.lens === true) {
+            const TreasuryVaultLens = await ethers.getContractFactory("TreasuryVaultLens");
+            const deployed = await TreasuryVaultLens.deploy();
+            await deployed.deployed();
+            lens = deployed.address;
+            log(`✅ TreasuryVaultLens deployed at ${lens}`);
+        } else if (resolved.lens) {
+            lens = ethers.utils.getAddress(resolved.lens);
+        }
+
+        completeStep("lens", { lens });
+
+        // ============ PAYMENT SCHEDULER ============
+        let scheduler = null;
+        if (resolved.scheduler === true) {
+            const PaymentScheduler = await ethers.getContractFactory("PaymentScheduler");
+            const deployed = await PaymentScheduler.deploy();
+            await deployed.deployed();
+            scheduler = deployed.address;
+            log(`✅ PaymentScheduler deployed at ${scheduler}`);
+        } else if (resolved.scheduler) {
+            scheduler = ethers.utils.getAddress(resolved.scheduler);
+        }
+        if (scheduler) {
+            await (await treasuryVault.setModule(scheduler, true)).wait();
+            if (!(await treasuryVault.isModule(scheduler))) {
+                throw new Error("❌ The payment scheduler was not enabled");
+            }
+            log(`✅ Payment scheduler enabled: ${scheduler}`);
+        }
+
+        completeStep("scheduler", { scheduler });
+
+        // ============ VAULT FACTORY ============
+        let factory = null;
+        if (resolved.factory === true) {
+            const TreasuryVaultFactory = await ethers.getContractFactory("TreasuryVaultFactory");
+            const deployed = await TreasuryVaultFactory.deploy(treasuryVault.address);
+            await deployed.deployed();
+            factory = deployed.address;
+            log(`✅ TreasuryVaultFactory deployed at ${factory}, cloning this vault`);
+        } else if (resolved.factory) {
+            factory = ethers.utils.getAddress(resolved.factory);
+        }
+
+        completeStep("factory", { factory });
+
+        // ============ EMERGENCY GUARD ============
+        let emergencyGuard = null;
+        let emergency = null;
+        if (resolved.emergency) {
+            const EmergencyGuard = await ethers.getContractFactory("EmergencyGuard");
+            let guard;
+            if (resolved.emergency.guard === true) {
+                guard = await EmergencyGuard.deploy();
+                await guard.deployed();
+                log(`✅ EmergencyGuard deployed at ${guard.address}`);
+            } else {
+                guard = EmergencyGuard.attach(ethers.utils.getAddress(resolved.emergency.guard));
+            }
+            emergencyGuard = guard.address;
+            emergency = {
+                quorum: resolved.emergency.quorum,
+                cap: ethers.utils.parseEther(String(resolved.emergency.cap)).toString(),
+                cooldown: resolved.emergency.cooldown || 0,
+                coldStorage: ethers.utils.getAddress(resolved.emergency.coldStorage)
+            };
+            // The guard can move funds without a proposal, so pointing the vault to it takes one
+            const setup = [
+                {
+                    target: treasuryVault.address,
+                    value: 0,
+                    data: treasuryVault.interface.encodeFunctionData("setEmergencyGuard", [emergencyGuard])
+                },
+                {
+                    target: emergencyGuard,
+                    value: 0,
+                    data: guard.interface.encodeFunctionData("setPolicy", [
+                        treasuryVault.address,
+                        emergency.quorum,
+                        emergency.cap,
+                        emergency.cooldown,
+                        emergency.coldStorage
+                    ])
+                }
+            ];
+            const setupReceipt = await (await treasuryVault.createProposal(
+                treasuryVault.address,
+                0,
+                treasuryVault.interface.encodeFunctionData("executeBatch", [setup]),
+                "Enable emergency withdrawals"
+            )).wait();
+            const created = setupReceipt.events.find((event) => event.event === "ProposalCreated");
+            if (!created) {
+                throw new Error("❌ The emergency setup was not proposed");
+            }
+            emergency.proposalId = created.args.proposalId.toNumber();
+            log(`✅ Emergency withdrawals proposed as proposal #${emergency.proposalId}: ${emergency.quorum} guardian approvals through ${emergencyGuard} once ${requiredConfirmations} managers confirm`);
+        }
+
+        manifest.config.emergency = emergency;
+        completeStep("emergency", { emergencyGuard });
+
+        // ============ SELF-GOVERNANCE ============
+        // Last step: once enabled, the deployer can no longer change policy
+        if (selfGoverned) {
+            await (await treasuryVault.enableSelfGovernance()).wait();
+            if (!(await treasuryVault.selfGoverned())) {
+                throw new Error("❌ Self-governance was not enabled");
+            }
+            log("✅ Self-governance enabled - admin functions now require an executed proposal");
+        }
+
+        completeStep("selfGovernance");
+    } catch (error) {
+        manifest.status = "failed";
+        manifest.error = error.message;
+        writeManifest(networkName, manifest, options.deploymentsDir);
+        log(`❌ Setup stopped after the vault was deployed; ${path.relative(process.cwd(), manifestFile)} records it and the completed steps`);
+        throw error;
+    }
+    manifest.status = "complete";
+    writeManifest(networkName, manifest, options.deploymentsDir);
+
+    if (network.chainId === 11155111) {
+        log(`🔗 Etherscan: https://sepolia.etherscan.io/address/${treasuryVault.address}`);
+    } else if (network.chainId === 1) {
+        log(`🔗 Etherscan: https://etherscan.io/address/${treasuryVault.address}`);
+    }
+
+    log("\n🎉 DEPLOYMENT COMPLETED SUCCESSFULLY!");
+    return manifest;
 }
 
-// Execute deployment
-main()
-    .then((address) => {
-        console.log(`\n🚀 Final Contract Address: ${address}`);
-        process.exit(0);
-    })
-    .catch((error) => {
-        console.error("❌ Deployment failed:", error);
-        process.exit(1);
-    });
+module.exports = {
+    MIN_CONFIRMATION_COUNT,
+    MAX_DAILY_WITHDRAWAL_ETH,
+    loadDeployConfig,
+    resolveDeployConfig,
+    validateDeployConfig,
+    validateTokenConfig,
+    readManifest,
+    writeManifest,
+    deployTreasuryVault
+};
+
+// Execute deployment when run as `npx hardhat run deploy.js` (set DRY_RUN=true for a dry run)
+if (require.main === module) {
+    const hre = require("hardhat");
+    deployTreasuryVault(hre, { dryRun: process.env.DRY_RUN === "true" })
+        .then((result) => {
+            if (result.address) {
+                console.log(`\n🚀 Final Contract Address: ${result.address}`);
+            }
+            process.exit(0);
+        })
+        .catch((error) => {
+            console.error("❌ Deployment failed:", error.message);
+            process.exit(1);
+        });
+}
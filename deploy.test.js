@@ -0,0 +1,315 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const {
+    resolveDeployConfig,
+    validateDeployConfig,
+    readManifest,
+    deployTreasuryVault
+} = require("./deploy");
+
+describe("Config-driven Deployment", function () {
+
+    // ============ TEST SETUP ============
+    async function configFixture() {
+        const [deployer, manager1, manager2] = await ethers.getSigners();
+        const config = {
+            managers: ["deployer", manager1.address, manager2.address],
+            requiredConfirmations: 2,
+            dailyWithdrawalLimit: "10"
+        };
+        const deploymentsDir = fs.mkdtempSync(path.join(os.tmpdir(), "treasury-deployments-"));
+        return { deployer, manager1, manager2, config, deploymentsDir };
+    }
+
+    function expectInvalid(config, deployerAddress, message) {
+        try {
+            validateDeployConfig(resolveDeployConfig(config, deployerAddress, ethers), ethers);
+            expect.fail("Should have thrown an error");
+        } catch (error) {
+            expect(error.message).to.include(message);
+        }
+    }
+
+    // ============ VALIDATION TESTS ============
+    describe("1. Config Validation", function () {
+
+        it("Should replace the deployer placeholder and checksum managers", async function () {
+            const { deployer, manager1, config } = await configFixture();
+            config.managers[1] = manager1.address.toLowerCase();
+
+            const managers = validateDeployConfig(resolveDeployConfig(config, deployer.address, ethers), ethers);
+            expect(managers[0]).to.equal(deployer.address);
+            expect(managers[1]).to.equal(manager1.address);
+        });
+
+        it("Should reject too few managers", async function () {
+            const { deployer, config } = await configFixture();
+            config.managers = ["deployer"];
+            expectInvalid(config, deployer.address, "need at least 2 managers");
+        });
+
+        it("Should reject invalid, zero and duplicate manager addresses", async function () {
+            const { deployer, manager1, config } = await configFixture();
+
+            expectInvalid({ ...config, managers: ["deployer", "0x1234"] }, deployer.address, "invalid manager address");
+            expectInvalid({ ...config, managers: ["deployer", ethers.constants.AddressZero] }, deployer.address, "zero address");
+            expectInvalid({ ...config, managers: ["deployer", manager1.address, manager1.address] }, deployer.address, "duplicate manager");
+        });
+
+        it("Should reject confirmation counts outside the constructor bounds", async function () {
+            const { deployer, config } = await configFixture();
+
+            expectInvalid({ ...config, requiredConfirmations: 1 }, deployer.address, "requiredConfirmations must be between 2 and 3");
+            expectInvalid({ ...config, requiredConfirmations: 4 }, deployer.address, "requiredConfirmations must be between 2 and 3");
+        });
+
+        it("Should reject a daily limit above the contract maximum", async function () {
+            const { deployer, config } = await configFixture();
+            expectInvalid({ ...config, dailyWithdrawalLimit: "101" }, deployer.address, "cannot exceed 100 ETH");
+        });
+    });
+
+    // ============ DEPLOYMENT TESTS ============
+    describe("2. Deployment and Manifest", function () {
+
+        it("Should estimate gas on a dry run without deploying", async function () {
+            const { deployer, config, deploymentsDir } = await configFixture();
+            const nonceBefore = await deployer.getTransactionCount();
+
+            const result = await deployTreasuryVault(hre, { config, dryRun: true, deploymentsDir, quiet: true });
+
+            expect(result.dryRun).to.be.true;
+            expect(Number(result.gasEstimate)).to.be.above(0);
+            expect(await deployer.getTransactionCount()).to.equal(nonceBefore);
+            expect(readManifest(hre.network.name, deploymentsDir)).to.be.null;
+        });
+
+        it("Should deploy and write a manifest with the receipt data", async function () {
+            const { deployer, manager1, manager2, config, deploymentsDir } = await configFixture();
+
+            const manifest = await deployTreasuryVault(hre, { config, deploymentsDir, quiet: true });
+            const receipt = await ethers.provider.getTransactionReceipt(manifest.transactionHash);
+
+            expect(readManifest(hre.network.name, deploymentsDir)).to.deep.equal(manifest);
+            expect(manifest.blockNumber).to.equal(receipt.blockNumber);
+            expect(manifest.gasUsed).to.equal(receipt.gasUsed.toString());
+            expect(manifest.address).to.equal(receipt.contractAddress);
+            expect(manifest.config.managers).to.deep.equal([deployer.address, manager1.address, manager2.address]);
+            expect(manifest.config.dailyWithdrawalLimit).to.equal(ethers.utils.parseEther("10").toString());
+            expect(manifest.status).to.equal("complete");
+        });
+
+        it("Should keep the manifest of a vault whose setup fails and refuse to deploy another", async function () {
+            const { config, deploymentsDir } = await configFixture();
+            const getContractFactory = hre.ethers.getContractFactory;
+            hre.ethers.getContractFactory = async (name, ...args) => {
+                if (name === "TreasuryVaultLens") {
+                    throw new Error("lens deployment failed");
+                }
+                return getContractFactory(name, ...args);
+            };
+
+            try {
+                await deployTreasuryVault(hre, { config: { ...config, lens: true }, deploymentsDir, quiet: true });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("lens deployment failed");
+            } finally {
+                hre.ethers.getContractFactory = getContractFactory;
+            }
+
+            const manifest = readManifest(hre.network.name, deploymentsDir);
+            expect(manifest.status).to.equal("failed");
+            expect(manifest.error).to.equal("lens deployment failed");
+            expect(manifest.completedSteps).to.deep.equal(["verification", "tokens", "timelock", "roles"]);
+            expect(await ethers.provider.getCode(manifest.address)).to.not.equal("0x");
+
+            try {
+                await deployTreasuryVault(hre, { config, deploymentsDir, quiet: true });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include(`the vault at ${manifest.address} was deployed but its setup stopped after [verification, tokens, timelock, roles]`);
+            }
+        });
+
+        it("Should apply per-token daily limits from the config", async function () {
+            const { config, deploymentsDir } = await configFixture();
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            const usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+
+            const manifest = await deployTreasuryVault(hre, {
+                config: { ...config, tokens: [{ address: usdc.address, symbol: "USDC", dailyLimit: "1500" }] },
+                deploymentsDir,
+                quiet: true
+            });
+            const treasuryVault = await ethers.getContractAt("TreasuryVault", manifest.address);
+
+            expect((await treasuryVault.tokenDailyLimit(usdc.address)).toNumber()).to.equal(1500000000);
+            expect(manifest.config.tokens).to.deep.equal([
+                { address: usdc.address, symbol: "USDC", decimals: 6, dailyLimit: "1500000000" }
+            ]);
+        });
+
+        it("Should hand admin functions to the multisig when selfGoverned is set", async function () {
+            const { deployer, config, deploymentsDir } = await configFixture();
+
+            const manifest = await deployTreasuryVault(hre, { config: { ...config, selfGoverned: true }, deploymentsDir, quiet: true });
+            const treasuryVault = await ethers.getContractAt("TreasuryVault", manifest.address);
+
+            expect(await treasuryVault.selfGoverned()).to.be.true;
+            expect(manifest.config.selfGoverned).to.be.true;
+            try {
+                await treasuryVault.connect(deployer).updateDailyLimit(1);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Only callable through a proposal");
+            }
+        });
+
+        it("Should configure the execution delay and guardians", async function () {
+            const { config, deploymentsDir, manager2 } = await configFixture();
+
+            const manifest = await deployTreasuryVault(hre, {
+                config: { ...config, executionDelay: 86400, guardians: [manager2.address.toLowerCase()] },
+                deploymentsDir,
+                quiet: true
+            });
+            const treasuryVault = await ethers.getContractAt("TreasuryVault", manifest.address);
+
+            expect((await treasuryVault.executionDelay()).toNumber()).to.equal(86400);
+            expect(await treasuryVault.hasRole(await treasuryVault.GUARDIAN_ROLE(), manager2.address)).to.be.true;
+            expect(manifest.config.guardians).to.deep.equal([manager2.address]);
+        });
+
+        it("Should grant proposer-only and auditor roles and deploy a lens", async function () {
+            const { config, deploymentsDir } = await configFixture();
+            const [, , , contributor, auditor] = await ethers.getSigners();
+
+            const manifest = await deployTreasuryVault(hre, {
+                config: { ...config, proposers: [contributor.address], auditors: [auditor.address], lens: true },
+                deploymentsDir,
+                quiet: true
+            });
+            const treasuryVault = await ethers.getContractAt("TreasuryVault", manifest.address);
+
+            expect(await treasuryVault.hasRole(await treasuryVault.PROPOSER_ROLE(), contributor.address)).to.be.true;
+            expect(await treasuryVault.isTreasuryManager(contributor.address)).to.be.false;
+            expect(await treasuryVault.hasRole(await treasuryVault.AUDITOR_ROLE(), auditor.address)).to.be.true;
+            expect(manifest.config.proposers).to.deep.equal([contributor.address]);
+            expect(manifest.config.auditors).to.deep.equal([auditor.address]);
+            expect(ethers.utils.isAddress(manifest.lens)).to.be.true;
+            expectInvalid({ ...config, auditors: ["0x1234"] }, manifest.deployer, "invalid auditor address");
+            expectInvalid({ ...config, lens: "yes" }, manifest.deployer, "lens must be true, false or a TreasuryVaultLens address");
+        });
+
+        it("Should deploy and enable a payment scheduler when configured", async function () {
+            const { config, deploymentsDir } = await configFixture();
+
+            const manifest = await deployTreasuryVault(hre, { config: { ...config, scheduler: true }, deploymentsDir, quiet: true });
+            const treasuryVault = await ethers.getContractAt("TreasuryVault", manifest.address);
+
+            expect(ethers.utils.isAddress(manifest.scheduler)).to.be.true;
+            expect(await treasuryVault.isModule(manifest.scheduler)).to.be.true;
+
+            const second = await deployTreasuryVault(hre, { config: { ...config, scheduler: manifest.scheduler }, deploymentsDir, quiet: true });
+            expect(second.scheduler).to.equal(manifest.scheduler);
+            expectInvalid({ ...config, scheduler: "yes" }, manifest.deployer, "scheduler must be true, false or a PaymentScheduler address");
+        });
+
+        it("Should deploy a vault factory that clones the deployed vault", async function () {
+            const { config, deploymentsDir } = await configFixture();
+
+            const manifest = await deployTreasuryVault(hre, { config: { ...config, factory: true }, deploymentsDir, quiet: true });
+            const factory = await ethers.getContractAt("TreasuryVaultFactory", manifest.factory);
+
+            expect(await factory.implementation()).to.equal(manifest.address);
+            expect(readManifest(hre.network.name, deploymentsDir).factory).to.equal(manifest.factory);
+            expectInvalid({ ...config, factory: "yes" }, manifest.deployer, "factory must be true, false or a TreasuryVaultFactory address");
+        });
+
+        it("Should deploy an emergency guard with the configured policy", async function () {
+            const { config, deploymentsDir, manager1, manager2 } = await configFixture();
+            const [, , , guardian, coldStorage] = await ethers.getSigners();
+            const emergency = { guard: true, quorum: 2, cap: "5", cooldown: 3600, coldStorage: coldStorage.address };
+
+            const manifest = await deployTreasuryVault(hre, {
+                config: { ...config, guardians: [manager2.address, guardian.address], emergency },
+                deploymentsDir,
+                quiet: true
+            });
+            const treasuryVault = await ethers.getContractAt("TreasuryVault", manifest.address);
+            const guard = await ethers.getContractAt("EmergencyGuard", manifest.emergencyGuard);
+            expect(manifest.config.emergency).to.deep.equal({
+                quorum: 2,
+                cap: ethers.utils.parseEther("5").toString(),
+                cooldown: 3600,
+                coldStorage: coldStorage.address,
+                proposalId: 0
+            });
+
+            // The guard is only proposed: it takes effect once the managers confirm
+            expect(await treasuryVault.emergencyGuard()).to.equal(ethers.constants.AddressZero);
+            const [deployer] = await ethers.getSigners();
+            await treasuryVault.connect(deployer).confirmProposal(manifest.config.emergency.proposalId);
+            await treasuryVault.connect(manager1).confirmProposal(manifest.config.emergency.proposalId);
+            expect(await treasuryVault.emergencyGuard()).to.equal(manifest.emergencyGuard);
+            expect((await guard.policies(treasuryVault.address)).coldStorage).to.equal(coldStorage.address);
+
+            try {
+                await deployTreasuryVault(hre, {
+                    config: { ...config, managers: [manager1.address, manager2.address], guardians: [manager2.address, guardian.address], emergency },
+                    deploymentsDir,
+                    quiet: true
+                });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("emergency needs the deployer among the managers or proposers");
+            }
+            expectInvalid(
+                { ...config, guardians: [manager1.address], emergency },
+                manifest.deployer,
+                "emergency.quorum must be between 2 and the number of guardians"
+            );
+            expectInvalid({ ...config, emergency: { ...emergency, guard: "yes" } }, manifest.deployer, "emergency.guard must be true or an EmergencyGuard address");
+            expectInvalid(
+                { ...config, guardians: [manager2.address, guardian.address], emergency: { ...emergency, coldStorage: undefined } },
+                manifest.deployer,
+                "emergency.coldStorage is required"
+            );
+        });
+
+        it("Should reject token entries that are not ERC-20 contracts", async function () {
+            const { deployer, manager1, config, deploymentsDir } = await configFixture();
+            const nonceBefore = await deployer.getTransactionCount();
+
+            try {
+                await deployTreasuryVault(hre, {
+                    config: { ...config, tokens: [{ address: manager1.address, symbol: "EOA", dailyLimit: "1" }] },
+                    deploymentsDir,
+                    quiet: true
+                });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("is not an ERC-20 token");
+            }
+            expect(await deployer.getTransactionCount()).to.equal(nonceBefore);
+        });
+
+        it("Should not send anything when the config is invalid", async function () {
+            const { deployer, config, deploymentsDir } = await configFixture();
+            const nonceBefore = await deployer.getTransactionCount();
+
+            try {
+                await deployTreasuryVault(hre, { config: { ...config, requiredConfirmations: 5 }, deploymentsDir, quiet: true });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("Config error");
+            }
+            expect(await deployer.getTransactionCount()).to.equal(nonceBefore);
+        });
+    });
+});
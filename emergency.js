@@ -0,0 +1,169 @@
+const { ethers } = require("ethers");
+const { TreasuryVaultClient } = require("./TreasuryVaultClient");
+
+// ============ CONTRACT INTERFACE ============
+const EMERGENCY_GUARD_ABI = [
+    // Events
+    "event EmergencyPolicyUpdated(address indexed vault, uint256 quorum, uint256 cap, uint256 cooldown, address coldStorage)",
+    "event EmergencyWithdrawalApproved(address indexed vault, address indexed to, uint256 amount, address indexed guardian, uint256 approvals)",
+
+    // Constants and state
+    "function MIN_QUORUM() view returns (uint256)",
+    "function policies(address vault) view returns (uint256 quorum, uint256 cap, uint256 cooldown, address coldStorage, uint256 lastWithdrawal)",
+    "function getRequest(address vault) view returns (address to, uint256 amount, address[] approvers, uint256 approvals)",
+    "function nextWithdrawalTime(address vault) view returns (uint256)",
+
+    // Writes
+    "function approveWithdrawal(address vault, address to, uint256 amount)",
+    "function setPolicy(address vault, uint256 quorum, uint256 cap, uint256 cooldown, address coldStorage)"
+];
+
+// ============ POLICY RULES (mirrors EmergencyGuard.sol) ============
+const MIN_QUORUM = 2;
+
+const guardInterface = new ethers.utils.Interface(EMERGENCY_GUARD_ABI);
+
+/**
+ * @typedef {Object} EmergencyPolicy
+ * @property {number} quorum - Guardian approvals needed; 0 when emergency withdrawals are disabled
+ * @property {ethers.BigNumber} cap - Most wei per withdrawal
+ * @property {number} cooldown - Seconds between withdrawals
+ * @property {string|null} coldStorage - Only allowed recipient, null while withdrawals are disabled
+ * @property {number} lastWithdrawal - Unix seconds, 0 if there was none
+ * @property {number} nextWithdrawalTime - 0 if a withdrawal is allowed at any time
+ */
+
+/**
+ * @title EmergencyGuardClient
+ * @dev Read and approve quorum-gated emergency withdrawals of an EmergencyGuard shared by one or more vaults
+ */
+class EmergencyGuardClient {
+    /**
+     * @param {string} address - Guard address
+     * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider - Signer for writes, provider for read-only use
+     */
+    constructor(address, signerOrProvider) {
+        this.contract = new ethers.Contract(address, EMERGENCY_GUARD_ABI, signerOrProvider);
+        this.address = this.contract.address;
+        this.provider = this.contract.provider;
+        this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+    }
+
+    /**
+     * @dev Same guard, different signer
+     */
+    connect(signer) {
+        return new EmergencyGuardClient(this.address, signer);
+    }
+
+    /**
+     * @dev Encode a setPolicy call, checking the rules the contract can check without the guardian count.
+     * Withdrawals only go to coldStorage, which any quorum above 0 needs; quorum 0 disables withdrawals.
+     */
+    static encodeSetPolicy(vault, { quorum, cap = 0, cooldown = 0, coldStorage = null }) {
+        if (!ethers.utils.isAddress(vault)) {
+            throw new Error(`EmergencyGuardClient: invalid vault ${vault}`);
+        }
+        if (!Number.isInteger(quorum) || (quorum !== 0 && quorum < MIN_QUORUM)) {
+            throw new Error(`EmergencyGuardClient: quorum must be 0 or at least ${MIN_QUORUM}`);
+        }
+        if (ethers.BigNumber.from(cap).lt(0)) {
+            throw new Error("EmergencyGuardClient: cap cannot be negative");
+        }
+        if (!Number.isInteger(cooldown) || cooldown < 0) {
+            throw new Error("EmergencyGuardClient: cooldown must be a number of seconds");
+        }
+        if (coldStorage && !ethers.utils.isAddress(coldStorage)) {
+            throw new Error(`EmergencyGuardClient: invalid cold storage address ${coldStorage}`);
+        }
+        if (quorum !== 0 && (!coldStorage || coldStorage === ethers.constants.AddressZero)) {
+            throw new Error("EmergencyGuardClient: a policy with a quorum needs a cold storage address");
+        }
+        return guardInterface.encodeFunctionData("setPolicy", [
+            vault,
+            quorum,
+            cap,
+            cooldown,
+            coldStorage || ethers.constants.AddressZero
+        ]);
+    }
+
+    /**
+     * @dev A vault's emergency policy
+     * @returns {Promise<EmergencyPolicy>}
+     */
+    async getPolicy(vault) {
+        const [raw, next] = await Promise.all([
+            this.contract.policies(vault),
+            this.contract.nextWithdrawalTime(vault)
+        ]);
+        return {
+            quorum: raw.quorum.toNumber(),
+            cap: raw.cap,
+            cooldown: raw.cooldown.toNumber(),
+            coldStorage: raw.coldStorage === ethers.constants.AddressZero ? null : raw.coldStorage,
+            lastWithdrawal: raw.lastWithdrawal.toNumber(),
+            nextWithdrawalTime: next.toNumber()
+        };
+    }
+
+    /**
+     * @dev The withdrawal a vault's guardians are approving, or null if there is none.
+     * approvals only counts approvers that are still guardians.
+     */
+    async getRequest(vault) {
+        const request = await this.contract.getRequest(vault);
+        if (request.approvers.length === 0) {
+            return null;
+        }
+        return {
+            to: request.to,
+            amount: request.amount,
+            approvers: request.approvers,
+            approvals: request.approvals.toNumber()
+        };
+    }
+
+    /**
+     * @dev Propose a policy change from a vault; it takes effect once the proposal executes
+     * @param {TreasuryVaultClient} vaultClient - Vault whose policy changes, connected to a proposer
+     */
+    async proposePolicy(vaultClient, { description, ...policy }) {
+        const data = EmergencyGuardClient.encodeSetPolicy(vaultClient.address, policy);
+        return vaultClient.createProposal({ target: this.address, data, description });
+    }
+
+    /**
+     * @dev Propose pointing a vault to this guard together with its policy, as one batch proposal
+     * @param {TreasuryVaultClient} vaultClient - Vault to protect, connected to a proposer
+     */
+    async proposeSetup(vaultClient, { description, ...policy }) {
+        const calls = [
+            { target: vaultClient.address, data: TreasuryVaultClient.encodeGovernanceCall("setEmergencyGuard", [this.address]) },
+            { target: this.address, data: EmergencyGuardClient.encodeSetPolicy(vaultClient.address, policy) }
+        ];
+        return vaultClient.createBatchProposal({ calls, description });
+    }
+
+    async _send(method, ...args) {
+        if (!this.signer) {
+            throw new Error(`EmergencyGuardClient: ${method} needs a signer`);
+        }
+        const tx = await this.contract[method](...args);
+        return tx.wait();
+    }
+
+    /**
+     * @dev Approve an emergency withdrawal as a guardian of the vault; the withdrawal happens on the
+     * approval that reaches the quorum
+     */
+    async approveWithdrawal(vault, to, amount) {
+        return this._send("approveWithdrawal", vault, to, amount);
+    }
+}
+
+module.exports = {
+    EMERGENCY_GUARD_ABI,
+    MIN_QUORUM,
+    EmergencyGuardClient
+};
@@ -0,0 +1,175 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { TreasuryVaultClient } = require("./TreasuryVaultClient");
+const { EmergencyGuardClient } = require("./emergency");
+const { decodeProposal, formatDecoded } = require("./decoder");
+
+describe("Emergency Withdrawals", function () {
+
+    // ============ TEST SETUP ============
+    async function deployGuardFixture() {
+        const [owner, manager1, manager2, manager3, guardian1, guardian2, coldStorage] = await ethers.getSigners();
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const treasuryVault = await TreasuryVault.deploy(
+            [manager1.address, manager2.address, manager3.address],
+            2,
+            ethers.utils.parseEther("10")
+        );
+        await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("100") });
+
+        const EmergencyGuard = await ethers.getContractFactory("EmergencyGuard");
+        const emergencyGuard = await EmergencyGuard.deploy();
+        await treasuryVault.setGuardian(guardian1.address, true);
+        await treasuryVault.setGuardian(guardian2.address, true);
+
+        const client = new TreasuryVaultClient(treasuryVault.address, owner);
+        const guard = new EmergencyGuardClient(emergencyGuard.address, owner);
+        return { treasuryVault, emergencyGuard, client, guard, owner, manager1, manager2, manager3, guardian1, guardian2, coldStorage };
+    }
+
+    // Propose the guard with its policy from manager1 and pass it with two confirmations
+    async function enableGuard({ client, guard, manager1, manager2 }, policy) {
+        const { proposalId } = await guard.proposeSetup(client.connect(manager1), { description: "Enable emergency withdrawals", ...policy });
+        await client.connect(manager1).confirmProposal(proposalId);
+        await client.connect(manager2).confirmProposal(proposalId);
+        return proposalId;
+    }
+
+    async function runTask(name, args) {
+        const lines = [];
+        const originalLog = console.log;
+        console.log = (...parts) => lines.push(parts.join(" "));
+        try {
+            const result = await hre.run(name, args);
+            return { result, output: lines.join("\n") };
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    // ============ CLIENT TESTS ============
+    describe("1. Guard Client", function () {
+
+        it("Should propose the guard with its policy and read it back", async function () {
+            const fixture = await deployGuardFixture();
+            const { client, guard, coldStorage } = fixture;
+
+            expect(await client.getEmergencyGuard()).to.be.null;
+            await enableGuard(fixture, { quorum: 2, cap: ethers.utils.parseEther("10"), cooldown: 3600, coldStorage: coldStorage.address });
+            const policy = await guard.getPolicy(client.address);
+
+            expect(policy.quorum).to.equal(2);
+            expect(policy.cap.toString()).to.equal(ethers.utils.parseEther("10").toString());
+            expect(policy.cooldown).to.equal(3600);
+            expect(policy.coldStorage).to.equal(coldStorage.address);
+            expect(policy.nextWithdrawalTime).to.equal(0);
+            expect(await client.getEmergencyGuard()).to.equal(guard.address);
+            expect(await guard.getRequest(client.address)).to.be.null;
+        });
+
+        it("Should track approvals until the quorum withdraws", async function () {
+            const fixture = await deployGuardFixture();
+            const { client, guard, guardian1, guardian2, coldStorage } = fixture;
+            await enableGuard(fixture, { quorum: 2, cap: ethers.utils.parseEther("10"), cooldown: 3600, coldStorage: coldStorage.address });
+            const amount = ethers.utils.parseEther("4");
+
+            await guard.connect(guardian1).approveWithdrawal(client.address, coldStorage.address, amount);
+            const request = await guard.getRequest(client.address);
+            expect(request).to.deep.include({ to: coldStorage.address, approvers: [guardian1.address], approvals: 1 });
+
+            await guard.connect(guardian2).approveWithdrawal(client.address, coldStorage.address, amount);
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            expect(await guard.getRequest(client.address)).to.be.null;
+            expect((await client.getBalance()).toString()).to.equal(ethers.utils.parseEther("96").toString());
+            expect((await guard.getPolicy(client.address)).nextWithdrawalTime).to.equal(now + 3600);
+        });
+
+        it("Should reject invalid policies before encoding", async function () {
+            const { client } = await deployGuardFixture();
+
+            for (const [policy, message] of [
+                [{ quorum: 1, cap: 1 }, "quorum must be 0 or at least 2"],
+                [{ quorum: 2, cap: 1, cooldown: -1 }, "cooldown must be a number of seconds"],
+                [{ quorum: 2, cap: 1, coldStorage: "0x1234" }, "invalid cold storage address"],
+                [{ quorum: 2, cap: 1 }, "a policy with a quorum needs a cold storage address"]
+            ]) {
+                try {
+                    EmergencyGuardClient.encodeSetPolicy(client.address, policy);
+                    expect.fail("Should have thrown an error");
+                } catch (error) {
+                    expect(error.message).to.include(message);
+                }
+            }
+        });
+
+        it("Should propose and decode a policy change", async function () {
+            const fixture = await deployGuardFixture();
+            const { client, guard, manager1, manager2, coldStorage } = fixture;
+            await enableGuard(fixture, { quorum: 2, cap: ethers.utils.parseEther("10"), coldStorage: coldStorage.address });
+
+            const { proposalId } = await guard.proposePolicy(client.connect(manager1), {
+                quorum: 2,
+                cap: ethers.utils.parseEther("5"),
+                cooldown: 86400,
+                coldStorage: coldStorage.address,
+                description: "Emergency policy: 2 guardians, 5 ETH per day"
+            });
+            const decoded = await decodeProposal(await client.getProposal(proposalId), { vaultAddress: client.address });
+            expect(formatDecoded(decoded).join("\n")).to.include("EmergencyGuard.setPolicy");
+            expect(decoded.amounts[0]).to.include({ name: "cap", display: "5.0", unit: "ETH" });
+
+            await client.connect(manager1).confirmProposal(proposalId);
+            await client.connect(manager2).confirmProposal(proposalId);
+            expect((await guard.getPolicy(client.address)).cooldown).to.equal(86400);
+        });
+    });
+
+    // ============ TASK TESTS ============
+    describe("2. Emergency Task", function () {
+
+        it("Should propose the guard and policy, show it and approve withdrawals with the task", async function () {
+            const { client, emergencyGuard, owner, manager1, manager2, guardian1, guardian2, coldStorage } = await deployGuardFixture();
+            const common = { vault: client.address };
+            const pass = async (args) => {
+                await runTask("treasury:emergency", { ...common, ...args, from: manager1.address });
+                const proposalId = (await client.getProposalCount()) - 1;
+                await client.connect(manager1).confirmProposal(proposalId);
+                await client.connect(manager2).confirmProposal(proposalId);
+            };
+
+            // Even the admin has to propose a new guard
+            try {
+                await runTask("treasury:emergency", { ...common, from: owner.address, guard: emergencyGuard.address });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("cannot create proposals");
+            }
+            await pass({ guard: emergencyGuard.address });
+            await pass({ quorum: 2, cap: "10", cooldown: 1, coldStorage: coldStorage.address });
+            const shown = await runTask("treasury:emergency", common);
+            expect(shown.output).to.include("Quorum 2 guardians, at most 10.0 ETH per withdrawal, 1 hours apart");
+            expect(shown.result.policy.coldStorage).to.equal(coldStorage.address);
+
+            try {
+                await runTask("treasury:emergency", { ...common, from: guardian1.address, to: guardian1.address, amount: "1" });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("can only go to the cold storage address");
+            }
+
+            const first = await runTask("treasury:emergency", { ...common, from: guardian1.address, to: coldStorage.address, amount: "3" });
+            expect(first.output).to.include("1/2 guardian approvals");
+            const second = await runTask("treasury:emergency", { ...common, from: guardian2.address, to: coldStorage.address, amount: "3" });
+            expect(second.output).to.include("Quorum reached: 3 ETH sent");
+
+            try {
+                await runTask("treasury:emergency", { ...common, from: guardian1.address, to: coldStorage.address, amount: "3" });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("The emergency cooldown runs until");
+            }
+        });
+    });
+});
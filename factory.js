@@ -0,0 +1,130 @@
+const { ethers } = require("ethers");
+
+// ============ CONTRACT INTERFACE ============
+const VAULT_FACTORY_ABI = [
+    // Events
+    "event VaultCreated(address indexed vault, address indexed owner, uint256 indexed index, string name)",
+
+    // State
+    "function implementation() view returns (address)",
+    "function isVault(address vault) view returns (bool)",
+    "function vaultCount() view returns (uint256)",
+    "function getVault(uint256 index) view returns (tuple(address vault, address owner, string name, uint256 createdAtBlock))",
+    "function getVaultsByOwner(address owner) view returns (tuple(address vault, address owner, string name, uint256 createdAtBlock)[])",
+
+    // Writes
+    "function createVault(string name, address[] initialManagers, uint256 requiredConfirmations, uint256 dailyWithdrawalLimit) returns (address)"
+];
+
+/**
+ * @typedef {Object} VaultRecord
+ * @property {number} index - Position in the factory's registry
+ * @property {string} vault - Vault address
+ * @property {string} owner - Account that created the vault and became its admin
+ * @property {string} name
+ * @property {number} createdAtBlock
+ */
+
+function toRecord(raw, index) {
+    return {
+        index,
+        vault: raw.vault,
+        owner: raw.owner,
+        name: raw.name,
+        createdAtBlock: raw.createdAtBlock.toNumber()
+    };
+}
+
+/**
+ * @title TreasuryVaultFactoryClient
+ * @dev Create vaults through a TreasuryVaultFactory and list the vaults it has created
+ */
+class TreasuryVaultFactoryClient {
+    /**
+     * @param {string} address - Factory address
+     * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider - Signer for writes, provider for read-only use
+     */
+    constructor(address, signerOrProvider) {
+        this.contract = new ethers.Contract(address, VAULT_FACTORY_ABI, signerOrProvider);
+        this.address = this.contract.address;
+        this.provider = this.contract.provider;
+        this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+    }
+
+    /**
+     * @dev Same factory, different signer
+     */
+    connect(signer) {
+        return new TreasuryVaultFactoryClient(this.address, signer);
+    }
+
+    /**
+     * @dev Clone a new vault with the signer as its admin
+     * @param {Object} params
+     * @param {string} params.name - Name recorded in the registry, e.g. the working group
+     * @param {string[]} params.managers - Initial treasury managers
+     * @param {number} params.requiredConfirmations
+     * @param {ethers.BigNumberish} params.dailyWithdrawalLimit - In wei
+     * @returns {Promise<{vault: string, index: number, receipt: Object}>}
+     */
+    async createVault({ name, managers, requiredConfirmations, dailyWithdrawalLimit }) {
+        if (!this.signer) {
+            throw new Error("TreasuryVaultFactoryClient: createVault needs a signer");
+        }
+        if (!name) {
+            throw new Error("TreasuryVaultFactoryClient: a vault name is required");
+        }
+        const tx = await this.contract.createVault(name, managers, requiredConfirmations, dailyWithdrawalLimit);
+        const receipt = await tx.wait();
+        const event = receipt.events.find((e) => e.event === "VaultCreated");
+        return { vault: event.args.vault, index: event.args.index.toNumber(), receipt };
+    }
+
+    /**
+     * @dev Whether the factory created this vault
+     */
+    async isVault(address) {
+        return this.contract.isVault(address);
+    }
+
+    /**
+     * @dev Every vault in the registry, in creation order
+     * @returns {Promise<VaultRecord[]>}
+     */
+    async getVaults() {
+        const count = (await this.contract.vaultCount()).toNumber();
+        const records = await Promise.all(
+            Array.from({ length: count }, (_, index) => this.contract.getVault(index))
+        );
+        return records.map(toRecord);
+    }
+
+    /**
+     * @dev Vaults an account created
+     * @returns {Promise<VaultRecord[]>}
+     */
+    async getVaultsByOwner(owner) {
+        const all = await this.getVaults();
+        return all.filter((record) => record.owner === ethers.utils.getAddress(owner));
+    }
+
+    /**
+     * @dev Vaults created in a block range, found from VaultCreated events instead of the registry
+     * @returns {Promise<VaultRecord[]>}
+     */
+    async findVaults({ fromBlock = 0, toBlock = "latest" } = {}) {
+        const events = await this.contract.queryFilter(this.contract.filters.VaultCreated(), fromBlock, toBlock);
+        return events.map((event) => ({
+            index: event.args.index.toNumber(),
+            vault: event.args.vault,
+            owner: event.args.owner,
+            name: event.args.name,
+            createdAtBlock: event.blockNumber
+        }));
+    }
+}
+
+module.exports = {
+    VAULT_FACTORY_ABI,
+    TreasuryVaultFactoryClient
+};
@@ -0,0 +1,161 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { TreasuryVaultClient } = require("./TreasuryVaultClient");
+const { TreasuryVaultFactoryClient } = require("./factory");
+
+describe("Vault Factory", function () {
+
+    // ============ TEST SETUP ============
+    async function deployFactoryFixture() {
+        const [owner, manager1, manager2, manager3, groupLead, otherLead] = await ethers.getSigners();
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const implementation = await TreasuryVault.deploy(
+            [manager1.address, manager2.address],
+            2,
+            ethers.utils.parseEther("10")
+        );
+        const TreasuryVaultFactory = await ethers.getContractFactory("TreasuryVaultFactory");
+        const vaultFactory = await TreasuryVaultFactory.deploy(implementation.address);
+
+        const factory = new TreasuryVaultFactoryClient(vaultFactory.address, groupLead);
+        const managers = [manager1.address, manager2.address, manager3.address];
+        return { implementation, vaultFactory, factory, managers, owner, manager1, manager2, manager3, groupLead, otherLead };
+    }
+
+    async function runTask(name, args) {
+        const lines = [];
+        const originalLog = console.log;
+        console.log = (...parts) => lines.push(parts.join(" "));
+        try {
+            const result = await hre.run(name, args);
+            return { result, output: lines.join("\n") };
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    // ============ CONTRACT TESTS ============
+    describe("1. Creating Vaults", function () {
+
+        it("Should clone an initialized vault with the caller as admin", async function () {
+            const { factory, managers, groupLead, manager1, manager2, owner } = await deployFactoryFixture();
+
+            const { vault, index } = await factory.createVault({
+                name: "Grants WG",
+                managers,
+                requiredConfirmations: 2,
+                dailyWithdrawalLimit: ethers.utils.parseEther("5")
+            });
+            const client = new TreasuryVaultClient(vault, groupLead);
+
+            expect(index).to.equal(0);
+            expect(await ethers.provider.getCode(vault)).to.have.length(92);
+            expect(await client.getManagers()).to.deep.equal(managers);
+            expect(await client.isAdmin(groupLead.address)).to.be.true;
+            expect(await client.isAdmin(owner.address)).to.be.false;
+            expect((await client.contract.dailyWithdrawalLimit()).toString()).to.equal(ethers.utils.parseEther("5").toString());
+
+            // Each clone keeps its own balance and proposals
+            await owner.sendTransaction({ to: vault, value: ethers.utils.parseEther("3") });
+            await client.connect(manager1).createProposal({ target: owner.address, value: ethers.utils.parseEther("1"), description: "Grant" });
+            await client.connect(manager1).confirmProposal(0);
+            await client.connect(manager2).confirmProposal(0);
+            expect((await client.getBalance()).toString()).to.equal(ethers.utils.parseEther("2").toString());
+        });
+
+        it("Should keep a registry and emit VaultCreated", async function () {
+            const { vaultFactory, factory, managers, groupLead, otherLead } = await deployFactoryFixture();
+
+            const first = await factory.createVault({ name: "Grants WG", managers, requiredConfirmations: 2, dailyWithdrawalLimit: 0 });
+            const second = await factory.connect(otherLead).createVault({ name: "Events WG", managers, requiredConfirmations: 3, dailyWithdrawalLimit: 0 });
+
+            const vaults = await factory.getVaults();
+            expect(vaults.map((record) => record.name)).to.deep.equal(["Grants WG", "Events WG"]);
+            expect(vaults[1]).to.deep.include({ index: 1, vault: second.vault, owner: otherLead.address });
+            expect(vaults[0].createdAtBlock).to.equal(first.receipt.blockNumber);
+            expect(await factory.getVaultsByOwner(groupLead.address)).to.deep.equal([vaults[0]]);
+            expect(await factory.findVaults()).to.deep.equal(vaults);
+            expect(await factory.isVault(second.vault)).to.be.true;
+            expect(await vaultFactory.isVault(groupLead.address)).to.be.false;
+        });
+
+        it("Should reject a second initialization and invalid vaults", async function () {
+            const { implementation, factory, managers, groupLead, otherLead } = await deployFactoryFixture();
+            const { vault } = await factory.createVault({ name: "Grants WG", managers, requiredConfirmations: 2, dailyWithdrawalLimit: 0 });
+
+            for (const target of [vault, implementation.address]) {
+                try {
+                    await implementation.attach(target).connect(otherLead).initialize(managers, 2, 0, otherLead.address);
+                    expect.fail("Should have thrown an error");
+                } catch (error) {
+                    expect(error.message).to.include("TreasuryVault: Already initialized");
+                }
+            }
+
+            try {
+                await factory.contract.createVault("Bad WG", managers, 4, 0);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Invalid confirmation count");
+            }
+            try {
+                await factory.contract.createVault("", managers, 2, 0);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVaultFactory: Name required");
+            }
+            expect((await factory.getVaults()).length).to.equal(1);
+            expect(await new TreasuryVaultClient(vault, groupLead).isAdmin(otherLead.address)).to.be.false;
+        });
+    });
+
+    // ============ TASK TESTS ============
+    describe("2. Factory Tasks", function () {
+
+        it("Should create vaults, list them and index and report on all of them", async function () {
+            const { factory, manager1, manager2, groupLead, owner } = await deployFactoryFixture();
+            const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "treasury-factory-"));
+
+            const created = await runTask("treasury:create-vault", {
+                factory: factory.address,
+                from: groupLead.address,
+                name: "Grants WG",
+                managers: `deployer,${manager1.address},${manager2.address}`,
+                confirmations: 2,
+                limit: "5"
+            });
+            expect(created.output).to.include(`Vault "Grants WG" created at ${created.result.vault} with admin ${groupLead.address}`);
+            await owner.sendTransaction({ to: created.result.vault, value: ethers.utils.parseEther("2") });
+
+            try {
+                await runTask("treasury:create-vault", {
+                    factory: factory.address,
+                    name: "Events WG",
+                    managers: manager1.address,
+                    confirmations: 2,
+                    limit: "5"
+                });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("need at least 2 managers");
+            }
+
+            const listed = await runTask("treasury:vaults", { factory: factory.address });
+            expect(listed.output).to.include(`#0 "Grants WG" ${created.result.vault} (owner ${groupLead.address}`);
+
+            const indexed = await runTask("treasury:index", { factory: factory.address, all: true, dataDir: outDir });
+            expect(indexed.output).to.include("Grants WG: Indexed");
+
+            const reported = await runTask("treasury:report", { factory: factory.address, all: true, dataDir: outDir, out: outDir });
+            const { report, files } = reported.result[created.result.vault];
+            expect(reported.output).to.include(`Grants WG (${created.result.vault})`);
+            expect(report.inflows.total.eth).to.equal("2.0");
+            expect(path.dirname(files.json)).to.equal(path.join(outDir, created.result.vault));
+        });
+    });
+});
@@ -1,4 +1,5 @@
 require("@nomiclabs/hardhat-ethers");
+require("./tasks");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -14,7 +15,11 @@ module.exports = {
   networks: {
     // Local development network
     hardhat: {
-      chainId: 1337
+      chainId: 1337,
+      // Every test fixture funds a fresh vault, so the default 10,000 ETH per account runs out
+      accounts: {
+        accountsBalance: "1000000000000000000000000" // 1,000,000 ETH
+      }
     },
     localhost: {
       url: "http://127.0.0.1:8545"
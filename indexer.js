@@ -0,0 +1,269 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { TREASURY_VAULT_ABI } = require("./TreasuryVaultClient");
+
+// ============ INDEXED EVENTS ============
+const INDEXED_EVENTS = [
+    "ProposalCreated",
+    "ProposalConfirmed",
+    "ProposalExecuted",
+    "ProposalCancelled",
+    "FundsDeposited",
+    "EmergencyWithdrawal",
+    "TreasuryManagerAdded",
+    "TreasuryManagerRemoved",
+    "DailyLimitUpdated",
+    "RequiredConfirmationsUpdated",
+    "TokenDeposited",
+    "TokenProposalCreated",
+    "TokenDailyLimitUpdated",
+    "SelfGovernanceEnabled",
+    "ProposalQueued",
+    "ProposalVetoed",
+    "ExecutionDelayUpdated",
+    "ProposalExpiryUpdated",
+    "ConfirmationRevoked",
+    "ConfirmationsRecounted",
+    "ProposalCategorized",
+    "CategoryBudgetUpdated",
+    "ModuleUpdated",
+    "ModuleExecution",
+    "RecipientUpdated",
+    "RecipientRemoved",
+    "UnknownRecipientThresholdUpdated",
+    "EmergencyGuardUpdated",
+    "Paused",
+    "Unpaused"
+];
+
+const VAULT_EVENTS_ABI = TREASURY_VAULT_ABI.filter((fragment) =>
+    INDEXED_EVENTS.some((name) => fragment.startsWith(`event ${name}(`))
+);
+
+const vaultEventsInterface = new ethers.utils.Interface(VAULT_EVENTS_ABI);
+
+/**
+ * @dev Convert decoded event args into plain JSON values (BigNumbers become decimal strings)
+ */
+function normalizeArgs(fragment, args) {
+    const result = {};
+    fragment.inputs.forEach((input, i) => {
+        const value = args[i];
+        result[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+    });
+    return result;
+}
+
+/**
+ * @title EventStore
+ * @dev Local JSON-file database of indexed vault events, with the checkpoint
+ * and the block hashes needed to detect reorgs
+ */
+class EventStore {
+    constructor(file) {
+        this.file = file;
+        this.data = { checkpoint: null, blockHashes: {}, events: [] };
+        if (file && fs.existsSync(file)) {
+            this.data = JSON.parse(fs.readFileSync(file, "utf8"));
+        }
+    }
+
+    /**
+     * @dev Persist the store atomically so an interrupted write never corrupts the checkpoint
+     */
+    save() {
+        if (!this.file) return;
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+        fs.renameSync(tmp, this.file);
+    }
+
+    getCheckpoint() {
+        return this.data.checkpoint;
+    }
+
+    setCheckpoint(blockNumber, blockHash) {
+        this.data.checkpoint = { blockNumber, blockHash };
+        this.data.blockHashes[blockNumber] = blockHash;
+    }
+
+    addEvents(events) {
+        for (const event of events) {
+            this.data.events.push(event);
+            this.data.blockHashes[event.blockNumber] = event.blockHash;
+        }
+    }
+
+    /**
+     * @dev Known block hashes, newest first
+     */
+    getKnownBlocks() {
+        return Object.entries(this.data.blockHashes)
+            .map(([blockNumber, blockHash]) => ({ blockNumber: Number(blockNumber), blockHash }))
+            .sort((a, b) => b.blockNumber - a.blockNumber);
+    }
+
+    /**
+     * @dev Drop everything above a block and move the checkpoint back to it
+     */
+    rollbackTo(blockNumber, blockHash) {
+        this.data.events = this.data.events.filter((event) => event.blockNumber <= blockNumber);
+        for (const known of Object.keys(this.data.blockHashes)) {
+            if (Number(known) > blockNumber) delete this.data.blockHashes[known];
+        }
+        this.data.checkpoint = blockHash ? { blockNumber, blockHash } : null;
+    }
+
+    /**
+     * @dev Forget block hashes that are too old to be reorged, keeping event blocks and the checkpoint
+     */
+    pruneBlockHashes(belowBlock) {
+        const eventBlocks = new Set(this.data.events.map((event) => event.blockNumber));
+        for (const known of Object.keys(this.data.blockHashes)) {
+            const blockNumber = Number(known);
+            const isCheckpoint = this.data.checkpoint && this.data.checkpoint.blockNumber === blockNumber;
+            if (blockNumber < belowBlock && !eventBlocks.has(blockNumber) && !isCheckpoint) {
+                delete this.data.blockHashes[known];
+            }
+        }
+    }
+
+    /**
+     * @dev Query indexed events by name, block range, proposal or address
+     */
+    query(filter = {}) {
+        const names = filter.event ? [].concat(filter.event) : null;
+        const address = filter.address ? filter.address.toLowerCase() : null;
+        return this.data.events.filter((event) => {
+            if (names && !names.includes(event.event)) return false;
+            if (filter.fromBlock !== undefined && event.blockNumber < filter.fromBlock) return false;
+            if (filter.toBlock !== undefined && event.blockNumber > filter.toBlock) return false;
+            if (filter.fromTimestamp !== undefined && event.timestamp < filter.fromTimestamp) return false;
+            if (filter.toTimestamp !== undefined && event.timestamp > filter.toTimestamp) return false;
+            if (filter.proposalId !== undefined && event.args.proposalId !== String(filter.proposalId)) return false;
+            if (address && !Object.values(event.args).some((value) => typeof value === "string" && value.toLowerCase() === address)) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * @dev Full event history of one proposal, in chain order
+     */
+    getProposalHistory(proposalId) {
+        return this.query({ proposalId });
+    }
+}
+
+/**
+ * @title TreasuryIndexer
+ * @dev Reads TreasuryVault events in block chunks into an EventStore,
+ * resuming from the stored checkpoint and rolling back on reorgs
+ */
+class TreasuryIndexer {
+    constructor({ provider, address, store, startBlock = 0, chunkSize = 2000, confirmations = 0, reorgDepth = 64 }) {
+        this.provider = provider;
+        this.address = ethers.utils.getAddress(address);
+        this.store = store;
+        this.startBlock = startBlock;
+        this.chunkSize = chunkSize;
+        this.confirmations = confirmations;
+        this.reorgDepth = reorgDepth;
+    }
+
+    /**
+     * @dev Check stored block hashes against the chain and roll back to the newest one that still matches.
+     * Returns the block number rolled back to, or null if no reorg was found.
+     */
+    async handleReorg() {
+        const checkpoint = this.store.getCheckpoint();
+        if (!checkpoint) return null;
+
+        const current = await this.provider.getBlock(checkpoint.blockNumber);
+        if (current && current.hash === checkpoint.blockHash) return null;
+
+        for (const known of this.store.getKnownBlocks()) {
+            if (known.blockNumber >= checkpoint.blockNumber) continue;
+            const block = await this.provider.getBlock(known.blockNumber);
+            if (block && block.hash === known.blockHash) {
+                this.store.rollbackTo(known.blockNumber, known.blockHash);
+                this.store.save();
+                return known.blockNumber;
+            }
+        }
+
+        // Nothing we know survived the reorg: start over
+        this.store.rollbackTo(this.startBlock - 1, null);
+        this.store.save();
+        return this.startBlock - 1;
+    }
+
+    /**
+     * @dev Fetch and decode vault events in [fromBlock, toBlock]
+     */
+    async fetchEvents(fromBlock, toBlock) {
+        const logs = await this.provider.getLogs({ address: this.address, fromBlock, toBlock });
+        const timestamps = {};
+        const events = [];
+
+        for (const log of logs) {
+            let parsed;
+            try {
+                parsed = vaultEventsInterface.parseLog(log);
+            } catch (error) {
+                continue; // Not an event we index
+            }
+            if (timestamps[log.blockNumber] === undefined) {
+                timestamps[log.blockNumber] = (await this.provider.getBlock(log.blockNumber)).timestamp;
+            }
+            events.push({
+                event: parsed.name,
+                blockNumber: log.blockNumber,
+                blockHash: log.blockHash,
+                timestamp: timestamps[log.blockNumber],
+                transactionHash: log.transactionHash,
+                logIndex: log.logIndex,
+                args: normalizeArgs(parsed.eventFragment, parsed.args)
+            });
+        }
+        return events;
+    }
+
+    /**
+     * @dev Index from the checkpoint up to the confirmed chain head, one chunk at a time.
+     * The checkpoint is saved after every chunk so an interrupted sync resumes where it stopped.
+     */
+    async sync() {
+        const rolledBackTo = await this.handleReorg();
+
+        const head = (await this.provider.getBlockNumber()) - this.confirmations;
+        const checkpoint = this.store.getCheckpoint();
+        let fromBlock = checkpoint ? checkpoint.blockNumber + 1 : this.startBlock;
+        let indexed = 0;
+
+        while (fromBlock <= head) {
+            const toBlock = Math.min(fromBlock + this.chunkSize - 1, head);
+            const events = await this.fetchEvents(fromBlock, toBlock);
+            const endBlock = await this.provider.getBlock(toBlock);
+
+            this.store.addEvents(events);
+            this.store.setCheckpoint(toBlock, endBlock.hash);
+            this.store.pruneBlockHashes(toBlock - this.reorgDepth);
+            this.store.save();
+
+            indexed += events.length;
+            fromBlock = toBlock + 1;
+        }
+
+        return { indexed, rolledBackTo, checkpoint: this.store.getCheckpoint() };
+    }
+}
+
+module.exports = {
+    INDEXED_EVENTS,
+    EventStore,
+    TreasuryIndexer
+};
@@ -0,0 +1,177 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { EventStore, TreasuryIndexer } = require("./indexer");
+
+describe("Treasury Event Indexer", function () {
+
+    // ============ TEST SETUP ============
+    async function deployTreasuryFixture() {
+        const [owner, manager1, manager2, manager3, newManager, recipient] = await ethers.getSigners();
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const treasuryVault = await TreasuryVault.deploy(
+            [manager1.address, manager2.address, manager3.address],
+            2,
+            ethers.utils.parseEther("10")
+        );
+        await treasuryVault.deployed();
+        const startBlock = treasuryVault.deployTransaction.blockNumber;
+
+        const storeFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "treasury-index-")), "events.json");
+        const createIndexer = (options = {}) => new TreasuryIndexer({
+            provider: ethers.provider,
+            address: treasuryVault.address,
+            store: new EventStore(storeFile),
+            startBlock,
+            chunkSize: 3,
+            ...options
+        });
+
+        return { treasuryVault, owner, manager1, manager2, manager3, newManager, recipient, storeFile, createIndexer };
+    }
+
+    // ============ INDEXING TESTS ============
+    describe("1. Event Indexing", function () {
+
+        it("Should index every vault event type across chunks", async function () {
+            const { treasuryVault, owner, manager1, manager2, manager3, newManager, recipient, createIndexer } = await deployTreasuryFixture();
+
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("20") });
+            await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther("1"), "0x", "Pay recipient");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            await treasuryVault.connect(manager1).createProposal(recipient.address, 0, "0x", "To be cancelled");
+            await treasuryVault.connect(owner).cancelProposal(1);
+            const guard = await (await ethers.getContractFactory("EmergencyGuard")).deploy();
+            await treasuryVault.connect(owner).setGuardian(manager2.address, true);
+            await treasuryVault.connect(owner).setGuardian(manager3.address, true);
+            const setup = [
+                { target: treasuryVault.address, value: 0, data: treasuryVault.interface.encodeFunctionData("setEmergencyGuard", [guard.address]) },
+                { target: guard.address, value: 0, data: guard.interface.encodeFunctionData("setPolicy", [treasuryVault.address, 2, ethers.utils.parseEther("1"), 0, manager1.address]) }
+            ];
+            await treasuryVault.connect(manager1).createProposal(treasuryVault.address, 0, treasuryVault.interface.encodeFunctionData("executeBatch", [setup]), "Enable emergency withdrawals");
+            await treasuryVault.connect(manager1).confirmProposal(2);
+            await treasuryVault.connect(manager2).confirmProposal(2);
+            await guard.connect(manager2).approveWithdrawal(treasuryVault.address, manager1.address, ethers.utils.parseEther("1"));
+            await guard.connect(manager3).approveWithdrawal(treasuryVault.address, manager1.address, ethers.utils.parseEther("1"));
+            await treasuryVault.connect(owner).addTreasuryManager(newManager.address);
+            await treasuryVault.connect(owner).removeTreasuryManager(newManager.address);
+            await treasuryVault.connect(owner).updateDailyLimit(ethers.utils.parseEther("20"));
+            await treasuryVault.connect(owner).updateRequiredConfirmations(3);
+
+            const indexer = createIndexer();
+            const result = await indexer.sync();
+
+            expect(result.indexed).to.equal(17);
+            expect(result.checkpoint.blockNumber).to.equal(await ethers.provider.getBlockNumber());
+            expect(indexer.store.query().map((event) => event.event)).to.deep.equal([
+                "FundsDeposited",
+                "ProposalCreated",
+                "ProposalConfirmed",
+                "ProposalConfirmed",
+                "ProposalExecuted",
+                "ProposalCreated",
+                "ProposalCancelled",
+                "ProposalCreated",
+                "ProposalConfirmed",
+                "ProposalConfirmed",
+                "EmergencyGuardUpdated",
+                "ProposalExecuted",
+                "EmergencyWithdrawal",
+                "TreasuryManagerAdded",
+                "TreasuryManagerRemoved",
+                "DailyLimitUpdated",
+                "RequiredConfirmationsUpdated"
+            ]);
+
+            const deposit = indexer.store.query({ event: "FundsDeposited" })[0];
+            expect(deposit.args.from).to.equal(owner.address);
+            expect(deposit.args.amount).to.equal(ethers.utils.parseEther("20").toString());
+            expect(deposit.timestamp).to.be.above(0);
+        });
+
+        it("Should query by proposal, address and block range", async function () {
+            const { treasuryVault, owner, manager1, manager2, recipient, createIndexer } = await deployTreasuryFixture();
+
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("5") });
+            await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther("1"), "0x", "First");
+            await treasuryVault.connect(manager2).createProposal(recipient.address, 0, "0x", "Second");
+            await treasuryVault.connect(manager1).confirmProposal(1);
+
+            const indexer = createIndexer();
+            await indexer.sync();
+            const { store } = indexer;
+
+            expect(store.getProposalHistory(1).map((event) => event.event)).to.deep.equal(["ProposalCreated", "ProposalConfirmed"]);
+            expect(store.query({ address: manager2.address }).length).to.equal(1);
+
+            const created = store.query({ event: "ProposalCreated" });
+            expect(store.query({ fromBlock: created[1].blockNumber }).length).to.equal(2);
+        });
+    });
+
+    // ============ CHECKPOINT TESTS ============
+    describe("2. Checkpoint and Resume", function () {
+
+        it("Should resume from the stored checkpoint without duplicating events", async function () {
+            const { treasuryVault, owner, storeFile, createIndexer } = await deployTreasuryFixture();
+
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("1") });
+            await createIndexer().sync();
+
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("2") });
+
+            // A fresh indexer reads the checkpoint back from disk
+            const resumed = createIndexer();
+            const result = await resumed.sync();
+
+            expect(result.indexed).to.equal(1);
+            expect(resumed.store.query({ event: "FundsDeposited" }).length).to.equal(2);
+            expect(JSON.parse(fs.readFileSync(storeFile, "utf8")).events.length).to.equal(2);
+        });
+
+        it("Should stay behind the head by the configured confirmations", async function () {
+            const { treasuryVault, owner, createIndexer } = await deployTreasuryFixture();
+
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("1") });
+            const result = await createIndexer({ confirmations: 1 }).sync();
+
+            expect(result.indexed).to.equal(0);
+            expect(result.checkpoint.blockNumber).to.equal((await ethers.provider.getBlockNumber()) - 1);
+        });
+    });
+
+    // ============ REORG TESTS ============
+    describe("3. Reorg Handling", function () {
+
+        it("Should roll back events from orphaned blocks and re-index the new chain", async function () {
+            const { treasuryVault, owner, manager1, createIndexer } = await deployTreasuryFixture();
+
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("1") });
+            const forkPoint = await ethers.provider.getBlockNumber();
+            const snapshot = await ethers.provider.send("evm_snapshot", []);
+
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("2") });
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("3") });
+            await createIndexer().sync();
+
+            // Replace the last two blocks with a different history
+            await ethers.provider.send("evm_revert", [snapshot]);
+            await manager1.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("4") });
+            await ethers.provider.send("hardhat_mine", ["0x2"]);
+
+            const indexer = createIndexer();
+            const result = await indexer.sync();
+
+            expect(result.rolledBackTo).to.equal(forkPoint);
+            const amounts = indexer.store.query({ event: "FundsDeposited" }).map((event) => event.args.amount);
+            expect(amounts).to.deep.equal([
+                ethers.utils.parseEther("1").toString(),
+                ethers.utils.parseEther("4").toString()
+            ]);
+        });
+    });
+});
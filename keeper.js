@@ -0,0 +1,72 @@
+const { ethers } = require("ethers");
+const { ScheduleStatus, PaymentSchedulerClient } = require("./scheduler");
+
+/**
+ * @dev Find the schedules that have a payment due now, optionally only those of one vault
+ * @returns {Promise<Schedule[]>}
+ */
+async function findDuePayments(scheduler, { vault } = {}) {
+    return scheduler.getSchedules({ vault, status: ScheduleStatus.DUE });
+}
+
+/**
+ * @dev Trigger every due payment once. Schedules that fell behind are caught up one payment per
+ * transaction, up to maxPayments in total. Each payment is simulated first so a payment the vault
+ * refuses (daily limit, paused vault, disabled module) is reported instead of sent, and the
+ * schedule is skipped until the next run.
+ * @param {PaymentSchedulerClient} scheduler - Connected to the account that pays for gas
+ * @returns {Promise<{paid: Object[], failed: Object[]}>}
+ */
+async function runKeeper(scheduler, { vault, maxPayments = 50, log = () => {} } = {}) {
+    const paid = [];
+    const failed = [];
+
+    for (const schedule of await findDuePayments(scheduler, { vault })) {
+        while (paid.length < maxPayments && (await scheduler.contract.isDue(schedule.id))) {
+            try {
+                await scheduler.contract.callStatic.triggerPayment(schedule.id);
+            } catch (error) {
+                const reason = error.reason || (error.error && error.error.message) || error.message;
+                failed.push({ scheduleId: schedule.id, reason });
+                log(`⚠️  Schedule #${schedule.id}: payment not possible now - ${reason}`);
+                break;
+            }
+
+            const receipt = await scheduler.triggerPayment(schedule.id);
+            const event = receipt.events.find((entry) => entry.event === "ScheduledPaymentExecuted");
+            paid.push({
+                scheduleId: schedule.id,
+                paymentNumber: event.args.paymentNumber.toNumber(),
+                recipient: schedule.recipient,
+                token: schedule.token,
+                amount: schedule.amount,
+                transactionHash: receipt.transactionHash
+            });
+            const amount = schedule.token ? `${schedule.amount.toString()} units of ${schedule.token}` : `${ethers.utils.formatEther(schedule.amount)} ETH`;
+            log(`💸 Schedule #${schedule.id}: paid ${amount} to ${schedule.recipient} (payment ${event.args.paymentNumber} of ${schedule.totalPayments})`);
+        }
+    }
+
+    return { paid, failed };
+}
+
+module.exports = {
+    findDuePayments,
+    runKeeper
+};
+
+// Run once when started as `npx hardhat run keeper.js` with SCHEDULER (and optionally VAULT) set
+if (require.main === module) {
+    const hre = require("hardhat");
+    (async () => {
+        const [signer] = await hre.ethers.getSigners();
+        const scheduler = new PaymentSchedulerClient(process.env.SCHEDULER, signer);
+        const { paid, failed } = await runKeeper(scheduler, { vault: process.env.VAULT, log: console.log });
+        console.log(`✅ ${paid.length} payment(s) made, ${failed.length} schedule(s) could not pay`);
+    })()
+        .then(() => process.exit(0))
+        .catch((error) => {
+            console.error("❌ Keeper failed:", error.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,301 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { TREASURY_VAULT_ABI, TreasuryVaultClient } = require("./TreasuryVaultClient");
+
+// ============ OFFLINE TRANSACTION FILES ============
+const OFFLINE_TX_FORMAT = "treasury-offline-tx";
+const OFFLINE_TX_VERSION = 1;
+const OFFLINE_ACTIONS = ["create", "confirm", "execute", "deploy"];
+
+// Headroom on top of the gas estimate, since state can change between building and broadcasting
+const GAS_LIMIT_MARGIN_PERCENT = 20;
+
+// Vault functions each action may call
+const ACTION_METHODS = {
+    create: ["createProposal", "createCategorizedProposal"],
+    confirm: ["confirmProposal"],
+    execute: ["executeProposal"]
+};
+
+const vaultInterface = new ethers.utils.Interface(TREASURY_VAULT_ABI);
+
+// Fields of the transaction that the signature covers, compared against the signed payload before broadcasting
+const SIGNED_FIELDS = ["chainId", "nonce", "to", "data", "value", "gasLimit", "gasPrice", "maxFeePerGas", "maxPriorityFeePerGas"];
+
+function offlineError(message) {
+    return new Error(`Offline transaction error: ${message}`);
+}
+
+/**
+ * @dev Build an unsigned transaction for an offline account, with the chain id, nonce, gas limit
+ * and fees read from the network. A deployment records the address the vault will get; every
+ * other action records the vault it calls.
+ * @param {ethers.providers.Provider} provider - Online provider for the target network
+ * @param {Object} options
+ * @param {string} options.action - One of OFFLINE_ACTIONS
+ * @param {string} options.from - Offline account that will sign
+ * @param {string} [options.vault] - Vault called by the transaction (not for deploy)
+ * @param {string} options.data - Calldata, or the creation bytecode for deploy
+ * @param {ethers.BigNumberish} [options.value]
+ * @param {string} options.summary - What the transaction does, shown when signing and broadcasting
+ * @param {string} options.network - Network name, used for file names
+ */
+async function buildOfflineTransaction(provider, { action, from, vault, data, value = 0, summary, network }) {
+    if (!OFFLINE_ACTIONS.includes(action)) {
+        throw offlineError(`unknown action "${action}" (expected ${OFFLINE_ACTIONS.join(", ")})`);
+    }
+    const sender = ethers.utils.getAddress(from);
+    const deploy = action === "deploy";
+
+    const [{ chainId }, nonce, feeData] = await Promise.all([
+        provider.getNetwork(),
+        provider.getTransactionCount(sender, "pending"),
+        provider.getFeeData()
+    ]);
+    const request = deploy ? { from: sender, data, value } : { from: sender, to: ethers.utils.getAddress(vault), data, value };
+    const gasLimit = (await provider.estimateGas(request)).mul(100 + GAS_LIMIT_MARGIN_PERCENT).div(100);
+
+    const transaction = { type: feeData.maxFeePerGas ? 2 : 0, chainId, nonce };
+    if (!deploy) transaction.to = request.to;
+    Object.assign(transaction, { data, value: ethers.BigNumber.from(value).toString(), gasLimit: gasLimit.toString() });
+    if (feeData.maxFeePerGas) {
+        transaction.maxFeePerGas = feeData.maxFeePerGas.toString();
+        transaction.maxPriorityFeePerGas = feeData.maxPriorityFeePerGas.toString();
+    } else {
+        transaction.gasPrice = feeData.gasPrice.toString();
+    }
+
+    return {
+        format: OFFLINE_TX_FORMAT,
+        version: OFFLINE_TX_VERSION,
+        network,
+        chainId,
+        action,
+        summary,
+        vault: deploy ? ethers.utils.getContractAddress({ from: sender, nonce }) : request.to,
+        from: sender,
+        transaction,
+        builtAt: new Date().toISOString()
+    };
+}
+
+/**
+ * @dev Check an offline transaction file against the chain and vault the caller expects, and that
+ * the transaction really targets the vault it names (or deploys to it, for deploy)
+ */
+function checkOfflineTransaction(record, { chainId, vault }) {
+    if (!record || record.format !== OFFLINE_TX_FORMAT || !record.transaction) {
+        throw offlineError("not an offline transaction file");
+    }
+    if (record.version !== OFFLINE_TX_VERSION) {
+        throw offlineError(`unsupported file version ${record.version}`);
+    }
+    if (!OFFLINE_ACTIONS.includes(record.action)) {
+        throw offlineError(`unknown action "${record.action}"`);
+    }
+    if (!ethers.utils.isAddress(record.from) || !ethers.utils.isAddress(record.vault)) {
+        throw offlineError("invalid from or vault address");
+    }
+
+    const { transaction } = record;
+    if (Number(transaction.chainId) !== Number(record.chainId)) {
+        throw offlineError(`transaction is for chain ${transaction.chainId} but the file says chain ${record.chainId}`);
+    }
+    if (Number(record.chainId) !== Number(chainId)) {
+        throw offlineError(`built for chain ${record.chainId}, not ${chainId}`);
+    }
+
+    const recorded = ethers.utils.getAddress(record.vault);
+    if (record.action === "deploy") {
+        const deployed = ethers.utils.getContractAddress({ from: record.from, nonce: transaction.nonce });
+        if (transaction.to) {
+            throw offlineError(`a deployment cannot call ${transaction.to}`);
+        }
+        if (deployed !== recorded) {
+            throw offlineError(`deployment would create ${deployed}, not ${recorded}`);
+        }
+    } else if (!transaction.to || ethers.utils.getAddress(transaction.to) !== recorded) {
+        throw offlineError(`transaction calls ${transaction.to}, not vault ${recorded}`);
+    } else {
+        decodeOfflineCall(record);
+    }
+    if (!vault || !ethers.utils.isAddress(vault) || ethers.utils.getAddress(vault) !== recorded) {
+        throw offlineError(`built for vault ${recorded}, not ${vault}`);
+    }
+    return record;
+}
+
+/**
+ * @dev Decode what a vault transaction does from its calldata: the method, the proposal it confirms
+ * or executes, or the target, value and recipients of the proposal it creates. The file's summary
+ * is not signed, so this is what a signer should trust. Null for a deployment.
+ */
+function decodeOfflineCall(record) {
+    if (record.action === "deploy") {
+        return null;
+    }
+    let call;
+    try {
+        call = vaultInterface.parseTransaction({ data: record.transaction.data });
+    } catch (error) {
+        throw offlineError("the transaction data is not a call to the vault");
+    }
+    if (!ACTION_METHODS[record.action].includes(call.name)) {
+        throw offlineError(`${record.action} transactions cannot call ${call.name}`);
+    }
+
+    if (record.action !== "create") {
+        return { method: call.name, proposalId: call.args.proposalId.toNumber() };
+    }
+    const { target, value, data, description } = call.args;
+    const calls = TreasuryVaultClient.decodeBatch(record.vault, target, data) || [{ target, value, data }];
+    const recipients = calls
+        .flatMap((item) => TreasuryVaultClient.paymentRecipients(record.vault, item.target, item.value, item.data))
+        .map((recipient) => recipient.address);
+    return {
+        method: call.name,
+        target,
+        value: value.toString(),
+        recipients: [...new Set(recipients)],
+        description
+    };
+}
+
+/**
+ * @dev Sign an unsigned transaction with an offline wallet (e.g. decrypted from a keystore file).
+ * Nothing here touches the network.
+ */
+async function signOfflineTransaction(record, wallet, { chainId, vault }) {
+    checkOfflineTransaction(record, { chainId, vault });
+    if (record.rawTransaction) {
+        throw offlineError(`already signed by ${record.signedBy}`);
+    }
+    if (wallet.address !== ethers.utils.getAddress(record.from)) {
+        throw offlineError(`built for ${record.from}, but the keystore holds ${wallet.address}`);
+    }
+
+    const rawTransaction = await wallet.signTransaction(record.transaction);
+    return {
+        ...record,
+        signedBy: wallet.address,
+        rawTransaction,
+        hash: ethers.utils.keccak256(rawTransaction),
+        signedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * @dev Check that the signed payload is the transaction described in the file, so an edited file
+ * cannot show one transaction and broadcast another
+ */
+function verifySignedTransaction(record) {
+    if (!record.rawTransaction) {
+        throw offlineError("the transaction has not been signed");
+    }
+    let parsed;
+    try {
+        parsed = ethers.utils.parseTransaction(record.rawTransaction);
+    } catch (error) {
+        throw offlineError("malformed signed transaction");
+    }
+    if (!parsed.from || parsed.from !== ethers.utils.getAddress(record.from)) {
+        throw offlineError(`signed by ${parsed.from}, not ${record.from}`);
+    }
+
+    const normalize = (field, value) => {
+        if (value === undefined || value === null) return null;
+        if (field === "to") return ethers.utils.getAddress(value);
+        if (field === "data") return value.toLowerCase();
+        return ethers.BigNumber.from(value).toString();
+    };
+    for (const field of SIGNED_FIELDS) {
+        if (normalize(field, parsed[field]) !== normalize(field, record.transaction[field])) {
+            throw offlineError(`signed ${field} does not match the file`);
+        }
+    }
+    return parsed;
+}
+
+/**
+ * @dev Broadcast a signed transaction from an online machine after checking the network's chain id,
+ * the vault, the signature and the sender's nonce. Returns the transaction response.
+ */
+async function broadcastOfflineTransaction(provider, record, { vault }) {
+    const { chainId } = await provider.getNetwork();
+    checkOfflineTransaction(record, { chainId, vault });
+    verifySignedTransaction(record);
+
+    const nonce = await provider.getTransactionCount(record.from, "pending");
+    if (nonce > record.transaction.nonce) {
+        throw offlineError(`nonce ${record.transaction.nonce} of ${record.from} has already been used - build the transaction again`);
+    }
+    if (nonce < record.transaction.nonce) {
+        throw offlineError(`${record.from} has ${record.transaction.nonce - nonce} earlier transaction(s) to broadcast first (next nonce is ${nonce})`);
+    }
+
+    const code = await provider.getCode(record.vault);
+    if (record.action === "deploy" ? code !== "0x" : code === "0x") {
+        throw offlineError(record.action === "deploy" ? `a contract already exists at ${record.vault}` : `no contract deployed at ${record.vault}`);
+    }
+    return provider.sendTransaction(record.rawTransaction);
+}
+
+/**
+ * @dev Lines describing an offline transaction, for review before signing or broadcasting
+ */
+function describeOfflineTransaction(record) {
+    const { transaction } = record;
+    const fee = transaction.maxFeePerGas || transaction.gasPrice;
+    const maxCost = ethers.BigNumber.from(transaction.gasLimit).mul(fee).add(transaction.value);
+    const lines = [
+        `${record.action}: ${record.summary}`,
+        `Network: ${record.network} (Chain ID: ${record.chainId})`,
+        `Vault: ${record.vault}${record.action === "deploy" ? " (to be deployed)" : ""}`,
+        `From: ${record.from} (nonce ${transaction.nonce})`,
+        `Value: ${ethers.utils.formatEther(transaction.value)} ETH`,
+        `Gas limit: ${transaction.gasLimit} at up to ${ethers.utils.formatUnits(fee, "gwei")} gwei (at most ${ethers.utils.formatEther(maxCost)} ETH in total)`
+    ];
+
+    // Decoded from the calldata, so an edited summary cannot hide what gets signed
+    const call = decodeOfflineCall(record);
+    if (call && call.proposalId !== undefined) {
+        lines.push(`Calls: ${call.method}(#${call.proposalId})`);
+    } else if (call) {
+        lines.push(
+            `Calls: ${call.method}("${call.description}")`,
+            `Proposal target: ${call.target}`,
+            `Proposal value: ${ethers.utils.formatEther(call.value)} ETH`,
+            `Recipients: ${call.recipients.length > 0 ? call.recipients.join(", ") : "none"}`
+        );
+    }
+    return lines;
+}
+
+/**
+ * @dev Write an offline transaction to <dir>/<network>-<action>-<nonce>.<unsigned|signed>.json
+ */
+function writeOfflineFile(dir, record) {
+    fs.mkdirSync(dir, { recursive: true });
+    const stage = record.rawTransaction ? "signed" : "unsigned";
+    const file = path.join(dir, `${record.network}-${record.action}-${record.transaction.nonce}.${stage}.json`);
+    fs.writeFileSync(file, JSON.stringify(record, null, 2) + "\n");
+    return file;
+}
+
+function readOfflineFile(file) {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = {
+    OFFLINE_ACTIONS,
+    buildOfflineTransaction,
+    checkOfflineTransaction,
+    decodeOfflineCall,
+    signOfflineTransaction,
+    verifySignedTransaction,
+    broadcastOfflineTransaction,
+    describeOfflineTransaction,
+    writeOfflineFile,
+    readOfflineFile
+};
@@ -0,0 +1,266 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { TreasuryVaultClient } = require("./TreasuryVaultClient");
+const {
+    broadcastOfflineTransaction,
+    buildOfflineTransaction,
+    describeOfflineTransaction,
+    signOfflineTransaction
+} = require("./offline");
+
+describe("Offline Transactions", function () {
+
+    // ============ TEST SETUP ============
+    async function offlineFixture() {
+        const [owner, manager1, manager3, recipient] = await ethers.getSigners();
+        // Never connected to a provider, like a key on an air-gapped machine
+        const offline = ethers.Wallet.createRandom();
+        await owner.sendTransaction({ to: offline.address, value: ethers.utils.parseEther("1") });
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const treasuryVault = await TreasuryVault.deploy(
+            [manager1.address, offline.address, manager3.address],
+            2,
+            ethers.utils.parseEther("10")
+        );
+        await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("20") });
+
+        const client = new TreasuryVaultClient(treasuryVault.address, manager1);
+        const { chainId } = await ethers.provider.getNetwork();
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "treasury-offline-"));
+        return { treasuryVault, client, owner, manager1, manager3, recipient, offline, chainId, dir };
+    }
+
+    async function runTask(name, args) {
+        const lines = [];
+        const originalLog = console.log;
+        console.log = (...parts) => lines.push(parts.join(" "));
+        try {
+            const result = await hre.run(name, args);
+            return { result, output: lines.join("\n") };
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    async function buildConfirmation({ client, offline }, proposalId) {
+        return buildOfflineTransaction(ethers.provider, {
+            action: "confirm",
+            from: offline.address,
+            vault: client.address,
+            data: client.contract.interface.encodeFunctionData("confirmProposal", [proposalId]),
+            summary: `Confirm proposal #${proposalId}`,
+            network: hre.network.name
+        });
+    }
+
+    // ============ BUILD, SIGN AND BROADCAST ============
+    describe("1. Build, Sign and Broadcast", function () {
+
+        it("Should confirm a proposal from an offline key", async function () {
+            const fixture = await offlineFixture();
+            const { client, offline, recipient, chainId } = fixture;
+            const { proposalId } = await client.createProposal({ target: recipient.address, value: ethers.utils.parseEther("2"), description: "Invoice" });
+            await client.confirmProposal(proposalId);
+
+            const unsigned = await buildConfirmation(fixture, proposalId);
+            expect(unsigned).to.include({ chainId, action: "confirm", vault: client.address, from: offline.address });
+            expect(unsigned.transaction).to.include({ to: client.address, nonce: 0, chainId });
+            expect(Number(unsigned.transaction.gasLimit)).to.be.above(21000);
+            expect(unsigned.rawTransaction).to.be.undefined;
+
+            const signed = await signOfflineTransaction(unsigned, offline, { chainId, vault: client.address });
+            const receipt = await (await broadcastOfflineTransaction(ethers.provider, signed, { vault: client.address })).wait();
+
+            expect(receipt.transactionHash).to.equal(signed.hash);
+            expect(receipt.from).to.equal(offline.address);
+            expect((await client.getProposal(proposalId)).status).to.equal("executed");
+        });
+
+        it("Should deploy a vault to the address recorded when building", async function () {
+            const { manager1, manager3, offline, chainId } = await offlineFixture();
+            const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+            const { data } = TreasuryVault.getDeployTransaction([manager1.address, manager3.address], 2, 0);
+
+            const unsigned = await buildOfflineTransaction(ethers.provider, {
+                action: "deploy",
+                from: offline.address,
+                data,
+                summary: "Deploy TreasuryVault",
+                network: hre.network.name
+            });
+            expect(unsigned.vault).to.equal(ethers.utils.getContractAddress({ from: offline.address, nonce: 0 }));
+            expect(unsigned.transaction.to).to.be.undefined;
+
+            const signed = await signOfflineTransaction(unsigned, offline, { chainId, vault: unsigned.vault });
+            const receipt = await (await broadcastOfflineTransaction(ethers.provider, signed, { vault: unsigned.vault })).wait();
+
+            expect(receipt.contractAddress).to.equal(unsigned.vault);
+            const client = new TreasuryVaultClient(unsigned.vault, ethers.provider);
+            expect(await client.getManagers()).to.deep.equal([manager1.address, manager3.address]);
+            expect(await client.isAdmin(offline.address)).to.be.true;
+        });
+    });
+
+    // ============ VALIDATION ============
+    describe("2. Validation", function () {
+
+        it("Should reject the wrong chain, vault or key when signing", async function () {
+            const fixture = await offlineFixture();
+            const { client, offline, owner, chainId } = fixture;
+            await client.createProposal({ target: owner.address, value: 1, description: "Refund" });
+            const unsigned = await buildConfirmation(fixture, 0);
+
+            for (const [wallet, expected, message] of [
+                [offline, { chainId: 1, vault: client.address }, `built for chain ${chainId}, not 1`],
+                [offline, { chainId, vault: owner.address }, `built for vault ${client.address}, not ${owner.address}`],
+                [ethers.Wallet.createRandom(), { chainId, vault: client.address }, `built for ${offline.address}, but the keystore holds`]
+            ]) {
+                try {
+                    await signOfflineTransaction(unsigned, wallet, expected);
+                    expect.fail("Should have thrown an error");
+                } catch (error) {
+                    expect(error.message).to.include(message);
+                }
+            }
+
+            // Pointing the file at another contract does not change where the transaction goes
+            try {
+                await signOfflineTransaction({ ...unsigned, vault: owner.address }, offline, { chainId, vault: owner.address });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include(`transaction calls ${client.address}, not vault ${owner.address}`);
+            }
+        });
+
+        it("Should show the decoded call and reject calldata that does not match the action when signing", async function () {
+            const fixture = await offlineFixture();
+            const { client, offline, recipient, chainId } = fixture;
+
+            // The summary is not signed, so the review shows what the calldata does
+            const unsigned = await buildOfflineTransaction(ethers.provider, {
+                action: "create",
+                from: offline.address,
+                vault: client.address,
+                data: client.contract.interface.encodeFunctionData("createProposal", [recipient.address, ethers.utils.parseEther("2"), "0x", "Invoice"]),
+                summary: "Propose a 0.1 ETH refund",
+                network: hre.network.name
+            });
+            expect(describeOfflineTransaction(unsigned)).to.include.members([
+                "Calls: createProposal(\"Invoice\")",
+                `Proposal target: ${recipient.address}`,
+                "Proposal value: 2.0 ETH",
+                `Recipients: ${recipient.address}`
+            ]);
+            await client.createProposal({ target: recipient.address, value: 1, description: "Refund" });
+            expect(describeOfflineTransaction(await buildConfirmation(fixture, 0))).to.include("Calls: confirmProposal(#0)");
+
+            const confirmation = await buildConfirmation(fixture, 0);
+            for (const [record, message] of [
+                [{ ...confirmation, action: "execute" }, "execute transactions cannot call confirmProposal"],
+                [{ ...confirmation, transaction: { ...confirmation.transaction, data: "0xdeadbeef" } }, "the transaction data is not a call to the vault"]
+            ]) {
+                try {
+                    await signOfflineTransaction(record, offline, { chainId, vault: client.address });
+                    expect.fail("Should have thrown an error");
+                } catch (error) {
+                    expect(error.message).to.include(message);
+                }
+            }
+        });
+
+        it("Should reject edited, replayed and foreign-vault payloads when broadcasting", async function () {
+            const fixture = await offlineFixture();
+            const { client, offline, owner, chainId } = fixture;
+            await client.createProposal({ target: owner.address, value: 1, description: "Refund" });
+            const signed = await signOfflineTransaction(await buildConfirmation(fixture, 0), offline, { chainId, vault: client.address });
+
+            const edited = { ...signed, transaction: { ...signed.transaction, value: "5" } };
+            for (const [record, vault, message] of [
+                [edited, client.address, "signed value does not match the file"],
+                [{ ...signed, rawTransaction: signed.rawTransaction.slice(0, -8) + "00000000" }, client.address, "Offline transaction error"],
+                [signed, owner.address, `built for vault ${client.address}, not ${owner.address}`]
+            ]) {
+                try {
+                    await broadcastOfflineTransaction(ethers.provider, record, { vault });
+                    expect.fail("Should have thrown an error");
+                } catch (error) {
+                    expect(error.message).to.include(message);
+                }
+            }
+
+            await (await broadcastOfflineTransaction(ethers.provider, signed, { vault: client.address })).wait();
+            try {
+                await broadcastOfflineTransaction(ethers.provider, signed, { vault: client.address });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("nonce 0 of");
+                expect(error.message).to.include("has already been used");
+            }
+        });
+    });
+
+    // ============ TASKS ============
+    describe("3. Offline Tasks", function () {
+
+        it("Should propose through build, keystore signing and broadcast tasks", async function () {
+            const { client, offline, recipient, chainId, dir } = await offlineFixture();
+            const keystore = path.join(dir, "keystore.json");
+            fs.writeFileSync(keystore, await offline.encrypt("correct horse", { scrypt: { N: 1 << 10 } }));
+            const passwordFile = path.join(dir, "password.txt");
+            fs.writeFileSync(passwordFile, "correct horse\n");
+
+            const built = await runTask("treasury:offline-build", {
+                action: "create",
+                vault: client.address,
+                from: offline.address,
+                to: recipient.address,
+                value: "3",
+                data: "0x",
+                description: "Conference booth",
+                out: dir
+            });
+            expect(built.output).to.include(`create: Propose "Conference booth": 3 ETH to ${recipient.address}`);
+            expect(path.basename(built.result.file)).to.equal(`${hre.network.name}-create-0.unsigned.json`);
+
+            try {
+                await runTask("treasury:offline-sign", { tx: built.result.file, keystore, chainId: chainId + 1, vault: client.address, passwordFile });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include(`built for chain ${chainId}, not ${chainId + 1}`);
+            }
+            try {
+                fs.writeFileSync(path.join(dir, "wrong.txt"), "battery staple");
+                await runTask("treasury:offline-sign", { tx: built.result.file, keystore, chainId, vault: client.address, passwordFile: path.join(dir, "wrong.txt") });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("Could not decrypt keystore");
+            }
+
+            const signed = await runTask("treasury:offline-sign", { tx: built.result.file, keystore, chainId, vault: client.address, passwordFile });
+            expect(signed.output).to.include(`Signed by ${offline.address}`);
+            expect(signed.output).to.include("Calls: createProposal(\"Conference booth\")");
+            expect(signed.output).to.include(`Recipients: ${recipient.address}`);
+
+            const broadcast = await runTask("treasury:offline-broadcast", { tx: signed.result.file, vault: client.address });
+            expect(broadcast.output).to.include(`ProposalCreated: #0 by ${offline.address} -> ${recipient.address}`);
+            expect(await client.getProposal(0)).to.include({ description: "Conference booth", proposer: offline.address });
+        });
+
+        it("Should refuse to build a confirmation the vault would reject", async function () {
+            const { client, recipient } = await offlineFixture();
+            await client.createProposal({ target: recipient.address, value: 1, description: "Refund" });
+
+            try {
+                await runTask("treasury:offline-build", { action: "confirm", vault: client.address, from: recipient.address, id: 0 });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include(`${recipient.address} is not a treasury manager`);
+            }
+        });
+    });
+});
@@ -0,0 +1,301 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { TreasuryVaultClient } = require("./TreasuryVaultClient");
+const { amount, csvField, isoTime } = require("./report");
+
+// ============ LEDGER EVENTS ============
+
+/**
+ * @dev ETH movements the vault's events account for: deposits in, and executed proposals,
+ * emergency withdrawals and module payments out. A batch proposal becomes one entry per paid
+ * call; value the vault sends to itself (a batch or a governance call) does not leave it.
+ */
+async function explainedMovements(vault, events) {
+    const entries = [];
+    const push = (event, fields) => entries.push({
+        blockNumber: event.blockNumber,
+        timestamp: event.timestamp,
+        transactionHash: event.transactionHash,
+        logIndex: event.logIndex,
+        proposalId: null,
+        ...fields
+    });
+    const isVault = (address) => address.toLowerCase() === vault.address.toLowerCase();
+
+    for (const event of events) {
+        switch (event.event) {
+            case "FundsDeposited":
+                push(event, { type: "deposit", counterparty: event.args.from, change: ethers.BigNumber.from(event.args.amount), description: "Deposit" });
+                break;
+            case "ProposalExecuted": {
+                const proposal = await vault.getProposal(event.args.proposalId);
+                const calls = TreasuryVaultClient.decodeBatch(vault.address, proposal.target, proposal.data) || [proposal];
+                for (const call of calls.filter((item) => !isVault(item.target) && ethers.BigNumber.from(item.value).gt(0))) {
+                    push(event, {
+                        type: "proposal-payment",
+                        proposalId: Number(event.args.proposalId),
+                        counterparty: call.target,
+                        change: ethers.BigNumber.from(call.value).mul(-1),
+                        description: proposal.description
+                    });
+                }
+                break;
+            }
+            case "EmergencyWithdrawal":
+                push(event, {
+                    type: "emergency-withdrawal",
+                    counterparty: event.args.to,
+                    change: ethers.BigNumber.from(event.args.amount).mul(-1),
+                    description: `Emergency withdrawal authorized by ${event.args.authorizer}`
+                });
+                break;
+            case "ModuleExecution":
+                if (ethers.BigNumber.from(event.args.value).gt(0)) {
+                    push(event, {
+                        type: "module-payment",
+                        counterparty: event.args.target,
+                        change: ethers.BigNumber.from(event.args.value).mul(-1),
+                        description: `Paid by module ${event.args.module}`
+                    });
+                }
+                break;
+            default:
+                break;
+        }
+    }
+    return entries;
+}
+
+// ============ RECONCILIATION ============
+
+/**
+ * @dev Rebuild the vault's ETH balance from its event ledger over [fromBlock, toBlock] and compare
+ * it with the on-chain balance block by block. Every block whose balance change the events do not
+ * explain (selfdestructs, block rewards, ETH sent back without a deposit event) becomes an
+ * unexplained inflow or outflow in the ledger, so the running balance always ends at the real one.
+ *
+ * Blocks with ledger events are checked individually. Between them the balance should not move,
+ * which is checked at the ends of each quiet stretch and narrowed down by binary search; a gain and
+ * a loss that cancel out inside a stretch are only found with `everyBlock`, which reads every block.
+ * @param {Object} options
+ * @param {TreasuryVaultClient} options.vault
+ * @param {ethers.providers.Provider} options.provider
+ * @param {EventStore} options.store - Synced past toBlock
+ * @param {number} options.fromBlock
+ * @param {number} options.toBlock
+ * @param {boolean} [options.everyBlock]
+ */
+async function reconcileBalance({ vault, provider, store, fromBlock, toBlock, everyBlock = false }) {
+    if (fromBlock > toBlock) {
+        throw new Error(`Invalid block range ${fromBlock}-${toBlock}`);
+    }
+    const checkpoint = store.getCheckpoint();
+    if (!checkpoint || checkpoint.blockNumber < toBlock) {
+        throw new Error(`Event store is only indexed up to block ${checkpoint ? checkpoint.blockNumber : "none"} - sync it past ${toBlock} first`);
+    }
+
+    const balances = new Map();
+    const balanceAt = async (blockNumber) => {
+        if (blockNumber < 0) return ethers.constants.Zero;
+        if (!balances.has(blockNumber)) {
+            balances.set(blockNumber, await provider.getBalance(vault.address, blockNumber));
+        }
+        return balances.get(blockNumber);
+    };
+
+    // First block after `start` up to `end` whose balance differs from the balance at `start`
+    const nextChange = async (start, end) => {
+        const base = await balanceAt(start);
+        if (everyBlock) {
+            for (let blockNumber = start + 1; blockNumber <= end; blockNumber++) {
+                if (!(await balanceAt(blockNumber)).eq(base)) return blockNumber;
+            }
+            return null;
+        }
+        if (start >= end || (await balanceAt(end)).eq(base)) return null;
+        let low = start + 1;
+        let high = end;
+        while (low < high) {
+            const mid = Math.floor((low + high) / 2);
+            if ((await balanceAt(mid)).eq(base)) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    };
+
+    const explained = await explainedMovements(vault, store.query({ fromBlock, toBlock }));
+    const expectedChanges = new Map();
+    for (const entry of explained) {
+        expectedChanges.set(entry.blockNumber, (expectedChanges.get(entry.blockNumber) || ethers.constants.Zero).add(entry.change));
+    }
+
+    const unexplained = [];
+    const record = async (blockNumber, expectedChange) => {
+        const actualChange = (await balanceAt(blockNumber)).sub(await balanceAt(blockNumber - 1));
+        const difference = actualChange.sub(expectedChange);
+        if (!difference.isZero()) {
+            unexplained.push({ blockNumber, expectedChange, actualChange, change: difference });
+        }
+    };
+
+    // Quiet stretches between ledger blocks, then each ledger block itself
+    let previous = fromBlock - 1;
+    for (const blockNumber of [...expectedChanges.keys()].sort((a, b) => a - b).concat([toBlock + 1])) {
+        let changed = await nextChange(previous, blockNumber - 1);
+        while (changed !== null) {
+            await record(changed, ethers.constants.Zero);
+            changed = await nextChange(changed, blockNumber - 1);
+        }
+        if (blockNumber <= toBlock) {
+            await record(blockNumber, expectedChanges.get(blockNumber));
+        }
+        previous = blockNumber;
+    }
+
+    // Unexplained changes have no event, so take their time and fee recipient from the block
+    for (const item of unexplained) {
+        const block = await provider.getBlock(item.blockNumber);
+        item.timestamp = block.timestamp;
+        item.feeRecipient = block.miner && block.miner.toLowerCase() === vault.address.toLowerCase();
+    }
+
+    // ============ LEDGER ============
+    // Address book labels as of the end of the period
+    const labels = {};
+    for (const event of store.query({ event: ["RecipientUpdated", "RecipientRemoved"], toBlock })) {
+        const address = ethers.utils.getAddress(event.args.recipient);
+        if (event.event === "RecipientUpdated") labels[address] = TreasuryVaultClient.decodeLabel(event.args.label);
+        else delete labels[address];
+    }
+
+    const [network, fromBlockData, toBlockData, opening, closing] = await Promise.all([
+        provider.getNetwork(),
+        provider.getBlock(fromBlock),
+        provider.getBlock(toBlock),
+        balanceAt(fromBlock - 1),
+        balanceAt(toBlock)
+    ]);
+
+    const rows = explained
+        .map((entry) => ({ ...entry, order: 0 }))
+        .concat(unexplained.map((item) => ({
+            blockNumber: item.blockNumber,
+            timestamp: item.timestamp,
+            transactionHash: null,
+            logIndex: 0,
+            order: 1,
+            type: item.change.gt(0) ? "unexplained-inflow" : "unexplained-outflow",
+            proposalId: null,
+            counterparty: null,
+            change: item.change,
+            description: `Balance changed by ${ethers.utils.formatEther(item.actualChange)} ETH where the events explain ` +
+                `${ethers.utils.formatEther(item.expectedChange)} ETH${item.feeRecipient ? " (the vault was the block's fee recipient)" : ""}`
+        })))
+        .sort((a, b) => a.blockNumber - b.blockNumber || a.order - b.order || a.logIndex - b.logIndex);
+
+    let running = opening;
+    const ledger = rows.map((row) => {
+        running = running.add(row.change);
+        return {
+            type: row.type,
+            blockNumber: row.blockNumber,
+            time: isoTime(row.timestamp),
+            transactionHash: row.transactionHash,
+            proposalId: row.proposalId,
+            counterparty: row.counterparty,
+            counterpartyLabel: row.counterparty ? labels[ethers.utils.getAddress(row.counterparty)] || null : null,
+            description: row.description,
+            inflow: amount(row.change.gt(0) ? row.change : 0),
+            outflow: amount(row.change.lt(0) ? row.change.mul(-1) : 0),
+            balance: amount(running)
+        };
+    });
+
+    const total = (list, sign) => list
+        .filter((item) => (sign > 0 ? item.change.gt(0) : item.change.lt(0)))
+        .reduce((sum, item) => sum.add(item.change.abs()), ethers.constants.Zero);
+    const explainedChange = explained.reduce((sum, entry) => sum.add(entry.change), ethers.constants.Zero);
+
+    return {
+        vault: vault.address,
+        chainId: network.chainId,
+        generatedAt: new Date().toISOString(),
+        period: {
+            fromBlock,
+            toBlock,
+            fromTime: isoTime(fromBlockData.timestamp),
+            toTime: isoTime(toBlockData.timestamp)
+        },
+        reconciled: unexplained.length === 0,
+        balances: {
+            opening: amount(opening),
+            closing: amount(closing),
+            expectedClosing: amount(opening.add(explainedChange)),
+            difference: amount(closing.sub(opening.add(explainedChange)))
+        },
+        explained: {
+            inflows: amount(total(explained, 1)),
+            outflows: amount(total(explained, -1))
+        },
+        unexplained: {
+            inflows: amount(total(unexplained, 1)),
+            outflows: amount(total(unexplained, -1)),
+            blocks: unexplained.map((item) => ({
+                blockNumber: item.blockNumber,
+                time: isoTime(item.timestamp),
+                direction: item.change.gt(0) ? "inflow" : "outflow",
+                amount: amount(item.change.abs()),
+                expectedChange: ethers.utils.formatEther(item.expectedChange),
+                actualChange: ethers.utils.formatEther(item.actualChange),
+                feeRecipient: item.feeRecipient
+            }))
+        },
+        ledger
+    };
+}
+
+// ============ OUTPUT FORMATS ============
+
+/**
+ * @dev Ledger for accountants: opening balance, one row per movement with a running balance, closing balance
+ */
+function toLedgerCsv(result) {
+    const header = ["date", "block", "transaction", "type", "proposal", "counterparty", "counterparty_label", "description", "in_eth", "out_eth", "balance_eth"];
+    const opening = [result.period.fromTime, result.period.fromBlock, "", "opening-balance", "", "", "", "", "", "", result.balances.opening.eth];
+    const closing = [result.period.toTime, result.period.toBlock, "", "closing-balance", "", "", "", "", "", "", result.balances.closing.eth];
+    const rows = result.ledger.map((row) => [
+        row.time,
+        row.blockNumber,
+        row.transactionHash,
+        row.type,
+        row.proposalId,
+        row.counterparty,
+        row.counterpartyLabel,
+        row.description,
+        row.inflow.wei === "0" ? "" : row.inflow.eth,
+        row.outflow.wei === "0" ? "" : row.outflow.eth,
+        row.balance.eth
+    ]);
+    return [header, opening, ...rows, closing].map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+/**
+ * @dev Write <baseName>.json and <baseName>-ledger.csv into a directory
+ */
+function writeReconciliation(result, outDir, baseName = "reconciliation") {
+    fs.mkdirSync(outDir, { recursive: true });
+    const files = {
+        json: path.join(outDir, `${baseName}.json`),
+        csv: path.join(outDir, `${baseName}-ledger.csv`)
+    };
+    fs.writeFileSync(files.json, JSON.stringify(result, null, 2) + "\n");
+    fs.writeFileSync(files.csv, toLedgerCsv(result));
+    return files;
+}
+
+module.exports = {
+    reconcileBalance,
+    toLedgerCsv,
+    writeReconciliation
+};
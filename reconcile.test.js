@@ -0,0 +1,187 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { TreasuryVaultClient } = require("./TreasuryVaultClient");
+const { EventStore, TreasuryIndexer } = require("./indexer");
+const { reconcileBalance, toLedgerCsv } = require("./reconcile");
+
+describe("Balance Reconciliation", function () {
+
+    // ============ TEST SETUP ============
+    async function reconcileFixture() {
+        const [owner, manager1, manager2, vendor, contractor] = await ethers.getSigners();
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const treasuryVault = await TreasuryVault.deploy(
+            [manager1.address, manager2.address],
+            2,
+            ethers.utils.parseEther("10")
+        );
+        const startBlock = treasuryVault.deployTransaction.blockNumber;
+        await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("20") });
+
+        const client = new TreasuryVaultClient(treasuryVault.address, manager1);
+        await client.connect(owner).setRecipient(vendor.address, "Vendor");
+
+        // A plain payment and a batch paying two recipients
+        await client.createProposal({ target: vendor.address, value: ethers.utils.parseEther("3"), description: "Invoice 42" });
+        await client.createBatchProposal({
+            calls: [
+                { target: vendor.address, value: ethers.utils.parseEther("1") },
+                { target: contractor.address, value: ethers.utils.parseEther("2") }
+            ],
+            description: "Monthly payouts"
+        });
+        for (const id of [0, 1]) {
+            await client.confirmProposal(id);
+            await client.connect(manager2).confirmProposal(id);
+        }
+
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), "treasury-reconcile-"));
+        const store = new EventStore(path.join(dir, "events.json"));
+        return { treasuryVault, client, owner, vendor, contractor, startBlock, dir, store };
+    }
+
+    async function reconcile({ client, store, startBlock }, options = {}) {
+        const indexer = new TreasuryIndexer({ provider: ethers.provider, address: client.address, store, startBlock });
+        await indexer.sync();
+        return reconcileBalance({
+            vault: client,
+            provider: ethers.provider,
+            store,
+            fromBlock: startBlock,
+            toBlock: await ethers.provider.getBlockNumber(),
+            ...options
+        });
+    }
+
+    async function mine(blocks) {
+        for (let i = 0; i < blocks; i++) {
+            await ethers.provider.send("evm_mine", []);
+        }
+    }
+
+    // Changes the balance without any transaction or event, like a selfdestruct would.
+    // Hardhat applies it to the state of the latest block, so that is where it shows up.
+    async function setVaultBalance(client, eth) {
+        const blockNumber = await ethers.provider.getBlockNumber();
+        await ethers.provider.send("hardhat_setBalance", [client.address, ethers.utils.parseEther(eth).toHexString()]);
+        await mine(1);
+        return blockNumber;
+    }
+
+    // ============ RECONCILIATION TESTS ============
+    describe("1. Reconciling", function () {
+
+        it("Should explain every movement of a vault with a complete ledger", async function () {
+            const fixture = await reconcileFixture();
+            const { vendor, contractor } = fixture;
+            const result = await reconcile(fixture);
+
+            expect(result.reconciled).to.be.true;
+            expect(result.balances.opening.eth).to.equal("0.0");
+            expect(result.balances.closing.eth).to.equal("14.0");
+            expect(result.balances.expectedClosing.eth).to.equal("14.0");
+            expect(result.explained.outflows.eth).to.equal("6.0");
+            expect(result.ledger.map((row) => [row.type, row.counterparty, row.counterpartyLabel, row.balance.eth])).to.deep.equal([
+                ["deposit", fixture.owner.address, null, "20.0"],
+                ["proposal-payment", vendor.address, "Vendor", "17.0"],
+                ["proposal-payment", vendor.address, "Vendor", "16.0"],
+                ["proposal-payment", contractor.address, null, "14.0"]
+            ]);
+            expect(result.ledger[3]).to.include({ proposalId: 1, description: "Monthly payouts" });
+        });
+
+        it("Should pinpoint unexplained inflows and outflows in quiet stretches", async function () {
+            const fixture = await reconcileFixture();
+            await mine(5);
+            const inflowBlock = await setVaultBalance(fixture.client, "16.5");
+            await mine(7);
+            const outflowBlock = await setVaultBalance(fixture.client, "16");
+            await mine(3);
+
+            const result = await reconcile(fixture);
+            expect(result.reconciled).to.be.false;
+            expect(result.unexplained.blocks.map((item) => [item.blockNumber, item.direction, item.amount.eth])).to.deep.equal([
+                [inflowBlock, "inflow", "2.5"],
+                [outflowBlock, "outflow", "0.5"]
+            ]);
+            expect(result.unexplained.inflows.eth).to.equal("2.5");
+            expect(result.balances.difference.eth).to.equal("2.0");
+            // The ledger's running balance still ends at the real balance
+            expect(result.ledger[result.ledger.length - 1]).to.deep.include({ type: "unexplained-outflow", blockNumber: outflowBlock });
+            expect(result.ledger[result.ledger.length - 1].balance.eth).to.equal(result.balances.closing.eth);
+        });
+
+        it("Should flag fees paid to the vault as block fee recipient", async function () {
+            const fixture = await reconcileFixture();
+            const { client, owner, vendor } = fixture;
+            const coinbase = (await ethers.provider.getBlock("latest")).miner;
+            await ethers.provider.send("hardhat_setCoinbase", [client.address]);
+            try {
+                await owner.sendTransaction({ to: vendor.address, value: 1, maxPriorityFeePerGas: ethers.utils.parseUnits("2", "gwei") });
+            } finally {
+                await ethers.provider.send("hardhat_setCoinbase", [coinbase]);
+            }
+
+            const result = await reconcile(fixture);
+            expect(result.unexplained.blocks).to.have.length(1);
+            expect(result.unexplained.blocks[0]).to.include({ direction: "inflow", feeRecipient: true });
+            expect(result.ledger[result.ledger.length - 1].description).to.include("the vault was the block's fee recipient");
+        });
+
+        it("Should only find changes that cancel out when reading every block", async function () {
+            const fixture = await reconcileFixture();
+            await mine(4);
+            await setVaultBalance(fixture.client, "15");
+            await mine(2);
+            await setVaultBalance(fixture.client, "14");
+            await mine(4);
+
+            expect((await reconcile(fixture)).reconciled).to.be.true;
+            const everyBlock = await reconcile(fixture, { everyBlock: true });
+            expect(everyBlock.unexplained.blocks.map((item) => item.direction)).to.deep.equal(["inflow", "outflow"]);
+        });
+    });
+
+    // ============ EXPORT TESTS ============
+    describe("2. Ledger Export", function () {
+
+        it("Should export an accountant-friendly ledger with the task", async function () {
+            const fixture = await reconcileFixture();
+            await setVaultBalance(fixture.client, "15");
+
+            const lines = [];
+            const originalLog = console.log;
+            console.log = (...parts) => lines.push(parts.join(" "));
+            let task;
+            try {
+                task = await hre.run("treasury:reconcile", {
+                    vault: fixture.client.address,
+                    fromBlock: fixture.startBlock,
+                    store: path.join(fixture.dir, "task-events.json"),
+                    out: fixture.dir
+                });
+            } finally {
+                console.log = originalLog;
+            }
+
+            const output = lines.join("\n");
+            expect(output).to.include("Balance: 0.0 → 15.0 ETH (events explain 14.0 ETH)");
+            expect(output).to.include("unexplained inflow of 1.0 ETH");
+            expect(output).to.include("1 block(s) with unexplained balance changes");
+
+            const csv = fs.readFileSync(task.files.csv, "utf8").trim().split("\n");
+            expect(csv[0]).to.equal("date,block,transaction,type,proposal,counterparty,counterparty_label,description,in_eth,out_eth,balance_eth");
+            expect(csv[1]).to.include(",opening-balance,");
+            expect(csv[3]).to.include(",proposal-payment,0,");
+            expect(csv[3]).to.include(",Vendor,Invoice 42,,3.0,17.0");
+            expect(csv[csv.length - 2]).to.include(",unexplained-inflow,");
+            expect(csv[csv.length - 1]).to.match(/,closing-balance,.*,15\.0$/);
+            expect(toLedgerCsv(task.result)).to.equal(fs.readFileSync(task.files.csv, "utf8"));
+        });
+    });
+});
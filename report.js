@@ -0,0 +1,545 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { TreasuryVaultClient } = require("./TreasuryVaultClient");
+const { withLabel } = require("./decoder");
+
+// ============ HELPERS ============
+
+function amount(wei) {
+    const value = ethers.BigNumber.from(wei);
+    return { wei: value.toString(), eth: ethers.utils.formatEther(value) };
+}
+
+function isoTime(timestamp) {
+    return new Date(timestamp * 1000).toISOString();
+}
+
+/**
+ * @dev Group { address, wei } entries into totals per address, largest first, with address book labels
+ */
+function groupByAddress(entries, labelOf) {
+    const totals = {};
+    for (const entry of entries) {
+        const key = ethers.utils.getAddress(entry.address);
+        totals[key] = totals[key] || { address: key, count: 0, total: ethers.constants.Zero };
+        totals[key].count++;
+        totals[key].total = totals[key].total.add(entry.wei);
+    }
+    return Object.values(totals)
+        .sort((a, b) => (b.total.gt(a.total) ? 1 : b.total.lt(a.total) ? -1 : 0))
+        .map((row) => ({ address: row.address, label: labelOf(row.address), count: row.count, amount: amount(row.total) }));
+}
+
+/**
+ * @dev How payments to addresses outside the address book are treated at a given threshold
+ */
+function unknownRecipientPolicy(threshold) {
+    const value = ethers.BigNumber.from(threshold);
+    if (value.isZero()) return "allowed";
+    if (value.eq(ethers.constants.MaxUint256)) return "rejected";
+    return `${value} confirmations`;
+}
+
+function periodLabel(seconds) {
+    return seconds % 86400 === 0 ? `${seconds / 86400} days` : `${seconds}s`;
+}
+
+function sum(entries) {
+    return entries.reduce((total, entry) => total.add(entry.wei), ethers.constants.Zero);
+}
+
+/**
+ * @dev Find the first block at or after a timestamp (or the last block at or before it when `before` is set)
+ */
+async function findBlockByTimestamp(provider, timestamp, before = false) {
+    let low = 0;
+    let high = await provider.getBlockNumber();
+
+    while (low < high) {
+        const mid = before ? Math.ceil((low + high) / 2) : Math.floor((low + high) / 2);
+        const block = await provider.getBlock(mid);
+        if (before) {
+            if (block.timestamp <= timestamp) low = mid;
+            else high = mid - 1;
+        } else {
+            if (block.timestamp >= timestamp) high = mid;
+            else low = mid + 1;
+        }
+    }
+    return low;
+}
+
+/**
+ * @dev Parse a --from-date/--to-date value into a unix timestamp.
+ * A bare YYYY-MM-DD end date covers the whole day.
+ */
+function parseDate(value, endOfDay = false) {
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid date "${value}"`);
+    }
+    const seconds = Math.floor(time / 1000);
+    return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? seconds + 86399 : seconds;
+}
+
+// ============ REPORT ============
+
+/**
+ * @dev Build a transparency report for [fromBlock, toBlock] from indexed vault events
+ * and getProposal data. `store` must already be synced past toBlock.
+ */
+async function buildReport({ vault, provider, store, fromBlock, toBlock }) {
+    if (fromBlock > toBlock) {
+        throw new Error(`Invalid block range ${fromBlock}-${toBlock}`);
+    }
+    const checkpoint = store.getCheckpoint();
+    if (!checkpoint || checkpoint.blockNumber < toBlock) {
+        throw new Error(`Event store is only indexed up to block ${checkpoint ? checkpoint.blockNumber : "none"} - sync it past ${toBlock} first`);
+    }
+
+    const [network, fromBlockData, toBlockData, openingBalance, closingBalance] = await Promise.all([
+        provider.getNetwork(),
+        provider.getBlock(fromBlock),
+        provider.getBlock(toBlock),
+        provider.getBalance(vault.address, Math.max(fromBlock - 1, 0)),
+        provider.getBalance(vault.address, toBlock)
+    ]);
+    const inRange = store.query({ fromBlock, toBlock });
+    const upToEnd = store.query({ toBlock });
+    const activity = [];
+    const isVault = (address) => address.toLowerCase() === vault.address.toLowerCase();
+
+    // ============ ADDRESS BOOK ============
+    // Labels as of the end of the period; removed entries keep their last label for the change log
+    const labels = {};
+    const removedLabels = {};
+    for (const event of upToEnd) {
+        const key = `${event.transactionHash}:${event.logIndex}`;
+        if (event.event === "RecipientUpdated") {
+            labels[ethers.utils.getAddress(event.args.recipient)] = TreasuryVaultClient.decodeLabel(event.args.label);
+        } else if (event.event === "RecipientRemoved") {
+            const address = ethers.utils.getAddress(event.args.recipient);
+            removedLabels[key] = labels[address] || null;
+            delete labels[address];
+        }
+    }
+    const labelOf = (address) => labels[ethers.utils.getAddress(address)] || null;
+
+    // ============ INFLOWS ============
+    const deposits = inRange.filter((event) => event.event === "FundsDeposited");
+    const inflows = deposits.map((event) => ({ address: event.args.from, wei: event.args.amount }));
+    for (const event of deposits) {
+        activity.push({ type: "deposit", event, counterparty: event.args.from, wei: event.args.amount, description: "" });
+    }
+
+    // ============ PROPOSALS ============
+    const resolvedAt = {};
+    const queuedAt = {};
+    for (const event of upToEnd) {
+        if (["ProposalExecuted", "ProposalCancelled", "ProposalVetoed"].includes(event.event)) {
+            resolvedAt[event.args.proposalId] = event;
+        } else if (event.event === "ProposalQueued") {
+            queuedAt[event.args.proposalId] = event;
+        }
+    }
+
+    const proposals = [];
+    const outflows = [];
+    for (const created of upToEnd.filter((event) => event.event === "ProposalCreated")) {
+        const id = created.args.proposalId;
+        const resolution = resolvedAt[id];
+        if (resolution && resolution.blockNumber < fromBlock) continue;
+
+        const [proposal, category] = await Promise.all([vault.getProposal(id), vault.proposalCategory(id)]);
+        const deadline = proposal.deadline.toNumber();
+        const queued = queuedAt[id];
+        let outcome;
+        let outcomeBlock = null;
+        if (resolution) {
+            outcome = { ProposalExecuted: "executed", ProposalCancelled: "cancelled", ProposalVetoed: "vetoed" }[resolution.event];
+            outcomeBlock = resolution.blockNumber;
+        } else if (queued) {
+            // Queued proposals wait out the timelock and no longer expire
+            outcome = "queued";
+            outcomeBlock = queued.blockNumber;
+        } else if (deadline < toBlockData.timestamp) {
+            // Proposals can be acted on until their deadline; they expire in the first block after it
+            outcomeBlock = await findBlockByTimestamp(provider, deadline + 1);
+            if (outcomeBlock < fromBlock) continue;
+            outcome = "expired";
+        } else {
+            outcome = "pending";
+        }
+
+        proposals.push({
+            id: Number(id),
+            proposer: proposal.proposer,
+            target: proposal.target,
+            targetLabel: labelOf(proposal.target),
+            value: amount(proposal.value),
+            hasCalldata: proposal.data !== "0x",
+            description: proposal.description,
+            category: TreasuryVaultClient.decodeCategory(category),
+            createdBlock: created.blockNumber,
+            createdInPeriod: created.blockNumber >= fromBlock,
+            deadline: isoTime(deadline),
+            executableAt: queued ? isoTime(Number(queued.args.executableAt)) : null,
+            outcome,
+            outcomeBlock
+        });
+
+        if (outcome === "executed") {
+            // A batch pays each of its calls; ETH a call sends to the vault itself does not leave it
+            const calls = TreasuryVaultClient.decodeBatch(vault.address, proposal.target, proposal.data) || [proposal];
+            const paid = calls.filter((call) => !isVault(call.target) && ethers.BigNumber.from(call.value).gt(0));
+            for (const call of paid) {
+                outflows.push({ address: call.target, wei: ethers.BigNumber.from(call.value) });
+                activity.push({ type: "proposal-executed", event: resolution, proposalId: Number(id), counterparty: call.target, wei: ethers.BigNumber.from(call.value), description: proposal.description });
+            }
+            if (paid.length === 0) {
+                activity.push({ type: "proposal-executed", event: resolution, proposalId: Number(id), counterparty: proposal.target, wei: ethers.constants.Zero, description: proposal.description });
+            }
+        } else if (outcome === "cancelled" || outcome === "vetoed") {
+            activity.push({ type: `proposal-${outcome}`, event: resolution, proposalId: Number(id), counterparty: proposal.target, wei: proposal.value, description: proposal.description });
+        }
+    }
+
+    // ============ SPENDING BY CATEGORY ============
+    // Executed proposals in the period per category, against each budget as of the end of the period
+    const categories = {};
+    const categoryRow = (id) => {
+        categories[id] = categories[id] || { id, count: 0, total: ethers.constants.Zero };
+        return categories[id];
+    };
+    for (const proposal of proposals.filter((item) => item.outcome === "executed")) {
+        const row = categoryRow(proposal.category === null ? ethers.constants.HashZero : TreasuryVaultClient.encodeCategory(proposal.category));
+        row.count++;
+        row.total = row.total.add(proposal.value.wei);
+    }
+    upToEnd.filter((event) => event.event === "CategoryBudgetUpdated").forEach((event) => categoryRow(event.args.category));
+
+    const byCategory = [];
+    for (const row of Object.values(categories)) {
+        const budget = await vault.getCategoryBudget(row.id, { blockTag: toBlock });
+        const period = budget.period.toNumber();
+        byCategory.push({
+            category: TreasuryVaultClient.decodeCategory(row.id) || "uncategorized",
+            proposals: row.count,
+            spent: amount(row.total),
+            budget: period === 0 ? null : {
+                amount: amount(budget.amount),
+                periodSeconds: period,
+                spentThisPeriod: amount(budget.spent),
+                remaining: amount(budget.remaining),
+                periodEnd: isoTime(budget.periodEnd.toNumber())
+            }
+        });
+    }
+    byCategory.sort((a, b) => (ethers.BigNumber.from(b.spent.wei).gt(a.spent.wei) ? 1 : ethers.BigNumber.from(b.spent.wei).lt(a.spent.wei) ? -1 : 0));
+
+    // ============ EMERGENCY WITHDRAWALS ============
+    const emergencyWithdrawals = inRange
+        .filter((event) => event.event === "EmergencyWithdrawal")
+        .map((event) => {
+            outflows.push({ address: event.args.to, wei: event.args.amount });
+            activity.push({ type: "emergency-withdrawal", event, counterparty: event.args.to, wei: event.args.amount, description: `Authorized by ${event.args.authorizer}` });
+            return {
+                to: event.args.to,
+                amount: amount(event.args.amount),
+                authorizer: event.args.authorizer,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash
+            };
+        });
+
+    // ============ MODULE PAYMENTS ============
+    // Payments made by enabled modules, e.g. recurring payments from a PaymentScheduler
+    inRange
+        .filter((event) => event.event === "ModuleExecution" && !ethers.BigNumber.from(event.args.value).isZero())
+        .forEach((event) => {
+            outflows.push({ address: event.args.target, wei: event.args.value });
+            activity.push({ type: "module-payment", event, counterparty: event.args.target, wei: event.args.value, description: `Paid by module ${event.args.module}` });
+        });
+
+    // ============ GOVERNANCE CHANGES ============
+    const governance = inRange
+        .filter((event) => [
+            "TreasuryManagerAdded",
+            "TreasuryManagerRemoved",
+            "RequiredConfirmationsUpdated",
+            "DailyLimitUpdated",
+            "SelfGovernanceEnabled",
+            "ExecutionDelayUpdated",
+            "ProposalExpiryUpdated",
+            "CategoryBudgetUpdated",
+            "ModuleUpdated",
+            "RecipientUpdated",
+            "RecipientRemoved",
+            "UnknownRecipientThresholdUpdated",
+            "EmergencyGuardUpdated"
+        ].includes(event.event))
+        .map((event) => {
+            const change = { type: event.event, blockNumber: event.blockNumber, time: isoTime(event.timestamp), transactionHash: event.transactionHash };
+            switch (event.event) {
+                case "TreasuryManagerAdded":
+                    return { ...change, manager: event.args.manager, by: event.args.addedBy };
+                case "TreasuryManagerRemoved":
+                    return { ...change, manager: event.args.manager, by: event.args.removedBy };
+                case "RequiredConfirmationsUpdated":
+                    return { ...change, from: Number(event.args.oldCount), to: Number(event.args.newCount) };
+                case "SelfGovernanceEnabled":
+                    return { ...change, by: event.args.enabledBy };
+                case "ExecutionDelayUpdated":
+                    return { ...change, from: Number(event.args.oldDelay), to: Number(event.args.newDelay) };
+                case "ProposalExpiryUpdated":
+                    return { ...change, from: Number(event.args.oldExpiry), to: Number(event.args.newExpiry) };
+                case "CategoryBudgetUpdated":
+                    return {
+                        ...change,
+                        category: TreasuryVaultClient.decodeCategory(event.args.category) || "uncategorized",
+                        amount: amount(event.args.amount),
+                        periodSeconds: Number(event.args.period)
+                    };
+                case "ModuleUpdated":
+                    return { ...change, module: event.args.module, enabled: event.args.enabled };
+                case "RecipientUpdated":
+                    return { ...change, recipient: event.args.recipient, label: TreasuryVaultClient.decodeLabel(event.args.label), cap: amount(event.args.cap) };
+                case "RecipientRemoved":
+                    return { ...change, recipient: event.args.recipient, label: removedLabels[`${event.transactionHash}:${event.logIndex}`] };
+                case "UnknownRecipientThresholdUpdated":
+                    return { ...change, from: unknownRecipientPolicy(event.args.oldThreshold), to: unknownRecipientPolicy(event.args.newThreshold) };
+                case "EmergencyGuardUpdated":
+                    return { ...change, from: event.args.oldGuard, to: event.args.newGuard };
+                default:
+                    return { ...change, from: amount(event.args.oldLimit), to: amount(event.args.newLimit) };
+            }
+        });
+
+    const outcomes = { executed: 0, cancelled: 0, vetoed: 0, queued: 0, expired: 0, pending: 0 };
+    proposals.forEach((proposal) => outcomes[proposal.outcome]++);
+
+    activity.sort((a, b) => a.event.blockNumber - b.event.blockNumber || a.event.logIndex - b.event.logIndex);
+
+    return {
+        vault: vault.address,
+        chainId: network.chainId,
+        generatedAt: new Date().toISOString(),
+        period: {
+            fromBlock,
+            toBlock,
+            fromTime: isoTime(fromBlockData.timestamp),
+            toTime: isoTime(toBlockData.timestamp)
+        },
+        balances: {
+            opening: amount(openingBalance),
+            closing: amount(closingBalance)
+        },
+        inflows: {
+            total: amount(sum(inflows)),
+            byDepositor: groupByAddress(inflows, labelOf)
+        },
+        outflows: {
+            total: amount(sum(outflows)),
+            byTarget: groupByAddress(outflows, labelOf),
+            byCategory,
+            emergencyWithdrawals
+        },
+        proposals: {
+            outcomes,
+            items: proposals
+        },
+        governance,
+        activity: activity.map((item) => ({
+            type: item.type,
+            blockNumber: item.event.blockNumber,
+            time: isoTime(item.event.timestamp),
+            transactionHash: item.event.transactionHash,
+            proposalId: item.proposalId === undefined ? null : item.proposalId,
+            counterparty: item.counterparty,
+            counterpartyLabel: item.counterparty ? labelOf(item.counterparty) : null,
+            amount: amount(item.wei),
+            description: item.description
+        }))
+    };
+}
+
+// ============ OUTPUT FORMATS ============
+
+/**
+ * @dev Quote a CSV cell. Text that a spreadsheet would run as a formula (a proposal description
+ * starting with =, +, - or @) gets a leading ' so it shows as text; plain numbers are left alone.
+ */
+function csvField(value) {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (/^[=+\-@\t\r]/.test(text) && !/^[+-]?\d+(\.\d+)?$/.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @dev One CSV row per inflow, outflow and proposal resolution in the period
+ */
+function toCsv(report) {
+    const header = ["type", "block", "time", "transaction", "proposal", "counterparty", "counterparty_label", "amount_wei", "amount_eth", "description"];
+    const rows = report.activity.map((item) => [
+        item.type,
+        item.blockNumber,
+        item.time,
+        item.transactionHash,
+        item.proposalId,
+        item.counterparty,
+        item.counterpartyLabel,
+        item.amount.wei,
+        item.amount.eth,
+        item.description
+    ]);
+    return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+}
+
+function escapeHtml(value) {
+    return String(value === null || value === undefined ? "" : value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function htmlTable(headers, rows) {
+    if (rows.length === 0) {
+        return "<p class=\"empty\">None in this period.</p>";
+    }
+    const head = headers.map((header) => `<th>${escapeHtml(header)}</th>`).join("");
+    const body = rows.map((row) => `<tr>${row.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`).join("\n");
+    return `<table><thead><tr>${head}</tr></thead><tbody>\n${body}\n</tbody></table>`;
+}
+
+function describeChange(change) {
+    switch (change.type) {
+        case "TreasuryManagerAdded":
+            return `Manager ${change.manager} added`;
+        case "TreasuryManagerRemoved":
+            return `Manager ${change.manager} removed`;
+        case "RequiredConfirmationsUpdated":
+            return `Required confirmations ${change.from} → ${change.to}`;
+        case "SelfGovernanceEnabled":
+            return "Admin functions handed to the multisig (self-governance enabled)";
+        case "ExecutionDelayUpdated":
+            return `Execution delay ${change.from}s → ${change.to}s`;
+        case "ProposalExpiryUpdated":
+            return `Proposal expiry ${change.from}s → ${change.to}s`;
+        case "CategoryBudgetUpdated":
+            return change.periodSeconds === 0
+                ? `Budget for ${change.category} removed`
+                : `Budget for ${change.category} set to ${change.amount.eth} ETH per ${periodLabel(change.periodSeconds)}`;
+        case "ModuleUpdated":
+            return `Module ${change.module} ${change.enabled ? "enabled" : "disabled"}`;
+        case "RecipientUpdated":
+            return `Address book: ${withLabel(change.recipient, change.label)} approved, ` +
+                (change.cap.wei === "0" ? "no cap" : `cap ${change.cap.eth} ETH per 24 hours`);
+        case "RecipientRemoved":
+            return `Address book: ${withLabel(change.recipient, change.label)} removed`;
+        case "UnknownRecipientThresholdUpdated":
+            return `Payments outside the address book: ${change.from} → ${change.to}`;
+        case "EmergencyGuardUpdated":
+            return change.to === ethers.constants.AddressZero
+                ? "Emergency withdrawals disabled (no emergency guard)"
+                : `Emergency guard set to ${change.to}`;
+        default:
+            return `Daily limit ${change.from.eth} → ${change.to.eth} ETH`;
+    }
+}
+
+/**
+ * @dev Self-contained static HTML page (inline styles, no external assets)
+ */
+function toHtml(report) {
+    const { period, balances, inflows, outflows, proposals, governance } = report;
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Treasury Report ${escapeHtml(period.fromTime.slice(0, 10))} to ${escapeHtml(period.toTime.slice(0, 10))}</title>
+<style>
+body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; color: #1f2933; }
+h1 { margin-bottom: 0.25rem; }
+.meta { color: #616e7c; margin-top: 0; }
+.summary { display: flex; gap: 1rem; flex-wrap: wrap; }
+.card { flex: 1; min-width: 160px; border: 1px solid #d9e2ec; border-radius: 6px; padding: 0.75rem 1rem; }
+.card .label { color: #616e7c; font-size: 0.85rem; }
+.card .value { font-size: 1.3rem; font-weight: 600; }
+table { width: 100%; border-collapse: collapse; margin: 0.5rem 0 1.5rem; font-size: 0.9rem; }
+th, td { text-align: left; padding: 0.4rem 0.5rem; border-bottom: 1px solid #e4e7eb; word-break: break-all; }
+th { background: #f5f7fa; }
+.empty { color: #9aa5b1; }
+</style>
+</head>
+<body>
+<h1>Treasury Transparency Report</h1>
+<p class="meta">Vault ${escapeHtml(report.vault)} (chain ${escapeHtml(report.chainId)}) · blocks ${escapeHtml(period.fromBlock)}–${escapeHtml(period.toBlock)} · ${escapeHtml(period.fromTime)} to ${escapeHtml(period.toTime)}</p>
+
+<div class="summary">
+<div class="card"><div class="label">Opening balance</div><div class="value">${escapeHtml(balances.opening.eth)} ETH</div></div>
+<div class="card"><div class="label">Inflows</div><div class="value">${escapeHtml(inflows.total.eth)} ETH</div></div>
+<div class="card"><div class="label">Outflows</div><div class="value">${escapeHtml(outflows.total.eth)} ETH</div></div>
+<div class="card"><div class="label">Closing balance</div><div class="value">${escapeHtml(balances.closing.eth)} ETH</div></div>
+</div>
+
+<h2>Inflows by depositor</h2>
+${htmlTable(["Depositor", "Deposits", "Amount (ETH)"], inflows.byDepositor.map((row) => [withLabel(row.address, row.label), row.count, row.amount.eth]))}
+
+<h2>Outflows by target</h2>
+${htmlTable(["Target", "Payments", "Amount (ETH)"], outflows.byTarget.map((row) => [withLabel(row.address, row.label), row.count, row.amount.eth]))}
+
+<h2>Spending by category</h2>
+${htmlTable(
+        ["Category", "Proposals", "Spent in period (ETH)", "Budget (ETH)", "Spent this budget period (ETH)", "Remaining (ETH)"],
+        outflows.byCategory.map((row) => row.budget
+            ? [row.category, row.proposals, row.spent.eth, `${row.budget.amount.eth} per ${periodLabel(row.budget.periodSeconds)}`, row.budget.spentThisPeriod.eth, row.budget.remaining.eth]
+            : [row.category, row.proposals, row.spent.eth, "none", "", ""])
+    )}
+
+<h2>Emergency withdrawals</h2>
+${htmlTable(["Block", "To", "Amount (ETH)", "Authorized by"], outflows.emergencyWithdrawals.map((row) => [row.blockNumber, row.to, row.amount.eth, row.authorizer]))}
+
+<h2>Proposals</h2>
+<p>${proposals.outcomes.executed} executed · ${proposals.outcomes.cancelled} cancelled · ${proposals.outcomes.vetoed} vetoed · ${proposals.outcomes.queued} queued · ${proposals.outcomes.expired} expired · ${proposals.outcomes.pending} pending</p>
+${htmlTable(["#", "Outcome", "Target", "Value (ETH)", "Description"], proposals.items.map((row) => [row.id, row.outcome, withLabel(row.target, row.targetLabel), row.value.eth, row.description]))}
+
+<h2>Manager and policy changes</h2>
+${htmlTable(["Block", "Time", "Change"], governance.map((change) => [change.blockNumber, change.time, describeChange(change)]))}
+
+<p class="meta">Generated ${escapeHtml(report.generatedAt)}</p>
+</body>
+</html>
+`;
+}
+
+/**
+ * @dev Write report.json, report.csv and report.html into a directory
+ */
+function writeReport(report, outDir, baseName = "report") {
+    fs.mkdirSync(outDir, { recursive: true });
+    const files = {
+        json: path.join(outDir, `${baseName}.json`),
+        csv: path.join(outDir, `${baseName}.csv`),
+        html: path.join(outDir, `${baseName}.html`)
+    };
+    fs.writeFileSync(files.json, JSON.stringify(report, null, 2) + "\n");
+    fs.writeFileSync(files.csv, toCsv(report));
+    fs.writeFileSync(files.html, toHtml(report));
+    return files;
+}
+
+module.exports = {
+    amount,
+    isoTime,
+    csvField,
+    findBlockByTimestamp,
+    parseDate,
+    buildReport,
+    toCsv,
+    toHtml,
+    writeReport
+};
@@ -0,0 +1,345 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { EventStore, TreasuryIndexer } = require("./indexer");
+const { buildReport, csvField, findBlockByTimestamp, toCsv, toHtml } = require("./report");
+
+describe("Treasury Transparency Report", function () {
+
+    // ============ TEST SETUP ============
+    async function reportFixture() {
+        const [owner, manager1, manager2, manager3, donor, recipient, vendor] = await ethers.getSigners();
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const treasuryVault = await TreasuryVault.deploy(
+            [manager1.address, manager2.address, manager3.address],
+            2,
+            ethers.utils.parseEther("10")
+        );
+        await treasuryVault.deployed();
+        const startBlock = treasuryVault.deployTransaction.blockNumber;
+
+        // Before the reporting period
+        const guard = await (await ethers.getContractFactory("EmergencyGuard")).deploy();
+        await treasuryVault.connect(owner).setGuardian(manager1.address, true);
+        await treasuryVault.connect(owner).setGuardian(manager2.address, true);
+        const setup = [
+            { target: treasuryVault.address, value: 0, data: treasuryVault.interface.encodeFunctionData("setEmergencyGuard", [guard.address]) },
+            { target: guard.address, value: 0, data: guard.interface.encodeFunctionData("setPolicy", [treasuryVault.address, 2, ethers.utils.parseEther("5"), 0, manager3.address]) }
+        ];
+        await treasuryVault.connect(manager1).createProposal(treasuryVault.address, 0, treasuryVault.interface.encodeFunctionData("executeBatch", [setup]), "Enable emergency withdrawals");
+        await treasuryVault.connect(manager1).confirmProposal(0);
+        await treasuryVault.connect(manager2).confirmProposal(0);
+        await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("50") });
+        await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther("1"), "0x", "Will expire");
+        const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+        // During the reporting period
+        await donor.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("3") });
+        await donor.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("2") });
+        await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("1") });
+
+        await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther("4"), "0x", "Pay recipient");
+        await treasuryVault.connect(manager1).confirmProposal(2);
+        await treasuryVault.connect(manager2).confirmProposal(2);
+        await treasuryVault.connect(manager1).createProposal(vendor.address, ethers.utils.parseEther("2"), "0x", "Pay vendor, \"Q1\"");
+        await treasuryVault.connect(owner).cancelProposal(3);
+        await treasuryVault.connect(manager2).createProposal(vendor.address, ethers.utils.parseEther("1"), "0x", "Still open");
+        await guard.connect(manager1).approveWithdrawal(treasuryVault.address, manager3.address, ethers.utils.parseEther("5"));
+        await guard.connect(manager2).approveWithdrawal(treasuryVault.address, manager3.address, ethers.utils.parseEther("5"));
+        await treasuryVault.connect(owner).updateRequiredConfirmations(3);
+        await treasuryVault.connect(owner).updateDailyLimit(ethers.utils.parseEther("20"));
+
+        // Let proposal 1 expire but keep proposal 4 open
+        const deadline = (await treasuryVault.getProposal(1)).deadline.toNumber();
+        await ethers.provider.send("evm_setNextBlockTimestamp", [deadline + 1]);
+        await ethers.provider.send("evm_mine", []);
+        const toBlock = await ethers.provider.getBlockNumber();
+
+        const store = new EventStore(null);
+        await new TreasuryIndexer({ provider: ethers.provider, address: treasuryVault.address, store, startBlock }).sync();
+
+        return { treasuryVault, owner, manager3, donor, recipient, vendor, store, fromBlock, toBlock };
+    }
+
+    // ============ REPORT CONTENT TESTS ============
+    describe("1. Report Content", function () {
+
+        it("Should summarize balances, inflows and outflows for the period", async function () {
+            const { treasuryVault, owner, manager3, donor, recipient, store, fromBlock, toBlock } = await reportFixture();
+
+            const report = await buildReport({ vault: treasuryVault, provider: ethers.provider, store, fromBlock, toBlock });
+
+            expect(report.balances.opening.eth).to.equal("50.0");
+            expect(report.balances.closing.eth).to.equal("47.0");
+            expect(report.inflows.total.eth).to.equal("6.0");
+            expect(report.inflows.byDepositor).to.deep.equal([
+                { address: donor.address, label: null, count: 2, amount: { wei: ethers.utils.parseEther("5").toString(), eth: "5.0" } },
+                { address: owner.address, label: null, count: 1, amount: { wei: ethers.utils.parseEther("1").toString(), eth: "1.0" } }
+            ]);
+            expect(report.outflows.total.eth).to.equal("9.0");
+            expect(report.outflows.byTarget.map((row) => row.address)).to.deep.equal([manager3.address, recipient.address]);
+            expect(report.outflows.emergencyWithdrawals[0].amount.eth).to.equal("5.0");
+        });
+
+        it("Should classify proposal outcomes and governance changes", async function () {
+            const { treasuryVault, store, fromBlock, toBlock } = await reportFixture();
+
+            const report = await buildReport({ vault: treasuryVault, provider: ethers.provider, store, fromBlock, toBlock });
+            const outcomes = Object.fromEntries(report.proposals.items.map((proposal) => [proposal.id, proposal.outcome]));
+
+            expect(outcomes).to.deep.equal({ 1: "expired", 2: "executed", 3: "cancelled", 4: "pending" });
+            expect(report.proposals.outcomes).to.deep.equal({ executed: 1, cancelled: 1, vetoed: 0, queued: 0, expired: 1, pending: 1 });
+            expect(report.proposals.items[0].createdInPeriod).to.be.false;
+            expect(report.governance.map((change) => change.type)).to.deep.equal(["RequiredConfirmationsUpdated", "DailyLimitUpdated"]);
+            expect(report.governance[0]).to.include({ from: 2, to: 3 });
+        });
+
+        it("Should report queued and vetoed proposals under a timelock", async function () {
+            const [owner, manager1, manager2, manager3, recipient] = await ethers.getSigners();
+            const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+            const treasuryVault = await TreasuryVault.deploy([manager1.address, manager2.address, manager3.address], 2, ethers.utils.parseEther("10"));
+            const startBlock = treasuryVault.deployTransaction.blockNumber;
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("10") });
+            await treasuryVault.connect(owner).updateExecutionDelay(3600);
+
+            for (const id of [0, 1]) {
+                await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther("1"), "0x", `Payment ${id}`);
+                await treasuryVault.connect(manager1).confirmProposal(id);
+                await treasuryVault.connect(manager2).confirmProposal(id);
+            }
+            await treasuryVault.connect(manager3).vetoProposal(0);
+            const toBlock = await ethers.provider.getBlockNumber();
+
+            const store = new EventStore(null);
+            await new TreasuryIndexer({ provider: ethers.provider, address: treasuryVault.address, store, startBlock }).sync();
+            const report = await buildReport({ vault: treasuryVault, provider: ethers.provider, store, fromBlock: startBlock, toBlock });
+
+            expect(report.proposals.items.map((proposal) => proposal.outcome)).to.deep.equal(["vetoed", "queued"]);
+            expect(report.proposals.items[1].executableAt).to.be.a("string");
+            expect(report.activity.map((item) => item.type)).to.include("proposal-vetoed");
+            expect(report.outflows.total.eth).to.equal("0.0");
+            expect(report.governance[0]).to.include({ type: "ExecutionDelayUpdated", from: 0, to: 3600 });
+        });
+
+        it("Should break down spending by category against budgets", async function () {
+            const [owner, manager1, manager2, manager3, recipient] = await ethers.getSigners();
+            const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+            const treasuryVault = await TreasuryVault.deploy([manager1.address, manager2.address, manager3.address], 2, ethers.utils.parseEther("10"));
+            const startBlock = treasuryVault.deployTransaction.blockNumber;
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("10") });
+            const grants = ethers.utils.formatBytes32String("grants");
+            const payroll = ethers.utils.formatBytes32String("payroll");
+            await treasuryVault.connect(owner).setCategoryBudget(grants, ethers.utils.parseEther("5"), 30 * 86400);
+            await treasuryVault.connect(owner).setCategoryBudget(payroll, ethers.utils.parseEther("8"), 30 * 86400);
+
+            const payments = [[grants, "2"], [grants, "1"], [null, "0.5"]];
+            for (const [id, [category, value]] of payments.entries()) {
+                if (category) {
+                    await treasuryVault.connect(manager1).createCategorizedProposal(category, recipient.address, ethers.utils.parseEther(value), "0x", `Payment ${id}`);
+                } else {
+                    await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther(value), "0x", `Payment ${id}`);
+                }
+                await treasuryVault.connect(manager1).confirmProposal(id);
+                await treasuryVault.connect(manager2).confirmProposal(id);
+            }
+            const toBlock = await ethers.provider.getBlockNumber();
+
+            const store = new EventStore(null);
+            await new TreasuryIndexer({ provider: ethers.provider, address: treasuryVault.address, store, startBlock }).sync();
+            const report = await buildReport({ vault: treasuryVault, provider: ethers.provider, store, fromBlock: startBlock, toBlock });
+
+            expect(report.proposals.items.map((proposal) => proposal.category)).to.deep.equal(["grants", "grants", null]);
+            const [grantsRow, uncategorized, payrollRow] = report.outflows.byCategory;
+            expect(grantsRow).to.deep.include({ category: "grants", proposals: 2 });
+            expect(grantsRow.spent.eth).to.equal("3.0");
+            expect(grantsRow.budget.amount.eth).to.equal("5.0");
+            expect(grantsRow.budget.remaining.eth).to.equal("2.0");
+            expect(uncategorized).to.deep.include({ category: "uncategorized", proposals: 1, budget: null });
+            expect(payrollRow.spent.eth).to.equal("0.0");
+            expect(payrollRow.budget.remaining.eth).to.equal("8.0");
+            expect(report.governance[0]).to.include({ type: "CategoryBudgetUpdated", category: "grants", periodSeconds: 30 * 86400 });
+            expect(toHtml(report)).to.include("Budget for payroll set to 8.0 ETH per 30 days");
+        });
+
+        it("Should count module payments as outflows", async function () {
+            const [owner, manager1, manager2, manager3, recipient, module] = await ethers.getSigners();
+            const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+            const treasuryVault = await TreasuryVault.deploy([manager1.address, manager2.address, manager3.address], 2, ethers.utils.parseEther("10"));
+            const startBlock = treasuryVault.deployTransaction.blockNumber;
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("10") });
+            await treasuryVault.connect(owner).setModule(module.address, true);
+            await treasuryVault.connect(module).executeFromModule(recipient.address, ethers.utils.parseEther("2"), "0x");
+            const toBlock = await ethers.provider.getBlockNumber();
+
+            const store = new EventStore(null);
+            await new TreasuryIndexer({ provider: ethers.provider, address: treasuryVault.address, store, startBlock }).sync();
+            const report = await buildReport({ vault: treasuryVault, provider: ethers.provider, store, fromBlock: startBlock, toBlock });
+
+            expect(report.outflows.total.eth).to.equal("2.0");
+            expect(report.activity.find((item) => item.type === "module-payment")).to.include({ counterparty: recipient.address });
+            expect(toHtml(report)).to.include(`Module ${module.address} enabled`);
+        });
+
+        it("Should count each payee of a batch proposal as an outflow", async function () {
+            const [owner, manager1, manager2, manager3, recipient, vendor] = await ethers.getSigners();
+            const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+            const treasuryVault = await TreasuryVault.deploy([manager1.address, manager2.address, manager3.address], 2, ethers.utils.parseEther("10"));
+            const startBlock = treasuryVault.deployTransaction.blockNumber;
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("10") });
+
+            const calls = [
+                { target: recipient.address, value: ethers.utils.parseEther("2"), data: "0x" },
+                { target: vendor.address, value: ethers.utils.parseEther("1"), data: "0x" }
+            ];
+            const data = treasuryVault.interface.encodeFunctionData("executeBatch", [calls]);
+            await treasuryVault.connect(manager1).createProposal(treasuryVault.address, ethers.utils.parseEther("3"), data, "Payouts");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            const toBlock = await ethers.provider.getBlockNumber();
+
+            const store = new EventStore(null);
+            await new TreasuryIndexer({ provider: ethers.provider, address: treasuryVault.address, store, startBlock }).sync();
+            const report = await buildReport({ vault: treasuryVault, provider: ethers.provider, store, fromBlock: startBlock, toBlock });
+
+            expect(report.outflows.total.eth).to.equal("3.0");
+            expect(report.outflows.byTarget.map((row) => [row.address, row.amount.eth])).to.deep.equal([
+                [recipient.address, "2.0"],
+                [vendor.address, "1.0"]
+            ]);
+            expect(report.activity.filter((item) => item.type === "proposal-executed").map((item) => item.counterparty))
+                .to.deep.equal([recipient.address, vendor.address]);
+        });
+
+        it("Should show address book labels as of the end of the period", async function () {
+            const [owner, manager1, manager2, manager3, recipient, vendor] = await ethers.getSigners();
+            const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+            const treasuryVault = await TreasuryVault.deploy([manager1.address, manager2.address, manager3.address], 2, ethers.utils.parseEther("10"));
+            const startBlock = treasuryVault.deployTransaction.blockNumber;
+            await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("10") });
+            await treasuryVault.connect(owner).setRecipient(recipient.address, ethers.utils.formatBytes32String("Acme Payroll"), ethers.utils.parseEther("5"));
+            await treasuryVault.connect(owner).setRecipient(vendor.address, ethers.utils.formatBytes32String("Old Vendor"), 0);
+            await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther("2"), "0x", "Payroll");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager2).confirmProposal(0);
+            await treasuryVault.connect(owner).removeRecipient(vendor.address);
+            await treasuryVault.connect(owner).setUnknownRecipientThreshold(ethers.constants.MaxUint256);
+            const toBlock = await ethers.provider.getBlockNumber();
+
+            const store = new EventStore(null);
+            await new TreasuryIndexer({ provider: ethers.provider, address: treasuryVault.address, store, startBlock }).sync();
+            const report = await buildReport({ vault: treasuryVault, provider: ethers.provider, store, fromBlock: startBlock, toBlock });
+
+            expect(report.outflows.byTarget[0]).to.include({ address: recipient.address, label: "Acme Payroll" });
+            expect(report.proposals.items[0].targetLabel).to.equal("Acme Payroll");
+            expect(report.activity.find((item) => item.type === "proposal-executed").counterpartyLabel).to.equal("Acme Payroll");
+            expect(toCsv(report)).to.include(`${recipient.address},Acme Payroll,`);
+
+            const html = toHtml(report);
+            expect(html).to.include(`Acme Payroll (${recipient.address})`);
+            expect(html).to.include(`Address book: Acme Payroll (${recipient.address}) approved, cap 5.0 ETH per 24 hours`);
+            expect(html).to.include(`Address book: Old Vendor (${vendor.address}) removed`);
+            expect(html).to.include("Payments outside the address book: allowed → rejected");
+        });
+
+        it("Should leave out activity outside the period", async function () {
+            const { treasuryVault, store, fromBlock } = await reportFixture();
+
+            const report = await buildReport({ vault: treasuryVault, provider: ethers.provider, store, fromBlock: fromBlock - 2, toBlock: fromBlock - 1 });
+
+            expect(report.inflows.total.eth).to.equal("50.0");
+            expect(report.outflows.total.eth).to.equal("0.0");
+            expect(report.proposals.items.map((proposal) => proposal.outcome)).to.deep.equal(["pending"]);
+        });
+
+        it("Should refuse to report past the indexed checkpoint", async function () {
+            const { treasuryVault, store, fromBlock, toBlock } = await reportFixture();
+
+            try {
+                await buildReport({ vault: treasuryVault, provider: ethers.provider, store, fromBlock, toBlock: toBlock + 5 });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("sync it past");
+            }
+        });
+    });
+
+    // ============ OUTPUT FORMAT TESTS ============
+    describe("2. Output Formats", function () {
+
+        it("Should export activity as CSV with quoted fields", async function () {
+            const { treasuryVault, store, fromBlock, toBlock } = await reportFixture();
+            const report = await buildReport({ vault: treasuryVault, provider: ethers.provider, store, fromBlock, toBlock });
+
+            const lines = toCsv(report).trim().split("\n");
+            expect(lines[0]).to.equal("type,block,time,transaction,proposal,counterparty,counterparty_label,amount_wei,amount_eth,description");
+            expect(lines.length).to.equal(report.activity.length + 1);
+            expect(lines.some((line) => line.startsWith("proposal-cancelled") && line.endsWith("\"Pay vendor, \"\"Q1\"\"\""))).to.be.true;
+        });
+
+        it("Should keep descriptions that look like spreadsheet formulas as text", async function () {
+            const { treasuryVault, store, fromBlock, toBlock } = await reportFixture();
+            const report = await buildReport({ vault: treasuryVault, provider: ethers.provider, store, fromBlock, toBlock });
+            report.activity[0].description = "=HYPERLINK(\"http://evil.example\",\"Invoice\")";
+            report.activity[1].description = "@SUM(A1:A9)";
+
+            const lines = toCsv(report).trim().split("\n");
+            expect(lines[1].endsWith(",\"'=HYPERLINK(\"\"http://evil.example\"\",\"\"Invoice\"\")\"")).to.be.true;
+            expect(lines[2].endsWith(",'@SUM(A1:A9)")).to.be.true;
+            expect(csvField("-3.5")).to.equal("-3.5");
+            expect(csvField("-1+1")).to.equal("'-1+1");
+            expect(csvField("+cmd|' /C calc'!A0")).to.equal("'+cmd|' /C calc'!A0");
+        });
+
+        it("Should render a self-contained HTML page with escaped content", async function () {
+            const { treasuryVault, store, fromBlock, toBlock } = await reportFixture();
+            const report = await buildReport({ vault: treasuryVault, provider: ethers.provider, store, fromBlock, toBlock });
+            report.proposals.items[0].description = "<script>alert(1)</script>";
+
+            const html = toHtml(report);
+            expect(html).to.include("<!DOCTYPE html>");
+            expect(html).to.include("&lt;script&gt;");
+            expect(html).to.not.include("<script>");
+            expect(html).to.not.match(/<link|src=/);
+        });
+
+        it("Should write JSON, CSV and HTML from the report task", async function () {
+            const { treasuryVault, toBlock } = await reportFixture();
+            const outDir = fs.mkdtempSync(path.join(os.tmpdir(), "treasury-report-"));
+
+            const originalLog = console.log;
+            console.log = () => {};
+            let result;
+            try {
+                result = await hre.run("treasury:report", {
+                    vault: treasuryVault.address,
+                    store: path.join(outDir, "events.json"),
+                    out: outDir
+                });
+            } finally {
+                console.log = originalLog;
+            }
+
+            expect(result.report.period.toBlock).to.equal(toBlock);
+            expect(JSON.parse(fs.readFileSync(result.files.json, "utf8")).vault).to.equal(treasuryVault.address);
+            expect(fs.existsSync(result.files.csv)).to.be.true;
+            expect(fs.existsSync(result.files.html)).to.be.true;
+        });
+    });
+
+    // ============ DATE RANGE TESTS ============
+    describe("3. Date Ranges", function () {
+
+        it("Should map timestamps to the blocks that bound them", async function () {
+            await ethers.provider.send("evm_mine", []);
+            const block = await ethers.provider.getBlock("latest");
+
+            expect(await findBlockByTimestamp(ethers.provider, block.timestamp)).to.be.at.most(block.number);
+            expect(await findBlockByTimestamp(ethers.provider, block.timestamp, true)).to.equal(block.number);
+            expect(await findBlockByTimestamp(ethers.provider, block.timestamp + 1000)).to.equal(block.number);
+        });
+    });
+});
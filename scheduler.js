@@ -0,0 +1,206 @@
+const { ethers } = require("ethers");
+
+// ============ CONTRACT INTERFACE ============
+const PAYMENT_SCHEDULER_ABI = [
+    // Events
+    "event ScheduleCreated(uint256 indexed scheduleId, address indexed vault, address indexed recipient, address token, uint256 amount, uint256 interval, uint256 startTime, uint256 totalPayments, uint256 endTime)",
+    "event ScheduledPaymentExecuted(uint256 indexed scheduleId, address indexed vault, address indexed recipient, uint256 paymentNumber, uint256 amount)",
+    "event ScheduleCancelled(uint256 indexed scheduleId, address indexed vault, address indexed cancelledBy)",
+
+    // Constants and state
+    "function MIN_INTERVAL() view returns (uint256)",
+    "function MAX_PAYMENTS() view returns (uint256)",
+    "function scheduleCount() view returns (uint256)",
+    "function schedules(uint256) view returns (address vault, address recipient, address token, uint256 amount, uint256 interval, uint256 startTime, uint256 endTime, uint256 totalPayments, uint256 paymentsMade, bool cancelled)",
+    "function nextPaymentTime(uint256 scheduleId) view returns (uint256)",
+    "function isDue(uint256 scheduleId) view returns (bool)",
+
+    // Writes
+    "function createSchedule(address recipient, address token, uint256 amount, uint256 interval, uint256 startTime, uint256 totalPayments, uint256 endTime) returns (uint256)",
+    "function triggerPayment(uint256 scheduleId)",
+    "function cancelSchedule(uint256 scheduleId)"
+];
+
+// ============ SCHEDULE RULES (mirrors PaymentScheduler.sol) ============
+const MIN_INTERVAL_SECONDS = 60 * 60;
+const MAX_PAYMENTS = 1000;
+
+const schedulerInterface = new ethers.utils.Interface(PAYMENT_SCHEDULER_ABI);
+
+const ScheduleStatus = Object.freeze({
+    SCHEDULED: "scheduled",
+    DUE: "due",
+    COMPLETED: "completed",
+    ENDED: "ended",
+    CANCELLED: "cancelled"
+});
+
+/**
+ * @typedef {Object} Schedule
+ * @property {number} id
+ * @property {string} vault - Vault that pays the schedule
+ * @property {string} recipient
+ * @property {string|null} token - ERC-20 token, or null for ETH
+ * @property {ethers.BigNumber} amount - Per payment, in wei or token units
+ * @property {number} interval - Seconds between payments
+ * @property {number} startTime - When the first payment falls due (unix seconds)
+ * @property {number} endTime - No payment falls due after this time; 0 for no end date
+ * @property {number} totalPayments
+ * @property {number} paymentsMade
+ * @property {boolean} cancelled
+ * @property {number} nextPaymentTime - 0 once no further payment will fall due
+ * @property {string} status - One of ScheduleStatus
+ */
+
+/**
+ * @title PaymentSchedulerClient
+ * @dev Read and trigger recurring payments of a PaymentScheduler shared by one or more vaults
+ */
+class PaymentSchedulerClient {
+    /**
+     * @param {string} address - Scheduler address
+     * @param {ethers.Signer|ethers.providers.Provider} signerOrProvider - Signer for writes, provider for read-only use
+     */
+    constructor(address, signerOrProvider) {
+        this.contract = new ethers.Contract(address, PAYMENT_SCHEDULER_ABI, signerOrProvider);
+        this.address = this.contract.address;
+        this.provider = this.contract.provider;
+        this.signer = ethers.Signer.isSigner(signerOrProvider) ? signerOrProvider : null;
+    }
+
+    /**
+     * @dev Same scheduler, different signer
+     */
+    connect(signer) {
+        return new PaymentSchedulerClient(this.address, signer);
+    }
+
+    /**
+     * @dev Encode a createSchedule call for a vault proposal, checking the same rules as the contract.
+     * A null or missing token pays ETH; amount is per payment in wei or token units.
+     */
+    static encodeCreateSchedule({ recipient, token, amount, interval, startTime, totalPayments, endTime = 0 }) {
+        if (!ethers.utils.isAddress(recipient) || recipient === ethers.constants.AddressZero) {
+            throw new Error(`PaymentSchedulerClient: invalid recipient ${recipient}`);
+        }
+        if (token && !ethers.utils.isAddress(token)) {
+            throw new Error(`PaymentSchedulerClient: invalid token ${token}`);
+        }
+        if (ethers.BigNumber.from(amount).lte(0)) {
+            throw new Error("PaymentSchedulerClient: amount must be positive");
+        }
+        if (!Number.isInteger(interval) || interval < MIN_INTERVAL_SECONDS) {
+            throw new Error(`PaymentSchedulerClient: interval must be at least ${MIN_INTERVAL_SECONDS} seconds`);
+        }
+        if (!Number.isInteger(startTime) || startTime <= 0) {
+            throw new Error("PaymentSchedulerClient: startTime must be a unix timestamp");
+        }
+        if (!Number.isInteger(totalPayments) || totalPayments < 1 || totalPayments > MAX_PAYMENTS) {
+            throw new Error(`PaymentSchedulerClient: totalPayments must be between 1 and ${MAX_PAYMENTS}`);
+        }
+        if (endTime !== 0 && endTime < startTime) {
+            throw new Error("PaymentSchedulerClient: endTime is before startTime");
+        }
+        return schedulerInterface.encodeFunctionData("createSchedule", [
+            recipient,
+            token || ethers.constants.AddressZero,
+            amount,
+            interval,
+            startTime,
+            totalPayments,
+            endTime
+        ]);
+    }
+
+    async getScheduleCount() {
+        return (await this.contract.scheduleCount()).toNumber();
+    }
+
+    /**
+     * @dev Load a schedule with its next payment time and derived status
+     * @returns {Promise<Schedule>}
+     */
+    async getSchedule(scheduleId) {
+        const [raw, next, block] = await Promise.all([
+            this.contract.schedules(scheduleId),
+            this.contract.nextPaymentTime(scheduleId),
+            this.provider.getBlock("latest")
+        ]);
+        const schedule = {
+            id: Number(scheduleId),
+            vault: raw.vault,
+            recipient: raw.recipient,
+            token: raw.token === ethers.constants.AddressZero ? null : raw.token,
+            amount: raw.amount,
+            interval: raw.interval.toNumber(),
+            startTime: raw.startTime.toNumber(),
+            endTime: raw.endTime.toNumber(),
+            totalPayments: raw.totalPayments.toNumber(),
+            paymentsMade: raw.paymentsMade.toNumber(),
+            cancelled: raw.cancelled,
+            nextPaymentTime: next.toNumber()
+        };
+        schedule.status = PaymentSchedulerClient.deriveStatus(schedule, block.timestamp);
+        return schedule;
+    }
+
+    /**
+     * @dev Status of a schedule at the given block timestamp
+     */
+    static deriveStatus(schedule, timestamp) {
+        if (schedule.cancelled) return ScheduleStatus.CANCELLED;
+        if (schedule.paymentsMade >= schedule.totalPayments) return ScheduleStatus.COMPLETED;
+        if (schedule.nextPaymentTime === 0) return ScheduleStatus.ENDED;
+        if (schedule.nextPaymentTime <= timestamp) return ScheduleStatus.DUE;
+        return ScheduleStatus.SCHEDULED;
+    }
+
+    /**
+     * @dev Load all schedules, optionally only those paid by one vault or with one status
+     * @returns {Promise<Schedule[]>}
+     */
+    async getSchedules({ vault, status } = {}) {
+        const count = await this.getScheduleCount();
+        const schedules = [];
+        for (let id = 0; id < count; id++) {
+            schedules.push(await this.getSchedule(id));
+        }
+        return schedules.filter((schedule) =>
+            (!vault || schedule.vault.toLowerCase() === vault.toLowerCase()) &&
+            (!status || schedule.status === status)
+        );
+    }
+
+    /**
+     * @dev Propose a new schedule from a vault; it takes effect once the proposal executes
+     * @param {TreasuryVaultClient} vaultClient - Vault that will pay the schedule, connected to a proposer
+     */
+    async proposeSchedule(vaultClient, { description, ...schedule }) {
+        const data = PaymentSchedulerClient.encodeCreateSchedule(schedule);
+        return vaultClient.createProposal({ target: this.address, data, description });
+    }
+
+    async _send(method, ...args) {
+        if (!this.signer) {
+            throw new Error(`PaymentSchedulerClient: ${method} needs a signer`);
+        }
+        const tx = await this.contract[method](...args);
+        return tx.wait();
+    }
+
+    async triggerPayment(scheduleId) {
+        return this._send("triggerPayment", scheduleId);
+    }
+
+    async cancelSchedule(scheduleId) {
+        return this._send("cancelSchedule", scheduleId);
+    }
+}
+
+module.exports = {
+    PAYMENT_SCHEDULER_ABI,
+    MIN_INTERVAL_SECONDS,
+    MAX_PAYMENTS,
+    ScheduleStatus,
+    PaymentSchedulerClient
+};
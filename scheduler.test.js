@@ -0,0 +1,313 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { TreasuryVaultClient } = require("./TreasuryVaultClient");
+const { PaymentSchedulerClient, ScheduleStatus } = require("./scheduler");
+const { findDuePayments, runKeeper } = require("./keeper");
+const { decodeProposal, formatDecoded } = require("./decoder");
+
+describe("Recurring Payments", function () {
+
+    const DAY = 24 * 60 * 60;
+    const WEEK = 7 * DAY;
+
+    // ============ TEST SETUP ============
+    async function deploySchedulerFixture() {
+        const [owner, manager1, manager2, manager3, alice, bob, keeper] = await ethers.getSigners();
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const treasuryVault = await TreasuryVault.deploy(
+            [manager1.address, manager2.address, manager3.address],
+            2,
+            ethers.utils.parseEther("10")
+        );
+        await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("100") });
+
+        const PaymentScheduler = await ethers.getContractFactory("PaymentScheduler");
+        const paymentScheduler = await PaymentScheduler.deploy();
+        await treasuryVault.setModule(paymentScheduler.address, true);
+
+        const MockERC20 = await ethers.getContractFactory("MockERC20");
+        const token = await MockERC20.deploy("USD Coin", "USDC", 6);
+        await token.mint(treasuryVault.address, 10000000000); // 10,000 USDC
+        await treasuryVault.setTokenDailyLimit(token.address, 5000000000);
+
+        const client = new TreasuryVaultClient(treasuryVault.address, owner);
+        const scheduler = new PaymentSchedulerClient(paymentScheduler.address, keeper);
+        return { treasuryVault, paymentScheduler, client, scheduler, token, owner, manager1, manager2, manager3, alice, bob, keeper };
+    }
+
+    async function now() {
+        return (await ethers.provider.getBlock("latest")).timestamp;
+    }
+
+    async function advance(seconds) {
+        await ethers.provider.send("evm_increaseTime", [seconds]);
+        await ethers.provider.send("evm_mine", []);
+    }
+
+    /**
+     * @dev Propose a schedule from manager1 and approve it with manager1 and manager2
+     */
+    async function approveSchedule({ client, scheduler, manager1, manager2 }, schedule) {
+        const { proposalId } = await scheduler.proposeSchedule(client.connect(manager1), {
+            description: "Recurring payment",
+            ...schedule
+        });
+        await client.connect(manager1).confirmProposal(proposalId);
+        await client.connect(manager2).confirmProposal(proposalId);
+        return (await scheduler.getScheduleCount()) - 1;
+    }
+
+    async function runTask(name, args) {
+        const lines = [];
+        const originalLog = console.log;
+        console.log = (...parts) => lines.push(parts.join(" "));
+        try {
+            const result = await hre.run(name, args);
+            return { result, output: lines.join("\n") };
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    // ============ APPROVAL TESTS ============
+    describe("1. Schedule Approval", function () {
+
+        it("Should create a schedule owned by the vault once the proposal executes", async function () {
+            const fixture = await deploySchedulerFixture();
+            const { client, scheduler, alice } = fixture;
+            const startTime = (await now()) + DAY;
+
+            const id = await approveSchedule(fixture, {
+                recipient: alice.address,
+                amount: ethers.utils.parseEther("2"),
+                interval: WEEK,
+                startTime,
+                totalPayments: 4
+            });
+
+            const schedule = await scheduler.getSchedule(id);
+            expect(schedule.vault).to.equal(client.address);
+            expect(schedule.recipient).to.equal(alice.address);
+            expect(schedule.token).to.be.null;
+            expect(schedule.nextPaymentTime).to.equal(startTime);
+            expect(schedule.status).to.equal(ScheduleStatus.SCHEDULED);
+        });
+
+        it("Should decode a schedule proposal with its per-payment amount", async function () {
+            const fixture = await deploySchedulerFixture();
+            const { client, scheduler, token, manager1, alice } = fixture;
+
+            const { proposalId } = await scheduler.proposeSchedule(client.connect(manager1), {
+                recipient: alice.address,
+                token: token.address,
+                amount: 2500000000,
+                interval: 30 * DAY,
+                startTime: (await now()) + DAY,
+                totalPayments: 12,
+                description: "Monthly retainer of 2500 USDC for 12 months"
+            });
+            const proposal = await client.getProposal(proposalId);
+            const decoded = await decodeProposal(proposal, { vaultAddress: client.address, provider: ethers.provider });
+
+            expect(decoded.abi).to.equal("PaymentScheduler");
+            expect(decoded.counterparty).to.equal(alice.address);
+            expect(decoded.amounts[0]).to.include({ display: "2500.0", unit: "USDC" });
+            expect(decoded.warnings).to.deep.equal([]);
+            expect(formatDecoded(decoded)).to.include("  = 2500.0 USDC");
+        });
+
+        it("Should reject invalid schedules", async function () {
+            const { paymentScheduler, alice } = await deploySchedulerFixture();
+            const start = (await now()) + DAY;
+            const cases = [
+                [[ethers.constants.AddressZero, ethers.constants.AddressZero, 1, WEEK, start, 1, 0], "PaymentScheduler: Invalid recipient"],
+                [[alice.address, ethers.constants.AddressZero, 1, 60, start, 1, 0], "PaymentScheduler: Interval too short"],
+                [[alice.address, ethers.constants.AddressZero, 1, WEEK, start, 0, 0], "PaymentScheduler: Invalid payment count"],
+                [[alice.address, ethers.constants.AddressZero, 1, WEEK, start, 1, start - 1], "PaymentScheduler: Ends before it starts"]
+            ];
+            for (const [args, message] of cases) {
+                try {
+                    await paymentScheduler.createSchedule(...args);
+                    expect.fail("Should have thrown an error");
+                } catch (error) {
+                    expect(error.message).to.include(message);
+                }
+            }
+
+            try {
+                PaymentSchedulerClient.encodeCreateSchedule({ recipient: alice.address, amount: 1, interval: WEEK, startTime: start, totalPayments: 1001 });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("totalPayments must be between 1 and 1000");
+            }
+        });
+    });
+
+    // ============ PAYMENT TESTS ============
+    describe("2. Triggering Payments", function () {
+
+        it("Should let anyone pay each payment once it is due", async function () {
+            const fixture = await deploySchedulerFixture();
+            const { scheduler, alice } = fixture;
+            const id = await approveSchedule(fixture, {
+                recipient: alice.address,
+                amount: ethers.utils.parseEther("2"),
+                interval: WEEK,
+                startTime: (await now()) + DAY,
+                totalPayments: 2
+            });
+
+            try {
+                await scheduler.triggerPayment(id);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("PaymentScheduler: No payment due");
+            }
+
+            await advance(DAY);
+            const before = await ethers.provider.getBalance(alice.address);
+            const receipt = await scheduler.triggerPayment(id);
+            expect(receipt.events.find((e) => e.event === "ScheduledPaymentExecuted").args.paymentNumber.toNumber()).to.equal(1);
+            expect((await ethers.provider.getBalance(alice.address)).sub(before).toString()).to.equal(ethers.utils.parseEther("2").toString());
+
+            await advance(WEEK);
+            await scheduler.triggerPayment(id);
+            expect((await scheduler.getSchedule(id)).status).to.equal(ScheduleStatus.COMPLETED);
+        });
+
+        it("Should keep scheduled payments within the daily limit", async function () {
+            const fixture = await deploySchedulerFixture();
+            const { scheduler, alice, bob } = fixture;
+            const startTime = (await now()) + DAY;
+            const first = await approveSchedule(fixture, { recipient: alice.address, amount: ethers.utils.parseEther("6"), interval: WEEK, startTime, totalPayments: 3 });
+            const second = await approveSchedule(fixture, { recipient: bob.address, amount: ethers.utils.parseEther("6"), interval: WEEK, startTime, totalPayments: 3 });
+
+            await advance(DAY);
+            await scheduler.triggerPayment(first);
+            try {
+                await scheduler.triggerPayment(second);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Daily withdrawal limit exceeded");
+            }
+            expect((await scheduler.getSchedule(second)).paymentsMade).to.equal(0);
+        });
+
+        it("Should pay token schedules and stop at the end date", async function () {
+            const fixture = await deploySchedulerFixture();
+            const { scheduler, token, alice } = fixture;
+            const startTime = (await now()) + DAY;
+            const id = await approveSchedule(fixture, {
+                recipient: alice.address,
+                token: token.address,
+                amount: 1000000000,
+                interval: WEEK,
+                startTime,
+                totalPayments: 10,
+                endTime: startTime + WEEK + DAY
+            });
+
+            await advance(3 * WEEK);
+            await scheduler.triggerPayment(id);
+            await scheduler.triggerPayment(id);
+            expect((await token.balanceOf(alice.address)).toNumber()).to.equal(2000000000);
+
+            const schedule = await scheduler.getSchedule(id);
+            expect(schedule.paymentsMade).to.equal(2);
+            expect(schedule.status).to.equal(ScheduleStatus.ENDED);
+        });
+
+        it("Should refuse payments from a vault that has not enabled the scheduler", async function () {
+            const fixture = await deploySchedulerFixture();
+            const { treasuryVault, scheduler, owner, alice } = fixture;
+            const id = await approveSchedule(fixture, { recipient: alice.address, amount: 1, interval: WEEK, startTime: (await now()) + DAY, totalPayments: 1 });
+            await treasuryVault.connect(owner).setModule(scheduler.address, false);
+
+            await advance(DAY);
+            try {
+                await scheduler.triggerPayment(id);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("TreasuryVault: Caller is not a module");
+            }
+        });
+    });
+
+    // ============ CANCELLATION TESTS ============
+    describe("3. Cancellation", function () {
+
+        it("Should let a manager of the paying vault cancel a schedule", async function () {
+            const fixture = await deploySchedulerFixture();
+            const { scheduler, manager3, alice, bob } = fixture;
+            const id = await approveSchedule(fixture, { recipient: alice.address, amount: 1, interval: WEEK, startTime: (await now()) + DAY, totalPayments: 5 });
+
+            try {
+                await scheduler.connect(bob).cancelSchedule(id);
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("PaymentScheduler: Not a manager of the paying vault");
+            }
+
+            const receipt = await scheduler.connect(manager3).cancelSchedule(id);
+            expect(receipt.events.find((e) => e.event === "ScheduleCancelled").args.cancelledBy).to.equal(manager3.address);
+
+            await advance(DAY);
+            expect(await scheduler.contract.isDue(id)).to.be.false;
+            expect((await scheduler.getSchedule(id)).status).to.equal(ScheduleStatus.CANCELLED);
+        });
+    });
+
+    // ============ KEEPER TESTS ============
+    describe("4. Keeper", function () {
+
+        it("Should catch up on every due payment and report the ones the vault refuses", async function () {
+            const fixture = await deploySchedulerFixture();
+            const { scheduler, alice, bob } = fixture;
+            const startTime = (await now()) + DAY;
+            const small = await approveSchedule(fixture, { recipient: alice.address, amount: ethers.utils.parseEther("1"), interval: WEEK, startTime, totalPayments: 5 });
+            const large = await approveSchedule(fixture, { recipient: bob.address, amount: ethers.utils.parseEther("9"), interval: WEEK, startTime, totalPayments: 5 });
+
+            expect(await findDuePayments(scheduler)).to.deep.equal([]);
+            await advance(2 * WEEK + DAY);
+            expect((await findDuePayments(scheduler)).map((schedule) => schedule.id)).to.deep.equal([small, large]);
+
+            const { paid, failed } = await runKeeper(scheduler);
+            expect(paid.map((payment) => [payment.scheduleId, payment.paymentNumber])).to.deep.equal([[small, 1], [small, 2], [small, 3]]);
+            expect(failed).to.have.length(1);
+            expect(failed[0].scheduleId).to.equal(large);
+            expect(failed[0].reason).to.include("Daily withdrawal limit exceeded");
+            expect((await scheduler.getSchedule(large)).paymentsMade).to.equal(0);
+        });
+
+        it("Should propose, list and pay schedules with the tasks", async function () {
+            const { client, scheduler, manager1, manager2, alice, keeper } = await deploySchedulerFixture();
+            const common = { vault: client.address, scheduler: scheduler.address };
+
+            const { output } = await runTask("treasury:schedule", {
+                ...common,
+                from: manager1.address,
+                to: alice.address,
+                amount: "1.5",
+                interval: 7,
+                payments: 4
+            });
+            expect(output).to.include("4 payments of 1.5 ETH");
+            expect(output).to.include("ProposalCreated: #0");
+            await client.connect(manager1).confirmProposal(0);
+            await client.connect(manager2).confirmProposal(0);
+
+            const listed = await runTask("treasury:schedules", common);
+            expect(listed.output).to.include("#0 [scheduled] 1.5 ETH");
+
+            await advance(WEEK);
+            const kept = await runTask("treasury:keeper", { scheduler: scheduler.address, from: keeper.address });
+            expect(kept.result.paid).to.have.length(1);
+            expect(kept.output).to.include("1 payment(s) made");
+
+            const cancelled = await runTask("treasury:cancel-schedule", { ...common, from: manager2.address, id: 0 });
+            expect(cancelled.output).to.include("ScheduleCancelled: schedule #0");
+        });
+    });
+});
@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+// ============ EIP-712 TYPES (mirrors TreasuryVault.sol) ============
+const CONFIRMATION_TYPES = {
+    Confirmation: [
+        { name: "proposalId", type: "uint256" },
+        { name: "target", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "dataHash", type: "bytes32" }
+    ]
+};
+
+/**
+ * @dev EIP-712 domain of a vault; signatures are only valid on this chain and this vault
+ */
+function confirmationDomain(chainId, vaultAddress) {
+    return {
+        name: "TreasuryVault",
+        version: "1",
+        chainId,
+        verifyingContract: ethers.utils.getAddress(vaultAddress)
+    };
+}
+
+/**
+ * @dev Typed confirmation message for a proposal read from the chain
+ */
+function confirmationMessage(proposal) {
+    return {
+        proposalId: proposal.id,
+        target: proposal.target,
+        value: ethers.BigNumber.from(proposal.value).toString(),
+        dataHash: ethers.utils.keccak256(proposal.data)
+    };
+}
+
+/**
+ * @dev Sign a confirmation off-chain. Returns a record that can be saved to a signature file.
+ */
+async function signConfirmation(signer, { vaultAddress, chainId, proposal }) {
+    const message = confirmationMessage(proposal);
+    const signature = await signer._signTypedData(confirmationDomain(chainId, vaultAddress), CONFIRMATION_TYPES, message);
+    return {
+        vault: ethers.utils.getAddress(vaultAddress),
+        chainId,
+        ...message,
+        signer: await signer.getAddress(),
+        signature
+    };
+}
+
+/**
+ * @dev Recover who signed a record, using the proposal as stored on-chain rather than the record's own fields
+ */
+function recoverConfirmationSigner(record, { vaultAddress, chainId, proposal }) {
+    return ethers.utils.verifyTypedData(
+        confirmationDomain(chainId, vaultAddress),
+        CONFIRMATION_TYPES,
+        confirmationMessage(proposal),
+        record.signature
+    );
+}
+
+/**
+ * @dev Write a signature record to <dir>/proposal-<id>-<signer>.json
+ */
+function writeSignatureFile(dir, record) {
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `proposal-${record.proposalId}-${record.signer}.json`);
+    fs.writeFileSync(file, JSON.stringify(record, null, 2) + "\n");
+    return file;
+}
+
+/**
+ * @dev Read signature records from files and directories (every .json file in a directory)
+ */
+function readSignatureFiles(paths) {
+    const files = [];
+    for (const entry of paths) {
+        if (fs.statSync(entry).isDirectory()) {
+            fs.readdirSync(entry)
+                .filter((name) => name.endsWith(".json"))
+                .sort()
+                .forEach((name) => files.push(path.join(entry, name)));
+        } else {
+            files.push(entry);
+        }
+    }
+    return files.map((file) => ({ file, record: JSON.parse(fs.readFileSync(file, "utf8")) }));
+}
+
+/**
+ * @dev Check collected signatures against the on-chain proposal and keep one valid signature per
+ * manager who has not confirmed yet. Everything else is returned in `rejected` with a reason.
+ * Signatures of managers who revoked a confirmation are rejected, as the vault would revert on them.
+ */
+async function aggregateSignatures(entries, { vaultAddress, chainId, proposal, isManager, hasConfirmed, hasRevoked }) {
+    const signatures = [];
+    const signers = [];
+    const rejected = [];
+
+    for (const { file, record } of entries) {
+        const reject = (reason) => rejected.push({ file, signer: record.signer, reason });
+
+        if (!record.vault || ethers.utils.getAddress(record.vault) !== ethers.utils.getAddress(vaultAddress)) {
+            reject(`signed for vault ${record.vault}, not ${vaultAddress}`);
+            continue;
+        }
+        if (Number(record.chainId) !== Number(chainId)) {
+            reject(`signed for chain ${record.chainId}, not ${chainId}`);
+            continue;
+        }
+        if (Number(record.proposalId) !== Number(proposal.id)) {
+            reject(`signed for proposal ${record.proposalId}, not ${proposal.id}`);
+            continue;
+        }
+
+        let signer;
+        try {
+            signer = recoverConfirmationSigner(record, { vaultAddress, chainId, proposal });
+        } catch (error) {
+            reject("malformed signature");
+            continue;
+        }
+        if (!record.signer || signer !== ethers.utils.getAddress(record.signer)) {
+            reject(`signature does not match the proposal as stored on-chain (recovers ${signer})`);
+            continue;
+        }
+        if (!(await isManager(signer))) {
+            reject(`${signer} is not a treasury manager`);
+            continue;
+        }
+        if (signers.includes(signer)) {
+            reject(`duplicate signature from ${signer}`);
+            continue;
+        }
+        if (await hasConfirmed(signer)) {
+            reject(`${signer} has already confirmed on-chain`);
+            continue;
+        }
+        if (await hasRevoked(signer)) {
+            reject(`${signer} revoked a confirmation of this proposal and must confirm on-chain`);
+            continue;
+        }
+
+        signers.push(signer);
+        signatures.push(record.signature);
+    }
+
+    return { signatures, signers, rejected };
+}
+
+module.exports = {
+    CONFIRMATION_TYPES,
+    confirmationDomain,
+    confirmationMessage,
+    signConfirmation,
+    recoverConfirmationSigner,
+    writeSignatureFile,
+    readSignatureFiles,
+    aggregateSignatures
+};
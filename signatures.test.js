@@ -0,0 +1,158 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { TreasuryVaultClient } = require("./TreasuryVaultClient");
+const { aggregateSignatures, readSignatureFiles, signConfirmation, writeSignatureFile } = require("./signatures");
+
+describe("Off-Chain Confirmation Signatures", function () {
+
+    // ============ TEST SETUP ============
+    async function deployTreasuryFixture() {
+        const [owner, manager1, manager2, manager3, attacker, recipient] = await ethers.getSigners();
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const treasuryVault = await TreasuryVault.deploy(
+            [manager1.address, manager2.address, manager3.address],
+            2,
+            ethers.utils.parseEther("10")
+        );
+        await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("100") });
+        await treasuryVault.connect(manager1).createProposal(recipient.address, ethers.utils.parseEther("2"), "0x", "Pay 2 ETH");
+
+        const client = new TreasuryVaultClient(treasuryVault.address, owner);
+        const { chainId } = await ethers.provider.getNetwork();
+        const proposal = await client.getProposal(0);
+        const context = {
+            vaultAddress: treasuryVault.address,
+            chainId,
+            proposal,
+            isManager: (address) => client.isManager(address),
+            hasConfirmed: (address) => client.hasConfirmed(0, address),
+            hasRevoked: (address) => client.hasRevoked(0, address)
+        };
+        const signatureDir = fs.mkdtempSync(path.join(os.tmpdir(), "treasury-signatures-"));
+
+        return { treasuryVault, client, context, signatureDir, owner, manager1, manager2, manager3, attacker, recipient };
+    }
+
+    async function runTask(name, args) {
+        const originalLog = console.log;
+        console.log = () => {};
+        try {
+            return await hre.run(name, args);
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    // ============ AGGREGATION TESTS ============
+    describe("1. Signing and Aggregation", function () {
+
+        it("Should produce signatures the vault accepts", async function () {
+            const { client, context, manager1, manager2 } = await deployTreasuryFixture();
+            const entries = [
+                { file: "a.json", record: await signConfirmation(manager1, context) },
+                { file: "b.json", record: await signConfirmation(manager2, context) }
+            ];
+
+            const { signatures, signers, rejected } = await aggregateSignatures(entries, context);
+            expect(signers).to.deep.equal([manager1.address, manager2.address]);
+            expect(rejected).to.deep.equal([]);
+
+            await client.confirmProposalWithSignatures(0, signatures);
+            expect((await client.getProposal(0)).status).to.equal("executed");
+        });
+
+        it("Should reject records for other vaults, chains or proposals", async function () {
+            const { context, manager1 } = await deployTreasuryFixture();
+            const record = await signConfirmation(manager1, context);
+            const entries = [
+                { file: "vault.json", record: { ...record, vault: manager1.address } },
+                { file: "chain.json", record: { ...record, chainId: 1 } },
+                { file: "proposal.json", record: { ...record, proposalId: 7 } }
+            ];
+
+            const { signatures, rejected } = await aggregateSignatures(entries, context);
+            expect(signatures).to.deep.equal([]);
+            expect(rejected.map((entry) => entry.reason)).to.deep.equal([
+                `signed for vault ${manager1.address}, not ${context.vaultAddress}`,
+                `signed for chain 1, not ${context.chainId}`,
+                "signed for proposal 7, not 0"
+            ]);
+        });
+
+        it("Should reject forged, duplicate, non-manager and already confirmed signatures", async function () {
+            const { treasuryVault, context, manager1, manager2, manager3, attacker } = await deployTreasuryFixture();
+            await treasuryVault.connect(manager3).confirmProposal(0);
+            const fromManager1 = await signConfirmation(manager1, context);
+            const entries = [
+                { file: "forged.json", record: { ...fromManager1, signer: manager2.address } },
+                { file: "attacker.json", record: await signConfirmation(attacker, context) },
+                { file: "manager1.json", record: fromManager1 },
+                { file: "again.json", record: fromManager1 },
+                { file: "manager3.json", record: await signConfirmation(manager3, context) }
+            ];
+
+            const { signers, rejected } = await aggregateSignatures(entries, context);
+            expect(signers).to.deep.equal([manager1.address]);
+            expect(rejected.map((entry) => entry.file)).to.deep.equal(["forged.json", "attacker.json", "again.json", "manager3.json"]);
+            expect(rejected[0].reason).to.include("does not match the proposal");
+            expect(rejected[1].reason).to.equal(`${attacker.address} is not a treasury manager`);
+            expect(rejected[2].reason).to.equal(`duplicate signature from ${manager1.address}`);
+            expect(rejected[3].reason).to.equal(`${manager3.address} has already confirmed on-chain`);
+        });
+
+        it("Should reject signatures of managers who revoked their confirmation", async function () {
+            const { treasuryVault, context, manager1 } = await deployTreasuryFixture();
+            const record = await signConfirmation(manager1, context);
+            await treasuryVault.connect(manager1).confirmProposal(0);
+            await treasuryVault.connect(manager1).revokeConfirmation(0);
+
+            const { signatures, rejected } = await aggregateSignatures([{ file: "manager1.json", record }], context);
+            expect(signatures).to.deep.equal([]);
+            expect(rejected[0].reason).to.equal(`${manager1.address} revoked a confirmation of this proposal and must confirm on-chain`);
+        });
+
+        it("Should round-trip records through signature files", async function () {
+            const { context, signatureDir, manager1 } = await deployTreasuryFixture();
+            const record = await signConfirmation(manager1, context);
+
+            const file = writeSignatureFile(signatureDir, record);
+            expect(path.basename(file)).to.equal(`proposal-0-${manager1.address}.json`);
+            expect(readSignatureFiles([signatureDir])).to.deep.equal([{ file, record }]);
+        });
+    });
+
+    // ============ TASK TESTS ============
+    describe("2. Sign and Submit Tasks", function () {
+
+        it("Should collect signature files and execute the proposal in one transaction", async function () {
+            const { treasuryVault, client, signatureDir, manager1, manager2, attacker } = await deployTreasuryFixture();
+            const vault = treasuryVault.address;
+
+            await runTask("treasury:sign", { vault, id: 0, from: manager1.address, out: signatureDir });
+            await runTask("treasury:sign", { vault, id: 0, from: manager2.address, out: signatureDir });
+            expect(fs.readdirSync(signatureDir)).to.have.length(2);
+            expect(await client.hasConfirmed(0, manager1.address)).to.be.false;
+
+            const receipt = await runTask("treasury:submit-signatures", { vault, id: 0, from: attacker.address, signatures: signatureDir });
+            expect(receipt.from).to.equal(attacker.address);
+            expect((await client.getProposal(0)).status).to.equal("executed");
+        });
+
+        it("Should refuse to sign for non-managers", async function () {
+            const { treasuryVault, signatureDir, attacker } = await deployTreasuryFixture();
+
+            try {
+                await runTask("treasury:sign", { vault: treasuryVault.address, id: 0, from: attacker.address, out: signatureDir });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("is not a treasury manager");
+            }
+            expect(fs.readdirSync(signatureDir)).to.have.length(0);
+        });
+    });
+});
@@ -0,0 +1,267 @@
+const { ethers } = require("ethers");
+const { ProposalStatus, TreasuryVaultClient } = require("./TreasuryVaultClient");
+const { createDefaultRegistry } = require("./decoder");
+
+// ERC-20 events, so token movements show up among the simulated events
+const ERC20_EVENTS_ABI = [
+    "event Transfer(address indexed from, address indexed to, uint256 value)",
+    "event Approval(address indexed owner, address indexed spender, uint256 value)"
+];
+
+const erc20EventsInterface = new ethers.utils.Interface(ERC20_EVENTS_ABI);
+const erc20BalanceInterface = new ethers.utils.Interface(["function balanceOf(address account) view returns (uint256)"]);
+
+// Simulated transactions pay no gas, so the balances only show what the proposal moves
+const ZERO_FEE = { maxFeePerGas: 0, maxPriorityFeePerGas: 0 };
+
+/**
+ * @dev Accounts and assets whose balances a proposal can change: the vault and every target or
+ * payment recipient, in ETH, plus the token balances of ERC-20 transfers
+ */
+function balanceWatchList(vaultAddress, proposal) {
+    const calls = TreasuryVaultClient.decodeBatch(vaultAddress, proposal.target, proposal.data) || [proposal];
+    const list = [{ account: ethers.utils.getAddress(vaultAddress), token: null }];
+    const add = (account, token) => {
+        const address = ethers.utils.getAddress(account);
+        if (!list.some((entry) => entry.account === address && entry.token === token)) {
+            list.push({ account: address, token });
+        }
+    };
+
+    for (const call of calls) {
+        if (call.target.toLowerCase() !== vaultAddress.toLowerCase()) {
+            add(call.target, null);
+        }
+        const transfer = TreasuryVaultClient.decodeTokenTransfer(call.target, call.data);
+        if (transfer) {
+            const token = ethers.utils.getAddress(transfer.token);
+            add(vaultAddress, token);
+            add(transfer.to, token);
+        }
+    }
+    return list;
+}
+
+async function readBalances(provider, list) {
+    return Promise.all(list.map(async ({ account, token }) => {
+        if (!token) {
+            return provider.getBalance(account);
+        }
+        const result = await provider.call({ to: token, data: erc20BalanceInterface.encodeFunctionData("balanceOf", [account]) });
+        return erc20BalanceInterface.decodeFunctionResult("balanceOf", result)[0];
+    }));
+}
+
+/**
+ * @dev Confirmations the vault needs before it runs a proposal: requiredConfirmations, or
+ * unknownRecipientThreshold when a call pays an address outside the address book. A vault that
+ * rejects unknown recipients outright needs no more, since no count lets the payment through.
+ */
+async function confirmationsToExecute(client, proposal) {
+    const required = Number(proposal.requiredConfirmations);
+    const threshold = await client.getUnknownRecipientThreshold();
+    if (threshold.lte(required) || threshold.eq(ethers.constants.MaxUint256)) {
+        return required;
+    }
+
+    const calls = TreasuryVaultClient.decodeBatch(client.address, proposal.target, proposal.data) || [proposal];
+    for (const call of calls) {
+        for (const recipient of TreasuryVaultClient.paymentRecipients(client.address, call.target, call.value, call.data)) {
+            if (!(await client.getRecipient(recipient.address))) {
+                return threshold.toNumber();
+            }
+        }
+    }
+    return required;
+}
+
+/**
+ * @dev Decode a log with the decoder's default ABIs plus ERC-20 events; unknown logs keep their topic
+ */
+function decodeLog(registry, log) {
+    const address = ethers.utils.getAddress(log.address);
+    const candidates = registry.entries
+        .filter((entry) => entry.addresses.length === 0 || entry.addresses.includes(address))
+        .map((entry) => ({ name: entry.name, iface: entry.iface }))
+        .concat([{ name: "ERC20", iface: erc20EventsInterface }]);
+
+    for (const { name, iface } of candidates) {
+        try {
+            const parsed = iface.parseLog(log);
+            const args = {};
+            parsed.eventFragment.inputs.forEach((input, i) => {
+                const value = parsed.args[i];
+                args[input.name] = ethers.BigNumber.isBigNumber(value) ? value.toString() : value;
+            });
+            return { address, contract: name, event: parsed.name, args };
+        } catch (error) {
+            // Not this ABI's event
+        }
+    }
+    return { address, contract: null, event: null, topic: log.topics[0], args: {} };
+}
+
+/**
+ * @dev Reason string of a failed call, from the error hardhat or the node returns
+ */
+function revertReason(error) {
+    const text = [error.reason, error.error && error.error.message, error.message].filter(Boolean).join(" ");
+    const match = /reverted with reason string '([^']*)'/.exec(text) || /execution reverted: ([^"\n]*)/.exec(text);
+    return match ? match[1] : error.reason || error.message;
+}
+
+/**
+ * @dev Run a pending proposal to execution on a Hardhat network, then undo everything.
+ * Managers who have not confirmed yet are impersonated one by one until quorum, or until the
+ * unknown-recipient threshold when the proposal pays an address outside the address book; a
+ * queued proposal is run once its timelock has passed. The state is snapshotted first and
+ * reverted afterwards, so the network ends up exactly as before.
+ * @param {Object} options
+ * @param {ethers.providers.JsonRpcProvider} options.provider - Hardhat network or fork (needs evm_snapshot and impersonation)
+ * @param {string} options.vault - Vault address
+ * @param {number} options.proposalId
+ * @returns {Promise<Object>} success, revertReason, gasUsed, confirmedBy, executedBy, timeAdvanced,
+ * balances, dailyLimit and events
+ */
+async function simulateProposal({ provider, vault, proposalId }) {
+    const client = new TreasuryVaultClient(vault, provider);
+    const proposal = await client.getProposal(proposalId);
+    if (![ProposalStatus.PENDING, ProposalStatus.QUEUED, ProposalStatus.READY].includes(proposal.status)) {
+        throw new Error(`Proposal ${proposalId} is ${proposal.status} and cannot execute`);
+    }
+
+    const watchList = balanceWatchList(client.address, proposal);
+    const needed = await confirmationsToExecute(client, proposal);
+    const [balancesBefore, withdrawnBefore, remainingBefore] = await Promise.all([
+        readBalances(provider, watchList),
+        client.contract.todayWithdrawn(),
+        client.getRemainingDailyAllowance()
+    ]);
+
+    const snapshot = await provider.send("evm_snapshot", []);
+    const result = {
+        proposalId,
+        success: false,
+        revertReason: null,
+        gasUsed: null,
+        confirmedBy: [],
+        executedBy: null,
+        timeAdvanced: 0
+    };
+    try {
+        const send = async (manager, method) => {
+            await provider.send("hardhat_impersonateAccount", [manager]);
+            await provider.send("hardhat_setNextBlockBaseFeePerGas", ["0x0"]);
+            const contract = client.contract.connect(provider.getSigner(manager));
+            try {
+                await contract.callStatic[method](proposalId);
+                return await (await contract[method](proposalId, { gasLimit: 10000000, ...ZERO_FEE })).wait();
+            } catch (error) {
+                result.revertReason = revertReason(error);
+                return null;
+            } finally {
+                await provider.send("hardhat_stopImpersonatingAccount", [manager]);
+            }
+        };
+
+        // Confirm with the missing managers until the proposal executes, queues or has enough confirmations
+        let receipt = null;
+        let current = proposal;
+        for (const manager of proposal.awaitingConfirmation) {
+            if (current.confirmations >= needed) break;
+            receipt = await send(manager, "confirmProposal");
+            if (!receipt) break;
+            result.confirmedBy.push(manager);
+            current = await client.getProposal(proposalId);
+        }
+
+        if (!result.revertReason && !current.executed) {
+            if (current.confirmations < needed) {
+                result.revertReason = `only ${current.confirmations} of ${needed} confirmations are possible`;
+            } else {
+                // Queued behind the timelock, or paying only address book entries, which executeProposal runs
+                if (current.secondsUntilExecutable > 0) {
+                    result.timeAdvanced = current.secondsUntilExecutable;
+                    await provider.send("evm_increaseTime", [current.secondsUntilExecutable]);
+                    await provider.send("evm_mine", []);
+                }
+                const executor = current.confirmedBy[0];
+                receipt = await send(executor, "executeProposal");
+                if (receipt) result.executedBy = executor;
+            }
+        } else if (current.executed) {
+            result.executedBy = result.confirmedBy[result.confirmedBy.length - 1];
+        }
+
+        if (receipt && !result.revertReason) {
+            const registry = createDefaultRegistry(client.address);
+            const [balancesAfter, withdrawnAfter, remainingAfter] = await Promise.all([
+                readBalances(provider, watchList),
+                client.contract.todayWithdrawn(),
+                client.getRemainingDailyAllowance()
+            ]);
+            result.success = true;
+            result.gasUsed = receipt.gasUsed;
+            result.events = receipt.logs.map((log) => decodeLog(registry, log));
+            result.balances = watchList.map((entry, i) => ({
+                ...entry,
+                before: balancesBefore[i],
+                after: balancesAfter[i],
+                change: balancesAfter[i].sub(balancesBefore[i])
+            }));
+            result.dailyLimit = {
+                withdrawnBefore,
+                withdrawnAfter,
+                remainingBefore,
+                remainingAfter
+            };
+        } else {
+            result.events = [];
+            result.balances = [];
+            result.dailyLimit = { withdrawnBefore, withdrawnAfter: withdrawnBefore, remainingBefore, remainingAfter: remainingBefore };
+        }
+    } finally {
+        await provider.send("evm_revert", [snapshot]);
+    }
+    return result;
+}
+
+/**
+ * @dev Human-readable lines for a simulation result
+ */
+function formatSimulation(result) {
+    const eth = (value) => ethers.utils.formatEther(value);
+    const lines = [];
+    if (result.confirmedBy.length > 0) {
+        lines.push(`Confirmed as ${result.confirmedBy.join(", ")}`);
+    }
+    if (result.timeAdvanced > 0) {
+        lines.push(`Advanced ${result.timeAdvanced}s past the timelock`);
+    }
+    if (!result.success) {
+        lines.push(`Would revert: ${result.revertReason}`);
+        return lines;
+    }
+
+    lines.push(`Would succeed, executed by ${result.executedBy}, using ${result.gasUsed.toString()} gas`);
+    for (const balance of result.balances) {
+        if (balance.change.isZero()) continue;
+        const sign = balance.change.gt(0) ? "+" : "";
+        const amount = balance.token ? `${balance.change.toString()} units of ${balance.token}` : `${eth(balance.change)} ETH`;
+        lines.push(`Balance ${balance.account}: ${sign}${amount}`);
+    }
+    const { withdrawnBefore, withdrawnAfter, remainingBefore, remainingAfter } = result.dailyLimit;
+    lines.push(`todayWithdrawn: ${eth(withdrawnBefore)} → ${eth(withdrawnAfter)} ETH`);
+    lines.push(`getRemainingDailyWithdrawal: ${eth(remainingBefore)} → ${eth(remainingAfter)} ETH`);
+    for (const event of result.events) {
+        const name = event.event ? `${event.contract}.${event.event}` : `unknown event ${event.topic}`;
+        const args = Object.entries(event.args).map(([key, value]) => `${key}=${value}`).join(", ");
+        lines.push(`Event ${name}(${args}) from ${event.address}`);
+    }
+    return lines;
+}
+
+module.exports = {
+    simulateProposal,
+    formatSimulation
+};
@@ -0,0 +1,143 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { TreasuryVaultClient } = require("./TreasuryVaultClient");
+const { formatSimulation, simulateProposal } = require("./simulate");
+
+describe("Proposal Simulation", function () {
+
+    // ============ TEST SETUP ============
+    async function simulationFixture() {
+        const [owner, manager1, manager2, manager3, recipient] = await ethers.getSigners();
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const treasuryVault = await TreasuryVault.deploy(
+            [manager1.address, manager2.address, manager3.address],
+            2,
+            ethers.utils.parseEther("10")
+        );
+        await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("100") });
+
+        const client = new TreasuryVaultClient(treasuryVault.address, manager1);
+        return { treasuryVault, client, owner, manager1, manager2, manager3, recipient };
+    }
+
+    async function proposePayment(client, recipient, eth) {
+        const { proposalId } = await client.createProposal({ target: recipient.address, value: ethers.utils.parseEther(eth), description: `Pay ${eth} ETH` });
+        await client.confirmProposal(proposalId);
+        return proposalId;
+    }
+
+    // ============ SIMULATION TESTS ============
+    describe("1. Simulating Proposals", function () {
+
+        it("Should report balances, events, gas and the daily limit, then undo everything", async function () {
+            const { client, manager2, recipient } = await simulationFixture();
+            const proposalId = await proposePayment(client, recipient, "3");
+            const recipientBalance = await recipient.getBalance();
+            const blockNumber = await ethers.provider.getBlockNumber();
+
+            const result = await simulateProposal({ provider: ethers.provider, vault: client.address, proposalId });
+
+            expect(result.success).to.be.true;
+            expect(result.confirmedBy).to.deep.equal([manager2.address]);
+            expect(result.executedBy).to.equal(manager2.address);
+            expect(result.gasUsed.toNumber()).to.be.above(21000);
+            expect(result.balances.map((balance) => ethers.utils.formatEther(balance.change))).to.deep.equal(["-3.0", "3.0"]);
+            expect(ethers.utils.formatEther(result.dailyLimit.withdrawnAfter)).to.equal("3.0");
+            expect(ethers.utils.formatEther(result.dailyLimit.remainingAfter)).to.equal("7.0");
+            expect(result.events.map((event) => event.event)).to.deep.equal(["ProposalConfirmed", "ProposalExecuted"]);
+            expect(formatSimulation(result)).to.include("getRemainingDailyWithdrawal: 10.0 → 7.0 ETH");
+
+            const proposal = await client.getProposal(proposalId);
+            expect(proposal).to.include({ status: "pending", confirmations: 1 });
+            expect((await recipient.getBalance()).eq(recipientBalance)).to.be.true;
+            expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+        });
+
+        it("Should report the revert reason of a proposal over the daily limit", async function () {
+            const { client, recipient } = await simulationFixture();
+            await proposePayment(client, recipient, "8");
+            const proposalId = await proposePayment(client, recipient, "4");
+            const manager3 = (await ethers.getSigners())[3];
+            await client.connect(manager3).confirmProposal(0);
+
+            const result = await simulateProposal({ provider: ethers.provider, vault: client.address, proposalId });
+
+            expect(result.success).to.be.false;
+            expect(result.revertReason).to.equal("TreasuryVault: Daily withdrawal limit exceeded");
+            expect(ethers.utils.formatEther(result.dailyLimit.remainingBefore)).to.equal("2.0");
+            expect(result.events).to.deep.equal([]);
+            expect((await client.getProposal(proposalId)).confirmations).to.equal(1);
+        });
+
+        it("Should run a timelocked proposal past its delay", async function () {
+            const { treasuryVault, client, owner, recipient } = await simulationFixture();
+            await treasuryVault.connect(owner).updateExecutionDelay(3600);
+            const proposalId = await proposePayment(client, recipient, "1");
+            const before = (await ethers.provider.getBlock("latest")).timestamp;
+
+            const result = await simulateProposal({ provider: ethers.provider, vault: client.address, proposalId });
+
+            expect(result.success).to.be.true;
+            expect(result.timeAdvanced).to.be.within(3590, 3600);
+            expect(result.events.map((event) => event.event)).to.deep.equal(["ProposalExecuted"]);
+            expect((await ethers.provider.getBlock("latest")).timestamp).to.be.below(before + 3600);
+            expect((await client.getProposal(proposalId)).status).to.equal("pending");
+        });
+
+        it("Should confirm up to the unknown-recipient threshold for a payee outside the address book", async function () {
+            const { treasuryVault, client, owner, manager2, manager3, recipient } = await simulationFixture();
+            await treasuryVault.connect(owner).setUnknownRecipientThreshold(3);
+            const proposalId = await proposePayment(client, recipient, "1");
+
+            const result = await simulateProposal({ provider: ethers.provider, vault: client.address, proposalId });
+
+            expect(result.success).to.be.true;
+            expect(result.confirmedBy).to.deep.equal([manager2.address, manager3.address]);
+            expect(result.executedBy).to.equal(manager3.address);
+            expect(result.balances.map((balance) => ethers.utils.formatEther(balance.change))).to.deep.equal(["-1.0", "1.0"]);
+
+            // A payee in the address book only needs quorum
+            await treasuryVault.connect(owner).setRecipient(recipient.address, ethers.utils.formatBytes32String("Payroll"), 0);
+            const known = await simulateProposal({ provider: ethers.provider, vault: client.address, proposalId });
+            expect(known.success).to.be.true;
+            expect(known.confirmedBy).to.deep.equal([manager2.address]);
+        });
+
+        it("Should refuse proposals that can no longer execute", async function () {
+            const { client, owner, recipient } = await simulationFixture();
+            const proposalId = await proposePayment(client, recipient, "1");
+            await client.connect(owner).cancelProposal(proposalId);
+
+            try {
+                await simulateProposal({ provider: ethers.provider, vault: client.address, proposalId });
+                expect.fail("Should have thrown an error");
+            } catch (error) {
+                expect(error.message).to.include("Proposal 0 is cancelled and cannot execute");
+            }
+        });
+    });
+
+    // ============ TASK TESTS ============
+    describe("2. Simulate Task", function () {
+
+        it("Should explain why a proposal would fail", async function () {
+            const { client, recipient } = await simulationFixture();
+            const proposalId = await proposePayment(client, recipient, "12");
+
+            const lines = [];
+            const originalLog = console.log;
+            console.log = (...parts) => lines.push(parts.join(" "));
+            try {
+                await hre.run("treasury:simulate", { vault: client.address, id: proposalId });
+            } finally {
+                console.log = originalLog;
+            }
+
+            const output = lines.join("\n");
+            expect(output).to.include("The proposal would fail: executing would exceed the daily withdrawal limit");
+            expect(output).to.include("Simulation undone - nothing was sent");
+        });
+    });
+});
@@ -0,0 +1,1824 @@
+const { task, types } = require("hardhat/config");
+const { HardhatPluginError } = require("hardhat/plugins");
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { loadDeployConfig, readManifest, deployTreasuryVault, resolveDeployConfig, validateDeployConfig } = require("./deploy");
+const { EventStore, TreasuryIndexer } = require("./indexer");
+const { buildReport, findBlockByTimestamp, parseDate, writeReport } = require("./report");
+const { GOVERNANCE_FUNCTIONS, ProposalStatus, Role, TREASURY_VAULT_ABI, TreasuryVaultClient } = require("./TreasuryVaultClient");
+const { createDefaultRegistry, decodeProposal, formatDecoded, withLabel } = require("./decoder");
+const { aggregateSignatures, readSignatureFiles, signConfirmation, writeSignatureFile } = require("./signatures");
+const { describePayoutBatch, readPayoutCsv } = require("./batch");
+const { ScheduleStatus, PaymentSchedulerClient } = require("./scheduler");
+const { runKeeper } = require("./keeper");
+const { EmergencyGuardClient } = require("./emergency");
+const { TreasuryVaultFactoryClient } = require("./factory");
+const { AlertState, AlertWatcher, createSinks, loadAlertConfig, validateAlertConfig } = require("./alerts");
+const { formatSimulation, simulateProposal } = require("./simulate");
+const { auditVault, expectedStateFromConfig } = require("./audit");
+const { reconcileBalance, writeReconciliation } = require("./reconcile");
+const {
+    OFFLINE_ACTIONS,
+    broadcastOfflineTransaction,
+    buildOfflineTransaction,
+    checkOfflineTransaction,
+    describeOfflineTransaction,
+    readOfflineFile,
+    signOfflineTransaction,
+    writeOfflineFile
+} = require("./offline");
+
+const PROPOSAL_STATUSES = Object.values(ProposalStatus);
+
+// Plain-language explanations for the revert strings TreasuryVault can produce
+const REVERT_MESSAGES = {
+    "TreasuryVault: Caller is not a treasury manager": "the sending account is not a treasury manager",
+    "TreasuryVault: Caller cannot create proposals": "the sending account does not have the proposer role",
+    "TreasuryVault: Proposal does not exist": "no proposal exists with that id",
+    "TreasuryVault: Proposal already executed": "the proposal has already been executed",
+    "TreasuryVault: Proposal has expired": "the proposal has passed its deadline",
+    "TreasuryVault: Proposal is cancelled": "the proposal has been cancelled",
+    "TreasuryVault: Already cancelled": "the proposal has already been cancelled",
+    "TreasuryVault: Already confirmed": "the sending account has already confirmed this proposal",
+    "TreasuryVault: Not enough confirmations": "the proposal does not have enough confirmations yet",
+    "TreasuryVault: Insufficient contract balance": "the vault does not hold enough ETH for this proposal",
+    "TreasuryVault: Description required": "a description is required",
+    "TreasuryVault: Invalid address": "the target cannot be the zero address",
+    "TreasuryVault: Daily withdrawal limit exceeded": "executing would exceed the daily withdrawal limit",
+    "TreasuryVault: Proposal execution failed": "the proposal's call to its target reverted",
+    "TreasuryVault: Reentrant call": "the call re-entered the vault",
+    "TreasuryVault: Token daily limit exceeded": "executing would exceed the token's daily limit",
+    "TreasuryVault: Signer is not a treasury manager": "one of the signatures is not from a treasury manager",
+    "TreasuryVault: Invalid signature": "one of the signatures is malformed",
+    "TreasuryVault: No signatures": "no signatures were submitted",
+    "TreasuryVault: Only callable through a proposal": "the vault is self-governed, so this change needs an executed proposal",
+    "TreasuryVault: Proposal was vetoed": "the proposal was vetoed during its timelock",
+    "TreasuryVault: Timelock has not expired": "the proposal is still in its veto window",
+    "TreasuryVault: Invalid proposal expiry": "the proposal expiry must be between 1 hour and 90 days",
+    "TreasuryVault: Veto window has closed": "the proposal's timelock has already expired",
+    "TreasuryVault: Proposal is not queued": "only queued proposals can be vetoed",
+    "TreasuryVault: Caller cannot veto": "the sending account is neither a treasury manager nor a guardian",
+    "TreasuryVault: Not confirmed": "the sending account has not confirmed this proposal",
+    "TreasuryVault: Signer revoked their confirmation": "one of the signers revoked a confirmation of this proposal and must confirm on-chain",
+    "TreasuryVault: Category required": "categorized proposals need a non-empty category",
+    "TreasuryVault: Category budget exceeded": "executing would exceed the category's budget for this period",
+    "TreasuryVault: Budget period too long": "a budget period can be at most 366 days",
+    "TreasuryVault: Invalid batch size": "a batch must contain between 1 and 50 calls",
+    "TreasuryVault: Batch call failed": "one of the batch's calls reverted, so none of them ran",
+    "TreasuryVault: Batch value mismatch": "the proposal's ETH value does not equal the total of its calls",
+    "TreasuryVault: Caller is not a module": "the payment scheduler is not enabled as a module of the vault",
+    "TreasuryVault: Invalid module target": "modules cannot call the vault itself",
+    "TreasuryVault: Module call failed": "the scheduled payment's transfer reverted",
+    "TreasuryVault: Label required": "address book entries need a label",
+    "TreasuryVault: Unknown recipient": "the recipient is not in the address book, and the vault rejects unknown recipients or the proposal does not have the confirmations they need",
+    "TreasuryVault: Recipient cap exceeded": "executing would exceed the recipient's 24-hour cap",
+    "TreasuryVault: Invalid recipient threshold": "the unknown recipient threshold must be 0 or more than the required confirmations",
+    "TreasuryVault: Role not grantable": "managers are added and removed with addTreasuryManager and removeTreasuryManager",
+    "TreasuryVault: Caller is not an auditor": "the sending account is not an auditor, treasury manager or admin",
+    "TreasuryVault: Caller is not the emergency guard": "only the vault's emergency guard can make emergency withdrawals",
+    "TreasuryVault: Already initialized": "the vault has already been set up",
+    "PaymentScheduler: No payment due": "no payment of the schedule is due yet",
+    "PaymentScheduler: Schedule does not exist": "no schedule exists with that id",
+    "PaymentScheduler: Schedule already cancelled": "the schedule has already been cancelled",
+    "PaymentScheduler: Not a manager of the paying vault": "the sending account is not a treasury manager of the vault that pays the schedule",
+    "EmergencyGuard: Caller is not a guardian": "the sending account is not a guardian of the vault",
+    "EmergencyGuard: Emergency withdrawals disabled": "the vault's emergency policy has a quorum of 0",
+    "EmergencyGuard: Cap exceeded": "the amount is above the emergency withdrawal cap",
+    "EmergencyGuard: Insufficient balance": "the vault does not hold that much ETH",
+    "EmergencyGuard: Cooldown active": "the cooldown since the last emergency withdrawal has not passed yet",
+    "EmergencyGuard: Invalid recipient": "emergency withdrawals can only go to the cold storage address in the policy",
+    "EmergencyGuard: Already approved": "the sending account has already approved this withdrawal",
+    "EmergencyGuard: Not the vault's governance": "the emergency policy only changes through a proposal the vault executes",
+    "EmergencyGuard: Cold storage required": "a policy with a quorum needs a cold storage address",
+    "EmergencyGuard: Invalid quorum": "the quorum must be 0 or between 2 and the number of guardians",
+    "TreasuryVaultFactory: Name required": "vaults created through the factory need a name",
+    "Pausable: paused": "the vault is paused",
+    "AccessControl: account missing role": "the sending account is missing the required role"
+};
+
+function fail(message) {
+    throw new HardhatPluginError("treasury", message);
+}
+
+/**
+ * @dev Turn a failed transaction into a readable error instead of a raw revert string
+ */
+function describeRevert(error) {
+    const text = [error.reason, error.error && error.error.message, error.message].filter(Boolean).join(" ");
+    // Look at the reason string itself when there is one: some errors also carry the contract source
+    const reasonString = /reverted with reason string '([^']*)'/.exec(text);
+    const reason = Object.keys(REVERT_MESSAGES).find((known) => (reasonString ? reasonString[1] : text).includes(known));
+    if (reason) {
+        return `Transaction reverted: ${REVERT_MESSAGES[reason]} (${reason})`;
+    }
+    return `Transaction failed: ${error.reason || error.message}`;
+}
+
+/**
+ * @dev The configured account matching --from, or the first one
+ */
+async function getSigner(hre, from) {
+    const signers = await hre.ethers.getSigners();
+    if (!from) {
+        return signers[0];
+    }
+    const signer = signers.find((s) => s.address.toLowerCase() === from.toLowerCase());
+    if (!signer) {
+        fail(`Account ${from} is not configured for network "${hre.network.name}"`);
+    }
+    return signer;
+}
+
+/**
+ * @dev Resolve the vault address from --vault or deployments/<network>.json and check it has code
+ */
+async function resolveVaultAddress(hre, vault) {
+    const { ethers } = hre;
+    const manifest = readManifest(hre.network.name);
+    let address = vault;
+    if (!address) {
+        if (!manifest) {
+            fail(`No deployment manifest for network "${hre.network.name}" - deploy first or pass --vault`);
+        }
+        address = manifest.address;
+    }
+    if (!ethers.utils.isAddress(address)) {
+        fail(`Invalid vault address ${address}`);
+    }
+    if ((await ethers.provider.getCode(address)) === "0x") {
+        fail(`No contract deployed at ${address} on network "${hre.network.name}"`);
+    }
+    return { address, manifest };
+}
+
+/**
+ * @dev Resolve the vault from --vault or deployments/<network>.json and connect the signer
+ */
+async function getVault(hre, args) {
+    const { address, manifest } = await resolveVaultAddress(hre, args.vault);
+    const signer = await getSigner(hre, args.from);
+
+    // The lens is shared by every vault on the network, so the manifest's one works for --vault too
+    const client = new TreasuryVaultClient(address, signer, { lens: manifest && manifest.lens ? manifest.lens : undefined });
+    return { client, vault: client.contract, signer };
+}
+
+/**
+ * @dev Resolve the payment scheduler from --scheduler or the manifest and connect the signer
+ */
+async function getScheduler(hre, args, signer) {
+    let address = args.scheduler;
+    if (!address) {
+        const manifest = readManifest(hre.network.name);
+        if (!manifest || !manifest.scheduler) {
+            fail(`No payment scheduler in the deployment manifest for network "${hre.network.name}" - pass --scheduler`);
+        }
+        address = manifest.scheduler;
+    }
+    if (!hre.ethers.utils.isAddress(address)) {
+        fail(`Invalid scheduler address ${address}`);
+    }
+    if ((await hre.ethers.provider.getCode(address)) === "0x") {
+        fail(`No contract deployed at ${address} on network "${hre.network.name}"`);
+    }
+    return new PaymentSchedulerClient(address, signer);
+}
+
+/**
+ * @dev Resolve the vault factory from --factory or the manifest and connect the signer
+ */
+async function getFactory(hre, args, signer) {
+    let address = args.factory;
+    if (!address) {
+        const manifest = readManifest(hre.network.name);
+        if (!manifest || !manifest.factory) {
+            fail(`No vault factory in the deployment manifest for network "${hre.network.name}" - pass --factory`);
+        }
+        address = manifest.factory;
+    }
+    if (!hre.ethers.utils.isAddress(address)) {
+        fail(`Invalid factory address ${address}`);
+    }
+    if ((await hre.ethers.provider.getCode(address)) === "0x") {
+        fail(`No contract deployed at ${address} on network "${hre.network.name}"`);
+    }
+    return new TreasuryVaultFactoryClient(address, signer || hre.ethers.provider);
+}
+
+/**
+ * @dev Load a proposal and fail with a clear message if it does not exist
+ */
+async function loadProposal(client, id) {
+    const count = await client.getProposalCount();
+    if (id >= count) {
+        fail(`Proposal ${id} does not exist (proposal count is ${count})`);
+    }
+    return client.getProposal(id);
+}
+
+/**
+ * @dev Run the same checks as the contract modifiers so we fail before sending
+ */
+async function checkOpenProposal(client, id) {
+    const proposal = await loadProposal(client, id);
+
+    if (proposal.status === ProposalStatus.EXECUTED) fail(`Proposal ${id} has already been executed`);
+    if (proposal.status === ProposalStatus.CANCELLED) fail(`Proposal ${id} has been cancelled`);
+    if (proposal.status === ProposalStatus.VETOED) fail(`Proposal ${id} was vetoed`);
+    if (proposal.status === ProposalStatus.EXPIRED) fail(`Proposal ${id} expired at ${new Date(proposal.deadline * 1000).toISOString()}`);
+    if ((await client.isPaused()) && !isUnpauseProposal(client, proposal)) fail("The vault is paused");
+    return proposal;
+}
+
+/**
+ * @dev Check a new proposal (--to, --value, --data, --description) from `proposer` before it is
+ * sent or built. Returns the value in wei.
+ */
+async function checkNewProposal(hre, client, proposer, { to, value, data, description }) {
+    const { ethers } = hre;
+    if (!ethers.utils.isAddress(to) || to === ethers.constants.AddressZero) {
+        fail(`Invalid target address ${to}`);
+    }
+    if (!ethers.utils.isHexString(data)) {
+        fail("--data must be a 0x-prefixed hex string");
+    }
+    if (!description || description.trim().length === 0) {
+        fail("A description is required");
+    }
+    const amount = ethers.utils.parseEther(value);
+
+    if (!(await client.canPropose(proposer))) fail(`${proposer} cannot create proposals`);
+    if (await client.isPaused()) fail("The vault is paused");
+
+    const balance = await client.getBalance();
+    if (amount.gt(balance)) {
+        fail(`Proposal value ${value} ETH exceeds the vault balance of ${ethers.utils.formatEther(balance)} ETH`);
+    }
+    for (const recipient of TreasuryVaultClient.paymentRecipients(client.address, to, amount, data)) {
+        await checkRecipient(hre, client, recipient.address, recipient.value);
+    }
+    return amount;
+}
+
+/**
+ * @dev Check that a proposal can be executed now: quorum reached, timelock over and within the daily limit
+ */
+async function checkExecutable(hre, client, id) {
+    const { ethers } = hre;
+    const proposal = await checkOpenProposal(client, id);
+
+    if (proposal.status === ProposalStatus.QUEUED) {
+        fail(`Proposal ${id} is in its veto window until ${new Date(proposal.executableAt * 1000).toISOString()} (${proposal.secondsUntilExecutable}s left)`);
+    }
+    if (proposal.status !== ProposalStatus.READY) {
+        fail(`Proposal ${id} has ${proposal.confirmations} of ${proposal.requiredConfirmations} required confirmations`);
+    }
+    const remaining = await client.getRemainingDailyAllowance();
+    if (proposal.value.gt(remaining)) {
+        fail(`Proposal ${id} needs ${ethers.utils.formatEther(proposal.value)} ETH but only ${ethers.utils.formatEther(remaining)} ETH of the daily limit remains`);
+    }
+    return proposal;
+}
+
+/**
+ * @dev Proposals that only call the vault's own unpause() stay usable while it is paused
+ */
+function isUnpauseProposal(client, proposal) {
+    return (
+        proposal.target.toLowerCase() === client.address.toLowerCase() &&
+        proposal.data === TreasuryVaultClient.encodeGovernanceCall("unpause")
+    );
+}
+
+/**
+ * @dev Address book labels keyed by checksummed address
+ */
+async function loadLabels(client) {
+    const labels = {};
+    for (const entry of await client.getAddressBook()) {
+        labels[entry.address] = entry.label;
+    }
+    return labels;
+}
+
+/**
+ * @dev Check who a new proposal pays against the address book: fail if the vault rejects unknown
+ * recipients outright, warn if they need extra confirmations or the payment exceeds the recipient's cap
+ */
+async function checkRecipient(hre, client, recipient, value) {
+    const { ethers } = hre;
+    if (!recipient) return;
+
+    const entry = await client.getRecipient(recipient);
+    if (!entry) {
+        const threshold = await client.getUnknownRecipientThreshold();
+        if (threshold.isZero()) return;
+        if (threshold.gt((await client.getManagers()).length)) {
+            fail(`${recipient} is not in the address book and the vault rejects payments to unknown recipients`);
+        }
+        console.log(`⚠️  ${recipient} is not in the address book - the proposal needs ${threshold} confirmations to execute`);
+        return;
+    }
+    if (entry.remaining !== null && ethers.BigNumber.from(value).gt(entry.remaining)) {
+        console.log(
+            `⚠️  ${entry.label} can only receive ${ethers.utils.formatEther(entry.remaining)} more ETH in the current 24 hours ` +
+            `(cap ${ethers.utils.formatEther(entry.cap)} ETH)`
+        );
+    }
+}
+
+/**
+ * @dev Apply a policy change: sent directly by an admin, or proposed once the vault is self-governed
+ */
+async function sendPolicyChange(client, signer, { method, args, description, send }) {
+    if (await client.isSelfGoverned()) {
+        if (!(await client.canPropose(signer.address))) fail(`${signer.address} cannot create proposals`);
+        return sendAndReport(async () => {
+            const { receipt } = await client.proposeGovernanceCall({ method, args, description });
+            return receipt;
+        });
+    }
+    if (!(await client.isAdmin(signer.address))) fail(`${signer.address} does not have the admin role`);
+    return sendAndReport(send);
+}
+
+async function checkIsManager(client, signer) {
+    if (!(await client.isManager(signer.address))) {
+        fail(`${signer.address} is not a treasury manager`);
+    }
+}
+
+/**
+ * @dev Send a vault transaction, translate reverts and print the vault events it emitted
+ */
+async function sendAndReport(send) {
+    let receipt;
+    try {
+        receipt = await send();
+    } catch (error) {
+        fail(describeRevert(error));
+    }
+    console.log(`📄 Transaction Hash: ${receipt.transactionHash}`);
+
+    for (const event of receipt.events || []) {
+        if (!event.event) continue;
+        const args = event.args;
+        switch (event.event) {
+            case "ProposalCreated":
+                console.log(`📝 ProposalCreated: #${args.proposalId} by ${args.proposer} -> ${args.target}`);
+                break;
+            case "ProposalConfirmed":
+                console.log(`✅ ProposalConfirmed: #${args.proposalId} by ${args.confirmer} (${args.confirmations} confirmations)`);
+                break;
+            case "ProposalExecuted":
+                console.log(`🚀 ProposalExecuted: #${args.proposalId} by ${args.executor} (success: ${args.success})`);
+                break;
+            case "ProposalCancelled":
+                console.log(`🛑 ProposalCancelled: #${args.proposalId} by ${args.canceller}`);
+                break;
+            case "ConfirmationRevoked":
+                console.log(`↩️  ConfirmationRevoked: #${args.proposalId} by ${args.manager} (${args.confirmations} confirmations)`);
+                break;
+            case "ConfirmationsRecounted":
+                console.log(`🔢 ConfirmationsRecounted: #${args.proposalId} ${args.oldCount} -> ${args.newCount} (removed managers no longer count)`);
+                break;
+            case "ProposalQueued":
+                console.log(`⏳ ProposalQueued: #${args.proposalId} executable at ${new Date(args.executableAt.toNumber() * 1000).toISOString()}`);
+                break;
+            case "ProposalVetoed":
+                console.log(`⛔ ProposalVetoed: #${args.proposalId} by ${args.vetoer}`);
+                break;
+            case "ScheduledPaymentExecuted":
+                console.log(`💸 ScheduledPaymentExecuted: schedule #${args.scheduleId} payment ${args.paymentNumber} to ${args.recipient}`);
+                break;
+            case "ScheduleCancelled":
+                console.log(`🛑 ScheduleCancelled: schedule #${args.scheduleId} by ${args.cancelledBy}`);
+                break;
+            case "RecipientUpdated":
+                console.log(`📒 RecipientUpdated: ${args.recipient} as "${TreasuryVaultClient.decodeLabel(args.label)}"`);
+                break;
+            case "RecipientRemoved":
+                console.log(`📒 RecipientRemoved: ${args.recipient}`);
+                break;
+            case "RoleGranted":
+                console.log(`🔑 RoleGranted: ${TreasuryVaultClient.roleName(args.role)} to ${args.account} by ${args.sender}`);
+                break;
+            case "RoleRevoked":
+                console.log(`🔑 RoleRevoked: ${TreasuryVaultClient.roleName(args.role)} from ${args.account} by ${args.sender}`);
+                break;
+            case "EmergencyWithdrawalApproved":
+                console.log(`🚨 EmergencyWithdrawalApproved: ${ethers.utils.formatEther(args.amount)} ETH to ${args.to} by ${args.guardian} (${args.approvals} approvals)`);
+                break;
+            case "EmergencyPolicyUpdated":
+                console.log(`🚨 EmergencyPolicyUpdated: quorum ${args.quorum}, cap ${ethers.utils.formatEther(args.cap)} ETH, cooldown ${args.cooldown}s`);
+                break;
+            case "VaultCreated":
+                console.log(`🏭 VaultCreated: "${args.name}" #${args.index} at ${args.vault} for ${args.owner}`);
+                break;
+            case "ProposalCategorized":
+                console.log(`🏷️  ProposalCategorized: #${args.proposalId} in ${TreasuryVaultClient.decodeCategory(args.category)}`);
+                break;
+            default:
+                console.log(`📣 ${event.event}`);
+        }
+    }
+    return receipt;
+}
+
+/**
+ * @dev Create an indexer for the vault, starting from the manifest's deployment block by default
+ */
+function createIndexer(hre, vault, args) {
+    const manifest = readManifest(hre.network.name);
+    let startBlock = args.startBlock;
+    if (startBlock === undefined) {
+        startBlock = manifest && manifest.address === vault.address ? manifest.blockNumber : 0;
+    }
+
+    const storeFile = args.store || path.join(__dirname, "data", `${hre.network.name}-events.json`);
+    return new TreasuryIndexer({
+        provider: hre.ethers.provider,
+        address: vault.address,
+        store: new EventStore(storeFile),
+        startBlock,
+        chunkSize: args.chunkSize,
+        confirmations: args.confirmations
+    });
+}
+
+/**
+ * @dev Default ABI registry plus any --abi files (comma-separated paths)
+ */
+function loadAbiRegistry(vaultAddress, abiFiles) {
+    const registry = createDefaultRegistry(vaultAddress);
+    for (const file of (abiFiles || "").split(",").filter(Boolean)) {
+        try {
+            registry.addFromJson(JSON.parse(fs.readFileSync(file, "utf8")), path.basename(file, ".json"));
+        } catch (error) {
+            fail(`Could not load ABI file ${file}: ${error.message}`);
+        }
+    }
+    return registry;
+}
+
+/**
+ * @dev Decode a proposal's calldata and print it with any description mismatches
+ */
+async function printDecodedProposal(hre, client, proposal, abiFiles) {
+    const registry = loadAbiRegistry(client.address, abiFiles);
+    const book = await client.getAddressBook();
+    if (book.length > 0) {
+        registry.addAddressBook(book);
+    }
+    const decoded = await decodeProposal(proposal, {
+        registry,
+        vaultAddress: client.address,
+        provider: hre.ethers.provider
+    });
+
+    console.log(`🔎 Proposal #${proposal.id}: "${proposal.description}"`);
+    formatDecoded(decoded).forEach((line) => console.log(`   ${line}`));
+    decoded.warnings.forEach((warning) => console.log(`⚠️  ${warning}`));
+    return decoded;
+}
+
+/**
+ * @dev Define a treasury task with the shared --vault and --from options
+ */
+function treasuryTask(name, description) {
+    return task(name, description)
+        .addOptionalParam("vault", "TreasuryVault address (default: deployments/<network>.json)")
+        .addOptionalParam("from", "Address of the configured account to send from");
+}
+
+// ============ TASKS ============
+
+// Deploy from config/<network>.json and write deployments/<network>.json
+task("treasury:deploy", "Deploy TreasuryVault from the network's deployment config")
+    .addOptionalParam("deployConfig", "Path to a deployment config file (default: config/<network>.json)")
+    .addFlag("dryRun", "Validate the config and estimate gas without sending a transaction")
+    .setAction(async (args, hre) => {
+        return deployTreasuryVault(hre, { configPath: args.deployConfig, dryRun: args.dryRun });
+    });
+
+treasuryTask("treasury:propose", "Create a proposal")
+    .addParam("to", "Target address")
+    .addOptionalParam("value", "ETH to send with the call", "0")
+    .addOptionalParam("data", "Hex-encoded calldata", "0x")
+    .addParam("description", "What the proposal does")
+    .addOptionalParam("category", "Spending category the proposal counts against (e.g. grants, payroll)")
+    .setAction(async (args, hre) => {
+        const { client, signer } = await getVault(hre, args);
+        const value = await checkNewProposal(hre, client, signer.address, args);
+
+        return sendAndReport(async () => {
+            const { receipt } = await client.createProposal({
+                target: args.to,
+                value,
+                data: args.data,
+                description: args.description,
+                category: args.category
+            });
+            return receipt;
+        });
+    });
+
+treasuryTask("treasury:propose-governance", "Propose a change to the vault's own settings (runs as a self-call once executed)")
+    .addParam("method", `Governance function (${GOVERNANCE_FUNCTIONS.join(", ")})`)
+    .addOptionalParam("args", "Function arguments as a JSON array, amounts in wei", "[]")
+    .addParam("description", "What the change does")
+    .setAction(async (args, hre) => {
+        const { client, signer } = await getVault(hre, args);
+
+        let callArgs;
+        try {
+            callArgs = JSON.parse(args.args);
+        } catch (error) {
+            fail(`--args must be a JSON array: ${error.message}`);
+        }
+        if (!Array.isArray(callArgs)) {
+            fail("--args must be a JSON array");
+        }
+        let data;
+        try {
+            data = TreasuryVaultClient.encodeGovernanceCall(args.method, callArgs);
+        } catch (error) {
+            fail(error.message);
+        }
+        if (args.description.trim().length === 0) {
+            fail("A description is required");
+        }
+
+        if (!(await client.canPropose(signer.address))) fail(`${signer.address} cannot create proposals`);
+        if ((await client.isPaused()) && args.method !== "unpause") fail("The vault is paused");
+
+        return sendAndReport(async () => {
+            const { receipt } = await client.createProposal({ target: client.address, data, description: args.description });
+            return receipt;
+        });
+    });
+
+treasuryTask("treasury:propose-batch", "Propose a batch of payouts from a CSV (recipient,amount[,token][,note]) that execute all-or-nothing")
+    .addParam("csv", "Payout CSV file; amounts in whole ETH or whole tokens, empty token pays ETH")
+    .addOptionalParam("description", "What the batch pays for (default: a summary of the payouts)")
+    .addOptionalParam("category", "Spending category the batch counts against (e.g. payroll)")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const { client, signer } = await getVault(hre, args);
+
+        let batch;
+        try {
+            batch = await readPayoutCsv(args.csv, { provider: ethers.provider });
+        } catch (error) {
+            fail(error.message);
+        }
+        const description = args.description || describePayoutBatch(batch);
+        if (description.trim().length === 0) {
+            fail("A description is required");
+        }
+
+        if (!(await client.canPropose(signer.address))) fail(`${signer.address} cannot create proposals`);
+        if (await client.isPaused()) fail("The vault is paused");
+
+        const labels = await loadLabels(client);
+        console.log(`📋 ${batch.payouts.length} payouts from ${path.basename(args.csv)}:`);
+        for (const payout of batch.payouts) {
+            const unit = payout.token ? payout.token.symbol : "ETH";
+            const decimals = payout.token ? payout.token.decimals : 18;
+            const recipient = withLabel(payout.recipient, labels[ethers.utils.getAddress(payout.recipient)]);
+            console.log(`   ${recipient}  ${ethers.utils.formatUnits(payout.amount, decimals)} ${unit}${payout.note ? `  (${payout.note})` : ""}`);
+        }
+        for (const payout of batch.payouts) {
+            await checkRecipient(hre, client, payout.recipient, payout.token ? 0 : payout.amount);
+        }
+        for (const total of batch.totals) {
+            const balance = total.token ? await client.getTokenBalance(total.token) : await client.getBalance();
+            const remaining = total.token
+                ? await client.getRemainingTokenDailyAllowance(total.token)
+                : await client.getRemainingDailyAllowance();
+            const format = (amount) => `${ethers.utils.formatUnits(amount, total.decimals)} ${total.unit}`;
+            console.log(`💰 Total ${format(total.amount)}`);
+            if (total.amount.gt(balance)) {
+                fail(`The batch pays ${format(total.amount)} but the vault only holds ${format(balance)}`);
+            }
+            if (total.amount.gt(remaining)) {
+                console.log(`⚠️  Executing now would exceed the remaining daily ${total.unit} limit of ${format(remaining)}`);
+            }
+        }
+
+        return sendAndReport(async () => {
+            const { receipt } = await client.createBatchProposal({ calls: batch.calls, description, category: args.category });
+            return receipt;
+        });
+    });
+
+treasuryTask("treasury:confirm", "Confirm a proposal (executes it once quorum is reached)")
+    .addPositionalParam("id", "Proposal id", undefined, types.int)
+    .addOptionalParam("abi", "Extra ABI files to decode the calldata with (comma-separated)")
+    .setAction(async (args, hre) => {
+        const { client, signer } = await getVault(hre, args);
+        await checkIsManager(client, signer);
+        const proposal = await checkOpenProposal(client, args.id);
+        await printDecodedProposal(hre, client, proposal, args.abi);
+        if (await client.hasConfirmed(args.id, signer.address)) {
+            fail(`${signer.address} has already confirmed proposal ${args.id}`);
+        }
+
+        return sendAndReport(() => client.confirmProposal(args.id));
+    });
+
+treasuryTask("treasury:sign", "Sign an off-chain (EIP-712) confirmation for a proposal")
+    .addPositionalParam("id", "Proposal id", undefined, types.int)
+    .addOptionalParam("out", "Directory to write the signature file to (default: signatures/<network>)")
+    .addOptionalParam("abi", "Extra ABI files to decode the calldata with (comma-separated)")
+    .setAction(async (args, hre) => {
+        const { client, signer } = await getVault(hre, args);
+        await checkIsManager(client, signer);
+        const proposal = await checkOpenProposal(client, args.id);
+        await printDecodedProposal(hre, client, proposal, args.abi);
+        if (await client.hasConfirmed(args.id, signer.address)) {
+            fail(`${signer.address} has already confirmed proposal ${args.id}`);
+        }
+
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        const record = await signConfirmation(signer, { vaultAddress: client.address, chainId, proposal });
+        const file = writeSignatureFile(args.out || path.join(__dirname, "signatures", hre.network.name), record);
+        console.log(`✍️  Signed confirmation of proposal #${args.id} by ${signer.address}`);
+        console.log(`📁 Signature written to ${path.relative(process.cwd(), file)}`);
+        return record;
+    });
+
+treasuryTask("treasury:submit-signatures", "Submit collected off-chain confirmations in one transaction")
+    .addPositionalParam("id", "Proposal id", undefined, types.int)
+    .addOptionalParam("signatures", "Signature files or directories, comma-separated (default: signatures/<network>)")
+    .setAction(async (args, hre) => {
+        const { client } = await getVault(hre, args);
+        const proposal = await checkOpenProposal(client, args.id);
+
+        const paths = (args.signatures || path.join(__dirname, "signatures", hre.network.name)).split(",").filter(Boolean);
+        let entries;
+        try {
+            entries = readSignatureFiles(paths);
+        } catch (error) {
+            fail(`Could not read signature files: ${error.message}`);
+        }
+
+        const { chainId } = await hre.ethers.provider.getNetwork();
+        const { signatures, signers, rejected } = await aggregateSignatures(
+            entries.filter(({ record }) => Number(record.proposalId) === args.id),
+            {
+                vaultAddress: client.address,
+                chainId,
+                proposal,
+                isManager: (address) => client.isManager(address),
+                hasConfirmed: (address) => client.hasConfirmed(args.id, address),
+                hasRevoked: (address) => client.hasRevoked(args.id, address)
+            }
+        );
+        rejected.forEach(({ file, reason }) => console.log(`⚠️  Skipping ${path.basename(file)}: ${reason}`));
+        if (signatures.length === 0) {
+            fail(`No usable signatures for proposal ${args.id}`);
+        }
+
+        const total = proposal.confirmations + signatures.length;
+        console.log(`🖊️  Submitting ${signatures.length} signature(s) from ${signers.join(", ")}`);
+        console.log(`✅ ${total} of ${proposal.requiredConfirmations} required confirmations${total >= proposal.requiredConfirmations ? " - the proposal will execute" : ""}`);
+
+        return sendAndReport(() => client.confirmProposalWithSignatures(args.id, signatures));
+    });
+
+// Air-gapped signing: build the transaction online, sign it from a keystore offline, broadcast it online
+const OFFLINE_DIR = path.join(__dirname, "offline");
+
+/**
+ * @dev Calldata and summary of a vault action for an offline account, after the same checks as the online tasks
+ */
+async function buildOfflineVaultCall(hre, client, args, from) {
+    const { ethers } = hre;
+    const iface = client.contract.interface;
+
+    if (args.action === "create") {
+        const value = await checkNewProposal(hre, client, from, args);
+        const data = args.category
+            ? iface.encodeFunctionData("createCategorizedProposal", [TreasuryVaultClient.encodeCategory(args.category), args.to, value, args.data, args.description])
+            : iface.encodeFunctionData("createProposal", [args.to, value, args.data, args.description]);
+        return { data, summary: `Propose "${args.description}": ${args.value} ETH to ${ethers.utils.getAddress(args.to)}` };
+    }
+
+    if (args.id === undefined) fail(`--id is required to ${args.action} a proposal`);
+    await checkIsManager(client, { address: from });
+    if (args.action === "confirm") {
+        const proposal = await checkOpenProposal(client, args.id);
+        await printDecodedProposal(hre, client, proposal, args.abi);
+        if (await client.hasConfirmed(args.id, from)) {
+            fail(`${from} has already confirmed proposal ${args.id}`);
+        }
+        return { data: iface.encodeFunctionData("confirmProposal", [args.id]), summary: `Confirm proposal #${args.id} "${proposal.description}"` };
+    }
+
+    const proposal = await checkExecutable(hre, client, args.id);
+    return { data: iface.encodeFunctionData("executeProposal", [args.id]), summary: `Execute proposal #${args.id} "${proposal.description}"` };
+}
+
+/**
+ * @dev Creation bytecode of a vault from the deployment config, with the offline account as deployer and admin
+ */
+async function buildOfflineDeployment(hre, args, from) {
+    const { ethers } = hre;
+    let resolved;
+    let managers;
+    try {
+        resolved = resolveDeployConfig(loadDeployConfig(hre.network.name, args.deployConfig), from, ethers);
+        managers = validateDeployConfig(resolved, ethers);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    // Everything after the constructor is a separate admin transaction, built with the other actions
+    const skipped = Object.entries({
+        tokens: resolved.tokens.length > 0,
+        executionDelay: resolved.executionDelay > 0,
+        guardians: resolved.guardians.length > 0,
+        proposers: resolved.proposers.length > 0,
+        auditors: resolved.auditors.length > 0,
+        scheduler: resolved.scheduler,
+        lens: resolved.lens,
+        factory: resolved.factory,
+        emergency: resolved.emergency,
+        selfGoverned: resolved.selfGoverned
+    }).filter(([, set]) => set).map(([key]) => key);
+    if (skipped.length > 0) {
+        console.log(`⚠️  Only the vault itself is deployed offline - apply ${skipped.join(", ")} afterwards`);
+    }
+
+    const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+    const { data } = TreasuryVault.getDeployTransaction(managers, resolved.requiredConfirmations, resolved.dailyWithdrawalLimit);
+    return {
+        data,
+        summary: `Deploy TreasuryVault with ${managers.length} managers, ${resolved.requiredConfirmations} confirmations and a ` +
+            `${ethers.utils.formatEther(resolved.dailyWithdrawalLimit)} ETH daily limit`
+    };
+}
+
+treasuryTask("treasury:offline-build", `Build an unsigned transaction (${OFFLINE_ACTIONS.join(", ")}) for an offline account to sign`)
+    .addPositionalParam("action", `What the transaction does (${OFFLINE_ACTIONS.join(", ")})`)
+    .addOptionalParam("id", "Proposal id (confirm, execute)", undefined, types.int)
+    .addOptionalParam("to", "Target address (create)")
+    .addOptionalParam("value", "ETH to send with the call (create)", "0")
+    .addOptionalParam("data", "Hex-encoded calldata (create)", "0x")
+    .addOptionalParam("description", "What the proposal does (create)")
+    .addOptionalParam("category", "Spending category the proposal counts against (create)")
+    .addOptionalParam("deployConfig", "Path to a deployment config file (deploy, default: config/<network>.json)")
+    .addOptionalParam("abi", "Extra ABI files to decode the calldata with (confirm, comma-separated)")
+    .addOptionalParam("out", "Directory to write the unsigned transaction to (default: offline/<network>)")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        if (!OFFLINE_ACTIONS.includes(args.action)) {
+            fail(`Unknown action "${args.action}" - use one of ${OFFLINE_ACTIONS.join(", ")}`);
+        }
+        if (!args.from || !ethers.utils.isAddress(args.from)) {
+            fail("--from must be the address of the offline account that will sign");
+        }
+        const from = ethers.utils.getAddress(args.from);
+
+        let call;
+        let vault;
+        if (args.action === "deploy") {
+            call = await buildOfflineDeployment(hre, args, from);
+        } else {
+            vault = (await resolveVaultAddress(hre, args.vault)).address;
+            call = await buildOfflineVaultCall(hre, new TreasuryVaultClient(vault, ethers.provider), args, from);
+        }
+
+        let record;
+        try {
+            record = await buildOfflineTransaction(ethers.provider, { ...call, action: args.action, from, vault, network: hre.network.name });
+        } catch (error) {
+            fail(describeRevert(error));
+        }
+        const file = writeOfflineFile(args.out || path.join(OFFLINE_DIR, hre.network.name), record);
+        console.log("📦 Unsigned transaction built");
+        describeOfflineTransaction(record).forEach((line) => console.log(`   ${line}`));
+        console.log(`📁 Written to ${path.relative(process.cwd(), file)}`);
+        console.log(`➡️  Sign it offline with: treasury:offline-sign --tx <file> --keystore <file> --chain-id ${record.chainId} --vault ${record.vault}`);
+        return { record, file };
+    });
+
+// Runs without network access: the chain id and vault come from the operator, not from a node
+task("treasury:offline-sign", "Sign an unsigned transaction file with a keystore, without network access")
+    .addParam("tx", "Unsigned transaction file from treasury:offline-build")
+    .addParam("keystore", "Encrypted JSON keystore of the signing account")
+    .addParam("chainId", "Chain ID the transaction must be for", undefined, types.int)
+    .addParam("vault", "Vault the transaction must call (for deploy: the address it will deploy to)")
+    .addOptionalParam("passwordFile", "File holding the keystore password (default: the KEYSTORE_PASSWORD environment variable)")
+    .addOptionalParam("out", "Directory to write the signed transaction to (default: next to --tx)")
+    .setAction(async (args) => {
+        let record;
+        try {
+            record = checkOfflineTransaction(readOfflineFile(args.tx), { chainId: args.chainId, vault: args.vault });
+        } catch (error) {
+            fail(`Could not use ${args.tx}: ${error.message}`);
+        }
+
+        const password = args.passwordFile ? fs.readFileSync(args.passwordFile, "utf8").replace(/\r?\n$/, "") : process.env.KEYSTORE_PASSWORD;
+        if (password === undefined) {
+            fail("No keystore password - pass --password-file or set KEYSTORE_PASSWORD");
+        }
+        let wallet;
+        try {
+            wallet = await ethers.Wallet.fromEncryptedJson(fs.readFileSync(args.keystore, "utf8"), password);
+        } catch (error) {
+            fail(`Could not decrypt keystore ${args.keystore}: ${error.message}`);
+        }
+
+        let signed;
+        try {
+            signed = await signOfflineTransaction(record, wallet, { chainId: args.chainId, vault: args.vault });
+        } catch (error) {
+            fail(error.message);
+        }
+        console.log("🔍 Review before moving the file online:");
+        describeOfflineTransaction(signed).forEach((line) => console.log(`   ${line}`));
+        const file = writeOfflineFile(args.out || path.dirname(args.tx), signed);
+        console.log(`✍️  Signed by ${wallet.address}: ${signed.hash}`);
+        console.log(`📁 Written to ${path.relative(process.cwd(), file)}`);
+        return { record: signed, file };
+    });
+
+treasuryTask("treasury:offline-broadcast", "Broadcast a transaction signed with treasury:offline-sign")
+    .addParam("tx", "Signed transaction file")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        let record;
+        try {
+            record = readOfflineFile(args.tx);
+        } catch (error) {
+            fail(`Could not read ${args.tx}: ${error.message}`);
+        }
+
+        // A deployment names the vault it creates; everything else must call this network's vault
+        let vault = args.vault;
+        if (!vault) {
+            vault = record.action === "deploy" ? record.vault : (await resolveVaultAddress(hre, undefined)).address;
+        }
+
+        console.log("📡 Broadcasting signed transaction");
+        describeOfflineTransaction(record).forEach((line) => console.log(`   ${line}`));
+        let response;
+        try {
+            response = await broadcastOfflineTransaction(ethers.provider, record, { vault });
+        } catch (error) {
+            fail(error.message.startsWith("Offline transaction error") ? error.message : describeRevert(error));
+        }
+
+        const receipt = await sendAndReport(async () => {
+            const mined = await response.wait();
+            const iface = new ethers.utils.Interface(TREASURY_VAULT_ABI);
+            const events = mined.logs
+                .filter((log) => log.address === record.vault)
+                .map((log) => {
+                    try {
+                        const parsed = iface.parseLog(log);
+                        return { ...log, event: parsed.name, args: parsed.args };
+                    } catch (error) {
+                        return log;
+                    }
+                });
+            return { ...mined, events };
+        });
+        if (record.action === "deploy") {
+            console.log(`📍 TreasuryVault deployed at ${receipt.contractAddress} - pass it with --vault or record it in deployments/${hre.network.name}.json`);
+        }
+        return receipt;
+    });
+
+treasuryTask("treasury:revoke", "Withdraw your confirmation from a proposal that has not executed")
+    .addPositionalParam("id", "Proposal id", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const { client, signer } = await getVault(hre, args);
+        await checkIsManager(client, signer);
+        const proposal = await loadProposal(client, args.id);
+        if (proposal.executed) fail(`Proposal ${args.id} has already been executed`);
+        if (!(await client.hasConfirmed(args.id, signer.address))) {
+            fail(`${signer.address} has not confirmed proposal ${args.id}`);
+        }
+
+        return sendAndReport(() => client.revokeConfirmation(args.id));
+    });
+
+treasuryTask("treasury:execute", "Execute a proposal that has enough confirmations")
+    .addPositionalParam("id", "Proposal id", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const { client, signer } = await getVault(hre, args);
+        await checkIsManager(client, signer);
+        await checkExecutable(hre, client, args.id);
+
+        return sendAndReport(() => client.executeProposal(args.id));
+    });
+
+treasuryTask("treasury:cancel", "Cancel a proposal (admin only; proposed once the vault is self-governed)")
+    .addPositionalParam("id", "Proposal id", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const { client, signer } = await getVault(hre, args);
+        const proposal = await loadProposal(client, args.id);
+        if (proposal.executed) fail(`Proposal ${args.id} has already been executed`);
+        if (proposal.cancelled) fail(`Proposal ${args.id} has already been cancelled`);
+
+        return sendPolicyChange(client, signer, {
+            method: "cancelProposal",
+            args: [args.id],
+            description: `Cancel proposal #${args.id} "${proposal.description}"`,
+            send: () => client.cancelProposal(args.id)
+        });
+    });
+
+treasuryTask("treasury:veto", "Veto a queued proposal during its timelock (manager or guardian)")
+    .addPositionalParam("id", "Proposal id", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const { client, signer } = await getVault(hre, args);
+        if (!(await client.isManager(signer.address)) && !(await client.isGuardian(signer.address))) {
+            fail(`${signer.address} is neither a treasury manager nor a guardian`);
+        }
+        const proposal = await loadProposal(client, args.id);
+        if (proposal.status !== ProposalStatus.QUEUED) {
+            fail(`Proposal ${args.id} is ${proposal.status} - only queued proposals can be vetoed`);
+        }
+
+        return sendAndReport(() => client.vetoProposal(args.id));
+    });
+
+treasuryTask("treasury:decode", "Show what a proposal's calldata does and check it against the description")
+    .addPositionalParam("id", "Proposal id", undefined, types.int)
+    .addOptionalParam("abi", "Extra ABI files to decode the calldata with (comma-separated)")
+    .setAction(async (args, hre) => {
+        const { client } = await getVault(hre, args);
+        const proposal = await loadProposal(client, args.id);
+        return printDecodedProposal(hre, client, proposal, args.abi);
+    });
+
+treasuryTask("treasury:simulate", "Run a pending proposal as if quorum were reached, report the outcome and undo it")
+    .addPositionalParam("id", "Proposal id", undefined, types.int)
+    .addOptionalParam("fork", "Network from the config, or an RPC URL, to fork into the Hardhat network first")
+    .addOptionalParam("forkBlock", "Block to fork at (default: latest)", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        // Simulation needs evm_snapshot and impersonation, which only a Hardhat network has
+        if (args.fork) {
+            if (hre.network.name !== "hardhat") fail("--fork forks into the in-process Hardhat network - run with --network hardhat");
+            const forkNetwork = hre.config.networks[args.fork];
+            const jsonRpcUrl = forkNetwork ? forkNetwork.url : args.fork;
+            if (!/^https?:\/\//.test(jsonRpcUrl || "")) fail(`Unknown network or RPC URL ${args.fork}`);
+            if (!args.vault && forkNetwork) {
+                const manifest = readManifest(args.fork);
+                if (manifest) args.vault = manifest.address;
+            }
+            const forking = args.forkBlock === undefined ? { jsonRpcUrl } : { jsonRpcUrl, blockNumber: args.forkBlock };
+            await hre.network.provider.request({ method: "hardhat_reset", params: [{ forking }] });
+            console.log(`🍴 Forked ${args.fork} at block ${await ethers.provider.getBlockNumber()}`);
+        } else if (!["hardhat", "localhost"].includes(hre.network.name)) {
+            fail(`Cannot simulate on "${hre.network.name}" directly - run with --network hardhat --fork ${hre.network.name}`);
+        }
+
+        const { client } = await getVault(hre, args);
+        const proposal = await loadProposal(client, args.id);
+        let result;
+        try {
+            result = await simulateProposal({ provider: ethers.provider, vault: client.address, proposalId: args.id });
+        } catch (error) {
+            fail(error.message);
+        }
+
+        console.log(`🧪 Simulating proposal #${args.id}: "${proposal.description}"`);
+        formatSimulation(result).forEach((line) => console.log(`   ${line}`));
+        if (result.success) {
+            console.log("✅ The proposal would execute");
+        } else {
+            const known = REVERT_MESSAGES[result.revertReason];
+            console.log(`❌ The proposal would fail: ${known ? `${known} (${result.revertReason})` : result.revertReason}`);
+        }
+        console.log("↩️  Simulation undone - nothing was sent");
+        return result;
+    });
+
+treasuryTask("treasury:list", "List proposals")
+    .addOptionalParam("status", `Only show proposals with this status (${PROPOSAL_STATUSES.join(", ")})`)
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        if (args.status && !PROPOSAL_STATUSES.includes(args.status)) {
+            fail(`Unknown status "${args.status}" - expected one of ${PROPOSAL_STATUSES.join(", ")}`);
+        }
+        const { client } = await getVault(hre, args);
+
+        const proposals = await client.getProposals({ status: args.status });
+        const labels = await loadLabels(client);
+        const listed = proposals.map((proposal) => proposal.id);
+        for (const proposal of proposals) {
+            const timing = proposal.executableAt > 0
+                ? `executable at ${new Date(proposal.executableAt * 1000).toISOString()}`
+                : `expires ${new Date(proposal.deadline * 1000).toISOString()}`;
+            console.log(
+                `#${proposal.id} [${proposal.status}] ${ethers.utils.formatEther(proposal.value)} ETH -> ${withLabel(proposal.target, labels[proposal.target])} ` +
+                `(${proposal.confirmations}/${proposal.requiredConfirmations} confirmations, ${timing}) ${proposal.description}`
+            );
+        }
+        if (listed.length === 0) {
+            console.log("No matching proposals");
+        }
+        return listed;
+    });
+
+treasuryTask("treasury:budget", "Show category budgets, or set one with --amount and --period")
+    .addParam("category", "Category names, comma-separated (e.g. grants,payroll)")
+    .addOptionalParam("amount", "New budget in ETH per period")
+    .addOptionalParam("period", "New budget period in days (0 removes the budget)", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const { client, signer } = await getVault(hre, args);
+        const categories = args.category.split(",").map((name) => name.trim()).filter(Boolean);
+        if (categories.length === 0) {
+            fail("--category needs at least one category name");
+        }
+
+        if (args.amount !== undefined || args.period !== undefined) {
+            if (categories.length !== 1) fail("Set one category's budget at a time");
+            if (args.amount === undefined || args.period === undefined) fail("Setting a budget needs both --amount and --period");
+            if (args.period < 0 || args.period > 366) fail("--period must be between 0 and 366 days");
+            let amount;
+            try {
+                amount = ethers.utils.parseEther(args.amount);
+            } catch (error) {
+                fail(`Invalid --amount ${args.amount}`);
+            }
+            const period = args.period * 24 * 60 * 60;
+
+            // Once self-governed, budgets change through a proposal like every other policy
+            return sendPolicyChange(client, signer, {
+                method: "setCategoryBudget",
+                args: [TreasuryVaultClient.encodeCategory(categories[0]), amount, period],
+                description: `Set the ${categories[0]} budget to ${args.amount} ETH per ${args.period} days`,
+                send: () => client.setCategoryBudget(categories[0], amount, period)
+            });
+        }
+
+        const budgets = [];
+        for (const category of categories) {
+            const budget = await client.getCategoryBudget(category);
+            budgets.push(budget);
+            if (budget.period === 0) {
+                console.log(`🏷️  ${budget.category}: no budget`);
+                continue;
+            }
+            console.log(
+                `🏷️  ${budget.category}: ${ethers.utils.formatEther(budget.spent)} of ${ethers.utils.formatEther(budget.amount)} ETH spent ` +
+                `(${ethers.utils.formatEther(budget.remaining)} ETH left until ${new Date(budget.periodEnd * 1000).toISOString()}, ` +
+                `${budget.period / 86400}-day periods)`
+            );
+        }
+        return budgets;
+    });
+
+treasuryTask("treasury:address-book", "Show the address book, or add, update or remove an entry")
+    .addOptionalParam("address", "Recipient to add, update or remove")
+    .addOptionalParam("label", "Label for --address, at most 31 characters")
+    .addOptionalParam("cap", "Most ETH --address may receive in any 24 hours (default: no cap)")
+    .addFlag("remove", "Remove --address from the address book")
+    .addOptionalParam("unknown", "How to treat recipients outside the book: allow, reject, or the confirmations they need")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const { client, signer } = await getVault(hre, args);
+
+        if (args.unknown !== undefined) {
+            if (args.address !== undefined) fail("Change one thing at a time: --unknown cannot be combined with --address");
+            const required = await client.getRequiredConfirmations();
+            let threshold;
+            if (args.unknown === "allow") {
+                threshold = ethers.constants.Zero;
+            } else if (args.unknown === "reject") {
+                threshold = ethers.constants.MaxUint256;
+            } else if (/^\d+$/.test(args.unknown) && Number(args.unknown) > required) {
+                threshold = ethers.BigNumber.from(args.unknown);
+            } else {
+                fail(`--unknown must be allow, reject or more than the ${required} required confirmations`);
+            }
+            return sendPolicyChange(client, signer, {
+                method: "setUnknownRecipientThreshold",
+                args: [threshold],
+                description: args.unknown === "allow" || args.unknown === "reject"
+                    ? `${args.unknown === "allow" ? "Allow" : "Reject"} payments to addresses outside the address book`
+                    : `Require ${args.unknown} confirmations for payments to addresses outside the address book`,
+                send: () => client.setUnknownRecipientThreshold(threshold)
+            });
+        }
+
+        if (args.address !== undefined) {
+            if (!ethers.utils.isAddress(args.address) || args.address === ethers.constants.AddressZero) {
+                fail(`Invalid address ${args.address}`);
+            }
+            const address = ethers.utils.getAddress(args.address);
+
+            if (args.remove) {
+                if (args.label !== undefined || args.cap !== undefined) fail("--remove cannot be combined with --label or --cap");
+                const entry = await client.getRecipient(address);
+                if (!entry) fail(`${address} is not in the address book`);
+                return sendPolicyChange(client, signer, {
+                    method: "removeRecipient",
+                    args: [address],
+                    description: `Remove ${entry.label} (${address}) from the address book`,
+                    send: () => client.removeRecipient(address)
+                });
+            }
+
+            if (args.label === undefined) fail("Adding an address needs a --label");
+            let label;
+            let cap = ethers.constants.Zero;
+            try {
+                label = TreasuryVaultClient.encodeLabel(args.label);
+            } catch (error) {
+                fail(error.message.replace("TreasuryVaultClient: ", "Invalid --label: "));
+            }
+            if (args.cap !== undefined) {
+                try {
+                    cap = ethers.utils.parseEther(args.cap);
+                } catch (error) {
+                    fail(`Invalid --cap ${args.cap}`);
+                }
+            }
+            return sendPolicyChange(client, signer, {
+                method: "setRecipient",
+                args: [address, label, cap],
+                description: `Add ${args.label.trim()} (${address}) to the address book` +
+                    (cap.isZero() ? "" : ` with a cap of ${args.cap} ETH per 24 hours`),
+                send: () => client.setRecipient(address, args.label, cap)
+            });
+        }
+        if (args.label !== undefined || args.cap !== undefined || args.remove) {
+            fail("--label, --cap and --remove need an --address");
+        }
+
+        const [book, threshold, managers] = await Promise.all([
+            client.getAddressBook(),
+            client.getUnknownRecipientThreshold(),
+            client.getManagers()
+        ]);
+        for (const entry of book) {
+            let cap = "no cap";
+            if (!entry.cap.isZero()) {
+                const { remaining } = await client.getRecipient(entry.address);
+                cap = `cap ${ethers.utils.formatEther(entry.cap)} ETH per 24 hours, ${ethers.utils.formatEther(remaining)} ETH left`;
+            }
+            console.log(`📒 ${entry.label}: ${entry.address} (${cap})`);
+        }
+        if (book.length === 0) {
+            console.log("The address book is empty");
+        }
+        if (threshold.isZero()) {
+            console.log("🔓 Any address can be paid");
+        } else if (threshold.gt(managers.length)) {
+            console.log("🔒 Payments to addresses outside the book are rejected");
+        } else {
+            console.log(`🔒 Payments to addresses outside the book need ${threshold} confirmations`);
+        }
+        return book;
+    });
+
+// Roles granted and revoked on their own; managers come and go with add/removeTreasuryManager
+const GRANTABLE_ROLES = [Role.PROPOSER, Role.GUARDIAN, Role.AUDITOR];
+
+treasuryTask("treasury:roles", "List role holders, or grant or revoke the proposer, guardian or auditor role")
+    .addOptionalParam("grant", `Role to grant to --account (${GRANTABLE_ROLES.join(", ")})`)
+    .addOptionalParam("revoke", `Role to revoke from --account (${GRANTABLE_ROLES.join(", ")})`)
+    .addOptionalParam("account", "Account to grant the role to or revoke it from")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const { client, signer } = await getVault(hre, args);
+
+        if (args.grant !== undefined || args.revoke !== undefined) {
+            if (args.grant !== undefined && args.revoke !== undefined) fail("Change one thing at a time: use --grant or --revoke");
+            const role = args.grant !== undefined ? args.grant : args.revoke;
+            if (!GRANTABLE_ROLES.includes(role)) {
+                fail(`Unknown role ${role} - use one of ${GRANTABLE_ROLES.join(", ")} (managers change with treasury:propose-governance)`);
+            }
+            if (!args.account || !ethers.utils.isAddress(args.account) || args.account === ethers.constants.AddressZero) {
+                fail(`Invalid --account ${args.account}`);
+            }
+            const account = ethers.utils.getAddress(args.account);
+            const holds = await client.contract.hasRole(TreasuryVaultClient.roleId(role), account);
+
+            if (args.grant !== undefined) {
+                if (holds) fail(`${account} already has the ${role} role`);
+                return sendPolicyChange(client, signer, {
+                    method: "grantRole",
+                    args: [TreasuryVaultClient.roleId(role), account],
+                    description: `Grant the ${role} role to ${account}`,
+                    send: () => client.grantRole(role, account)
+                });
+            }
+            if (!holds) fail(`${account} does not have the ${role} role`);
+            return sendPolicyChange(client, signer, {
+                method: "revokeRole",
+                args: [TreasuryVaultClient.roleId(role), account],
+                description: `Revoke the ${role} role from ${account}`,
+                send: () => client.revokeRole(role, account)
+            });
+        }
+        if (args.account !== undefined) fail("--account needs --grant or --revoke");
+
+        const roles = await client.getRoles();
+        for (const [role, members] of Object.entries(roles)) {
+            console.log(`🔑 ${role} (${members.length}): ${members.length > 0 ? members.join(", ") : "none"}`);
+        }
+        return roles;
+    });
+
+// Exits non-zero (through fail) when the vault has drifted from its config, so it can gate CI or cron jobs
+treasuryTask("treasury:audit", "Compare the vault's managers, roles, threshold, limit and pause state with its declared config")
+    .addOptionalParam("deployConfig", "Declared config (default: config/<network>.json)")
+    .addOptionalParam("deployer", "Account \"deployer\" stands for, also the expected admin (default: the manifest's deployer)")
+    .addOptionalParam("startBlock", "Block to replay role events from (default: the manifest's deployment block)", undefined, types.int)
+    .addOptionalParam("chunkSize", "Blocks per log query", 2000, types.int)
+    .addOptionalParam("out", "Also write the audit as JSON to this file")
+    .setAction(async (args, hre) => {
+        const { client } = await getVault(hre, args);
+        const manifest = readManifest(hre.network.name);
+        const deployed = manifest && manifest.address === client.address ? manifest : null;
+        const configFile = args.deployConfig || path.join(__dirname, "config", `${hre.network.name}.json`);
+
+        let expected;
+        try {
+            expected = expectedStateFromConfig(loadDeployConfig(hre.network.name, configFile), {
+                deployer: args.deployer || (deployed ? deployed.deployer : undefined)
+            });
+        } catch (error) {
+            fail(error.message.includes("deployer address") ? `${error.message} with --deployer` : error.message);
+        }
+
+        const fromBlock = args.startBlock !== undefined ? args.startBlock : deployed ? deployed.blockNumber : 0;
+        const audit = await auditVault({ client, expected, fromBlock, chunkSize: args.chunkSize });
+
+        console.log(`🔍 Auditing ${client.address} against ${path.relative(process.cwd(), configFile)} at block ${audit.blockNumber}`);
+        console.log(`📜 Replayed ${audit.roleEvents} role event(s) from block ${fromBlock}`);
+        for (const { check, ok, count, value } of audit.checks) {
+            if (ok) console.log(`✅ ${check}: ${count !== undefined ? `${count} as declared` : value}`);
+        }
+        audit.drift.forEach(({ message }) => console.log(`❌ ${message}`));
+        if (args.out) {
+            fs.mkdirSync(path.dirname(path.resolve(args.out)), { recursive: true });
+            fs.writeFileSync(args.out, JSON.stringify(audit, null, 2) + "\n");
+            console.log(`📁 Audit written to ${path.relative(process.cwd(), args.out)}`);
+        }
+
+        if (audit.drift.length > 0) {
+            fail(`Drift found: ${audit.drift.length} difference(s) between the vault and ${path.basename(configFile)}`);
+        }
+        console.log(`✅ No drift: the vault matches ${path.basename(configFile)}`);
+        return audit;
+    });
+
+treasuryTask("treasury:emergency", "Show the emergency policy, approve an emergency withdrawal as a guardian, or propose a new guard or policy")
+    .addOptionalParam("to", "Recipient of the withdrawal to approve")
+    .addOptionalParam("amount", "ETH amount of the withdrawal to approve")
+    .addOptionalParam("guard", "EmergencyGuard to propose for the vault (\"none\" disables emergency withdrawals)")
+    .addOptionalParam("quorum", "Guardian approvals a withdrawal needs (0 disables emergency withdrawals)", undefined, types.int)
+    .addOptionalParam("cap", "Most ETH per emergency withdrawal")
+    .addOptionalParam("cooldown", "Hours between emergency withdrawals", 0, types.float)
+    .addOptionalParam("coldStorage", "Only address emergency withdrawals may go to (required with a --quorum above 0)")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const { client, signer } = await getVault(hre, args);
+
+        if (args.guard !== undefined) {
+            if (args.to !== undefined || args.quorum !== undefined) fail("Change one thing at a time: --guard cannot be combined with other options");
+            const guard = args.guard === "none" ? ethers.constants.AddressZero : args.guard;
+            if (!ethers.utils.isAddress(guard)) fail(`Invalid --guard ${args.guard}`);
+            if (guard !== ethers.constants.AddressZero && (await ethers.provider.getCode(guard)) === "0x") {
+                fail(`No contract deployed at ${guard} on network "${hre.network.name}"`);
+            }
+            // The guard can move funds without a proposal, so changing it always takes one
+            if (!(await client.canPropose(signer.address))) fail(`${signer.address} cannot create proposals`);
+            return sendAndReport(async () => {
+                const { receipt } = await client.proposeGovernanceCall({
+                    method: "setEmergencyGuard",
+                    args: [guard],
+                    description: guard === ethers.constants.AddressZero ? "Disable emergency withdrawals" : `Use ${guard} as the emergency guard`
+                });
+                return receipt;
+            });
+        }
+
+        const guardAddress = await client.getEmergencyGuard();
+        if (!guardAddress) fail("The vault has no emergency guard - set one with --guard");
+        const guard = new EmergencyGuardClient(guardAddress, signer);
+
+        if (args.quorum !== undefined) {
+            if (args.to !== undefined || args.amount !== undefined) fail("Change one thing at a time: --quorum cannot be combined with --to or --amount");
+            let cap = ethers.constants.Zero;
+            if (args.quorum !== 0) {
+                if (args.cap === undefined) fail("A policy with a quorum needs a --cap");
+                try {
+                    cap = ethers.utils.parseEther(args.cap);
+                } catch (error) {
+                    fail(`Invalid --cap ${args.cap}`);
+                }
+            }
+            const policy = { quorum: args.quorum, cap, cooldown: Math.round(args.cooldown * 3600), coldStorage: args.coldStorage };
+            let data;
+            try {
+                data = EmergencyGuardClient.encodeSetPolicy(client.address, policy);
+            } catch (error) {
+                fail(error.message.replace("EmergencyGuardClient: ", ""));
+            }
+            const guardians = (await client.getRoleMembers(Role.GUARDIAN)).length;
+            if (args.quorum > guardians) fail(`--quorum cannot exceed the ${guardians} guardians of the vault`);
+
+            const description = args.quorum === 0
+                ? "Disable emergency withdrawals"
+                : `Emergency withdrawals: ${args.quorum} guardian approvals, at most ${args.cap} ETH every ${args.cooldown} hours to ${args.coldStorage}`;
+            if (!(await client.canPropose(signer.address))) fail(`${signer.address} cannot create proposals`);
+            return sendAndReport(async () => {
+                const { receipt } = await client.createProposal({ target: guard.address, data, description });
+                return receipt;
+            });
+        }
+
+        if (args.to !== undefined || args.amount !== undefined) {
+            if (args.to === undefined || args.amount === undefined) fail("Approving a withdrawal needs both --to and --amount");
+            if (!ethers.utils.isAddress(args.to)) fail(`Invalid --to ${args.to}`);
+            let amount;
+            try {
+                amount = ethers.utils.parseEther(args.amount);
+            } catch (error) {
+                fail(`Invalid --amount ${args.amount}`);
+            }
+
+            // Same checks as the guard, so a guardian learns why before sending
+            const policy = await guard.getPolicy(client.address);
+            const now = (await ethers.provider.getBlock("latest")).timestamp;
+            if (!(await client.isGuardian(signer.address))) fail(`${signer.address} is not a guardian of the vault`);
+            if (policy.quorum === 0) fail("Emergency withdrawals are disabled for this vault");
+            if (amount.gt(policy.cap)) fail(`${args.amount} ETH is above the ${ethers.utils.formatEther(policy.cap)} ETH emergency cap`);
+            if (policy.nextWithdrawalTime > now) {
+                fail(`The emergency cooldown runs until ${new Date(policy.nextWithdrawalTime * 1000).toISOString()}`);
+            }
+            if (policy.coldStorage.toLowerCase() !== args.to.toLowerCase()) {
+                fail(`Emergency withdrawals can only go to the cold storage address ${policy.coldStorage}`);
+            }
+
+            const receipt = await sendAndReport(() => guard.approveWithdrawal(client.address, args.to, amount));
+            const approval = receipt.events.find((event) => event.event === "EmergencyWithdrawalApproved");
+            if (approval.args.approvals.toNumber() >= policy.quorum) {
+                console.log(`💸 Quorum reached: ${args.amount} ETH sent to ${args.to}`);
+            } else {
+                console.log(`⏳ ${approval.args.approvals}/${policy.quorum} guardian approvals`);
+            }
+            return receipt;
+        }
+
+        const [policy, request] = await Promise.all([guard.getPolicy(client.address), guard.getRequest(client.address)]);
+        console.log(`🛡️  Emergency guard: ${guard.address}`);
+        if (policy.quorum === 0) {
+            console.log("Emergency withdrawals are disabled");
+        } else {
+            console.log(
+                `Quorum ${policy.quorum} guardians, at most ${ethers.utils.formatEther(policy.cap)} ETH per withdrawal, ` +
+                `${policy.cooldown / 3600} hours apart, to ${policy.coldStorage}`
+            );
+        }
+        if (request) {
+            console.log(`⏳ Pending: ${ethers.utils.formatEther(request.amount)} ETH to ${request.to}, approved by ${request.approvers.join(", ")} (${request.approvals} counting)`);
+        }
+        return { guard: guard.address, policy, request };
+    });
+
+treasuryTask("treasury:schedule", "Propose a recurring payment; it starts once the proposal executes")
+    .addOptionalParam("scheduler", "PaymentScheduler address (default: deployments/<network>.json)")
+    .addParam("to", "Recipient address")
+    .addParam("amount", "Amount per payment in ETH, or in whole tokens with --token")
+    .addOptionalParam("token", "ERC-20 token to pay in (default: ETH)")
+    .addParam("interval", "Days between payments", undefined, types.int)
+    .addParam("payments", "Number of payments", undefined, types.int)
+    .addOptionalParam("start", "Date of the first payment, e.g. 2026-01-31 (default: one interval from now)")
+    .addOptionalParam("end", "No payment falls due after this date, e.g. 2026-12-31")
+    .addOptionalParam("description", "What the payments are for (default: a summary of the schedule)")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const { client, signer } = await getVault(hre, args);
+        const scheduler = await getScheduler(hre, args, signer);
+
+        let unit = "ETH";
+        let decimals = 18;
+        if (args.token) {
+            if (!ethers.utils.isAddress(args.token)) fail(`Invalid token address ${args.token}`);
+            try {
+                const erc20 = new ethers.Contract(args.token, ["function symbol() view returns (string)", "function decimals() view returns (uint8)"], ethers.provider);
+                [unit, decimals] = await Promise.all([erc20.symbol(), erc20.decimals()]);
+            } catch (error) {
+                fail(`${args.token} is not an ERC-20 token on this network`);
+            }
+        }
+        let amount;
+        try {
+            amount = ethers.utils.parseUnits(args.amount, decimals);
+        } catch (error) {
+            fail(`Invalid --amount ${args.amount}`);
+        }
+
+        const interval = args.interval * 24 * 60 * 60;
+        let startTime;
+        let endTime = 0;
+        try {
+            startTime = args.start
+                ? parseDate(args.start)
+                : (await ethers.provider.getBlock("latest")).timestamp + interval;
+            if (args.end) endTime = parseDate(args.end, true);
+        } catch (error) {
+            fail(error.message);
+        }
+        const description = args.description ||
+            `Recurring payment: ${args.amount} ${unit} to ${args.to} every ${args.interval} days, ${args.payments} payments`;
+
+        let data;
+        try {
+            data = PaymentSchedulerClient.encodeCreateSchedule({
+                recipient: args.to,
+                token: args.token,
+                amount,
+                interval,
+                startTime,
+                totalPayments: args.payments,
+                endTime
+            });
+        } catch (error) {
+            fail(error.message.replace("PaymentSchedulerClient: ", ""));
+        }
+
+        if (!(await client.canPropose(signer.address))) fail(`${signer.address} cannot create proposals`);
+        if (await client.isPaused()) fail("The vault is paused");
+        if (!(await client.isModule(scheduler.address))) {
+            console.log(`⚠️  The scheduler ${scheduler.address} is not enabled on this vault yet - payments will fail until setModule enables it`);
+        }
+
+        console.log(`📅 ${args.payments} payments of ${args.amount} ${unit} to ${args.to}, every ${args.interval} days from ${new Date(startTime * 1000).toISOString()}`);
+        return sendAndReport(async () => {
+            const { receipt } = await client.createProposal({ target: scheduler.address, data, description });
+            return receipt;
+        });
+    });
+
+treasuryTask("treasury:schedules", "List recurring payments paid by the vault")
+    .addOptionalParam("scheduler", "PaymentScheduler address (default: deployments/<network>.json)")
+    .addOptionalParam("status", `Only show schedules with this status (${Object.values(ScheduleStatus).join(", ")})`)
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        if (args.status && !Object.values(ScheduleStatus).includes(args.status)) {
+            fail(`Unknown status "${args.status}" - expected one of ${Object.values(ScheduleStatus).join(", ")}`);
+        }
+        const { client, signer } = await getVault(hre, args);
+        const scheduler = await getScheduler(hre, args, signer);
+
+        const schedules = await scheduler.getSchedules({ vault: client.address, status: args.status });
+        for (const schedule of schedules) {
+            const amount = schedule.token
+                ? `${schedule.amount.toString()} units of ${schedule.token}`
+                : `${ethers.utils.formatEther(schedule.amount)} ETH`;
+            const next = schedule.nextPaymentTime > 0 ? `, next ${new Date(schedule.nextPaymentTime * 1000).toISOString()}` : "";
+            console.log(
+                `#${schedule.id} [${schedule.status}] ${amount} -> ${schedule.recipient} every ${schedule.interval / 86400} days ` +
+                `(${schedule.paymentsMade}/${schedule.totalPayments} paid${next})`
+            );
+        }
+        if (schedules.length === 0) {
+            console.log("No matching schedules");
+        }
+        return schedules;
+    });
+
+treasuryTask("treasury:cancel-schedule", "Cancel a recurring payment (treasury manager of the paying vault)")
+    .addOptionalParam("scheduler", "PaymentScheduler address (default: deployments/<network>.json)")
+    .addPositionalParam("id", "Schedule id", undefined, types.int)
+    .setAction(async (args, hre) => {
+        const { client, signer } = await getVault(hre, args);
+        const scheduler = await getScheduler(hre, args, signer);
+        await checkIsManager(client, signer);
+
+        if (args.id >= (await scheduler.getScheduleCount())) fail(`Schedule ${args.id} does not exist`);
+        const schedule = await scheduler.getSchedule(args.id);
+        if (schedule.vault.toLowerCase() !== client.address.toLowerCase()) {
+            fail(`Schedule ${args.id} is paid by ${schedule.vault}, not this vault`);
+        }
+        if (schedule.cancelled) fail(`Schedule ${args.id} has already been cancelled`);
+
+        return sendAndReport(() => scheduler.cancelSchedule(args.id));
+    });
+
+task("treasury:keeper", "Trigger every recurring payment that is due")
+    .addOptionalParam("scheduler", "PaymentScheduler address (default: deployments/<network>.json)")
+    .addOptionalParam("vault", "Only pay schedules of this vault (default: all vaults)")
+    .addOptionalParam("from", "Address of the configured account that pays for gas")
+    .addOptionalParam("maxPayments", "Most payments to send per run", 50, types.int)
+    .addOptionalParam("interval", "Seconds between runs with --watch", 300, types.int)
+    .addFlag("watch", "Keep running until interrupted")
+    .setAction(async (args, hre) => {
+        const signer = await getSigner(hre, args.from);
+        const scheduler = await getScheduler(hre, args, signer);
+
+        for (;;) {
+            const result = await runKeeper(scheduler, { vault: args.vault, maxPayments: args.maxPayments, log: console.log });
+            console.log(`✅ ${result.paid.length} payment(s) made, ${result.failed.length} schedule(s) could not pay`);
+            if (!args.watch) return result;
+            await new Promise((resolve) => setTimeout(resolve, args.interval * 1000));
+        }
+    });
+
+task("treasury:create-vault", "Create a vault for a working group through the vault factory")
+    .addOptionalParam("factory", "TreasuryVaultFactory address (default: deployments/<network>.json)")
+    .addOptionalParam("from", "Address of the configured account that becomes the vault's admin")
+    .addParam("name", "Name to register the vault under, e.g. the working group")
+    .addParam("managers", "Treasury managers, comma-separated (\"deployer\" is the --from account)")
+    .addParam("confirmations", "Required confirmations", undefined, types.int)
+    .addParam("limit", "Daily withdrawal limit in ETH")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const signer = await getSigner(hre, args.from);
+        const factory = await getFactory(hre, args, signer);
+
+        // Same rules as a deployment config, so a bad vault fails before anything is sent
+        let managers;
+        let resolved;
+        try {
+            resolved = resolveDeployConfig(
+                { managers: args.managers.split(",").map((m) => m.trim()), requiredConfirmations: args.confirmations, dailyWithdrawalLimit: args.limit },
+                signer.address,
+                ethers
+            );
+            managers = validateDeployConfig(resolved, ethers);
+        } catch (error) {
+            fail(error.message.replace("Config error: ", ""));
+        }
+
+        let created;
+        await sendAndReport(async () => {
+            created = await factory.createVault({
+                name: args.name,
+                managers,
+                requiredConfirmations: resolved.requiredConfirmations,
+                dailyWithdrawalLimit: resolved.dailyWithdrawalLimit
+            });
+            return created.receipt;
+        });
+        console.log(`✅ Vault "${args.name}" created at ${created.vault} with admin ${signer.address}`);
+        console.log(`👥 ${managers.length} managers, ${resolved.requiredConfirmations} confirmations, ${args.limit} ETH daily limit`);
+        return { vault: created.vault, index: created.index };
+    });
+
+task("treasury:vaults", "List the vaults created through the vault factory")
+    .addOptionalParam("factory", "TreasuryVaultFactory address (default: deployments/<network>.json)")
+    .addOptionalParam("owner", "Only show vaults created by this account")
+    .setAction(async (args, hre) => {
+        const factory = await getFactory(hre, args);
+        if (args.owner && !hre.ethers.utils.isAddress(args.owner)) {
+            fail(`Invalid owner address ${args.owner}`);
+        }
+
+        const vaults = args.owner ? await factory.getVaultsByOwner(args.owner) : await factory.getVaults();
+        for (const record of vaults) {
+            console.log(`#${record.index} "${record.name}" ${record.vault} (owner ${record.owner}, block ${record.createdAtBlock})`);
+        }
+        if (vaults.length === 0) {
+            console.log("No vaults");
+        }
+        return vaults;
+    });
+
+/**
+ * @dev Vaults a --all task runs over: every vault the factory created, each with its own event
+ * store starting at its creation block
+ */
+async function getFactoryVaults(hre, args) {
+    const factory = await getFactory(hre, args);
+    const vaults = await factory.getVaults();
+    return vaults.map((record) => ({
+        ...record,
+        contract: new TreasuryVaultClient(record.vault, hre.ethers.provider).contract,
+        store: path.join(args.dataDir || path.join(__dirname, "data"), `${hre.network.name}-${record.vault}-events.json`)
+    }));
+}
+
+/**
+ * @dev Sync an indexer once and print what it did
+ */
+async function syncIndexer(indexer, label) {
+    const result = await indexer.sync();
+    if (result.rolledBackTo !== null) {
+        console.log(`♻️  ${label}Reorg detected - rolled back to block ${result.rolledBackTo}`);
+    }
+    const checkpoint = result.checkpoint ? result.checkpoint.blockNumber : "none";
+    console.log(`📚 ${label}Indexed ${result.indexed} events (checkpoint block ${checkpoint})`);
+    return result;
+}
+
+treasuryTask("treasury:index", "Index vault events into a local event store")
+    .addOptionalParam("store", "Event store file (default: data/<network>-events.json)")
+    .addOptionalParam("startBlock", "First block to index (default: the manifest's deployment block)", undefined, types.int)
+    .addOptionalParam("chunkSize", "Blocks per getLogs request", 2000, types.int)
+    .addOptionalParam("confirmations", "Blocks to stay behind the chain head", 0, types.int)
+    .addOptionalParam("interval", "Seconds between syncs with --watch", 15, types.int)
+    .addOptionalParam("factory", "TreasuryVaultFactory to take the vaults from with --all (default: deployments/<network>.json)")
+    .addOptionalParam("dataDir", "Directory for the per-vault event stores with --all (default: data)")
+    .addFlag("all", "Index every vault the factory created, each into <data-dir>/<network>-<vault>-events.json")
+    .addFlag("watch", "Keep indexing new blocks until interrupted")
+    .setAction(async (args, hre) => {
+        if (args.all && (args.vault || args.store || args.startBlock !== undefined)) {
+            fail("--all takes the vaults, stores and start blocks from the factory - leave out --vault, --store and --start-block");
+        }
+        const { chunkSize, confirmations } = args;
+        const indexer = args.all ? null : createIndexer(hre, (await getVault(hre, args)).vault, args);
+
+        for (;;) {
+            let result;
+            if (indexer) {
+                result = await syncIndexer(indexer, "");
+            } else {
+                // Listed again on every round so --watch picks up new vaults
+                result = {};
+                for (const record of await getFactoryVaults(hre, args)) {
+                    const vaultIndexer = createIndexer(hre, record.contract, {
+                        store: record.store,
+                        startBlock: record.createdAtBlock,
+                        chunkSize,
+                        confirmations
+                    });
+                    result[record.vault] = await syncIndexer(vaultIndexer, `${record.name}: `);
+                }
+            }
+            if (!args.watch) return result;
+            await new Promise((resolve) => setTimeout(resolve, args.interval * 1000));
+        }
+    });
+
+treasuryTask("treasury:alerts", "Alert on notable vault events through stdout, file and webhook sinks")
+    .addOptionalParam("alertConfig", "Rules and sinks config file (default: config/alerts.json)")
+    .addOptionalParam("state", "Alert state file (default: data/<network>-alerts.json)")
+    .addOptionalParam("store", "Event store file (default: data/<network>-events.json)")
+    .addOptionalParam("confirmations", "Blocks to stay behind the chain head", 0, types.int)
+    .addOptionalParam("interval", "Seconds between polls with --watch", 15, types.int)
+    .addFlag("fromLatest", "On the first run, only alert on blocks after the current one")
+    .addFlag("watch", "Keep watching until interrupted")
+    .setAction(async (args, hre) => {
+        const { client, vault } = await getVault(hre, args);
+        let rules;
+        let sinkConfigs;
+        try {
+            ({ rules, sinks: sinkConfigs } = validateAlertConfig(loadAlertConfig(args.alertConfig || path.join(__dirname, "config", "alerts.json"))));
+        } catch (error) {
+            fail(error.message);
+        }
+
+        const state = new AlertState(args.state || path.join(__dirname, "data", `${hre.network.name}-alerts.json`));
+        const watcher = new AlertWatcher({
+            client,
+            indexer: createIndexer(hre, vault, { store: args.store, chunkSize: 2000, confirmations: args.confirmations }),
+            rules,
+            sinks: createSinks(sinkConfigs),
+            state,
+            startBlock: args.fromLatest && state.data.lastBlock === null ? (await hre.ethers.provider.getBlockNumber()) + 1 : undefined
+        });
+
+        for (;;) {
+            const result = await watcher.poll();
+            if (result.rolledBackTo !== null) {
+                console.log(`♻️  Reorg detected - rolled back to block ${result.rolledBackTo}`);
+            }
+            result.failed.forEach((failure) => console.log(`⚠️  ${failure.sink} missed ${failure.id}: ${failure.reason} - retrying next poll`));
+            console.log(`🔔 ${result.alerts.length} new alert(s), ${result.delivered} delivered, ${state.data.pending.length} owed (block ${state.data.lastBlock})`);
+            if (!args.watch) return result;
+            await new Promise((resolve) => setTimeout(resolve, args.interval * 1000));
+        }
+    });
+
+/**
+ * @dev Sync a vault's event store and write its report for a block range
+ */
+async function writeVaultReport(hre, vault, indexer, { fromBlock, toBlock, outDir }) {
+    const { ethers } = hre;
+    await indexer.sync();
+    const report = await buildReport({ vault, provider: ethers.provider, store: indexer.store, fromBlock, toBlock });
+    const files = writeReport(report, outDir, `report-${fromBlock}-${toBlock}`);
+
+    console.log(`📊 Report for blocks ${fromBlock}-${toBlock}`);
+    console.log(`💰 Balance: ${report.balances.opening.eth} → ${report.balances.closing.eth} ETH`);
+    console.log(`⬇️  Inflows: ${report.inflows.total.eth} ETH   ⬆️  Outflows: ${report.outflows.total.eth} ETH`);
+    Object.values(files).forEach((file) => console.log(`📄 ${path.relative(process.cwd(), file)}`));
+    return { report, files };
+}
+
+/**
+ * @dev Block range from --from-block/--from-date and --to-block/--to-date; toBlock defaults to the latest block
+ */
+async function resolvePeriod(hre, args) {
+    const { ethers } = hre;
+    if (args.fromBlock !== undefined && args.fromDate) fail("Use either --from-block or --from-date, not both");
+    if (args.toBlock !== undefined && args.toDate) fail("Use either --to-block or --to-date, not both");
+
+    let fromBlock = args.fromBlock;
+    let toBlock = args.toBlock;
+    try {
+        if (args.fromDate) fromBlock = await findBlockByTimestamp(ethers.provider, parseDate(args.fromDate));
+        if (args.toDate) toBlock = await findBlockByTimestamp(ethers.provider, parseDate(args.toDate, true), true);
+    } catch (error) {
+        fail(error.message);
+    }
+    if (toBlock === undefined) toBlock = await ethers.provider.getBlockNumber();
+    return { fromBlock, toBlock };
+}
+
+treasuryTask("treasury:report", "Generate a transparency report (JSON, CSV and HTML) for a block or date range")
+    .addOptionalParam("fromBlock", "First block of the period", undefined, types.int)
+    .addOptionalParam("toBlock", "Last block of the period (default: latest)", undefined, types.int)
+    .addOptionalParam("fromDate", "Start of the period, e.g. 2026-01-01")
+    .addOptionalParam("toDate", "End of the period, inclusive, e.g. 2026-01-31")
+    .addOptionalParam("store", "Event store file (default: data/<network>-events.json)")
+    .addOptionalParam("out", "Output directory (default: reports/<network>)")
+    .addOptionalParam("factory", "TreasuryVaultFactory to take the vaults from with --all (default: deployments/<network>.json)")
+    .addOptionalParam("dataDir", "Directory for the per-vault event stores with --all (default: data)")
+    .addFlag("all", "Report on every vault the factory created, each into its own <out>/<vault> directory")
+    .setAction(async (args, hre) => {
+        if (args.all && (args.vault || args.store)) fail("--all takes the vaults and stores from the factory - leave out --vault and --store");
+        let { fromBlock, toBlock } = await resolvePeriod(hre, args);
+        const outDir = args.out || path.join(__dirname, "reports", hre.network.name);
+
+        if (!args.all) {
+            const { vault } = await getVault(hre, args);
+            const indexer = createIndexer(hre, vault, { store: args.store, chunkSize: 2000, confirmations: 0 });
+            if (fromBlock === undefined) fromBlock = indexer.startBlock;
+            if (fromBlock > toBlock) fail(`The period is empty (block ${fromBlock} is after block ${toBlock})`);
+            return writeVaultReport(hre, vault, indexer, { fromBlock, toBlock, outDir });
+        }
+
+        // Each vault's period starts no earlier than its creation; vaults created after it are skipped
+        const results = {};
+        for (const record of await getFactoryVaults(hre, args)) {
+            const vaultFrom = Math.max(fromBlock === undefined ? 0 : fromBlock, record.createdAtBlock);
+            if (vaultFrom > toBlock) continue;
+            const indexer = createIndexer(hre, record.contract, {
+                store: record.store,
+                startBlock: record.createdAtBlock,
+                chunkSize: 2000,
+                confirmations: 0
+            });
+            console.log(`\n🏦 ${record.name} (${record.vault})`);
+            results[record.vault] = await writeVaultReport(hre, record.contract, indexer, {
+                fromBlock: vaultFrom,
+                toBlock,
+                outDir: path.join(outDir, record.vault)
+            });
+        }
+        if (Object.keys(results).length === 0) {
+            console.log("No vaults existed in the period");
+        }
+        return results;
+    });
+
+treasuryTask("treasury:reconcile", "Rebuild the ETH balance from the event ledger, compare it with the chain and export the ledger")
+    .addOptionalParam("fromBlock", "First block of the period (default: the deployment block)", undefined, types.int)
+    .addOptionalParam("toBlock", "Last block of the period (default: latest)", undefined, types.int)
+    .addOptionalParam("fromDate", "Start of the period, e.g. 2026-01-01")
+    .addOptionalParam("toDate", "End of the period, inclusive, e.g. 2026-01-31")
+    .addOptionalParam("store", "Event store file (default: data/<network>-events.json)")
+    .addOptionalParam("out", "Output directory (default: reports/<network>)")
+    .addFlag("everyBlock", "Read the balance at every block instead of narrowing quiet stretches down by binary search")
+    .setAction(async (args, hre) => {
+        const { ethers } = hre;
+        const { client, vault } = await getVault(hre, args);
+        let { fromBlock, toBlock } = await resolvePeriod(hre, args);
+        const indexer = createIndexer(hre, vault, { store: args.store, chunkSize: 2000, confirmations: 0 });
+        if (fromBlock === undefined) fromBlock = indexer.startBlock;
+        if (fromBlock > toBlock) fail(`The period is empty (block ${fromBlock} is after block ${toBlock})`);
+
+        await indexer.sync();
+        const result = await reconcileBalance({
+            vault: client,
+            provider: ethers.provider,
+            store: indexer.store,
+            fromBlock,
+            toBlock,
+            everyBlock: args.everyBlock
+        });
+        const files = writeReconciliation(result, args.out || path.join(__dirname, "reports", hre.network.name), `reconciliation-${fromBlock}-${toBlock}`);
+
+        const { balances, explained, unexplained } = result;
+        console.log(`🧮 Reconciliation for blocks ${fromBlock}-${toBlock}`);
+        console.log(`💰 Balance: ${balances.opening.eth} → ${balances.closing.eth} ETH (events explain ${balances.expectedClosing.eth} ETH)`);
+        console.log(`⬇️  Explained inflows: ${explained.inflows.eth} ETH   ⬆️  Explained outflows: ${explained.outflows.eth} ETH`);
+        for (const item of unexplained.blocks) {
+            console.log(`❓ Block ${item.blockNumber} (${item.time}): unexplained ${item.direction} of ${item.amount.eth} ETH${item.feeRecipient ? " - the vault was the fee recipient" : ""}`);
+        }
+        console.log(result.reconciled ? "✅ Every balance change is explained by the vault's events" : `⚠️  ${unexplained.blocks.length} block(s) with unexplained balance changes`);
+        Object.values(files).forEach((file) => console.log(`📄 ${path.relative(process.cwd(), file)}`));
+        return { result, files };
+    });
+
+module.exports = {
+    PROPOSAL_STATUSES,
+    describeRevert
+};
@@ -0,0 +1,273 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { describeRevert } = require("./tasks");
+
+describe("Treasury Proposal Tasks", function () {
+
+    // ============ TEST SETUP ============
+    async function deployTreasuryFixture() {
+        const [owner, manager1, manager2, manager3, attacker, recipient] = await ethers.getSigners();
+
+        const TreasuryVault = await ethers.getContractFactory("TreasuryVault");
+        const treasuryVault = await TreasuryVault.deploy(
+            [manager1.address, manager2.address, manager3.address],
+            2,
+            ethers.utils.parseEther("10")
+        );
+        await owner.sendTransaction({ to: treasuryVault.address, value: ethers.utils.parseEther("100") });
+
+        return { treasuryVault, owner, manager1, manager2, manager3, attacker, recipient };
+    }
+
+    // Run a task and collect what it prints
+    async function runTask(name, args) {
+        const lines = [];
+        const originalLog = console.log;
+        console.log = (...parts) => lines.push(parts.join(" "));
+        try {
+            const result = await hre.run(name, args);
+            return { result, output: lines.join("\n") };
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    async function expectTaskError(name, args, message) {
+        try {
+            await runTask(name, args);
+            expect.fail("Should have thrown an error");
+        } catch (error) {
+            expect(error.message).to.include(message);
+        }
+    }
+
+    // ============ LIFECYCLE TESTS ============
+    describe("1. Proposal Lifecycle", function () {
+
+        it("Should propose, confirm and auto-execute, printing the events", async function () {
+            const { treasuryVault, manager1, manager2, recipient } = await deployTreasuryFixture();
+            const vault = treasuryVault.address;
+
+            const created = await runTask("treasury:propose", {
+                vault,
+                from: manager1.address,
+                to: recipient.address,
+                value: "2",
+                data: "0x",
+                description: "Pay contributor"
+            });
+            expect(created.output).to.include("ProposalCreated: #0");
+
+            const first = await runTask("treasury:confirm", { vault, from: manager1.address, id: 0 });
+            expect(first.output).to.include("ProposalConfirmed: #0");
+            expect(first.output).to.not.include("ProposalExecuted");
+
+            const second = await runTask("treasury:confirm", { vault, from: manager2.address, id: 0 });
+            expect(second.output).to.include("(2 confirmations)");
+            expect(second.output).to.include("ProposalExecuted: #0");
+
+            const proposal = await treasuryVault.getProposal(0);
+            expect(proposal.executed).to.be.true;
+        });
+
+        it("Should cancel a proposal and list proposals by status", async function () {
+            const { treasuryVault, owner, manager1, recipient } = await deployTreasuryFixture();
+            const vault = treasuryVault.address;
+
+            await treasuryVault.connect(manager1).createProposal(recipient.address, 0, "0x", "First");
+            await treasuryVault.connect(manager1).createProposal(recipient.address, 0, "0x", "Second");
+            const cancelled = await runTask("treasury:cancel", { vault, from: owner.address, id: 1 });
+            expect(cancelled.output).to.include("ProposalCancelled: #1");
+
+            const pending = await runTask("treasury:list", { vault, status: "pending" });
+            expect(pending.result).to.deep.equal([0]);
+            expect(pending.output).to.include("First");
+
+            const all = await runTask("treasury:list", { vault });
+            expect(all.result).to.deep.equal([0, 1]);
+            expect(all.output).to.include("[cancelled]");
+        });
+
+        it("Should propose governance self-calls, including unpause while paused", async function () {
+            const { treasuryVault, owner, manager1, manager2 } = await deployTreasuryFixture();
+            const vault = treasuryVault.address;
+            await treasuryVault.connect(owner).pause();
+            await treasuryVault.connect(owner).enableSelfGovernance();
+
+            await expectTaskError("treasury:propose-governance", {
+                vault, from: manager1.address, method: "updateDailyLimit", args: "[\"1\"]", description: "Lower the limit"
+            }, "The vault is paused");
+            await expectTaskError("treasury:propose-governance", {
+                vault, from: manager1.address, method: "executeProposal", args: "[0]", description: "Not a governance call"
+            }, "executeProposal is not a governance function");
+
+            const created = await runTask("treasury:propose-governance", {
+                vault, from: manager1.address, method: "unpause", args: "[]", description: "Resume operations"
+            });
+            expect(created.output).to.include("ProposalCreated: #0");
+
+            await runTask("treasury:confirm", { vault, from: manager1.address, id: 0 });
+            await runTask("treasury:confirm", { vault, from: manager2.address, id: 0 });
+            expect(await treasuryVault.paused()).to.be.false;
+        });
+    });
+
+    // ============ LOCAL CHECK TESTS ============
+    describe("2. Local Checks Before Sending", function () {
+
+        it("Should reject non-managers without sending a transaction", async function () {
+            const { treasuryVault, manager1, attacker, recipient } = await deployTreasuryFixture();
+            await treasuryVault.connect(manager1).createProposal(recipient.address, 0, "0x", "Test");
+            const nonceBefore = await attacker.getTransactionCount();
+
+            await expectTaskError("treasury:confirm", { vault: treasuryVault.address, from: attacker.address, id: 0 }, "is not a treasury manager");
+            await expectTaskError("treasury:propose", {
+                vault: treasuryVault.address,
+                from: attacker.address,
+                to: recipient.address,
+                value: "1",
+                data: "0x",
+                description: "Unauthorized"
+            }, "cannot create proposals");
+
+            expect(await attacker.getTransactionCount()).to.equal(nonceBefore);
+        });
+
+        it("Should reject double confirmation, cancelled and unknown proposals", async function () {
+            const { treasuryVault, owner, manager1, recipient } = await deployTreasuryFixture();
+            const vault = treasuryVault.address;
+            await treasuryVault.connect(manager1).createProposal(recipient.address, 0, "0x", "Test");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+
+            await expectTaskError("treasury:confirm", { vault, from: manager1.address, id: 0 }, "has already confirmed proposal 0");
+            await expectTaskError("treasury:confirm", { vault, from: manager1.address, id: 7 }, "Proposal 7 does not exist");
+
+            await treasuryVault.connect(owner).cancelProposal(0);
+            await expectTaskError("treasury:execute", { vault, from: manager1.address, id: 0 }, "Proposal 0 has been cancelled");
+        });
+
+        it("Should reject expired proposals", async function () {
+            const { treasuryVault, manager1, recipient } = await deployTreasuryFixture();
+            await treasuryVault.connect(manager1).createProposal(recipient.address, 0, "0x", "Test");
+
+            const expiry = await treasuryVault.proposalExpiry();
+            await ethers.provider.send("evm_increaseTime", [expiry.toNumber() + 1]);
+            await ethers.provider.send("evm_mine", []);
+
+            await expectTaskError("treasury:confirm", { vault: treasuryVault.address, from: manager1.address, id: 0 }, "Proposal 0 expired at 20");
+            const expired = await runTask("treasury:list", { vault: treasuryVault.address, status: "expired" });
+            expect(expired.result).to.deep.equal([0]);
+        });
+
+        it("Should hold queued proposals in the veto window and allow a veto", async function () {
+            const { treasuryVault, owner, manager1, manager2, manager3, attacker, recipient } = await deployTreasuryFixture();
+            const vault = treasuryVault.address;
+            await treasuryVault.connect(owner).updateExecutionDelay(3600);
+            await treasuryVault.connect(manager1).createProposal(recipient.address, 1, "0x", "Queued payment");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+
+            const confirmed = await runTask("treasury:confirm", { vault, from: manager2.address, id: 0 });
+            expect(confirmed.output).to.include("ProposalQueued: #0");
+            await expectTaskError("treasury:execute", { vault, from: manager1.address, id: 0 }, "is in its veto window until");
+            await expectTaskError("treasury:veto", { vault, from: attacker.address, id: 0 }, "neither a treasury manager nor a guardian");
+
+            const vetoed = await runTask("treasury:veto", { vault, from: manager3.address, id: 0 });
+            expect(vetoed.output).to.include(`ProposalVetoed: #0 by ${manager3.address}`);
+            await expectTaskError("treasury:execute", { vault, from: manager1.address, id: 0 }, "was vetoed");
+        });
+
+        it("Should revoke a confirmation and refuse to revoke twice", async function () {
+            const { treasuryVault, manager1, recipient } = await deployTreasuryFixture();
+            const vault = treasuryVault.address;
+            await treasuryVault.connect(manager1).createProposal(recipient.address, 0, "0x", "Revocable");
+            await treasuryVault.connect(manager1).confirmProposal(0);
+
+            const revoked = await runTask("treasury:revoke", { vault, from: manager1.address, id: 0 });
+            expect(revoked.output).to.include(`ConfirmationRevoked: #0 by ${manager1.address} (0 confirmations)`);
+            await expectTaskError("treasury:revoke", { vault, from: manager1.address, id: 0 }, "has not confirmed proposal 0");
+        });
+
+        it("Should reject an unknown status filter and a missing manifest", async function () {
+            const { treasuryVault } = await deployTreasuryFixture();
+
+            await expectTaskError("treasury:list", { vault: treasuryVault.address, status: "open" }, "Unknown status");
+            await expectTaskError("treasury:list", {}, "No deployment manifest");
+        });
+
+        it("Should set and show category budgets", async function () {
+            const { treasuryVault, owner, manager1, manager2, recipient } = await deployTreasuryFixture();
+            const vault = treasuryVault.address;
+
+            await runTask("treasury:budget", { vault, from: owner.address, category: "grants", amount: "5", period: 30 });
+            await runTask("treasury:propose", {
+                vault, from: manager1.address, to: recipient.address, value: "2", data: "0x", description: "Grant", category: "grants"
+            });
+            await runTask("treasury:confirm", { vault, from: manager1.address, id: 0 });
+            await runTask("treasury:confirm", { vault, from: manager2.address, id: 0 });
+
+            const { result, output } = await runTask("treasury:budget", { vault, category: "grants,payroll" });
+            expect(result.map((budget) => budget.category)).to.deep.equal(["grants", "payroll"]);
+            expect(output).to.include("grants: 2.0 of 5.0 ETH spent (3.0 ETH left until");
+            expect(output).to.include("payroll: no budget");
+
+            await expectTaskError("treasury:budget", { vault, from: manager1.address, category: "grants", amount: "1", period: 30 }, "does not have the admin role");
+        });
+
+        it("Should manage the address book and check recipients before proposing", async function () {
+            const { treasuryVault, owner, manager1, manager2, attacker, recipient } = await deployTreasuryFixture();
+            const vault = treasuryVault.address;
+
+            await runTask("treasury:address-book", { vault, from: owner.address, address: recipient.address, label: "Acme Payroll", cap: "3" });
+            await runTask("treasury:address-book", { vault, from: owner.address, unknown: "reject" });
+            const { result, output } = await runTask("treasury:address-book", { vault });
+            expect(result.map((entry) => entry.label)).to.deep.equal(["Acme Payroll"]);
+            expect(output).to.include(`Acme Payroll: ${recipient.address} (cap 3.0 ETH per 24 hours, 3.0 ETH left)`);
+            expect(output).to.include("Payments to addresses outside the book are rejected");
+
+            await expectTaskError("treasury:propose", {
+                vault, from: manager1.address, to: attacker.address, value: "1", data: "0x", description: "Pay attacker"
+            }, "is not in the address book and the vault rejects payments to unknown recipients");
+
+            const created = await runTask("treasury:propose", {
+                vault, from: manager1.address, to: recipient.address, value: "4", data: "0x", description: "Payroll"
+            });
+            expect(created.output).to.include("Acme Payroll can only receive 3.0 more ETH in the current 24 hours");
+            await runTask("treasury:confirm", { vault, from: manager1.address, id: 0 });
+            await expectTaskError("treasury:confirm", { vault, from: manager2.address, id: 0 }, "would exceed the recipient's 24-hour cap");
+
+            const listed = await runTask("treasury:list", { vault });
+            expect(listed.output).to.include(`-> Acme Payroll (${recipient.address})`);
+
+            await expectTaskError("treasury:address-book", { vault, from: owner.address, unknown: "2" }, "more than the 2 required confirmations");
+            await expectTaskError("treasury:address-book", { vault, from: owner.address, address: attacker.address }, "needs a --label");
+            await expectTaskError("treasury:address-book", { vault, from: manager1.address, address: attacker.address, label: "X" }, "does not have the admin role");
+        });
+
+        it("Should list, grant and revoke roles", async function () {
+            const { treasuryVault, owner, manager1, attacker, recipient } = await deployTreasuryFixture();
+            const vault = treasuryVault.address;
+
+            const granted = await runTask("treasury:roles", { vault, from: owner.address, grant: "guardian", account: attacker.address });
+            expect(granted.output).to.include(`RoleGranted: guardian to ${attacker.address}`);
+            await runTask("treasury:roles", { vault, from: owner.address, grant: "proposer", account: recipient.address });
+            await runTask("treasury:roles", { vault, from: owner.address, revoke: "proposer", account: manager1.address });
+
+            const { result, output } = await runTask("treasury:roles", { vault });
+            expect(result.guardian).to.deep.equal([attacker.address]);
+            expect(result.proposer).to.include(recipient.address);
+            expect(result.proposer).to.not.include(manager1.address);
+            expect(output).to.include("auditor (0): none");
+
+            await expectTaskError("treasury:roles", { vault, from: owner.address, grant: "manager", account: attacker.address }, "Unknown role manager");
+            await expectTaskError("treasury:roles", { vault, from: owner.address, grant: "guardian", account: attacker.address }, "already has the guardian role");
+            await expectTaskError("treasury:roles", { vault, from: owner.address, revoke: "auditor", account: attacker.address }, "does not have the auditor role");
+            await expectTaskError("treasury:roles", { vault, from: manager1.address, grant: "auditor", account: attacker.address }, "does not have the admin role");
+        });
+
+        it("Should translate revert strings into readable errors", async function () {
+            const message = describeRevert(new Error("VM Exception while processing transaction: reverted with reason string 'TreasuryVault: Daily withdrawal limit exceeded'"));
+            expect(message).to.include("would exceed the daily withdrawal limit");
+        });
+    });
+});